@@ -1,7 +1,7 @@
-import { execSync, spawn } from 'node:child_process'
 import { resolve } from 'node:path'
 
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
+import { Transaction } from '@mysten/sui/transactions'
 import chalk from 'chalk'
 import prompts from 'prompts'
 import ora from 'ora'
@@ -12,44 +12,122 @@ import {
   get_original_package_id,
   get_version_object_id,
 } from '../lib/env.js'
+import {
+  batch_calls,
+  estimate_call_size,
+  MAX_PURE_ARG_BYTES,
+} from '../lib/batch.js'
 import { get_site_id_by_name } from '../lib/sui.js'
+import {
+  get_active_address,
+  get_active_network,
+  load_signer,
+  sign_and_execute,
+} from '../lib/signer.js'
+import {
+  create_walrus_client,
+  get_quilt_id,
+  find_owned_blobs,
+} from '../lib/walrus.js'
+
+// multiGetObjects accepts at most 50 IDs per request
+const MULTI_GET_LIMIT = 50
 
 /**
- * Execute sui client command asynchronously
- * @param {string[]} args - Command arguments
- * @returns {Promise<{stdout: string, stderr: string, success: boolean}>}
+ * Sign and execute Move calls to one function of the site module in a
+ * single transaction
+ * @param {Object} params - Call parameters
+ * @param {string} params.package_id - Versui package ID
+ * @param {string} params.fn - Function name in the site module
+ * @param {Array<(tx: Transaction) => any[]>} params.build_args - Builds the arguments of each call
+ * @param {number} params.gas_budget - Gas budget in MIST
+ * @param {import('@mysten/sui/client').SuiClient} params.client - Sui client
+ * @param {import('@mysten/sui/cryptography').Keypair} params.signer - Signer
+ * @returns {Promise<{success: boolean, error?: string}>}
  */
-function execute_sui_command(args) {
-  return new Promise(resolve => {
-    const proc = spawn('sui', args, { stdio: ['pipe', 'pipe', 'pipe'] })
-
-    let stdout = ''
-    let stderr = ''
-
-    proc.stdout.on('data', data => {
-      stdout += data.toString()
+async function execute_site_calls({
+  package_id,
+  fn,
+  build_args,
+  gas_budget,
+  client,
+  signer,
+}) {
+  const tx = new Transaction()
+  tx.setSender(signer.toSuiAddress())
+  tx.setGasBudget(gas_budget)
+  for (const args of build_args) {
+    tx.moveCall({
+      target: `${package_id}::site::${fn}`,
+      arguments: args(tx),
     })
+  }
 
-    proc.stderr.on('data', data => {
-      stderr += data.toString()
-    })
+  try {
+    await sign_and_execute(tx, { client, signer })
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
 
-    proc.on('close', code => {
-      resolve({
-        stdout,
-        stderr,
-        success: code === 0 && stdout.includes('Status: Success'),
-      })
+/**
+ * Collect the quilt blob IDs a site's resources are stored in
+ * Each resource's patch ID names its quilt, so a site split across several
+ * quilts yields every one of them
+ * @param {Array<{objectId: string}>} resource_entries - Dynamic fields of the resources table
+ * @param {import('@mysten/sui/client').SuiClient} client - Sui client
+ * @returns {Promise<string[]>} Unique quilt blob IDs
+ */
+async function fetch_quilt_ids(resource_entries, client) {
+  const quilt_ids = new Set()
+  for (let i = 0; i < resource_entries.length; i += MULTI_GET_LIMIT) {
+    const objects = await client.multiGetObjects({
+      ids: resource_entries.slice(i, i + MULTI_GET_LIMIT).map(r => r.objectId),
+      options: { showContent: true },
     })
+    for (const object of objects) {
+      const blob_id = /** @type {any} */ (object.data?.content)?.fields?.blob_id
+      if (blob_id) quilt_ids.add(get_quilt_id(blob_id))
+    }
+  }
+  return [...quilt_ids]
+}
 
-    proc.on('error', error => {
-      resolve({
-        stdout,
-        stderr: stderr + error.message,
-        success: false,
+/**
+ * Delete the blob objects an address owns for a set of quilts
+ * Non-deletable blobs and blobs already gone are reported as failures
+ * @param {string[]} quilt_ids - Quilt blob IDs
+ * @param {Object} params - Deletion context
+ * @param {import('@mysten/walrus').WalrusClient} params.walrus_client - Walrus client
+ * @param {import('@mysten/sui/client').SuiClient} params.client - Sui client
+ * @param {import('@mysten/sui/cryptography').Keypair} params.signer - Blob owner
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+async function delete_quilt_blobs(
+  quilt_ids,
+  { walrus_client, client, signer },
+) {
+  const owned = await find_owned_blobs(
+    walrus_client,
+    client,
+    signer.toSuiAddress(),
+    quilt_ids,
+  )
+  let deleted = 0
+  let failed = 0
+  for (const blob_object_id of [...owned.values()].flat()) {
+    try {
+      await walrus_client.executeDeleteBlobTransaction({
+        signer,
+        blobObjectId: blob_object_id,
       })
-    })
-  })
+      deleted++
+    } catch {
+      failed++
+    }
+  }
+  return { deleted, failed }
 }
 
 /**
@@ -129,6 +207,7 @@ export function is_valid_resource_path(path) {
  * @param {Object} options - Command options
  * @param {boolean} [options.yes] - Skip confirmation prompt
  * @param {string} [options.network] - Network (testnet|mainnet)
+ * @param {boolean} [options.blobs] - Also delete the Walrus blobs of each site's quilts
  * @returns {Promise<void>}
  */
 export async function delete_site(site_identifiers, options = {}) {
@@ -139,6 +218,7 @@ export async function delete_site(site_identifiers, options = {}) {
 
   // Get network early for lookups
   const network = options.network || get_active_network()
+  const signer = load_signer()
   const address = get_active_address()
 
   // Create Sui client for lookups
@@ -302,6 +382,11 @@ export async function delete_site(site_identifiers, options = {}) {
       console.log(
         `  Site${validated_sites.length > 1 ? 's' : ''} to delete: ${chalk.cyan(validated_sites.length)}`,
       )
+      if (options.blobs) {
+        console.log(
+          `  Walrus blobs: ${chalk.cyan('deleted')} ${chalk.dim('(any other site stored from the same files loses its content too)')}`,
+        )
+      }
       console.log('')
       for (const { site_id } of validated_sites) {
         console.log(`    ${chalk.dim(site_id)}`)
@@ -368,6 +453,11 @@ export async function delete_site(site_identifiers, options = {}) {
       const resource_count = all_resources.length
       res_spinner.succeed(`Found ${resource_count} resource(s)`)
 
+      // Read the quilts before the resources that point at them are gone
+      const quilt_ids = options.blobs
+        ? await fetch_quilt_ids(all_resources, client)
+        : []
+
       // If site has resources, delete them first (batch operation)
       let resources_deleted_successfully = false
       if (resource_count > 0) {
@@ -395,21 +485,21 @@ export async function delete_site(site_identifiers, options = {}) {
           )
         }
 
-        // Delete resources in batches (PTB limit is 1024 commands, use 50 for safety)
+        // Delete resources with one delete_resources_batch call per
+        // transaction. The paths travel as one pure vector argument, so each
+        // batch is sized to Sui's pure argument limit (estimating every path
+        // as a whole call keeps it well under)
         if (paths_to_delete.length > 0) {
-          const batch_size = 50
-          const total_batches = Math.ceil(paths_to_delete.length / batch_size)
+          const batches = batch_calls(
+            paths_to_delete,
+            path => estimate_call_size([path]),
+            { max_bytes: MAX_PURE_ARG_BYTES },
+          )
+          const total_batches = batches.length
           let total_deleted = 0
           const del_spinner = ora().start()
 
-          for (let i = 0; i < total_batches; i++) {
-            const batch_start = i * batch_size
-            const batch_end = Math.min(
-              batch_start + batch_size,
-              paths_to_delete.length,
-            )
-            const batch = paths_to_delete.slice(batch_start, batch_end)
-
+          for (const [i, batch] of batches.entries()) {
             del_spinner.text = `Deleting batch ${i + 1}/${total_batches}...`
 
             try {
@@ -424,28 +514,25 @@ export async function delete_site(site_identifiers, options = {}) {
                 throw new Error(`Version object not deployed on ${network}`)
               }
 
-              const result = await execute_sui_command([
-                'client',
-                'call',
-                '--package',
+              const result = await execute_site_calls({
                 package_id,
-                '--module',
-                'site',
-                '--function',
-                'delete_resources_batch',
-                '--args',
-                version_id,
-                admin_cap_id,
-                site_id,
-                JSON.stringify(batch),
-                '--gas-budget',
-                gas_budget.toString(),
-              ])
+                fn: 'delete_resources_batch',
+                build_args: [
+                  tx => [
+                    tx.object(version_id),
+                    tx.object(admin_cap_id),
+                    tx.object(site_id),
+                    tx.pure.vector('string', batch),
+                  ],
+                ],
+                gas_budget,
+                client,
+                signer,
+              })
 
               if (!result.success) {
-                // Extract Move error from stderr
-                const error_detail =
-                  result.stderr.trim() || result.stdout.trim()
+                // Surface Move abort from execution effects
+                const error_detail = result.error
                 del_spinner.fail(
                   `Failed to delete batch ${i + 1}/${total_batches}`,
                 )
@@ -509,31 +596,46 @@ export async function delete_site(site_identifiers, options = {}) {
           throw new Error(`Version object not deployed on ${network}`)
         }
 
-        const result = await execute_sui_command([
-          'client',
-          'call',
-          '--package',
+        const result = await execute_site_calls({
           package_id,
-          '--module',
-          'site',
-          '--function',
-          'delete_site',
-          '--args',
-          version_id,
-          admin_cap_id,
-          site_id,
-          '--gas-budget',
-          '10000000',
-        ])
+          fn: 'delete_site',
+          build_args: [
+            tx => [
+              tx.object(version_id),
+              tx.object(admin_cap_id),
+              tx.object(site_id),
+            ],
+          ],
+          gas_budget: 10_000_000,
+          client,
+          signer,
+        })
 
         // Check for success BEFORE showing success message
         if (result.success) {
           delete_spinner.succeed(
             chalk.green(`✓ Deleted: ${site_id.slice(0, 10)}...`),
           )
+          if (quilt_ids.length > 0) {
+            const blob_spinner = ora(
+              `Deleting Walrus blobs of ${quilt_ids.length} quilt(s)...`,
+            ).start()
+            const { deleted, failed } = await delete_quilt_blobs(quilt_ids, {
+              walrus_client: create_walrus_client(network, client),
+              client,
+              signer,
+            })
+            if (failed > 0) {
+              blob_spinner.warn(
+                `Deleted ${deleted} blob(s), ${failed} could not be deleted (not deletable or already gone)`,
+              )
+            } else {
+              blob_spinner.succeed(`Deleted ${deleted} blob(s)`)
+            }
+          }
         } else {
-          // Extract Move error from stderr
-          const error_detail = result.stderr.trim() || result.stdout.trim()
+          // Surface Move abort from execution effects
+          const error_detail = result.error
           delete_spinner.fail(chalk.red(`✗ Failed: ${site_id.slice(0, 10)}...`))
           console.log(chalk.yellow(`  Error details:`))
           console.log(chalk.dim(`  ${error_detail}`))
@@ -570,39 +672,3 @@ export async function delete_site(site_identifiers, options = {}) {
     process.exit(1)
   }
 }
-
-/**
- * Get active Sui network from CLI
- * @returns {string} Network name (testnet|mainnet)
- */
-function get_active_network() {
-  try {
-    const output = execSync('sui client active-env', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not determine active Sui network. Run: sui client active-env',
-    )
-  }
-}
-
-/**
- * Get active wallet address from Sui CLI
- * @returns {string} Wallet address
- */
-function get_active_address() {
-  try {
-    const output = execSync('sui client active-address', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not get active wallet address. Run: sui client active-address',
-    )
-  }
-}
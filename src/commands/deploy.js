@@ -4,7 +4,6 @@ import { join, relative } from 'node:path'
 import * as readline from 'node:readline'
 
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
-import { Transaction } from '@mysten/sui/transactions'
 import { toBase64 } from '@mysten/sui/utils'
 import chalk from 'chalk'
 import gradient from 'gradient-string'
@@ -15,8 +14,16 @@ import logUpdate from 'log-update'
 import { encode_base36 } from '../lib/base36.js'
 import {
   read_versui_config,
-  get_aggregators,
+  get_aggregator_options,
   get_site_name,
+  get_header_rules,
+  resolve_headers,
+  get_route_rules,
+  get_spa_options,
+  get_error_pages,
+  resolve_cache_options,
+  get_live_options,
+  resolve_stream_paths,
 } from '../lib/config.js'
 import { scan_directory, get_content_type, read_file } from '../lib/files.js'
 import { generate_bootstrap } from '../lib/generate.js'
@@ -29,13 +36,47 @@ import {
 import { detect_service_worker, generate_sw_snippet } from '../lib/sw.js'
 import { VERSUI_PACKAGE_IDS, get_versui_registry_id } from '../lib/env.js'
 import { derive_site_address } from '../lib/sui.js'
+import {
+  create_journal,
+  read_journal,
+  record_step,
+  clear_journal,
+  assert_resumable,
+  get_journal_path,
+} from '../lib/journal.js'
+import {
+  build_manifest,
+  write_manifest,
+  find_site_version,
+} from '../lib/delta.js'
+import { load_signer, sign_and_execute } from '../lib/signer.js'
+import {
+  create_walrus_client,
+  store_quilts,
+  plan_quilts,
+  get_stored_quilts,
+} from '../lib/walrus.js'
+import { add_variant_metadata, stage_variant_files } from '../lib/compress.js'
 
-import { build_files_metadata } from './deploy/file-metadata.js'
+import {
+  build_files_metadata,
+  build_generated_files,
+  build_integrity_map,
+} from './deploy/file-metadata.js'
+import {
+  get_walrus_price_estimate,
+  sum_walrus_price_estimates,
+  get_sui_gas_estimate,
+} from './deploy/estimate.js'
 import { format_bytes, format_wallet_address } from './deploy/formatting.js'
+import { simulate_transaction, print_plan } from './deploy/plan.js'
 import {
   build_identifier_map,
   create_site_transaction,
   add_resources_transaction,
+  batch_quilt_patches,
+  find_site_composition,
+  create_site_with_resources_transaction,
 } from './deploy/transaction.js'
 import {
   validate_directory,
@@ -149,6 +190,7 @@ const state = {
   walrus_cost: null,
   sui_cost: null,
   blob_id: null,
+  quilts: 0,
   site_id: null,
   step: 'init', // init, config, scan, walrus, sui, done
   spinner_text: null,
@@ -233,7 +275,11 @@ function render_state(include_header = false) {
       id: 'walrus',
       label: 'Upload to Walrus',
       done: !!state.blob_id,
-      result: state.blob_id ? `Blob ${state.blob_id.slice(0, 12)}...` : null,
+      result: state.blob_id
+        ? state.quilts > 1
+          ? `${state.quilts} quilts`
+          : `Blob ${state.blob_id.slice(0, 12)}...`
+        : null,
     },
     {
       id: 'sui',
@@ -282,98 +328,18 @@ function finish_display() {
   logUpdate.done()
 }
 
-function get_sui_active_address() {
-  try {
-    const result = spawnSync('sui', ['client', 'active-address'], {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    })
-    if (result.status !== 0) return null
-    return result.stdout.trim()
-  } catch {
-    return null
-  }
-}
-
 /**
- * Run a command asynchronously (non-blocking for spinner animation)
- * @param {string} cmd - Command to run
- * @param {string[]} args - Command arguments
- * @param {Function} spawn_fn - Spawn function (injectable for testing)
- * @returns {Promise<string>} stdout output
+ * Get wallet address of the configured signer
+ * @returns {string|null} Wallet address or null if no key is available
  */
-function run_command_async(cmd, args, spawn_fn = spawn) {
-  return new Promise((resolve, reject) => {
-    const child = spawn_fn(cmd, args, {
-      stdio: ['pipe', 'pipe', 'pipe'],
-    })
-
-    let stdout_data = ''
-    let stderr_data = ''
-
-    child.stdout.on('data', chunk => {
-      stdout_data += chunk.toString()
-    })
-
-    child.stderr.on('data', chunk => {
-      stderr_data += chunk.toString()
-    })
-
-    child.on('error', err => {
-      reject(new Error(`Failed to spawn ${cmd}: ${err.message}`))
-    })
-
-    child.on('close', code => {
-      if (code !== 0) {
-        const error = Object.assign(
-          new Error(`Command failed: ${cmd} ${args.join(' ')}`),
-          { stderr: stderr_data, stdout: stdout_data },
-        )
-        reject(error)
-        return
-      }
-      resolve(stdout_data)
-    })
-  })
-}
-
-async function get_walrus_price_estimate(size_bytes, epochs) {
+function get_sui_active_address() {
   try {
-    const result = spawnSync('walrus', ['info', 'price', '--json'], {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    })
-    if (result.status !== 0) return null
-    const price_info = JSON.parse(result.stdout)
-    const encoding = price_info.encodingDependentPriceInfo?.[0] || {}
-    const metadata_price = encoding.metadataPrice || 9300000
-    const marginal_price = encoding.marginalPrice || 900000
-    const marginal_size = encoding.marginalSize || 1048576
-    const size_units = Math.ceil(size_bytes / marginal_size)
-    const total_mist = metadata_price + size_units * marginal_price
-    return (total_mist * epochs) / 1_000_000_000
+    return load_signer().toSuiAddress()
   } catch {
     return null
   }
 }
 
-async function get_sui_gas_estimate(tx_bytes, sui_client) {
-  try {
-    const dry_run = await sui_client.dryRunTransactionBlock({
-      transactionBlock: tx_bytes,
-    })
-    const gas = dry_run.effects?.gasUsed
-    if (gas) {
-      const total =
-        BigInt(gas.computationCost) +
-        BigInt(gas.storageCost) -
-        BigInt(gas.storageRebate)
-      return Number(total) / 1_000_000_000
-    }
-  } catch {}
-  return null
-}
-
 // WAL coin type addresses by network
 const WAL_COIN_TYPES = {
   testnet:
@@ -482,6 +448,165 @@ async function confirm_action(
   return true
 }
 
+/**
+ * Plan a deploy without uploading or signing
+ * Scans and hashes the files, encodes the quilt locally (quilts are
+ * content-addressed, so its blob and patch IDs are the real ones), estimates
+ * WAL and dry-runs create_site, together with the first add_resources batch
+ * when the package lets one transaction do both. Later batches can't be
+ * simulated before the Site exists, so they are only counted
+ * @param {string} dir - Directory to deploy
+ * @param {Object} options - Plan options
+ * @param {string} options.network - Network (testnet|mainnet)
+ * @param {number} options.epochs - Storage epochs
+ * @param {string|null} options.name - Site name from CLI flag
+ * @param {boolean} options.json - JSON output mode
+ * @returns {Promise<import('./deploy/plan.js').DeployPlan>}
+ */
+async function deploy_dry_run(dir, { network, epochs, name, json }) {
+  if (!validate_directory(dir)) {
+    throw new Error(`Invalid directory: ${dir}`)
+  }
+
+  let wallet
+  try {
+    wallet = load_signer().toSuiAddress()
+  } catch (err) {
+    throw new Error(
+      `No Sui signer available: ${err.message}\n` +
+        'A dry run needs the sender address. Set VERSUI_PRIVATE_KEY or run: sui client new-address ed25519',
+    )
+  }
+
+  const project_dir = join(dir, '..')
+  const versui_config = read_versui_config(project_dir)
+  let package_json = null
+  const package_json_path = join(project_dir, 'package.json')
+  if (existsSync(package_json_path)) {
+    try {
+      package_json = JSON.parse(read_file(package_json_path).toString())
+    } catch {
+      // Ignore invalid package.json
+    }
+  }
+  const site_name = get_site_name({
+    cli_name: name,
+    versui_config,
+    package_json,
+  })
+
+  const package_id = VERSUI_PACKAGE_IDS[network]
+  if (!package_id) {
+    throw new Error(`Versui package not deployed on ${network} yet`)
+  }
+  const versui_object_id = get_versui_registry_id(network)
+  if (!versui_object_id) {
+    throw new Error(`Versui registry not deployed on ${network} yet`)
+  }
+
+  const file_paths = scan_directory(dir, dir)
+  const { metadata: scanned_metadata } = build_files_metadata(file_paths, dir)
+  const generated = build_generated_files(dir, scanned_metadata, versui_config)
+  const file_metadata = add_variant_metadata(scanned_metadata, generated)
+
+  const sui_client = new SuiClient({
+    url: getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet'),
+  })
+  const walrus_client = create_walrus_client(network, sui_client)
+
+  const quilts = await plan_quilts(walrus_client, [
+    ...file_paths.map(fp => ({
+      identifier: '/' + relative(dir, fp).replace(/\\/g, '/'),
+      contents: read_file(fp),
+    })),
+    ...generated.map(({ path, contents }) => ({ identifier: path, contents })),
+  ])
+  const wal_cost = await sum_walrus_price_estimates(
+    quilts.map(quilt => quilt.size),
+    epochs,
+    walrus_client,
+  )
+
+  const site_id = derive_site_address(
+    versui_object_id,
+    wallet,
+    site_name,
+    network,
+  )
+  const batches = batch_quilt_patches(
+    quilts.flatMap(quilt => quilt.patches),
+    file_metadata,
+  )
+  const composition =
+    batches.length > 0
+      ? await find_site_composition(sui_client, package_id)
+      : null
+  const add_name = i =>
+    batches.length > 1
+      ? `add_resources ${i + 1}/${batches.length}`
+      : 'add_resources'
+  const create_site = await simulate_transaction(
+    composition ? `create_site + ${add_name(0)}` : 'create_site',
+    composition
+      ? create_site_with_resources_transaction({
+          package_id,
+          versui_object_id,
+          wallet,
+          site_name,
+          quilt_patches: batches[0],
+          file_metadata,
+          network,
+          composition,
+        })
+      : create_site_transaction({
+          package_id,
+          versui_object_id,
+          wallet,
+          site_name,
+          network,
+        }),
+    sui_client,
+  )
+  const existing_site = await sui_client
+    .getObject({ id: site_id })
+    .catch(() => null)
+  if (existing_site?.data) {
+    create_site.status = 'failure'
+    create_site.error = `Site name "${site_name}" is already taken by you (${site_id}). Plan an update instead: versui update ${dir} --dry-run`
+  }
+
+  const plan = {
+    status: /** @type {const} */ ('dry_run'),
+    action: /** @type {const} */ ('deploy'),
+    network,
+    site_name,
+    site_id,
+    files: Object.entries(file_metadata).map(
+      ([path, { size, content_type }]) => ({ path, size, content_type }),
+    ),
+    quilts: quilts.map(quilt => ({
+      blob_id: quilt.blob_id,
+      size: quilt.size,
+      patches: quilt.patches.length,
+    })),
+    epochs,
+    wal_cost,
+    transactions: [
+      create_site,
+      ...batches.slice(composition ? 1 : 0).map((batch, i) => ({
+        name: add_name(composition ? i + 1 : i),
+        calls: batch.length,
+        status: /** @type {const} */ ('skipped'),
+        error: 'Not simulated: needs the Site created by create_site',
+        gas: null,
+        created: [],
+      })),
+    ],
+  }
+  print_plan(plan, json)
+  return plan
+}
+
 export async function deploy(dir, options = {}) {
   const {
     json: json_mode = false,
@@ -489,17 +614,33 @@ export async function deploy(dir, options = {}) {
     customSw: force_custom_sw = false,
     name: cli_site_name = null,
     suins: suins_flag = null,
+    walrusCli: use_walrus_cli = false,
+    resume = false,
+    live = false,
+    dryRun: dry_run = false,
   } = options
   let { network, epochs } = options
 
   state.dir = dir
 
+  // Dry run - plan only, no prompts, uploads or signatures
+  if (dry_run) {
+    return deploy_dry_run(dir, {
+      network: network || 'testnet',
+      epochs: Number(epochs) || 1,
+      name: cli_site_name,
+      json: json_mode,
+    })
+  }
+
   // JSON mode - minimal output
   if (json_mode) {
     return deploy_json(dir, {
       network: network || 'testnet',
       epochs: epochs || 1,
       name: cli_site_name,
+      walrus_cli: use_walrus_cli,
+      resume,
     })
   }
 
@@ -511,6 +652,29 @@ export async function deploy(dir, options = {}) {
   // Read .versui config from project root (parent of dist dir)
   const project_dir = join(dir, '..')
   const versui_config = read_versui_config(project_dir)
+  const header_rules = get_header_rules(versui_config)
+  const route_rules = get_route_rules(versui_config)
+  const spa_options = get_spa_options(versui_config)
+  const error_pages = get_error_pages(versui_config)
+
+  // Resuming restores network, epochs and site name from the journal
+  const existing_journal = read_journal(project_dir)
+  if (resume) {
+    if (!existing_journal) {
+      throw new Error(
+        `No interrupted deploy to resume (${get_journal_path(project_dir)} not found)`,
+      )
+    }
+    ;({ network, epochs } = existing_journal)
+  } else if (existing_journal) {
+    console.log('')
+    console.log(
+      chalk.yellow(
+        `  ⚠ Found an interrupted deploy of "${existing_journal.site_name}". Use --resume to continue it;`,
+      ),
+    )
+    console.log(chalk.yellow('    this deploy will replace its journal.'))
+  }
 
   // Read package.json from project root
   let package_json = null
@@ -524,17 +688,19 @@ export async function deploy(dir, options = {}) {
   }
 
   // Resolve site name with priority cascade
-  let site_name = get_site_name({
-    cli_name: cli_site_name,
-    versui_config,
-    package_json,
-  })
+  let site_name = resume
+    ? existing_journal.site_name
+    : get_site_name({
+        cli_name: cli_site_name,
+        versui_config,
+        package_json,
+      })
 
   // Prompt for name if NOT in .versui config and interactive mode
   // (Even if package.json has a name, we should prompt to confirm/change)
   const has_stored_name =
     versui_config?.name && versui_config.name.trim().length > 0
-  if (!has_stored_name && !auto_yes && !cli_site_name) {
+  if (!has_stored_name && !auto_yes && !cli_site_name && !resume) {
     console.log('')
     const response = await prompts({
       type: 'text',
@@ -621,23 +787,29 @@ export async function deploy(dir, options = {}) {
     state.epochs = epochs
 
     // Check prerequisites
-    const prereqs = check_prerequisites()
+    const prereqs = check_prerequisites({ walrus_cli: use_walrus_cli })
     if (!prereqs.success) {
       const [first_missing] = prereqs.missing
       throw new Error(get_prerequisite_error(first_missing))
     }
 
-    state.wallet = get_sui_active_address()
-    if (!state.wallet)
+    let signer
+    try {
+      signer = load_signer()
+    } catch (err) {
       throw new Error(
-        'No active Sui wallet. Run: sui client new-address ed25519',
+        `No Sui signer available: ${err.message}\n` +
+          'Set VERSUI_PRIVATE_KEY or run: sui client new-address ed25519',
       )
+    }
+    state.wallet = signer.toSuiAddress()
 
     // Initialize SuiClient early to fetch balances
     const rpc_url = getFullnodeUrl(
       network === 'mainnet' ? 'mainnet' : 'testnet',
     )
     const sui_client = new SuiClient({ url: rpc_url })
+    const walrus_client = create_walrus_client(network, sui_client)
 
     // Fetch wallet balances
     state.spinner_text = 'Fetching wallet balances...'
@@ -660,68 +832,151 @@ export async function deploy(dir, options = {}) {
     update_display()
 
     const file_paths = scan_directory(dir, dir)
-    const { metadata: file_metadata, total_size } = build_files_metadata(
+    const { metadata: scanned_metadata, total_size } = build_files_metadata(
       file_paths,
       dir,
     )
+    const generated = build_generated_files(
+      dir,
+      scanned_metadata,
+      versui_config,
+    )
+    const file_metadata = add_variant_metadata(scanned_metadata, generated)
 
     state.files_count = file_paths.length
-    state.total_size = total_size
+    state.total_size =
+      total_size + generated.reduce((sum, f) => sum + f.contents.length, 0)
     state.spinner_text = null
     update_display()
 
-    // Get cost estimate
-    state.spinner_text = 'Estimating storage costs...'
-    update_display()
-    state.walrus_cost = await get_walrus_price_estimate(
-      state.total_size,
-      epochs,
+    const resource_headers = resolve_headers(
+      Object.keys(file_metadata),
+      header_rules,
     )
-    state.spinner_text = null
-    update_display()
-
-    // Confirm Walrus upload
-    state.step = 'walrus'
-    await confirm_action(
-      'Upload to Walrus',
-      [
-        `${state.files_count} files (${format_bytes(state.total_size)})`,
-        `Storage: ${epochs} epoch(s) on ${network}`,
-        'Your wallet pays WAL tokens for storage.',
-      ],
-      'Estimated cost',
-      state.walrus_cost ? `~${state.walrus_cost.toFixed(4)} WAL` : 'unknown',
-      auto_yes,
+    const cache_options = resolve_cache_options(
+      Object.keys(file_metadata),
+      versui_config,
     )
+    const { aggregators, ...aggregator_options } = get_aggregator_options(
+      versui_config,
+      network,
+    )
+    const live_options = get_live_options(versui_config, network, live)
+    const stream = resolve_stream_paths(
+      Object.keys(file_metadata),
+      versui_config,
+    )
+    if (spa_options.fallback && !file_metadata[spa_options.fallback]) {
+      throw new Error(
+        `Fallback document ${spa_options.fallback} is not in ${dir}. Check "spa" / "fallback" in .versui`,
+      )
+    }
+    for (const page of [error_pages.not_found, error_pages.unavailable]) {
+      if (page && !file_metadata[page]) {
+        throw new Error(
+          `Error page ${page} is not in ${dir}. Check "notFound" / "unavailable" in .versui`,
+        )
+      }
+    }
+    const unavailable_html = error_pages.unavailable
+      ? read_file(join(dir, error_pages.unavailable)).toString()
+      : null
+
+    let journal
+    if (resume) {
+      assert_resumable(existing_journal, {
+        wallet: state.wallet,
+        file_metadata,
+      })
+      journal = existing_journal
+    } else {
+      journal = create_journal({
+        network,
+        epochs,
+        site_name,
+        wallet: state.wallet,
+        file_metadata,
+      })
+    }
 
-    // Upload to Walrus with progress tracking
-    state.upload_progress = 0
+    let quilt_patches
+    if (journal.steps.upload) {
+      // Upload finished in the interrupted deploy - reuse it
+      state.step = 'walrus'
+      state.blob_id = journal.steps.upload.blob_id
+      state.quilts = journal.steps.upload.quilts?.length ?? 1
+      ;({ quilt_patches } = journal.steps.upload)
+    } else {
+      // Get cost estimate
+      state.spinner_text = 'Estimating storage costs...'
+      update_display()
+      state.walrus_cost = await get_walrus_price_estimate(
+        state.total_size,
+        epochs,
+        walrus_client,
+      )
+      state.spinner_text = null
+      update_display()
 
-    const quilt_result = await upload_to_walrus_with_progress(
-      dir,
-      epochs,
-      (progress, message) => {
+      // Confirm Walrus upload
+      state.step = 'walrus'
+      await confirm_action(
+        'Upload to Walrus',
+        [
+          `${state.files_count} files (${format_bytes(state.total_size)})`,
+          `Storage: ${epochs} epoch(s) on ${network}`,
+          'Your wallet pays WAL tokens for storage.',
+        ],
+        'Estimated cost',
+        state.walrus_cost ? `~${state.walrus_cost.toFixed(4)} WAL` : 'unknown',
+        auto_yes,
+      )
+
+      // Upload to Walrus with progress tracking
+      state.upload_progress = 0
+
+      const on_upload_progress = (progress, message) => {
         state.upload_progress = progress
         state.spinner_text = message
           ? `Uploading to Walrus... ${message}`
           : 'Uploading to Walrus...'
         update_display()
-      },
-    )
-
-    const blob_store = quilt_result.blobStoreResult
-    state.blob_id =
-      blob_store?.newlyCreated?.blobObject?.blobId ||
-      blob_store?.alreadyCertified?.blobId
-    const blob_object_id =
-      blob_store?.newlyCreated?.blobObject?.id ||
-      blob_store?.alreadyCertified?.object
-    const quilt_patches = quilt_result.storedQuiltBlobs || []
-
-    if (!blob_object_id) {
-      throw new Error(
-        'Failed to extract blob object ID from Walrus upload result',
-      )
+      }
+      const quilt_result = use_walrus_cli
+        ? await upload_to_walrus_with_progress(
+            dir,
+            epochs,
+            on_upload_progress,
+            spawn,
+            scan_directory,
+            generated,
+          )
+        : await upload_to_walrus_sdk(dir, epochs, on_upload_progress, {
+            walrus_client,
+            signer,
+            generated,
+            stored: journal.steps.partial_upload,
+            on_stored: stored => {
+              journal = record_step(
+                project_dir,
+                journal,
+                'partial_upload',
+                stored,
+              )
+            },
+          })
+
+      const quilts = get_stored_quilts(quilt_result)
+      state.blob_id = quilts[0].blob_id
+      state.quilts = quilts.length
+      quilt_patches = quilt_result.storedQuiltBlobs || []
+
+      journal = record_step(project_dir, journal, 'upload', {
+        blob_id: quilts[0].blob_id,
+        blob_object_id: quilts[0].blob_object_id,
+        quilts,
+        quilt_patches,
+      })
     }
 
     state.spinner_text = null
@@ -743,194 +998,292 @@ export async function deploy(dir, options = {}) {
       throw new Error(`Versui registry not deployed on ${network} yet`)
     }
 
-    // Check if site name already exists (prevents duplicate creation)
-    state.spinner_text = 'Checking site name availability...'
-    update_display()
+    const batches = batch_quilt_patches(quilt_patches, file_metadata)
+    let tx2_result
 
-    const expected_site_id = derive_site_address(
-      versui_object_id,
-      state.wallet,
-      site_name,
-      network,
-    )
+    let site_id, admin_cap_id, initial_shared_version
+    if (journal.steps.create_site) {
+      // Site was created by the interrupted deploy - skip transaction 1
+      ;({ site_id, admin_cap_id, initial_shared_version } =
+        journal.steps.create_site)
+    } else {
+      // Check if site name already exists (prevents duplicate creation)
+      state.spinner_text = 'Checking site name availability...'
+      update_display()
 
-    try {
-      const existing_site = await sui_client.getObject({
-        id: expected_site_id,
-        options: { showContent: true },
-      })
+      const expected_site_id = derive_site_address(
+        versui_object_id,
+        state.wallet,
+        site_name,
+        network,
+      )
 
-      if (existing_site?.data) {
-        state.spinner_text = null
-        clearInterval(spinner_interval)
-        finish_display()
-        throw new Error(
-          `Site name "${site_name}" is already taken by you. Site ID: ${expected_site_id}\n\n` +
-            `To update this site, use: versui update ${site_name}\n` +
-            `To delete this site, use: versui delete ${site_name}`,
-        )
-      }
-    } catch (err) {
-      // If error is 'object not found', site doesn't exist (OK to proceed)
-      // Any other error should be thrown
-      if (!err.message?.includes('already taken')) {
-        // Ignore 'object not found' errors (expected case)
-        if (
-          err.code !== 'OBJECT_NOT_FOUND' &&
-          !err.message?.includes('not found')
-        ) {
+      try {
+        const existing_site = await sui_client.getObject({
+          id: expected_site_id,
+          options: { showContent: true },
+        })
+
+        if (existing_site?.data) {
           state.spinner_text = null
+          clearInterval(spinner_interval)
+          finish_display()
           throw new Error(
-            `Failed to check site name availability: ${err.message}`,
+            `Site name "${site_name}" is already taken by you. Site ID: ${expected_site_id}\n\n` +
+              `To update this site, use: versui update ${dir} --name "${site_name}"\n` +
+              `To delete this site, use: versui delete ${site_name}`,
           )
         }
-      } else {
-        // Re-throw our own error message
-        throw err
+      } catch (err) {
+        // If error is 'object not found', site doesn't exist (OK to proceed)
+        // Any other error should be thrown
+        if (!err.message?.includes('already taken')) {
+          // Ignore 'object not found' errors (expected case)
+          if (
+            err.code !== 'OBJECT_NOT_FOUND' &&
+            !err.message?.includes('not found')
+          ) {
+            state.spinner_text = null
+            throw new Error(
+              `Failed to check site name availability: ${err.message}`,
+            )
+          }
+        } else {
+          // Re-throw our own error message
+          throw err
+        }
       }
-    }
 
-    state.spinner_text = null
-    update_display()
+      // Create the Site with its first resources in one transaction when
+      // the package allows it, otherwise create an empty Site first
+      const composition =
+        batches.length > 0
+          ? await find_site_composition(sui_client, package_id)
+          : null
+      state.spinner_text = null
+      update_display()
 
-    const tx1 = create_site_transaction({
-      package_id,
-      versui_object_id,
-      wallet: state.wallet,
-      site_name,
-      network,
-    })
+      const tx1 = composition
+        ? create_site_with_resources_transaction({
+            package_id,
+            versui_object_id,
+            wallet: state.wallet,
+            site_name,
+            quilt_patches: batches[0],
+            file_metadata,
+            network,
+            composition,
+          })
+        : create_site_transaction({
+            package_id,
+            versui_object_id,
+            wallet: state.wallet,
+            site_name,
+            network,
+          })
+
+      const tx1_bytes = await tx1.build({ client: sui_client })
+      const tx1_base64 = toBase64(tx1_bytes)
+
+      state.sui_cost = await get_sui_gas_estimate(tx1_base64, sui_client)
+      state.spinner_text = null
+      update_display()
 
-    const tx1_bytes = await tx1.build({ client: sui_client })
-    const tx1_base64 = toBase64(tx1_bytes)
+      // Confirm Sui transaction
+      await confirm_action(
+        'Create Site on Sui',
+        [
+          composition
+            ? `Creates a Site object (shared) with ${batches[0].length} resources in one transaction`
+            : 'Creates a Site object (shared)',
+          'Returns AdminCap to your wallet',
+          'Your wallet pays SUI gas fees.',
+        ],
+        'Estimated gas',
+        state.sui_cost ? `~${state.sui_cost.toFixed(6)} SUI` : '~0.01 SUI',
+        auto_yes,
+      )
 
-    state.sui_cost = await get_sui_gas_estimate(tx1_base64, sui_client)
-    state.spinner_text = null
-    update_display()
+      // Execute transaction 1
+      state.spinner_text = 'Creating site...'
+      // Note: Interval will handle display updates
 
-    // Confirm Sui transaction
-    await confirm_action(
-      'Create Site on Sui',
-      [
-        'Creates a Site object (shared)',
-        'Returns AdminCap to your wallet',
-        'Your wallet pays SUI gas fees.',
-      ],
-      'Estimated gas',
-      state.sui_cost ? `~${state.sui_cost.toFixed(6)} SUI` : '~0.01 SUI',
-      auto_yes,
-    )
+      let tx1_result
+      try {
+        state.transaction_in_progress = true // Mark transaction as in progress
+        tx1_result = await sign_and_execute(tx1_bytes, {
+          client: sui_client,
+          signer,
+        })
+        state.transaction_in_progress = false // Transaction complete
+      } catch (err) {
+        state.transaction_in_progress = false // Reset on error
+        // Upload is journaled - point at --resume instead of re-uploading
+        if (state.blob_id) {
+          console.error(
+            chalk.yellow(`\n  ⚠ Walrus blob uploaded but Sui tx failed.`),
+          )
+          console.error(
+            chalk.yellow(`    Resume with: versui deploy ${dir} --resume`),
+          )
+          console.error(
+            chalk.dim(`    (Blob will expire after ${epochs} epoch(s))`),
+          )
+        }
+        throw new Error(`Transaction failed: ${err.message}`)
+      }
 
-    // Execute transaction 1
-    state.spinner_text = 'Creating site...'
-    // Note: Interval will handle display updates
+      const site_obj = tx1_result?.objectChanges?.find(
+        c => c.type === 'created' && c.objectType?.endsWith('::site::Site'),
+      )
+      const admin_cap_obj = tx1_result?.objectChanges?.find(
+        c =>
+          c.type === 'created' &&
+          c.objectType?.endsWith('::site::SiteAdminCap'),
+      )
 
-    let tx1_result
-    try {
-      state.transaction_in_progress = true // Mark transaction as in progress
-      const output = await run_command_async('sui', [
-        'client',
-        'serialized-tx',
-        tx1_base64,
-        '--json',
-      ])
-      tx1_result = JSON.parse(output)
-      state.transaction_in_progress = false // Transaction complete
-    } catch (err) {
-      state.transaction_in_progress = false // Reset on error
-      // Log orphaned blob for reference (walrus upload succeeded but sui tx failed)
-      if (state.blob_id) {
-        console.error(
-          chalk.yellow(`\n  ⚠ Walrus blob uploaded but Sui tx failed.`),
-        )
-        console.error(chalk.yellow(`    Orphaned blob ID: ${state.blob_id}`))
-        console.error(
-          chalk.dim(`    (Blob will expire after ${epochs} epoch(s))`),
+      if (!site_obj?.objectId || !admin_cap_obj?.objectId) {
+        throw new Error(
+          'Failed to extract Site ID or AdminCap ID from transaction',
         )
       }
-      throw new Error(`Transaction failed: ${err.stderr || err.message}`)
-    }
 
-    const site_obj = tx1_result?.objectChanges?.find(
-      c => c.type === 'created' && c.objectType?.endsWith('::site::Site'),
-    )
-    const admin_cap_obj = tx1_result?.objectChanges?.find(
-      c =>
-        c.type === 'created' && c.objectType?.endsWith('::site::SiteAdminCap'),
-    )
+      site_id = site_obj.objectId
+      admin_cap_id = admin_cap_obj.objectId
+      initial_shared_version = site_obj.owner?.Shared?.initial_shared_version
 
-    if (!site_obj?.objectId || !admin_cap_obj?.objectId) {
-      throw new Error(
-        'Failed to extract Site ID or AdminCap ID from transaction',
-      )
-    }
-
-    const site_id = site_obj.objectId
-    const admin_cap_id = admin_cap_obj.objectId
-    const initial_shared_version =
-      site_obj.owner?.Shared?.initial_shared_version
+      if (!initial_shared_version) {
+        throw new Error(
+          'Failed to extract initial_shared_version from Site object',
+        )
+      }
 
-    if (!initial_shared_version) {
-      throw new Error(
-        'Failed to extract initial_shared_version from Site object',
-      )
+      journal = record_step(project_dir, journal, 'create_site', {
+        site_id,
+        admin_cap_id,
+        initial_shared_version,
+        digest: tx1_result.digest,
+      })
+      if (composition) {
+        tx2_result = tx1_result
+        journal = record_step(project_dir, journal, 'add_resources', {
+          batches_done: 1,
+          digests: [tx1_result.digest],
+        })
+      }
     }
 
     state.site_id = site_id
 
     // === TRANSACTION 2: Add Resources ===
-    // Stop spinner before building next transaction (prevents duplication with prompts)
-    state.spinner_text = null
+    // Split into batches that fit Sui's transaction limits; each completed
+    // batch is journaled so --resume continues with the next one
+    state.spinner_text = 'Estimating gas...'
     update_display()
 
-    // Build transaction (fast, no spinner needed)
-    const tx2 = add_resources_transaction({
-      package_id,
-      wallet: state.wallet,
-      admin_cap_id,
-      site_id,
-      initial_shared_version,
-      quilt_patches,
-      file_metadata,
-      network,
-    })
+    const batches_done = journal.steps.add_resources?.batches_done ?? 0
+    const build_batch = batch =>
+      add_resources_transaction({
+        package_id,
+        wallet: state.wallet,
+        admin_cap_id,
+        site_id,
+        initial_shared_version,
+        quilt_patches: batch,
+        file_metadata,
+        network,
+      })
+
+    // Batches touch disjoint paths, so each can be estimated up front
+    const gas_estimates = []
+    for (const batch of batches.slice(batches_done)) {
+      const tx_bytes = await build_batch(batch).build({ client: sui_client })
+      gas_estimates.push(
+        await get_sui_gas_estimate(toBase64(tx_bytes), sui_client),
+      )
+    }
+    const tx2_gas_cost = gas_estimates.includes(null)
+      ? null
+      : gas_estimates.reduce((sum, gas) => sum + gas, 0)
 
-    const tx2_bytes = await tx2.build({ client: sui_client })
-    const tx2_base64 = toBase64(tx2_bytes)
+    // Stop spinner before the prompt (prevents duplication)
+    state.spinner_text = null
+    update_display()
 
-    const tx2_gas_cost = await get_sui_gas_estimate(tx2_base64, sui_client)
+    if (batches_done < batches.length) {
+      const batch_lines =
+        batches.length > 1
+          ? [
+              `Split into ${batches.length} transactions to fit Sui limits` +
+                (batches_done > 0 ? ` (${batches_done} already done)` : ''),
+              ...gas_estimates.map((gas, i) => {
+                const n = batches_done + i
+                return `  ${n + 1}/${batches.length}: ${batches[n].length} resources, ${gas === null ? 'gas unknown' : `~${gas.toFixed(6)} SUI`}`
+              }),
+            ]
+          : []
+      await confirm_action(
+        'Add Resources to Site',
+        [
+          `Adds ${quilt_patches.length} resources to your site`,
+          ...batch_lines,
+          'References Walrus blob storage',
+          'Your wallet pays SUI gas fees.',
+        ],
+        'Estimated gas',
+        tx2_gas_cost ? `~${tx2_gas_cost.toFixed(6)} SUI` : '~0.01 SUI',
+        auto_yes,
+      )
+    }
 
-    // Confirm second transaction
-    await confirm_action(
-      'Add Resources to Site',
-      [
-        `Adds ${quilt_patches.length} resources to your site`,
-        'References Walrus blob storage',
-        'Your wallet pays SUI gas fees.',
-      ],
-      'Estimated gas',
-      tx2_gas_cost ? `~${tx2_gas_cost.toFixed(6)} SUI` : '~0.01 SUI',
-      auto_yes,
-    )
+    // Execute transaction 2, one batch at a time
+    for (let i = batches_done; i < batches.length; i++) {
+      const label = batches.length > 1 ? ` (${i + 1}/${batches.length})` : ''
+      state.spinner_text = `Adding resources${label}...`
+      // Note: Interval will handle display updates
 
-    state.spinner_text = 'Adding resources...'
-    // Note: Interval will handle display updates
+      try {
+        state.transaction_in_progress = true // Mark transaction as in progress
+        tx2_result = await sign_and_execute(build_batch(batches[i]), {
+          client: sui_client,
+          signer,
+        })
+        state.transaction_in_progress = false // Transaction complete
+      } catch (err) {
+        state.transaction_in_progress = false // Reset on error
+        console.error(
+          chalk.yellow(
+            `\n  ⚠ Site created but adding resources failed${label}.`,
+          ),
+        )
+        console.error(
+          chalk.yellow(`    Resume with: versui deploy ${dir} --resume`),
+        )
+        throw new Error(`Transaction failed: ${err.message}`)
+      }
 
-    // Execute transaction 2
-    try {
-      state.transaction_in_progress = true // Mark transaction as in progress
-      await run_command_async('sui', [
-        'client',
-        'serialized-tx',
-        tx2_base64,
-        '--json',
-      ])
-      state.transaction_in_progress = false // Transaction complete
-    } catch (err) {
-      state.transaction_in_progress = false // Reset on error
-      throw new Error(`Transaction failed: ${err.stderr || err.message}`)
+      journal = record_step(project_dir, journal, 'add_resources', {
+        batches_done: i + 1,
+        digests: [
+          ...(journal.steps.add_resources?.digests ?? []),
+          tx2_result.digest,
+        ],
+      })
     }
 
+    clear_journal(project_dir)
+    write_manifest(
+      project_dir,
+      build_manifest({
+        site_id,
+        network,
+        site_version: find_site_version(tx2_result?.objectChanges, site_id),
+        file_metadata,
+        patches: quilt_patches,
+        headers: resource_headers,
+      }),
+    )
+
     // Detect service worker in build (skip if --custom-sw flag)
     let sw_detection
     if (force_custom_sw) {
@@ -988,11 +1341,22 @@ export async function deploy(dir, options = {}) {
         resource_map[full_path] = patch.quiltPatchId
       }
 
-      const aggregators = get_aggregators(versui_config, network)
       const { html, sw } = generate_bootstrap(
         site_name,
         aggregators,
         resource_map,
+        {
+          integrity: build_integrity_map(file_metadata),
+          headers: resource_headers,
+          routes: route_rules,
+          ...spa_options,
+          not_found: error_pages.not_found,
+          unavailable_html,
+          ...cache_options,
+          ...aggregator_options,
+          stream,
+          live: live_options && { site_id, ...live_options },
+        },
       )
 
       const bootstrap_dir = join(process.cwd(), 'bootstrap')
@@ -1035,22 +1399,13 @@ export async function deploy(dir, options = {}) {
       // Build and execute the transaction
       try {
         result.transaction.setSender(state.wallet)
-        const tx_bytes = await result.transaction.build({ client: sui_client })
-        const tx_base64 = toBase64(tx_bytes)
 
         state.transaction_in_progress = true // Mark transaction as in progress
-        const sui_result = spawnSync(
-          'sui',
-          ['client', 'serialized-tx', tx_base64, '--json'],
-          {
-            encoding: 'utf8',
-            stdio: ['inherit', 'pipe', 'pipe'],
-          },
-        )
+        await sign_and_execute(result.transaction, {
+          client: sui_client,
+          signer,
+        })
         state.transaction_in_progress = false // Transaction complete
-        if (sui_result.status !== 0) {
-          throw new Error(sui_result.stderr || 'Command failed')
-        }
         return true
       } catch (err) {
         state.transaction_in_progress = false // Reset on error
@@ -1103,7 +1458,7 @@ export async function deploy(dir, options = {}) {
       `  ${chalk.dim('Site ID:')}     ${chalk.magenta(state.site_id)}`,
     )
     console.log(
-      `  ${chalk.dim('Blob ID:')}     ${chalk.magenta(state.blob_id)}`,
+      `  ${chalk.dim('Blob ID:')}     ${chalk.magenta(state.blob_id)}${state.quilts > 1 ? chalk.dim(` (+${state.quilts - 1} more quilts)`) : ''}`,
     )
 
     // Output URLs (base36 + SuiNS if linked)
@@ -1127,6 +1482,13 @@ export async function deploy(dir, options = {}) {
           '  Host the bootstrap HTML anywhere to serve your site from Walrus.',
         ),
       )
+      if (live_options) {
+        console.log(
+          chalk.dim(
+            '  Live mode: the bootstrap picks up future `versui update` runs without redeploying it.',
+          ),
+        )
+      }
     } else {
       // Build resource map for snippet
       const identifier_to_path = build_identifier_map(file_metadata)
@@ -1141,7 +1503,15 @@ export async function deploy(dir, options = {}) {
         resource_map[full_path] = patch.quiltPatchId
       }
 
-      const snippet = generate_sw_snippet(resource_map, sw_detection.path)
+      const snippet = generate_sw_snippet(resource_map, sw_detection.path, {
+        integrity: build_integrity_map(file_metadata),
+        headers: resource_headers,
+        routes: route_rules,
+        ...spa_options,
+        not_found: error_pages.not_found,
+        ...cache_options,
+        stream,
+      })
 
       console.log(
         `  ${chalk.dim('SW Detected:')} ${chalk.yellow(sw_detection.path)}`,
@@ -1172,17 +1542,20 @@ export async function deploy(dir, options = {}) {
 
 async function deploy_json(dir, options) {
   // Minimal JSON-only flow for scripts
-  const { network, epochs, name: cli_site_name = null } = options
-
-  spawnSync('which', ['walrus'], { stdio: 'pipe' })
-  spawnSync('which', ['sui'], { stdio: 'pipe' })
+  const {
+    name: cli_site_name = null,
+    walrus_cli = false,
+    resume = false,
+  } = options
+  let { network, epochs } = options
 
-  const wallet = get_sui_active_address()
-  if (!wallet) throw new Error('No wallet')
+  const signer = load_signer()
+  const wallet = signer.toSuiAddress()
 
   // Read configs for site name resolution
   const project_dir = join(dir, '..')
   const versui_config = read_versui_config(project_dir)
+  const header_rules = get_header_rules(versui_config)
   let package_json = null
   const package_json_path = join(project_dir, 'package.json')
   if (existsSync(package_json_path)) {
@@ -1193,19 +1566,36 @@ async function deploy_json(dir, options) {
     }
   }
 
-  const site_name = get_site_name({
-    cli_name: cli_site_name,
-    versui_config,
-    package_json,
+  const existing_journal = read_journal(project_dir)
+  if (resume && !existing_journal) {
+    throw new Error(
+      `No interrupted deploy to resume (${get_journal_path(project_dir)} not found)`,
+    )
+  }
+  if (resume) {
+    ;({ network, epochs } = existing_journal)
+  }
+
+  const site_name = resume
+    ? existing_journal.site_name
+    : get_site_name({
+        cli_name: cli_site_name,
+        versui_config,
+        package_json,
+      })
+
+  const sui_client = new SuiClient({
+    url: getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet'),
   })
 
   const file_paths = scan_directory(dir, dir)
-  const file_metadata = {}
+  /** @type {Record<string, {hash: string, size: number, content_type: string}>} */
+  const scanned_metadata = {}
   const blobs_args = []
   for (const fp of file_paths) {
     const rel = '/' + relative(dir, fp).replace(/\\/g, '/')
     const content = read_file(fp)
-    file_metadata[rel] = {
+    scanned_metadata[rel] = {
       hash: hash_content(content),
       size: statSync(fp).size,
       content_type: get_content_type(fp),
@@ -1214,45 +1604,83 @@ async function deploy_json(dir, options) {
     const blob_spec = JSON.stringify({ path: fp, identifier: rel })
     blobs_args.push(blob_spec)
   }
-
-  const walrus_result = spawnSync(
-    'walrus',
-    [
-      'store-quilt',
-      '--blobs',
-      ...blobs_args,
-      '--epochs',
-      String(epochs),
-      '--json',
-    ],
-    {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    },
-  )
-  if (walrus_result.status !== 0) {
-    throw new Error(walrus_result.stderr || 'Walrus command failed')
+  const generated = build_generated_files(dir, scanned_metadata, versui_config)
+  const file_metadata = add_variant_metadata(scanned_metadata, generated)
+
+  let journal
+  if (resume) {
+    assert_resumable(existing_journal, { wallet, file_metadata })
+    journal = existing_journal
+  } else {
+    journal = create_journal({
+      network,
+      epochs,
+      site_name,
+      wallet,
+      file_metadata,
+    })
   }
-  const walrus_output = walrus_result.stdout
-  const quilt = JSON.parse(walrus_output)
-  const blob_store = quilt.blobStoreResult
-  const blob_id =
-    blob_store?.newlyCreated?.blobObject?.blobId ||
-    blob_store?.alreadyCertified?.blobId
-  const blob_object_id =
-    blob_store?.newlyCreated?.blobObject?.id ||
-    blob_store?.alreadyCertified?.object
-  const patches = quilt.storedQuiltBlobs || []
 
-  if (!blob_object_id) {
-    throw new Error(
-      'Failed to extract blob object ID from Walrus upload result',
+  let quilt
+  if (journal.steps.upload) {
+    quilt = {
+      blobStoreResult: {
+        newlyCreated: {
+          blobObject: {
+            id: journal.steps.upload.blob_object_id,
+            blobId: journal.steps.upload.blob_id,
+          },
+        },
+      },
+      storedQuiltBlobs: journal.steps.upload.quilt_patches,
+      quilts: journal.steps.upload.quilts,
+    }
+  } else if (walrus_cli) {
+    const staged = stage_variant_files(generated)
+    const walrus_result = spawnSync(
+      'walrus',
+      [
+        'store-quilt',
+        '--blobs',
+        ...blobs_args,
+        ...staged.specs.map(spec => JSON.stringify(spec)),
+        '--epochs',
+        String(epochs),
+        '--json',
+      ],
+      {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe'],
+      },
     )
+    staged.cleanup()
+    if (walrus_result.status !== 0) {
+      throw new Error(walrus_result.stderr || 'Walrus command failed')
+    }
+    quilt = JSON.parse(walrus_result.stdout)
+  } else {
+    quilt = await upload_to_walrus_sdk(dir, epochs, () => {}, {
+      walrus_client: create_walrus_client(network, sui_client),
+      signer,
+      generated,
+      stored: journal.steps.partial_upload,
+      on_stored: stored => {
+        journal = record_step(project_dir, journal, 'partial_upload', stored)
+      },
+    })
   }
+  const quilts = get_stored_quilts(quilt)
+  const [{ blob_id }] = quilts
+  const patches = quilt.storedQuiltBlobs || []
 
-  const sui_client = new SuiClient({
-    url: getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet'),
-  })
+  if (!journal.steps.upload) {
+    journal = record_step(project_dir, journal, 'upload', {
+      blob_id,
+      blob_object_id: quilts[0].blob_object_id,
+      quilts,
+      quilt_patches: patches,
+    })
+  }
 
   const package_id = VERSUI_PACKAGE_IDS[network]
   if (!package_id) {
@@ -1264,151 +1692,171 @@ async function deploy_json(dir, options) {
     throw new Error(`Versui registry not deployed on ${network} yet`)
   }
 
-  // Check if site name already exists (prevents duplicate creation)
-  const expected_site_id = derive_site_address(
-    versui_object_id,
-    wallet,
-    site_name,
-    network,
-  )
+  const { get_version_object_id } = await import('../lib/env.js')
+  const version_id = get_version_object_id(network)
+  if (!version_id) {
+    throw new Error(`Version object not deployed on ${network}`)
+  }
 
-  try {
-    const existing_site = await sui_client.getObject({
-      id: expected_site_id,
-      options: { showContent: true },
-    })
+  const batches = batch_quilt_patches(patches, file_metadata)
+  let tx2_result
 
-    if (existing_site?.data) {
-      throw new Error(
-        `Site name "${site_name}" is already taken by you. Site ID: ${expected_site_id}\n\n` +
-          `To update this site, use: versui update ${site_name}\n` +
-          `To delete this site, use: versui delete ${site_name}`,
-      )
-    }
-  } catch (err) {
-    // If error is 'object not found', site doesn't exist (OK to proceed)
-    // Any other error should be thrown
-    if (!err.message?.includes('already taken')) {
-      // Ignore 'object not found' errors (expected case)
-      if (
-        err.code !== 'OBJECT_NOT_FOUND' &&
-        !err.message?.includes('not found')
-      ) {
+  let site_id, admin_cap_id, initial_shared_version, tx1_digest
+  if (journal.steps.create_site) {
+    // Site was created by the interrupted deploy - skip transaction 1
+    ;({
+      site_id,
+      admin_cap_id,
+      initial_shared_version,
+      digest: tx1_digest,
+    } = journal.steps.create_site)
+  } else {
+    // Check if site name already exists (prevents duplicate creation)
+    const expected_site_id = derive_site_address(
+      versui_object_id,
+      wallet,
+      site_name,
+      network,
+    )
+
+    try {
+      const existing_site = await sui_client.getObject({
+        id: expected_site_id,
+        options: { showContent: true },
+      })
+
+      if (existing_site?.data) {
         throw new Error(
-          `Failed to check site name availability: ${err.message}`,
+          `Site name "${site_name}" is already taken by you. Site ID: ${expected_site_id}\n\n` +
+            `To update this site, use: versui update ${dir} --name "${site_name}"\n` +
+            `To delete this site, use: versui delete ${site_name}`,
         )
       }
-    } else {
-      // Re-throw our own error message
-      throw err
+    } catch (err) {
+      // If error is 'object not found', site doesn't exist (OK to proceed)
+      // Any other error should be thrown
+      if (!err.message?.includes('already taken')) {
+        // Ignore 'object not found' errors (expected case)
+        if (
+          err.code !== 'OBJECT_NOT_FOUND' &&
+          !err.message?.includes('not found')
+        ) {
+          throw new Error(
+            `Failed to check site name availability: ${err.message}`,
+          )
+        }
+      } else {
+        // Re-throw our own error message
+        throw err
+      }
     }
-  }
 
-  // === TRANSACTION 1: Create Site ===
-  const tx1 = new Transaction()
-  tx1.setSender(wallet)
-
-  const { get_version_object_id } = await import('../lib/env.js')
-  const version_id = get_version_object_id(network)
-  if (!version_id) {
-    throw new Error(`Version object not deployed on ${network}`)
-  }
+    // === TRANSACTION 1: Create Site ===
+    // With the first batch of resources when the package allows it
+    const composition =
+      batches.length > 0
+        ? await find_site_composition(sui_client, package_id)
+        : null
+    const tx1 = composition
+      ? create_site_with_resources_transaction({
+          package_id,
+          versui_object_id,
+          wallet,
+          site_name,
+          quilt_patches: batches[0],
+          file_metadata,
+          network,
+          composition,
+        })
+      : create_site_transaction({
+          package_id,
+          versui_object_id,
+          wallet,
+          site_name,
+          network,
+        })
 
-  // create_site returns AdminCap to sender, creates shared Site
-  tx1.moveCall({
-    target: `${package_id}::site::create_site`,
-    arguments: [
-      tx1.object(version_id),
-      tx1.object(versui_object_id),
-      tx1.pure.string(site_name),
-      tx1.pure.string(''),
-    ],
-  })
+    // Execute transaction 1
+    const tx1_result = await sign_and_execute(tx1, {
+      client: sui_client,
+      signer,
+    })
 
-  const tx1_bytes = await tx1.build({ client: sui_client })
-  const tx1_base64 = toBase64(tx1_bytes)
+    // Extract Site ID and AdminCap ID from transaction effects
+    const site_obj = tx1_result?.objectChanges?.find(
+      c => c.type === 'created' && c.objectType?.endsWith('::site::Site'),
+    )
+    const admin_cap_obj = tx1_result?.objectChanges?.find(
+      c =>
+        c.type === 'created' && c.objectType?.endsWith('::site::SiteAdminCap'),
+    )
 
-  // Execute transaction 1 (sui client auto-signs and executes)
-  const tx1_sui_result = spawnSync(
-    'sui',
-    ['client', 'serialized-tx', tx1_base64, '--json'],
-    {
-      encoding: 'utf8',
-      stdio: ['inherit', 'pipe', 'pipe'],
-    },
-  )
-  if (tx1_sui_result.status !== 0) {
-    throw new Error(tx1_sui_result.stderr || 'Transaction 1 failed')
-  }
-  const tx1_result = JSON.parse(tx1_sui_result.stdout)
+    if (!site_obj?.objectId || !admin_cap_obj?.objectId) {
+      throw new Error(
+        'Failed to extract Site ID or AdminCap ID from transaction',
+      )
+    }
 
-  // Extract Site ID and AdminCap ID from transaction effects
-  const site_obj = tx1_result?.objectChanges?.find(
-    c => c.type === 'created' && c.objectType?.includes('::site::Site'),
-  )
-  const admin_cap_obj = tx1_result?.objectChanges?.find(
-    c => c.type === 'created' && c.objectType?.includes('::SiteAdminCap'),
-  )
+    site_id = site_obj.objectId
+    admin_cap_id = admin_cap_obj.objectId
+    initial_shared_version = site_obj.owner?.Shared?.initial_shared_version
+    tx1_digest = tx1_result?.digest
 
-  if (!site_obj?.objectId || !admin_cap_obj?.objectId) {
-    throw new Error('Failed to extract Site ID or AdminCap ID from transaction')
+    journal = record_step(project_dir, journal, 'create_site', {
+      site_id,
+      admin_cap_id,
+      initial_shared_version,
+      digest: tx1_digest,
+    })
+    if (composition) {
+      tx2_result = tx1_result
+      journal = record_step(project_dir, journal, 'add_resources', {
+        batches_done: 1,
+        digests: [tx1_digest],
+      })
+    }
   }
 
-  const site_id = site_obj.objectId
-  const admin_cap_id = admin_cap_obj.objectId
-
   // === TRANSACTION 2: Add Resources ===
-  // Build identifier -> full path mapping (with --blobs, identifier = full path)
-  const identifier_to_path = {}
-  for (const rel_path of Object.keys(file_metadata)) {
-    identifier_to_path[rel_path] = rel_path
-  }
-
-  const tx2 = new Transaction()
-  tx2.setSender(wallet)
-
-  // Add all resources to the shared Site
-  for (const patch of patches) {
-    // Normalize identifier: ensure leading slash, no double slashes
-    const normalized_identifier = patch.identifier.startsWith('/')
-      ? patch.identifier
-      : '/' + patch.identifier
-    const full_path =
-      identifier_to_path[normalized_identifier] || normalized_identifier
-    const info = file_metadata[full_path]
-    if (!info) continue
-
-    tx2.moveCall({
-      target: `${package_id}::site::add_resource`,
-      arguments: [
-        tx2.object(version_id),
-        tx2.object(admin_cap_id), // AdminCap reference
-        tx2.object(site_id), // Shared Site reference
-        tx2.pure.string(full_path),
-        tx2.pure.string(patch.quiltPatchId),
-        tx2.pure.vector('u8', Array.from(Buffer.from(info.hash, 'hex'))),
-        tx2.pure.string(info.content_type),
-        tx2.pure.u64(info.size),
-      ],
+  // Batched to fit Sui's transaction limits; each batch is journaled
+  const tx2_digests = [...(journal.steps.add_resources?.digests ?? [])]
+  for (
+    let i = journal.steps.add_resources?.batches_done ?? 0;
+    i < batches.length;
+    i++
+  ) {
+    const tx2 = add_resources_transaction({
+      package_id,
+      wallet,
+      admin_cap_id,
+      site_id,
+      initial_shared_version,
+      quilt_patches: batches[i],
+      file_metadata,
+      network,
+    })
+    tx2_result = await sign_and_execute(tx2, {
+      client: sui_client,
+      signer,
+    })
+    tx2_digests.push(tx2_result.digest)
+    journal = record_step(project_dir, journal, 'add_resources', {
+      batches_done: i + 1,
+      digests: tx2_digests,
     })
   }
-
-  const tx2_bytes = await tx2.build({ client: sui_client })
-  const tx2_base64 = toBase64(tx2_bytes)
-
-  // Execute transaction 2 (sui client auto-signs and executes)
-  const tx2_sui_result = spawnSync(
-    'sui',
-    ['client', 'serialized-tx', tx2_base64, '--json'],
-    {
-      encoding: 'utf8',
-      stdio: ['inherit', 'pipe', 'pipe'],
-    },
+  clear_journal(project_dir)
+  write_manifest(
+    project_dir,
+    build_manifest({
+      site_id,
+      network,
+      site_version: find_site_version(tx2_result?.objectChanges, site_id),
+      file_metadata,
+      patches,
+      headers: resolve_headers(Object.keys(file_metadata), header_rules),
+    }),
   )
-  if (tx2_sui_result.status !== 0) {
-    throw new Error(tx2_sui_result.stderr || 'Transaction 2 failed')
-  }
-  const tx2_result = JSON.parse(tx2_sui_result.stdout)
 
   const subdomain = encode_base36(site_id)
   const gateway_host = network === 'mainnet' ? 'walrus.site' : 'walrus.site'
@@ -1418,11 +1866,14 @@ async function deploy_json(dir, options) {
       site_id,
       admin_cap_id,
       blob_id,
+      blob_ids: quilts.map(q => q.blob_id),
       subdomain,
       url: `https://${subdomain}.${gateway_host}`,
       patches: patches.length,
-      tx1_digest: tx1_result?.digest,
-      tx2_digest: tx2_result?.digest,
+      tx1_digest,
+      tx2_digest: tx2_digests.at(-1),
+      tx2_digests,
+      single_transaction: tx2_digests[0] === tx1_digest,
     }),
   )
 }
@@ -1434,6 +1885,7 @@ async function deploy_json(dir, options) {
  * @param {Function} on_progress - Progress callback (progress: 0-100, message: string)
  * @param {Function} spawn_fn - Spawn function (injectable for testing)
  * @param {Function} scan_directory_fn - Scan directory function (injectable for testing)
+ * @param {import('../lib/compress.js').GeneratedFile[]} [generated] - Generated files (compressed variants, header map) to store alongside the files
  * @returns {Promise<Object>} Quilt result
  */
 async function upload_to_walrus_with_progress(
@@ -1442,6 +1894,7 @@ async function upload_to_walrus_with_progress(
   on_progress,
   spawn_fn = spawn,
   scan_directory_fn = scan_directory,
+  generated = [],
 ) {
   return new Promise((resolve, reject) => {
     // Scan files and build --blobs args with JSON format
@@ -1452,6 +1905,10 @@ async function upload_to_walrus_with_progress(
       const blob_spec = JSON.stringify({ path: fp, identifier: rel })
       blobs_args.push(blob_spec)
     }
+    const staged = stage_variant_files(generated)
+    for (const spec of staged.specs) {
+      blobs_args.push(JSON.stringify(spec))
+    }
 
     const child = spawn_fn(
       'walrus',
@@ -1511,10 +1968,12 @@ async function upload_to_walrus_with_progress(
     })
 
     child.on('error', err => {
+      staged.cleanup()
       reject(new Error(`Failed to spawn walrus: ${err.message}`))
     })
 
     child.on('close', code => {
+      staged.cleanup()
       if (code !== 0) {
         reject(
           new Error(`Walrus upload failed: ${stderr_data || 'Unknown error'}`),
@@ -1533,11 +1992,105 @@ async function upload_to_walrus_with_progress(
   })
 }
 
+/**
+ * Map an SDK upload progress event to a percentage and status message
+ * @param {import('../lib/walrus.js').UploadProgress} event - Progress event
+ * @returns {[number, string]} Progress (0-100) and message
+ */
+function describe_upload_progress(event) {
+  switch (event.stage) {
+    case 'encode':
+      return [5, 'Encoding...']
+    case 'register':
+      return [15, 'Registering blob...']
+    case 'store': {
+      const { nodes_done, nodes_failed, nodes_total } = event
+      const settled = nodes_done + nodes_failed
+      const progress = 20 + Math.floor((settled / (nodes_total || 1)) * 65)
+      const failed = nodes_failed > 0 ? `, ${nodes_failed} failed` : ''
+      return [
+        progress,
+        `Storing on nodes (${nodes_done}/${nodes_total}${failed})...`,
+      ]
+    }
+    case 'certify':
+      return [90, 'Certifying...']
+    default:
+      return [100, 'Complete']
+  }
+}
+
+/**
+ * Upload to Walrus in-process via the SDK (no walrus binary needed)
+ * @param {string} dir - Directory to upload
+ * @param {number} epochs - Storage duration
+ * @param {Function} on_progress - Progress callback (progress: 0-100, message: string)
+ * @param {Object} params - Upload dependencies
+ * @param {import('@mysten/walrus').WalrusClient} params.walrus_client - Walrus client
+ * @param {import('@mysten/sui/cryptography').Signer} params.signer - Signer paying for storage
+ * @param {import('../lib/compress.js').GeneratedFile[]} [params.generated] - Generated files (compressed variants, header map) to store alongside the files
+ * @param {import('../lib/walrus.js').StoredQuilts} [params.stored] - Quilts an interrupted upload already stored
+ * @param {(stored: import('../lib/walrus.js').StoredQuilts) => void} [params.on_stored] - Called after each quilt is stored (for the journal)
+ * @param {Function} [scan_directory_fn] - Scan directory function (injectable for testing)
+ * @param {Function} [store_quilts_fn] - Quilt store function (injectable for testing)
+ * @returns {Promise<Object>} Quilt result (same shape as `walrus store-quilt --json`, plus `quilts` when the SDK splits the site)
+ */
+async function upload_to_walrus_sdk(
+  dir,
+  epochs,
+  on_progress,
+  { walrus_client, signer, generated = [], stored, on_stored },
+  scan_directory_fn = scan_directory,
+  store_quilts_fn = store_quilts,
+) {
+  const files = scan_directory_fn(dir, dir).map(fp => ({
+    identifier: '/' + relative(dir, fp).replace(/\\/g, '/'),
+    contents: read_file(fp),
+  }))
+  for (const { path, contents } of generated) {
+    files.push({ identifier: path, contents })
+  }
+
+  // Quilts upload in parallel: report the average of their progress
+  /** @type {number[]} */
+  const quilt_progress = []
+  let quilts_stored = stored?.quilts.length ?? 0
+  try {
+    return await store_quilts_fn(walrus_client, {
+      files,
+      epochs,
+      signer,
+      stored,
+      on_stored: progress => {
+        quilts_stored = progress.quilts.length
+        on_stored?.(progress)
+      },
+      on_progress: event => {
+        const { quilt = 0, quilts = 1 } = event
+        const [progress, message] = describe_upload_progress(event)
+        if (progress < (quilt_progress[quilt] ?? 0)) return
+        quilt_progress[quilt] = progress
+        on_progress(
+          Math.floor(quilt_progress.reduce((sum, p) => sum + p, 0) / quilts),
+          quilts > 1 ? `Quilt ${quilt + 1}/${quilts}: ${message}` : message,
+        )
+      },
+    })
+  } catch (err) {
+    const resumable =
+      quilts_stored > 0
+        ? ` (${quilts_stored} quilt(s) already stored; --resume uploads only the rest)`
+        : ''
+    throw new Error(`Walrus upload failed: ${err.message}${resumable}`)
+  }
+}
+
 // Export testable functions (format_bytes moved to ./deploy/formatting.js)
 export {
   get_sui_active_address,
-  get_walrus_price_estimate,
   get_wallet_balances,
   upload_to_walrus_with_progress,
+  upload_to_walrus_sdk,
+  describe_upload_progress,
   generate_bootstrap,
 }
@@ -0,0 +1,86 @@
+import { spawnSync } from 'node:child_process'
+
+/**
+ * Estimate the WAL cost of storing one blob
+ * Asks the Walrus client first and falls back to `walrus info price`
+ * @param {number} size_bytes - Blob size in bytes
+ * @param {number} epochs - Storage epochs
+ * @param {import('@mysten/walrus').WalrusClient|null} [walrus_client] - Walrus client
+ * @returns {Promise<number|null>} Cost in WAL, null if unknown
+ */
+export async function get_walrus_price_estimate(
+  size_bytes,
+  epochs,
+  walrus_client = null,
+) {
+  if (walrus_client) {
+    try {
+      const { totalCost } = await walrus_client.storageCost(size_bytes, epochs)
+      return Number(totalCost) / 1_000_000_000
+    } catch {
+      // Fall through to the walrus CLI
+    }
+  }
+
+  try {
+    const result = spawnSync('walrus', ['info', 'price', '--json'], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    })
+    if (result.status !== 0) return null
+    const price_info = JSON.parse(result.stdout)
+    const encoding = price_info.encodingDependentPriceInfo?.[0] || {}
+    const metadata_price = encoding.metadataPrice || 9300000
+    const marginal_price = encoding.marginalPrice || 900000
+    const marginal_size = encoding.marginalSize || 1048576
+    const size_units = Math.ceil(size_bytes / marginal_size)
+    const total_mist = metadata_price + size_units * marginal_price
+    return (total_mist * epochs) / 1_000_000_000
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Estimate the WAL cost of storing several blobs
+ * @param {number[]} sizes - Blob sizes in bytes
+ * @param {number} epochs - Storage epochs
+ * @param {import('@mysten/walrus').WalrusClient|null} [walrus_client] - Walrus client
+ * @returns {Promise<number|null>} Total cost in WAL, null if any estimate is unknown
+ */
+export async function sum_walrus_price_estimates(
+  sizes,
+  epochs,
+  walrus_client = null,
+) {
+  let total = 0
+  for (const size of sizes) {
+    const cost = await get_walrus_price_estimate(size, epochs, walrus_client)
+    if (cost === null) return null
+    total += cost
+  }
+  return total
+}
+
+/**
+ * Estimate the net gas of a transaction with a dry run
+ * @param {string|Uint8Array} tx_bytes - Transaction bytes (base64 or raw)
+ * @param {import('@mysten/sui/client').SuiClient} sui_client - Sui client
+ * @returns {Promise<number|null>} Gas in SUI (computation + storage - rebate), null if the dry run fails
+ */
+export async function get_sui_gas_estimate(tx_bytes, sui_client) {
+  try {
+    const dry_run = await sui_client.dryRunTransactionBlock({
+      transactionBlock: tx_bytes,
+    })
+    const gas = dry_run.effects?.gasUsed
+    if (gas) {
+      const total =
+        BigInt(gas.computationCost) +
+        BigInt(gas.storageCost) -
+        BigInt(gas.storageRebate)
+      return Number(total) / 1_000_000_000
+    }
+  } catch {}
+  return null
+}
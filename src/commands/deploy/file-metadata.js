@@ -3,6 +3,15 @@ import { relative } from 'node:path'
 
 import { hash_content } from '../../lib/hash.js'
 import { get_content_type, read_file } from '../../lib/files.js'
+import {
+  get_header_rules,
+  resolve_headers,
+  build_headers_files,
+} from '../../lib/config.js'
+import {
+  get_compress_encodings,
+  build_compressed_variants,
+} from '../../lib/compress.js'
 
 /**
  * Builds metadata for a single file
@@ -46,3 +55,38 @@ export function build_files_metadata(file_paths, base_dir) {
 
   return { metadata, total_size }
 }
+
+/**
+ * Builds the files Versui stores next to the scanned ones: compressed
+ * variants and the header map, both configured in .versui
+ * @param {string} dir - Build directory
+ * @param {Record<string, { size: number, content_type: string }>} metadata - Scanned file metadata
+ * @param {Object|null} versui_config - Versui configuration
+ * @returns {import('../../lib/compress.js').GeneratedFile[]} Generated files
+ */
+export function build_generated_files(dir, metadata, versui_config) {
+  return [
+    ...build_compressed_variants(
+      dir,
+      metadata,
+      get_compress_encodings(versui_config),
+    ),
+    ...build_headers_files(
+      resolve_headers(Object.keys(metadata), get_header_rules(versui_config)),
+    ),
+  ]
+}
+
+/**
+ * Builds the path → SHA-256 map the service worker verifies responses against
+ * @param {Record<string, { hash: string }>} file_metadata - File metadata map
+ * @returns {Record<string, string>} Map of path to hex SHA-256
+ */
+export function build_integrity_map(file_metadata) {
+  /** @type {Record<string, string>} */
+  const integrity = {}
+  for (const [path, { hash }] of Object.entries(file_metadata)) {
+    integrity[path] = hash
+  }
+  return integrity
+}
@@ -0,0 +1,157 @@
+import chalk from 'chalk'
+
+import { format_bytes } from './formatting.js'
+
+/**
+ * @typedef {Object} PlannedTransaction
+ * @property {string} name - Step name (`create_site`, `add_resources`, `update`, or `create_site + add_resources` for a single-transaction deploy)
+ * @property {number} calls - Move calls in the transaction
+ * @property {'success'|'failure'|'skipped'} status - Dry-run outcome
+ * @property {string|null} error - Failure reason, or why the step was not simulated
+ * @property {number|null} gas - Net gas in SUI (computation + storage - rebate)
+ * @property {Array<{object_id: string, type: string}>} created - Objects the transaction would create
+ */
+
+/**
+ * @typedef {Object} DeployPlan
+ * @property {'dry_run'} status
+ * @property {'deploy'|'update'} action - Command being planned
+ * @property {string} network - Network
+ * @property {string|null} site_name - Site name
+ * @property {string} site_id - Existing or derived Site ID
+ * @property {Array<{path: string, size: number, content_type: string, change?: string}>} files - Files the upload would store or the update would touch
+ * @property {Array<{blob_id: string, size: number, patches: number}>} quilts - Quilts that would be stored (empty when nothing is uploaded)
+ * @property {number} epochs - Storage epochs
+ * @property {number|null} wal_cost - Estimated storage cost in WAL
+ * @property {PlannedTransaction[]} transactions - Transactions in execution order
+ */
+
+/**
+ * Net gas of a dry run in SUI
+ * @param {{computationCost: string, storageCost: string, storageRebate: string}|undefined} gas_used - Dry-run gas summary
+ * @returns {number|null}
+ */
+function net_gas(gas_used) {
+  if (!gas_used) return null
+  const total =
+    BigInt(gas_used.computationCost) +
+    BigInt(gas_used.storageCost) -
+    BigInt(gas_used.storageRebate)
+  return Number(total) / 1_000_000_000
+}
+
+/**
+ * Build a transaction and dry-run it without signing
+ * @param {string} name - Step name
+ * @param {import('@mysten/sui/transactions').Transaction} tx - Transaction with sender set
+ * @param {import('@mysten/sui/client').SuiClient} sui_client - Sui client
+ * @returns {Promise<PlannedTransaction>}
+ */
+export async function simulate_transaction(name, tx, sui_client) {
+  const calls = tx.getData().commands.length
+  try {
+    const tx_bytes = await tx.build({ client: sui_client })
+    const dry_run = await sui_client.dryRunTransactionBlock({
+      transactionBlock: tx_bytes,
+    })
+    const { status, error = null } = dry_run.effects?.status ?? {}
+    return {
+      name,
+      calls,
+      status: status === 'success' ? 'success' : 'failure',
+      error,
+      gas: net_gas(dry_run.effects?.gasUsed),
+      created: (dry_run.objectChanges ?? [])
+        .filter(change => change.type === 'created')
+        .map(change => ({
+          object_id: /** @type {any} */ (change).objectId,
+          type: /** @type {any} */ (change).objectType,
+        })),
+    }
+  } catch (err) {
+    return {
+      name,
+      calls,
+      status: 'failure',
+      error: err.message,
+      gas: null,
+      created: [],
+    }
+  }
+}
+
+/**
+ * Print a plan, or the plan as JSON
+ * @param {DeployPlan} plan - Plan to print
+ * @param {boolean} json_mode - Print JSON only
+ */
+export function print_plan(plan, json_mode) {
+  if (json_mode) {
+    console.log(JSON.stringify(plan))
+    return
+  }
+
+  const total_size = plan.files.reduce((sum, f) => sum + f.size, 0)
+  const markers = {
+    added: chalk.green('+'),
+    updated: chalk.yellow('~'),
+    deleted: chalk.red('-'),
+  }
+
+  console.log('')
+  console.log(
+    chalk.bold(
+      `  Dry run: ${plan.action} ${plan.site_name ? `"${plan.site_name}"` : plan.site_id.slice(0, 12) + '...'} on ${plan.network}`,
+    ) + chalk.dim(' (nothing uploaded or signed)'),
+  )
+  console.log('')
+  console.log(`  ${chalk.dim('Site:')}     ${chalk.magenta(plan.site_id)}`)
+  console.log(
+    `  ${chalk.dim('Files:')}    ${plan.files.length} (${format_bytes(total_size)})`,
+  )
+  for (const { path, size, content_type, change } of plan.files) {
+    const marker = change ? markers[change] : ' '
+    console.log(
+      `    ${marker} ${path} ${chalk.dim(`${format_bytes(size)} ${content_type}`)}`,
+    )
+  }
+  if (plan.quilts.length > 0) {
+    for (const [i, quilt] of plan.quilts.entries()) {
+      console.log(
+        `  ${chalk.dim(i === 0 ? 'Quilt:' : '      ')}    ${quilt.blob_id} ${chalk.dim(`(${format_bytes(quilt.size)}, ${quilt.patches} patches)`)}`,
+      )
+    }
+    console.log(
+      `  ${chalk.dim('Storage:')}  ${plan.epochs} epoch${plan.epochs === 1 ? '' : 's'}, ${plan.wal_cost === null ? 'cost unknown' : chalk.yellow(`~${plan.wal_cost.toFixed(4)} WAL`)}`,
+    )
+  }
+
+  console.log('')
+  console.log(chalk.dim('  Transactions:'))
+  for (const tx of plan.transactions) {
+    const icon = {
+      success: chalk.green('✓'),
+      failure: chalk.red('✗'),
+      skipped: chalk.dim('-'),
+    }[tx.status]
+    const gas =
+      tx.gas === null
+        ? chalk.dim('gas unknown')
+        : chalk.yellow(`~${tx.gas.toFixed(6)} SUI`)
+    console.log(
+      `    ${icon} ${tx.name} ${chalk.dim(`(${tx.calls} call${tx.calls === 1 ? '' : 's'})`)} ${gas}`,
+    )
+    for (const { object_id, type } of tx.created) {
+      console.log(
+        chalk.dim(
+          `        creates ${type.split('::').slice(-2).join('::')} ${object_id}`,
+        ),
+      )
+    }
+    if (tx.error) {
+      const color = tx.status === 'failure' ? chalk.red : chalk.dim
+      console.log(color(`        ${tx.error}`))
+    }
+  }
+  console.log('')
+}
@@ -1,8 +1,34 @@
 import { Transaction } from '@mysten/sui/transactions'
-import { fromBase64 } from '@mysten/sui/utils'
+import { fromHex } from '@mysten/sui/utils'
 
+import {
+  batch_calls,
+  estimate_call_size,
+  MAX_TX_COMMANDS,
+} from '../../lib/batch.js'
 import { get_version_object_id } from '../../lib/env.js'
 
+/**
+ * Commands a single-transaction deploy adds around the first batch of
+ * add_resource calls: create the Site, share it, transfer the AdminCap
+ */
+const SITE_CREATION_COMMANDS = 3
+
+/**
+ * Site module functions a single-transaction deploy composes: one returns a
+ * new Site and its AdminCap without sharing, the other shares a Site
+ */
+const COMPOSE_CREATE_FN = 'new_site'
+const COMPOSE_SHARE_FN = 'share_site'
+
+/**
+ * @typedef {Object} SiteComposition
+ * @property {string} create_fn - Public function in the site module returning a new Site and its AdminCap
+ * @property {number} site_index - Position of the Site among its return values
+ * @property {number} admin_cap_index - Position of the AdminCap among its return values
+ * @property {string} share_fn - Public function in the site module that shares a Site
+ */
+
 /**
  * Builds identifier -> full path mapping from file metadata
  * With --blobs JSON format, identifier equals the full relative path
@@ -18,6 +44,20 @@ export function build_identifier_map(file_metadata) {
   return identifier_to_path
 }
 
+/**
+ * Resolve the resource path a quilt patch is stored under
+ * @param {{identifier: string}} patch - Walrus patch
+ * @param {Record<string, string>} identifier_to_path - Identifier -> full path map
+ * @returns {string} Full resource path
+ */
+function resolve_patch_path(patch, identifier_to_path) {
+  // Normalize identifier: ensure leading slash, no double slashes
+  const normalized_identifier = patch.identifier.startsWith('/')
+    ? patch.identifier
+    : '/' + patch.identifier
+  return identifier_to_path[normalized_identifier] || normalized_identifier
+}
+
 /**
  * Creates Sui transaction for site creation (step 1 of 2)
  * Returns AdminCap to wallet, creates shared Site object
@@ -60,6 +100,212 @@ export function create_site_transaction({
   return tx
 }
 
+/**
+ * Check a normalized Move type is a struct of the site module, passed by value
+ * @param {import('@mysten/sui/client').SuiMoveNormalizedType} type - Normalized type
+ * @param {string} name - Struct name
+ * @returns {boolean}
+ */
+function is_site_struct(type, name) {
+  return (
+    typeof type === 'object' &&
+    'Struct' in type &&
+    type.Struct.module === 'site' &&
+    type.Struct.name === name
+  )
+}
+
+/**
+ * Parameters of a Move function without the trailing TxContext
+ * @param {import('@mysten/sui/client').SuiMoveNormalizedFunction} fn - Normalized function
+ * @returns {import('@mysten/sui/client').SuiMoveNormalizedType[]}
+ */
+function call_parameters(fn) {
+  return fn.parameters.filter(param => {
+    const inner =
+      typeof param === 'object' &&
+      ('MutableReference' in param
+        ? param.MutableReference
+        : 'Reference' in param
+          ? param.Reference
+          : null)
+    return !(
+      typeof inner === 'object' &&
+      inner &&
+      'Struct' in inner &&
+      inner.Struct.module === 'tx_context' &&
+      inner.Struct.name === 'TxContext'
+    )
+  })
+}
+
+/**
+ * Find functions in the Versui package that let one transaction create a
+ * Site, add resources to it and share it
+ * `create_site` shares the Site itself, so its result can't be used later in
+ * the same transaction. Composing needs a public `new_site` taking the same
+ * arguments that returns the Site and AdminCap by value, a public
+ * `share_site` taking the Site, a public `add_resource` (entry-only functions reject
+ * values returned by public calls) and a transferable (`store`) AdminCap
+ * @param {import('@mysten/sui/client').SuiClient} sui_client - Sui client
+ * @param {string} package_id - Versui package ID
+ * @returns {Promise<SiteComposition|null>} Functions to compose, or null to use the two-step flow
+ */
+export async function find_site_composition(sui_client, package_id) {
+  let module
+  try {
+    module = await sui_client.getNormalizedMoveModule({
+      package: package_id,
+      module: 'site',
+    })
+  } catch {
+    return null
+  }
+
+  const { create_site, add_resource } = module.exposedFunctions
+  const admin_cap = module.structs.SiteAdminCap
+  if (
+    !create_site ||
+    add_resource?.visibility !== 'Public' ||
+    !admin_cap?.abilities.abilities.includes('Store')
+  ) {
+    return null
+  }
+
+  // Match by name, then check the signature: picking by shape alone could
+  // select an unrelated function such as destroy_site(site: Site)
+  const create = module.exposedFunctions[COMPOSE_CREATE_FN]
+  const share = module.exposedFunctions[COMPOSE_SHARE_FN]
+  const is_public = fn =>
+    fn?.visibility === 'Public' && fn.typeParameters.length === 0
+  if (!is_public(create) || !is_public(share)) return null
+
+  const share_params = call_parameters(share)
+  const composable =
+    JSON.stringify(call_parameters(create)) ===
+      JSON.stringify(call_parameters(create_site)) &&
+    create.return.length === 2 &&
+    create.return.some(type => is_site_struct(type, 'Site')) &&
+    create.return.some(type => is_site_struct(type, 'SiteAdminCap')) &&
+    share.return.length === 0 &&
+    share_params.length === 1 &&
+    is_site_struct(share_params[0], 'Site')
+  if (!composable) return null
+
+  return {
+    create_fn: COMPOSE_CREATE_FN,
+    site_index: create.return.findIndex(type => is_site_struct(type, 'Site')),
+    admin_cap_index: create.return.findIndex(type =>
+      is_site_struct(type, 'SiteAdminCap'),
+    ),
+    share_fn: COMPOSE_SHARE_FN,
+  }
+}
+
+/**
+ * Add one add_resource call per quilt patch with file metadata
+ * @param {Transaction} tx - Transaction to extend
+ * @param {object} params - Call parameters
+ * @param {string} params.package_id - Versui package ID
+ * @param {string} params.version_id - Version object ID
+ * @param {import('@mysten/sui/transactions').TransactionObjectArgument} params.admin_cap - AdminCap argument
+ * @param {import('@mysten/sui/transactions').TransactionObjectArgument} params.site - Site argument
+ * @param {Array<{identifier: string, quiltPatchId: string}>} params.quilt_patches - Walrus patches
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} params.file_metadata - File metadata
+ */
+function add_resource_calls(
+  tx,
+  { package_id, version_id, admin_cap, site, quilt_patches, file_metadata },
+) {
+  // Build identifier -> full path mapping (walrus flattens paths)
+  const identifier_to_path = build_identifier_map(file_metadata)
+
+  for (const patch of quilt_patches) {
+    const full_path = resolve_patch_path(patch, identifier_to_path)
+    const info = file_metadata[full_path]
+    if (!info) continue
+
+    tx.moveCall({
+      target: `${package_id}::site::add_resource`,
+      arguments: [
+        tx.object(version_id),
+        admin_cap,
+        site,
+        tx.pure.string(full_path),
+        tx.pure.string(patch.quiltPatchId),
+        tx.pure.vector('u8', Array.from(fromHex(info.hash))),
+        tx.pure.string(info.content_type),
+        tx.pure.u64(info.size),
+      ],
+    })
+  }
+}
+
+/**
+ * Creates one Sui transaction that creates a site with its first resources
+ * Replaces steps 1 and 2 when the package supports it (see find_site_composition):
+ * no empty Site is ever visible, and one signature covers both steps
+ * @param {object} params - Transaction parameters
+ * @param {string} params.package_id - Versui package ID
+ * @param {string} params.versui_object_id - Versui shared object ID
+ * @param {string} params.wallet - Wallet address (receives the AdminCap)
+ * @param {string} params.site_name - Site name
+ * @param {string} [params.favicon_url=''] - Optional favicon URL
+ * @param {Array<{identifier: string, quiltPatchId: string}>} params.quilt_patches - First batch of Walrus patches
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} params.file_metadata - File metadata
+ * @param {string} params.network - Network (testnet|mainnet)
+ * @param {SiteComposition} params.composition - Functions found by find_site_composition
+ * @returns {Transaction} Configured transaction object
+ */
+export function create_site_with_resources_transaction({
+  package_id,
+  versui_object_id,
+  wallet,
+  site_name,
+  favicon_url = '',
+  quilt_patches,
+  file_metadata,
+  network,
+  composition,
+}) {
+  const tx = new Transaction()
+  tx.setSender(wallet)
+
+  const version_id = get_version_object_id(network)
+  if (!version_id) {
+    throw new Error(`Version object not deployed on ${network}`)
+  }
+
+  const created = tx.moveCall({
+    target: `${package_id}::site::${composition.create_fn}`,
+    arguments: [
+      tx.object(version_id),
+      tx.object(versui_object_id),
+      tx.pure.string(site_name),
+      tx.pure.string(favicon_url),
+    ],
+  })
+  const site = created[composition.site_index]
+  const admin_cap = created[composition.admin_cap_index]
+
+  add_resource_calls(tx, {
+    package_id,
+    version_id,
+    admin_cap,
+    site,
+    quilt_patches,
+    file_metadata,
+  })
+
+  tx.moveCall({
+    target: `${package_id}::site::${composition.share_fn}`,
+    arguments: [site],
+  })
+  tx.transferObjects([admin_cap], wallet)
+
+  return tx
+}
+
 /**
  * Creates Sui transaction for adding resources to site (step 2 of 2)
  * Requires AdminCap and shared Site ID from step 1
@@ -92,41 +338,53 @@ export function add_resources_transaction({
     throw new Error(`Version object not deployed on ${network}`)
   }
 
-  // Build identifier -> full path mapping (walrus flattens paths)
-  const identifier_to_path = build_identifier_map(file_metadata)
-
-  for (const patch of quilt_patches) {
-    // Normalize identifier: ensure leading slash, no double slashes
-    const normalized_identifier = patch.identifier.startsWith('/')
-      ? patch.identifier
-      : '/' + patch.identifier
-    const full_path =
-      identifier_to_path[normalized_identifier] || normalized_identifier
-    const info = file_metadata[full_path]
-    if (!info) continue
-
-    tx.moveCall({
-      target: `${package_id}::site::add_resource`,
-      arguments: [
-        tx.object(version_id),
-        tx.object(admin_cap_id), // AdminCap reference (owned object)
-        tx.sharedObjectRef({
-          objectId: site_id,
-          initialSharedVersion: initial_shared_version,
-          mutable: true,
-        }), // Shared Site reference (mutable shared object)
-        tx.pure.string(full_path),
-        tx.pure.string(patch.quiltPatchId),
-        tx.pure.vector('u8', Array.from(fromBase64(info.hash))),
-        tx.pure.string(info.content_type),
-        tx.pure.u64(info.size),
-      ],
-    })
-  }
+  add_resource_calls(tx, {
+    package_id,
+    version_id,
+    admin_cap: tx.object(admin_cap_id), // AdminCap reference (owned object)
+    site: tx.sharedObjectRef({
+      objectId: site_id,
+      initialSharedVersion: initial_shared_version,
+      mutable: true,
+    }), // Shared Site reference (mutable shared object)
+    quilt_patches,
+    file_metadata,
+  })
 
   return tx
 }
 
+/**
+ * Split quilt patches into add_resources batches that fit Sui's transaction limits
+ * Patches without file metadata are dropped, as add_resources_transaction skips them.
+ * Every batch leaves room for the site creation calls, so the first one can
+ * also go into create_site_with_resources_transaction
+ * @param {Array<{identifier: string, quiltPatchId: string}>} quilt_patches - Walrus patches
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} file_metadata - File metadata
+ * @returns {Array<Array<{identifier: string, quiltPatchId: string}>>} Patches per transaction
+ */
+export function batch_quilt_patches(quilt_patches, file_metadata) {
+  const identifier_to_path = build_identifier_map(file_metadata)
+  const patches = quilt_patches.filter(
+    patch => file_metadata[resolve_patch_path(patch, identifier_to_path)],
+  )
+  return batch_calls(
+    patches,
+    patch => {
+      const full_path = resolve_patch_path(patch, identifier_to_path)
+      const info = file_metadata[full_path]
+      return estimate_call_size([
+        full_path,
+        patch.quiltPatchId,
+        fromHex(info.hash),
+        info.content_type,
+        info.size,
+      ])
+    },
+    { max_commands: MAX_TX_COMMANDS - SITE_CREATION_COMMANDS },
+  )
+}
+
 /**
  * Extracts site ID from transaction result
  * @param {object} tx_result - Transaction result from Sui
@@ -32,19 +32,19 @@ export function has_cli(command) {
 
 /**
  * Validates all required CLI prerequisites
+ * Uploads and transactions run in-process; the Walrus CLI is only needed
+ * when explicitly requested with --walrus-cli
+ * @param {Object} [options] - Prerequisite options
+ * @param {boolean} [options.walrus_cli] - Whether the walrus binary will be used
  * @returns {{ success: boolean, missing: string[] }}
  */
-export function check_prerequisites() {
+export function check_prerequisites({ walrus_cli = false } = {}) {
   const missing = []
 
-  if (!has_cli('walrus')) {
+  if (walrus_cli && !has_cli('walrus')) {
     missing.push('walrus')
   }
 
-  if (!has_cli('sui')) {
-    missing.push('sui')
-  }
-
   return {
     success: missing.length === 0,
     missing,
@@ -53,15 +53,12 @@ export function check_prerequisites() {
 
 /**
  * Gets error message for missing prerequisite
- * @param {string} tool - Tool name ('walrus' or 'sui')
+ * @param {string} tool - Tool name (e.g. 'walrus')
  * @returns {string} Error message with installation link
  */
 export function get_prerequisite_error(tool) {
   if (tool === 'walrus') {
     return 'Walrus CLI not found. Install from: https://docs.walrus.site'
   }
-  if (tool === 'sui') {
-    return 'Sui CLI not found. Install from: https://docs.sui.io'
-  }
   return `${tool} CLI not found`
 }
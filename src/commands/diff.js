@@ -0,0 +1,248 @@
+import { join } from 'node:path'
+
+import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
+import chalk from 'chalk'
+import ora from 'ora'
+
+import { scan_directory } from '../lib/files.js'
+import { read_versui_config } from '../lib/config.js'
+import { add_variant_metadata, is_variant_path } from '../lib/compress.js'
+import { load_signer } from '../lib/signer.js'
+import { create_walrus_client } from '../lib/walrus.js'
+import { fetch_site_resources, resolve_project_site_id } from '../lib/sui.js'
+import { compare_files } from '../lib/delta.js'
+
+import { get_walrus_price_estimate } from './deploy/estimate.js'
+import {
+  build_files_metadata,
+  build_generated_files,
+} from './deploy/file-metadata.js'
+import { format_bytes } from './deploy/formatting.js'
+import { validate_directory } from './deploy/validate.js'
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} path - Resource path
+ * @property {'added'|'modified'|'removed'} change - What an update would do
+ * @property {number|null} old_size - Size on chain (null when added)
+ * @property {number|null} new_size - Local size (null when removed)
+ * @property {string|null} old_content_type - Content type on chain
+ * @property {string|null} new_content_type - Local content type
+ */
+
+/**
+ * Diff local files against a site's resources, with sizes and content types
+ * Files are compared by hash like `versui update` does, so a content type
+ * change on identical bytes is not a difference
+ * Compressed variants follow their source file, so they are left out of the
+ * entries and only counted; their bytes still add to the upload and size change
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} local_files - Local file metadata
+ * @param {Map<string, {blob_id: string, hash: string, size: number, content_type?: string}>} resources - On-chain resources
+ * @returns {{entries: DiffEntry[], unchanged: number, variant_changes: number, upload_size: number, size_delta: number}} Changes, changed variants, upload size and net size change (bytes)
+ */
+export function build_site_diff(local_files, resources) {
+  const { added, updated, deleted, unchanged } = compare_files(
+    local_files,
+    resources,
+  )
+
+  const entry = (path, change) => ({
+    path,
+    change,
+    old_size: resources.get(path)?.size ?? null,
+    new_size: local_files[path]?.size ?? null,
+    old_content_type: resources.get(path)?.content_type ?? null,
+    new_content_type: local_files[path]?.content_type ?? null,
+  })
+  const all_entries = [
+    ...added.map(path => entry(path, 'added')),
+    ...updated.map(path => entry(path, 'modified')),
+    ...deleted.map(path => entry(path, 'removed')),
+  ]
+  const entries = all_entries.filter(e => !is_variant_path(e.path))
+
+  return {
+    entries,
+    unchanged: unchanged.filter(path => !is_variant_path(path)).length,
+    variant_changes: all_entries.length - entries.length,
+    upload_size: [...added, ...updated].reduce(
+      (sum, path) => sum + local_files[path].size,
+      0,
+    ),
+    size_delta: all_entries.reduce(
+      (sum, e) => sum + (e.new_size ?? 0) - (e.old_size ?? 0),
+      0,
+    ),
+  }
+}
+
+/**
+ * Format a signed byte count (`+340.0 KB`, `-12 B`)
+ * @param {number} bytes - Size change
+ * @returns {string}
+ */
+function format_size_delta(bytes) {
+  return (bytes < 0 ? '-' : '+') + format_bytes(Math.abs(bytes))
+}
+
+/**
+ * Show what `versui update` would change on a live site, without changing it
+ * @param {string} dir - Local build directory
+ * @param {Object} [options] - Command options
+ * @param {string} [options.site] - Site object ID (derived from the site name when omitted)
+ * @param {string} [options.name] - Site name (overrides .versui and package.json)
+ * @param {string} [options.network] - Network (testnet|mainnet)
+ * @param {number} [options.epochs] - Storage epochs used for the cost estimate
+ * @param {boolean} [options.json] - JSON output mode
+ * @returns {Promise<{status: string}>} Report; status is `different` when the site would change
+ */
+export async function diff(dir, options = {}) {
+  const {
+    site,
+    name,
+    network = 'testnet',
+    epochs = 1,
+    json: json_mode = false,
+  } = options
+
+  if (!validate_directory(dir)) {
+    throw new Error(`Invalid directory: ${dir}`)
+  }
+  if (!Number.isInteger(epochs) || epochs < 1) {
+    throw new Error('--epochs must be a positive integer')
+  }
+
+  let wallet = null
+  if (!site) {
+    try {
+      wallet = load_signer().toSuiAddress()
+    } catch {
+      throw new Error(
+        'No Sui signer available to derive the site from its name. Pass --site <site-id>.',
+      )
+    }
+  }
+  const { site_id } = resolve_project_site_id(dir, {
+    site,
+    name,
+    wallet,
+    network,
+  })
+
+  const rpc_url = getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet')
+  const sui_client = new SuiClient({ url: rpc_url })
+
+  const spinner = ora({
+    text: 'Scanning local files...',
+    isSilent: json_mode || !process.stdout.isTTY,
+  }).start()
+
+  const file_paths = scan_directory(dir, dir)
+  const { metadata } = build_files_metadata(file_paths, dir)
+  const local_files = add_variant_metadata(
+    metadata,
+    build_generated_files(dir, metadata, read_versui_config(join(dir, '..'))),
+  )
+
+  spinner.text = 'Fetching site resources...'
+  const { resources } = await fetch_site_resources(site_id, sui_client)
+  const { entries, unchanged, variant_changes, upload_size, size_delta } =
+    build_site_diff(local_files, resources)
+
+  let wal_cost = null
+  if (upload_size > 0) {
+    spinner.text = 'Estimating storage costs...'
+    wal_cost = await get_walrus_price_estimate(
+      upload_size,
+      epochs,
+      create_walrus_client(network, sui_client),
+    )
+  }
+
+  spinner.stop()
+
+  const count = change => entries.filter(e => e.change === change).length
+  const report = {
+    status:
+      entries.length > 0 || variant_changes > 0 ? 'different' : 'identical',
+    site_id,
+    network,
+    added: count('added'),
+    modified: count('modified'),
+    removed: count('removed'),
+    unchanged,
+    variant_changes,
+    upload_size,
+    size_delta,
+    epochs,
+    wal_cost,
+    files: entries,
+  }
+
+  if (json_mode) {
+    console.log(JSON.stringify(report))
+    return report
+  }
+
+  console.log('')
+  if (entries.length === 0 && variant_changes === 0) {
+    console.log(
+      chalk.green(
+        `  ✓ No differences: ${unchanged} file${unchanged === 1 ? '' : 's'} match ${site_id.slice(0, 12)}...`,
+      ),
+    )
+    console.log('')
+    return report
+  }
+
+  const markers = {
+    added: chalk.green('+'),
+    modified: chalk.yellow('~'),
+    removed: chalk.red('-'),
+  }
+  for (const e of entries) {
+    const size =
+      e.change === 'modified'
+        ? `${format_bytes(e.old_size)} → ${format_bytes(e.new_size)}`
+        : format_bytes(e.new_size ?? e.old_size)
+    const type_change =
+      e.change === 'modified' &&
+      e.old_content_type &&
+      e.old_content_type !== e.new_content_type
+        ? chalk.yellow(`  ${e.old_content_type} → ${e.new_content_type}`)
+        : ''
+    console.log(
+      `  ${markers[e.change]} ${e.path} ${chalk.dim(size)}${type_change}`,
+    )
+  }
+
+  if (variant_changes > 0) {
+    console.log(
+      chalk.dim(
+        `  ~ ${variant_changes} compressed variant${variant_changes === 1 ? '' : 's'}`,
+      ),
+    )
+  }
+
+  const changed = entries.length
+  console.log('')
+  console.log(
+    chalk.bold(
+      `  This change will modify ${changed} file${changed === 1 ? '' : 's'} (${format_size_delta(size_delta)})`,
+    ),
+  )
+  console.log(
+    chalk.dim(
+      `  ${report.added} added, ${report.modified} modified, ${report.removed} removed, ${unchanged} unchanged`,
+    ),
+  )
+  if (upload_size > 0) {
+    console.log(
+      chalk.dim(
+        `  Upload: ${format_bytes(upload_size)} for ${epochs} epoch${epochs === 1 ? '' : 's'}, estimated ${wal_cost === null ? 'unknown' : `~${wal_cost.toFixed(4)} WAL`}`,
+      ),
+    )
+  }
+  console.log('')
+  return report
+}
@@ -1,8 +1,5 @@
-import { execSync, spawnSync } from 'node:child_process'
-
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
 import { Transaction } from '@mysten/sui/transactions'
-import { toBase64 } from '@mysten/sui/utils'
 import chalk from 'chalk'
 import ora from 'ora'
 import prompts from 'prompts'
@@ -13,6 +10,12 @@ import {
   get_original_package_id,
   get_version_object_id,
 } from '../lib/env.js'
+import {
+  get_active_address,
+  get_active_network,
+  load_signer,
+  sign_and_execute,
+} from '../lib/signer.js'
 
 // DomainRegistry shared object IDs (deployed via domain_registry.move init)
 const DOMAIN_REGISTRY_IDS = {
@@ -23,42 +26,6 @@ const DOMAIN_REGISTRY_IDS = {
 // Clock object (shared by Sui framework)
 const CLOCK_OBJECT_ID = '0x6'
 
-/**
- * Get active Sui network from CLI
- * @returns {string} Network name (testnet|mainnet)
- */
-function get_active_network() {
-  try {
-    const output = execSync('sui client active-env', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not determine active Sui network. Run: sui client active-env',
-    )
-  }
-}
-
-/**
- * Get active wallet address from Sui CLI
- * @returns {string} Wallet address
- */
-function get_active_address() {
-  try {
-    const output = execSync('sui client active-address', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not get active wallet address. Run: sui client active-address',
-    )
-  }
-}
-
 /**
  * Validate domain format (matches Move contract validation)
  * @param {string} domain - Domain to validate
@@ -165,33 +132,13 @@ async function get_site_name(site_id, client) {
 }
 
 /**
- * Execute transaction via Sui CLI
+ * Sign and execute transaction with the configured signer
  * @param {Transaction} tx - Transaction to execute
  * @param {import('@mysten/sui/client').SuiClient} client - Sui client
  * @returns {Promise<any>} Transaction result
  */
 async function execute_transaction(tx, client) {
-  const tx_bytes = await tx.build({ client })
-  const tx_base64 = toBase64(tx_bytes)
-
-  const result = spawnSync(
-    'sui',
-    ['client', 'serialized-tx', tx_base64, '--json'],
-    {
-      encoding: 'utf8',
-      stdio: ['inherit', 'pipe', 'pipe'],
-    },
-  )
-
-  if (result.error) {
-    throw result.error
-  }
-
-  if (result.status !== 0) {
-    throw new Error(`sui command failed with status ${result.status}`)
-  }
-
-  return JSON.parse(result.stdout)
+  return sign_and_execute(tx, { client, signer: load_signer() })
 }
 
 /**
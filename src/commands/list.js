@@ -1,11 +1,10 @@
-import { execSync } from 'node:child_process'
-
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
 import chalk from 'chalk'
 import ora from 'ora'
 
 import { format_sites_table } from '../lib/sui.js'
 import { get_original_package_id } from '../lib/env.js'
+import { get_active_address, get_active_network } from '../lib/signer.js'
 
 /**
  * List deployments
@@ -110,39 +109,3 @@ export async function list(options = {}) {
     process.exit(1)
   }
 }
-
-/**
- * Get active Sui network from CLI
- * @returns {string} Network name (testnet|mainnet)
- */
-function get_active_network() {
-  try {
-    const output = execSync('sui client active-env', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not determine active Sui network. Run: sui client active-env',
-    )
-  }
-}
-
-/**
- * Get active wallet address from Sui CLI
- * @returns {string} Wallet address
- */
-function get_active_address() {
-  try {
-    const output = execSync('sui client active-address', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch (error) {
-    throw new Error(
-      'Could not get active wallet address. Run: sui client active-address',
-    )
-  }
-}
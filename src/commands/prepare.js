@@ -15,7 +15,7 @@ import { toBase64 } from '@mysten/sui/utils'
 import { WalrusClient } from '@mysten/walrus'
 
 import { hash_content } from '../lib/hash.js'
-import { read_versui_config } from '../lib/config.js'
+import { read_versui_config, get_site_name } from '../lib/config.js'
 
 function get_content_type(file_path) {
   return mime.getType(file_path) || 'application/octet-stream'
@@ -50,9 +50,24 @@ function scan_directory(dir, base_dir, ignore_patterns = []) {
   return files
 }
 
+/**
+ * Blob file format version written by prepare and read by submit
+ */
+export const BLOB_FILE_VERSION = 10
+
 /**
  * Prepare deployment: scan files, encode as quilt, output TX1
- * Uses low-level APIs to allow serializing state between prepare/deploy
+ * Uses low-level APIs to allow serializing state between prepare/submit
+ * The unsigned register transaction is printed and stored in the blob file
+ * so it can be signed on an offline machine
+ * @param {string} dir - Directory to deploy
+ * @param {Object} [options] - Command options
+ * @param {string} [options.network] - Network (testnet|mainnet)
+ * @param {number|string} [options.epochs] - Storage epochs
+ * @param {string} [options.output] - Blob file path
+ * @param {string} [options.address] - Sender address (the offline signer)
+ * @param {string} [options.name] - Site name
+ * @returns {Promise<void>}
  */
 export async function prepare(dir, options = {}) {
   const {
@@ -69,7 +84,7 @@ export async function prepare(dir, options = {}) {
     throw new Error(`Not a directory: ${dir}`)
   }
 
-  const parsed_epochs = parseInt(epochs, 10)
+  const parsed_epochs = parseInt(String(epochs), 10)
   if (isNaN(parsed_epochs) || parsed_epochs < 1) {
     throw new Error('Epochs must be a positive integer')
   }
@@ -89,7 +104,7 @@ export async function prepare(dir, options = {}) {
 
   const sender_address = options.address || config?.address
   if (!sender_address) {
-    throw new Error('No address. Use --address or run "versui configure".')
+    throw new Error('No address. Use --address <0x...> (the offline signer)')
   }
   if (!sender_address.startsWith('0x') || sender_address.length !== 66) {
     throw new Error(
@@ -97,6 +112,21 @@ export async function prepare(dir, options = {}) {
     )
   }
 
+  let package_json = null
+  const package_json_path = join(project_dir, 'package.json')
+  if (existsSync(package_json_path)) {
+    try {
+      package_json = JSON.parse(readFileSync(package_json_path, 'utf-8'))
+    } catch {
+      // Ignore invalid package.json
+    }
+  }
+  const site_name = get_site_name({
+    cli_name: options.name,
+    versui_config: config,
+    package_json,
+  })
+
   const ignore_patterns = read_ignore_patterns(project_dir)
 
   console.error('Scanning files...')
@@ -128,6 +158,9 @@ export async function prepare(dir, options = {}) {
     suiClient: sui_client,
   })
 
+  // Slivers are encoded for the committee's shard count
+  const { committee } = await walrus_client.systemState()
+
   // Sort files by path (quilt encoding requires consistent order)
   const sorted_files = files_data.sort((a, b) => (a.path < b.path ? -1 : 1))
 
@@ -166,18 +199,19 @@ export async function prepare(dir, options = {}) {
   const tx_bytes = await tx.build({ client: sui_client })
   const tx_base64 = toBase64(tx_bytes)
 
-  // Serialize slivers for deploy step
-  // sliversByNode is Map<nodeIndex, { primary: [], secondary: [] }>
-  const slivers_serialized = encoded.sliversByNode.map(slivers => ({
-    primary: slivers.primary.map(s => ({
-      sliverPairIndex: s.sliverPairIndex,
-      sliver: toBase64(s.sliver),
-    })),
-    secondary: slivers.secondary.map(s => ({
-      sliverPairIndex: s.sliverPairIndex,
-      sliver: toBase64(s.sliver),
-    })),
-  }))
+  // Serialize slivers by shard, not by node: submit assigns them to the nodes
+  // of the committee active when it uploads, which may be a later epoch's
+  const slivers_serialized = encoded.sliversByNode.flatMap(
+    ({ primary, secondary }) =>
+      primary.map(s => ({
+        shardIndex: s.shardIndex,
+        sliverPairIndex: s.sliverPairIndex,
+        primary: toBase64(s.sliver),
+        secondary: toBase64(
+          secondary.find(x => x.sliverPairIndex === s.sliverPairIndex).sliver,
+        ),
+      })),
+  )
 
   // Store file content for site creation
   const files_content = sorted_files.map(f => ({
@@ -195,10 +229,14 @@ export async function prepare(dir, options = {}) {
   )
 
   const blob = {
-    version: 8,
+    version: BLOB_FILE_VERSION,
+    stage: 'register',
+    tx: tx_base64,
     network,
     epochs: parsed_epochs,
+    n_shards: committee.n_shards,
     sender: sender_address,
+    site_name,
     files_content,
     file_metadata,
     // Encoded blob data for upload
@@ -212,6 +250,9 @@ export async function prepare(dir, options = {}) {
 
   writeFileSync(output, JSON.stringify(blob))
   console.error(`Blob saved to: ${output}`)
+  console.error(
+    `Sign the transaction for ${sender_address}, then run: versui submit ${output} --signature <sig>`,
+  )
 
   // Output TX to stdout
   console.log(JSON.stringify({ tx: tx_base64 }))
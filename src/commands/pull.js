@@ -0,0 +1,203 @@
+import { existsSync, mkdirSync, readdirSync, writeFileSync } from 'node:fs'
+import { dirname, resolve } from 'node:path'
+
+import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
+import chalk from 'chalk'
+import ora from 'ora'
+
+import { sanitize_ignore_pattern, is_internal_path } from '../lib/files.js'
+import { hash_content } from '../lib/hash.js'
+import { read_versui_config, get_aggregator_options } from '../lib/config.js'
+import { load_signer } from '../lib/signer.js'
+import { create_walrus_client, download_quilt_patch } from '../lib/walrus.js'
+import { fetch_site_resources, resolve_site_id } from '../lib/sui.js'
+
+/**
+ * Resolve where a resource is written, refusing paths that escape the output
+ * directory (same checks as .versuiignore patterns)
+ * @param {string} out_dir - Output directory
+ * @param {string} resource_path - Resource path (`/assets/app.js`)
+ * @returns {string|null} Absolute file path, or null if the path is unsafe
+ */
+export function resolve_output_path(out_dir, resource_path) {
+  const relative_path = resource_path.replace(/^\/+/, '')
+  if (!relative_path || relative_path.endsWith('/')) return null
+  if (sanitize_ignore_pattern(relative_path, out_dir) === null) return null
+  return resolve(out_dir, relative_path)
+}
+
+/**
+ * Download a resource and check it against the on-chain SHA-256
+ * Aggregators are tried in order; storage nodes (SDK) are the last resort
+ * @param {{blob_id: string, hash: string}} resource - On-chain resource
+ * @param {Object} sources - Where to read from
+ * @param {string[]} sources.aggregators - Aggregator URLs
+ * @param {number[]} sources.timeouts - Per-aggregator timeouts (ms), aligned with aggregators
+ * @param {import('@mysten/walrus').WalrusClient|null} [sources.walrus_client] - Walrus client for the storage-node fallback
+ * @param {typeof fetch} [sources.fetch_fn] - Fetch implementation (injectable for testing)
+ * @returns {Promise<{content: Buffer, source: string}>} Verified content and where it came from
+ */
+export async function fetch_verified_patch(
+  resource,
+  { aggregators, timeouts, walrus_client = null, fetch_fn = fetch },
+) {
+  const errors = []
+
+  for (const [i, aggregator] of aggregators.entries()) {
+    try {
+      const response = await fetch_fn(
+        `${aggregator}/v1/blobs/by-quilt-patch-id/${resource.blob_id}`,
+        { signal: AbortSignal.timeout(timeouts[i]) },
+      )
+      if (!response.ok) {
+        errors.push(`${aggregator}: HTTP ${response.status}`)
+        continue
+      }
+      const content = Buffer.from(await response.arrayBuffer())
+      if (hash_content(content) !== resource.hash) {
+        errors.push(`${aggregator}: hash mismatch`)
+        continue
+      }
+      return { content, source: aggregator }
+    } catch (err) {
+      errors.push(`${aggregator}: ${err.message}`)
+    }
+  }
+
+  if (walrus_client) {
+    try {
+      const content = Buffer.from(
+        await download_quilt_patch(walrus_client, resource.blob_id),
+      )
+      if (hash_content(content) === resource.hash) {
+        return { content, source: 'walrus' }
+      }
+      errors.push('walrus: hash mismatch')
+    } catch (err) {
+      errors.push(`walrus: ${err.message}`)
+    }
+  }
+
+  throw new Error(errors.join('; ') || 'no sources available')
+}
+
+/**
+ * Download a deployed site back to a directory
+ * Every file is verified against its on-chain hash before it is written
+ * @param {string} site_identifier - Site object ID or site name
+ * @param {string} out_dir - Output directory
+ * @param {Object} [options] - Command options
+ * @param {string} [options.network] - Network (testnet|mainnet)
+ * @param {string} [options.owner] - Site owner for name lookup (defaults to the active wallet)
+ * @param {boolean} [options.force] - Write into a non-empty directory
+ * @param {boolean} [options.json] - JSON output mode
+ * @returns {Promise<{status: string}>} Report; status is `failed` when any file could not be restored
+ */
+export async function pull(site_identifier, out_dir, options = {}) {
+  const {
+    network = 'testnet',
+    owner = null,
+    force = false,
+    json: json_mode = false,
+  } = options
+
+  if (!site_identifier || !out_dir) {
+    throw new Error(
+      'Site and output directory are required. Use: versui pull <site-id|name> <out-dir>',
+    )
+  }
+  if (existsSync(out_dir) && readdirSync(out_dir).length > 0 && !force) {
+    throw new Error(
+      `Output directory is not empty: ${out_dir}. Use --force to write into it.`,
+    )
+  }
+
+  let wallet = owner
+  if (!wallet) {
+    try {
+      wallet = load_signer().toSuiAddress()
+    } catch {
+      wallet = null
+    }
+  }
+  if (!wallet && !/^0x[a-fA-F0-9]{64}$/.test(site_identifier)) {
+    throw new Error(
+      `Cannot resolve site name "${site_identifier}" without a wallet. Pass --owner <address> or use the site ID.`,
+    )
+  }
+
+  const rpc_url = getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet')
+  const sui_client = new SuiClient({ url: rpc_url })
+  const walrus_client = create_walrus_client(network, sui_client)
+  const { aggregators, timeouts } = get_aggregator_options(
+    read_versui_config(process.cwd()),
+    network,
+  )
+
+  const spinner = ora({
+    text: 'Fetching site resources...',
+    isSilent: json_mode || !process.stdout.isTTY,
+  }).start()
+
+  const site_id = await resolve_site_id(site_identifier, wallet, network)
+  const { resources } = await fetch_site_resources(site_id, sui_client)
+  // Generated resources (header map, compressed variants) aren't build files
+  const files = [...resources].filter(([path]) => !is_internal_path(path))
+
+  const written = []
+  const failed = []
+  let done = 0
+  for (const [path, resource] of files) {
+    spinner.text = `Downloading ${++done}/${files.length} ${chalk.dim(path)}`
+
+    const target = resolve_output_path(out_dir, path)
+    if (!target) {
+      failed.push({ path, error: 'path escapes the output directory' })
+      continue
+    }
+
+    try {
+      const { content, source } = await fetch_verified_patch(resource, {
+        aggregators,
+        timeouts,
+        walrus_client,
+      })
+      mkdirSync(dirname(target), { recursive: true })
+      writeFileSync(target, content)
+      written.push({ path, size: content.length, source })
+    } catch (err) {
+      failed.push({ path, error: err.message })
+    }
+  }
+
+  spinner.stop()
+
+  const report = {
+    status: failed.length > 0 ? 'failed' : 'complete',
+    site_id,
+    network,
+    out_dir: resolve(out_dir),
+    written,
+    failed,
+  }
+
+  if (json_mode) {
+    console.log(JSON.stringify(report))
+    return report
+  }
+
+  console.log('')
+  for (const { path, error } of failed) {
+    console.log(`  ${chalk.red('✗')} ${path} ${chalk.dim(`(${error})`)}`)
+  }
+  if (failed.length > 0) console.log('')
+  const total_size = written.reduce((sum, f) => sum + f.size, 0)
+  const summary = `${written.length}/${files.length} file${files.length === 1 ? '' : 's'} (${(total_size / 1024).toFixed(1)} KB) to ${out_dir}`
+  console.log(
+    failed.length > 0
+      ? chalk.red.bold(`  ✗ Restored ${summary}`)
+      : chalk.green.bold(`  ✓ Restored ${summary}`),
+  )
+  console.log('')
+  return report
+}
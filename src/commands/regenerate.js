@@ -3,7 +3,39 @@ import prompts from 'prompts'
 
 import { generate_bootstrap } from '../lib/generate.js'
 import { generate_sw_snippet } from '../lib/sw.js'
-import { read_versui_config, get_aggregators } from '../lib/config.js'
+import {
+  read_versui_config,
+  get_aggregator_options,
+  get_header_rules,
+  resolve_headers,
+  get_route_rules,
+  get_spa_options,
+  get_error_pages,
+  resolve_cache_options,
+  get_live_options,
+  resolve_stream_paths,
+} from '../lib/config.js'
+
+/**
+ * Download a site file from the first aggregator that serves it
+ * @param {string} quilt_patch_id - Quilt patch ID of the file
+ * @param {string[]} aggregators - Aggregator URLs
+ * @param {typeof fetch} fetch_fn - Fetch function (injectable for testing)
+ * @returns {Promise<string|null>} File contents, or null if no aggregator has it
+ */
+async function fetch_site_file(quilt_patch_id, aggregators, fetch_fn) {
+  for (const aggregator of aggregators) {
+    try {
+      const response = await fetch_fn(
+        `${aggregator}/v1/blobs/by-quilt-patch-id/${quilt_patch_id}`,
+      )
+      if (response.ok) return await response.text()
+    } catch {
+      // Try next aggregator
+    }
+  }
+  return null
+}
 
 /**
  * Regenerate bootstrap or SW snippet for an existing site
@@ -12,10 +44,18 @@ import { read_versui_config, get_aggregators } from '../lib/config.js'
  * @param {string} [options.network] - Network (testnet|mainnet)
  * @param {Object} [options.client] - Sui client (for testing)
  * @param {Function} [options.prompts_fn] - Prompts function (for testing)
+ * @param {typeof fetch} [options.fetch_fn] - Fetch function (for testing)
+ * @param {boolean} [options.live] - Generate a live bootstrap that reads resources from Sui
  * @returns {Promise<Object>} Regeneration result
  */
 export async function regenerate(site_id, options = {}) {
-  const { network = 'testnet', client, prompts_fn = prompts } = options
+  const {
+    network = 'testnet',
+    client,
+    prompts_fn = prompts,
+    fetch_fn = fetch,
+    live = false,
+  } = options
 
   // Create Sui client
   const sui_client =
@@ -67,10 +107,19 @@ export async function regenerate(site_id, options = {}) {
   // Build resource map
   /** @type {Object<string, string>} */
   const resource_map = {}
+  /** @type {Object<string, string>} */
+  const integrity = {}
   for (const res of resource_objects) {
     if (!res.data) continue
     const { fields } = res.data.content
-    resource_map[fields.path] = fields.blob_hash
+    resource_map[fields.path] = fields.blob_id
+    // Older deploys stored a mis-encoded hash; only verify real SHA-256 digests
+    const hash_bytes = fields.blob_hash || []
+    if (hash_bytes.length === 32) {
+      integrity[fields.path] = Array.from(hash_bytes)
+        .map(b => Number(b).toString(16).padStart(2, '0'))
+        .join('')
+    }
   }
 
   // Ask user for output type (interactive)
@@ -94,21 +143,73 @@ export async function regenerate(site_id, options = {}) {
     output_type,
   }
 
+  // Headers and routes aren't stored on chain - read them from .versui
+  const versui_config = read_versui_config(process.cwd())
+  const headers = resolve_headers(
+    Object.keys(resource_map),
+    get_header_rules(versui_config),
+  )
+  const routes = get_route_rules(versui_config)
+  const spa_options = get_spa_options(versui_config)
+  const error_pages = get_error_pages(versui_config)
+  const cache_options = resolve_cache_options(
+    Object.keys(resource_map),
+    versui_config,
+  )
+  const live_options = get_live_options(versui_config, network, live)
+  const stream = resolve_stream_paths(Object.keys(resource_map), versui_config)
+
   if (output_type === 'bootstrap') {
     // Get aggregators from .versui config
-    const versui_config = read_versui_config(process.cwd())
-    const aggregators = get_aggregators(versui_config, network)
+    const { aggregators, ...aggregator_options } = get_aggregator_options(
+      versui_config,
+      network,
+    )
+
+    // The unavailable page is inlined, so download it while the site is live
+    let unavailable_html = null
+    if (error_pages.unavailable) {
+      const patch_id = resource_map[error_pages.unavailable]
+      unavailable_html = patch_id
+        ? await fetch_site_file(patch_id, aggregators, fetch_fn)
+        : null
+      if (unavailable_html === null) {
+        throw new Error(
+          `Could not download unavailable page ${error_pages.unavailable} from Walrus`,
+        )
+      }
+    }
 
     const { html, sw } = generate_bootstrap(
       site_name,
       aggregators,
       resource_map,
+      {
+        integrity,
+        headers,
+        routes,
+        ...spa_options,
+        not_found: error_pages.not_found,
+        unavailable_html,
+        ...cache_options,
+        ...aggregator_options,
+        stream,
+        live: live_options && { site_id, ...live_options },
+      },
     )
     result.bootstrap_html = html
     result.bootstrap_sw = sw
   } else {
     // Generate SW snippet
-    const snippet = generate_sw_snippet(resource_map, 'sw.js')
+    const snippet = generate_sw_snippet(resource_map, 'sw.js', {
+      integrity,
+      headers,
+      routes,
+      ...spa_options,
+      not_found: error_pages.not_found,
+      ...cache_options,
+      stream,
+    })
     result.sw_snippet = snippet
   }
 
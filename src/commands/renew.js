@@ -1,32 +1,48 @@
-import { execSync } from 'node:child_process'
-
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
 import chalk from 'chalk'
 import ora from 'ora'
 import prompts from 'prompts'
 
+import { load_signer } from '../lib/signer.js'
+import { fetch_blob_end_epochs, resolve_site_id } from '../lib/sui.js'
+import {
+  create_walrus_client,
+  get_quilt_id,
+  find_owned_blobs,
+} from '../lib/walrus.js'
+
+// multiGetObjects accepts at most 50 IDs per request
+const MULTI_GET_LIMIT = 50
+
 /**
- * Get active wallet address from Sui CLI
- * @returns {string|null} Wallet address or null
+ * Load the configured signer
+ * @returns {import('../lib/signer.js').Keypair|null} Signer or null if none is configured
  */
-function get_sui_active_address() {
+function get_signer() {
   try {
-    return execSync('sui client active-address', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    }).trim()
+    return load_signer()
   } catch {
     return null
   }
 }
 
 /**
- * Fetch all blob object IDs from a site
+ * Fetch all unique blob object IDs from a site
+ * Resources in the same quilt share one blob object, so IDs are deduplicated.
+ * Each resource's patch ID names its quilt, so with a Walrus client and owner
+ * the blob objects of every quilt the site spans are found too
  * @param {string} site_id - Site object ID
  * @param {SuiClient} sui_client - Sui client
- * @returns {Promise<string[]>} Array of blob object IDs
+ * @param {Object} [quilt_lookup] - Find the owner's quilt blob objects
+ * @param {import('@mysten/walrus').WalrusClient} [quilt_lookup.walrus_client] - Walrus client
+ * @param {string} [quilt_lookup.owner] - Address owning the blob objects
+ * @returns {Promise<string[]>} Array of unique blob object IDs
  */
-async function fetch_site_blob_objects(site_id, sui_client) {
+async function fetch_site_blob_objects(
+  site_id,
+  sui_client,
+  { walrus_client = null, owner = null } = {},
+) {
   const site_obj = await sui_client.getObject({
     id: site_id,
     options: { showContent: true },
@@ -55,81 +71,129 @@ async function fetch_site_blob_objects(site_id, sui_client) {
     cursor = page.nextCursor
   }
 
-  // Fetch resource details to extract blob_object_id
+  // Fetch resource details to extract blob_object_id and blob_id
   const resource_ids = resource_entries.map(r => r.objectId)
-  const resource_objects =
-    resource_ids.length > 0
-      ? await sui_client.multiGetObjects({
-          ids: resource_ids,
-          options: { showContent: true },
-        })
-      : []
-
-  // Extract blob_object_id from each resource
-  const blob_object_ids = []
+  const resource_objects = []
+  for (let i = 0; i < resource_ids.length; i += MULTI_GET_LIMIT) {
+    resource_objects.push(
+      ...(await sui_client.multiGetObjects({
+        ids: resource_ids.slice(i, i + MULTI_GET_LIMIT),
+        options: { showContent: true },
+      })),
+    )
+  }
+
+  const blob_object_ids = new Set()
+  const quilt_ids = new Set()
   for (const res of resource_objects) {
     if (!res.data) continue
     const { fields } = /** @type {any} */ (res.data.content)
     if (fields.blob_object_id) {
-      blob_object_ids.push(fields.blob_object_id)
+      blob_object_ids.add(fields.blob_object_id)
+    }
+    if (fields.blob_id) {
+      quilt_ids.add(get_quilt_id(fields.blob_id))
     }
   }
 
-  return blob_object_ids
+  if (walrus_client && owner && quilt_ids.size > 0) {
+    const owned = await find_owned_blobs(walrus_client, sui_client, owner, [
+      ...quilt_ids,
+    ])
+    for (const ids of owned.values()) {
+      for (const id of ids) blob_object_ids.add(id)
+    }
+  }
+
+  return [...blob_object_ids]
 }
 
 /**
- * Extend a blob's storage duration using Walrus CLI
+ * Select blobs that expire within the given number of epochs
+ * Blobs with an unknown end epoch are always selected
+ * @param {Map<string, number|null>} end_epochs - End epoch by blob object ID
+ * @param {number} current_epoch - Current Walrus epoch
+ * @param {number} min_remaining - Renew blobs with fewer remaining epochs than this
+ * @returns {{to_renew: string[], skipped: string[]}}
+ */
+function select_expiring_blobs(end_epochs, current_epoch, min_remaining) {
+  const to_renew = []
+  const skipped = []
+
+  for (const [id, end_epoch] of end_epochs) {
+    if (end_epoch === null || end_epoch - current_epoch < min_remaining) {
+      to_renew.push(id)
+    } else {
+      skipped.push(id)
+    }
+  }
+
+  return { to_renew, skipped }
+}
+
+/**
+ * Extend a blob's storage duration
+ * Runs one extend transaction paid from the signer's WAL
+ * @param {import('@mysten/walrus').WalrusClient} walrus_client - Walrus client
+ * @param {import('../lib/signer.js').Keypair} signer - Transaction signer
  * @param {string} blob_object_id - Blob object ID
  * @param {number} epochs - Number of epochs to extend
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, digest?: string, error?: string}>}
  */
-async function extend_blob(blob_object_id, epochs) {
+async function extend_blob(walrus_client, signer, blob_object_id, epochs) {
   try {
-    execSync(
-      `walrus extend --blob-obj-id ${blob_object_id} --epochs-extended ${epochs} --json`,
-      {
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe'],
-      },
-    )
-    return { success: true }
+    const { digest } = await walrus_client.executeExtendBlobTransaction({
+      blobObjectId: blob_object_id,
+      epochs,
+      signer,
+    })
+    return { success: true, digest }
   } catch (err) {
     return {
       success: false,
-      error: err.stderr || err.message || 'Unknown error',
+      error: err.message || 'Unknown error',
     }
   }
 }
 
 /**
  * Renew storage for all blobs in a site
- * @param {string} site_id - Site object ID
+ * @param {string} site_identifier - Site object ID or site name
  * @param {Object} [options] - Command options
  * @param {string} [options.network] - Network (testnet|mainnet)
  * @param {number} [options.epochs] - Number of epochs to extend
+ * @param {number} [options.minRemaining] - Only extend blobs with fewer remaining epochs
  * @param {boolean} [options.yes] - Skip confirmations
  * @param {boolean} [options.json] - JSON output mode
  * @returns {Promise<void>}
  */
-export async function renew(site_id, options = {}) {
+export async function renew(site_identifier, options = {}) {
   const {
     network = 'testnet',
     yes: auto_yes = false,
     json: json_mode = false,
+    minRemaining: min_remaining = null,
   } = options
   let { epochs } = options
 
   // Validate site ID
-  if (!site_id) {
-    throw new Error('Site ID is required. Use: versui renew <site-id>')
+  if (!site_identifier) {
+    throw new Error('Site ID is required. Use: versui renew <site-id|name>')
+  }
+
+  if (
+    min_remaining !== null &&
+    (!Number.isInteger(min_remaining) || min_remaining < 1)
+  ) {
+    throw new Error('--min-remaining must be a positive integer')
   }
 
   // Check wallet
-  const wallet = get_sui_active_address()
-  if (!wallet) {
+  const signer = get_signer()
+  if (!signer) {
     throw new Error('No active Sui wallet. Run: sui client new-address ed25519')
   }
+  const wallet = signer.toSuiAddress()
 
   const rpc_url = getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet')
   const sui_client = new SuiClient({ url: rpc_url })
@@ -139,12 +203,40 @@ export async function renew(site_id, options = {}) {
     isSilent: json_mode || !process.stdout.isTTY,
   }).start()
 
-  // Fetch blob object IDs
-  const blob_object_ids = await fetch_site_blob_objects(site_id, sui_client)
+  const site_id = await resolve_site_id(site_identifier, wallet, network)
+
+  // Fetch blob object IDs and their current expiry
+  const walrus_client = create_walrus_client(network, sui_client)
+  const site_blob_ids = await fetch_site_blob_objects(site_id, sui_client, {
+    walrus_client,
+    owner: wallet,
+  })
+  const end_epochs = await fetch_blob_end_epochs(site_blob_ids, sui_client)
+
+  let current_epoch = null
+  try {
+    const { committee } = await walrus_client.systemState()
+    current_epoch = committee.epoch
+  } catch (err) {
+    if (min_remaining !== null) {
+      spinner.fail('Failed to read current Walrus epoch')
+      throw new Error(`Could not read current Walrus epoch: ${err.message}`)
+    }
+  }
+
+  let blob_object_ids = site_blob_ids
+  let skipped = []
+  if (min_remaining !== null) {
+    ;({ to_renew: blob_object_ids, skipped } = select_expiring_blobs(
+      end_epochs,
+      current_epoch,
+      min_remaining,
+    ))
+  }
 
   spinner.stop()
 
-  if (blob_object_ids.length === 0) {
+  if (site_blob_ids.length === 0) {
     if (json_mode) {
       console.log(JSON.stringify({ status: 'no_blobs', site_id }))
     } else {
@@ -159,13 +251,45 @@ export async function renew(site_id, options = {}) {
     return
   }
 
+  if (blob_object_ids.length === 0) {
+    if (json_mode) {
+      console.log(
+        JSON.stringify({
+          status: 'up_to_date',
+          site_id,
+          current_epoch,
+          min_remaining,
+          skipped: skipped.length,
+        }),
+      )
+    } else {
+      console.log('')
+      console.log(
+        chalk.green(
+          `  All ${skipped.length} blob${skipped.length === 1 ? '' : 's'} have at least ${min_remaining} epoch${min_remaining === 1 ? '' : 's'} remaining. Nothing to renew.`,
+        ),
+      )
+      console.log('')
+    }
+    return
+  }
+
   if (!json_mode) {
     console.log('')
     console.log(
       chalk.bold(
-        `  Found ${chalk.cyan(blob_object_ids.length)} blob${blob_object_ids.length === 1 ? '' : 's'} for site ${chalk.cyan(site_id.slice(0, 12))}...`,
+        `  Found ${chalk.cyan(site_blob_ids.length)} blob${site_blob_ids.length === 1 ? '' : 's'} for site ${chalk.cyan(site_id.slice(0, 12))}...`,
       ),
     )
+    for (const id of site_blob_ids) {
+      const end_epoch = end_epochs.get(id)
+      const remaining =
+        end_epoch === null || current_epoch === null
+          ? chalk.dim('expiry unknown')
+          : `expires epoch ${end_epoch} (${end_epoch - current_epoch} left)`
+      const marker = skipped.includes(id) ? chalk.dim('  skip') : '  renew'
+      console.log(`  ${marker} ${chalk.dim(id.slice(0, 12))}... ${remaining}`)
+    }
     console.log('')
   }
 
@@ -224,11 +348,19 @@ export async function renew(site_id, options = {}) {
       )
     }
 
-    const result = await extend_blob(blob_object_id, epochs)
+    const result = await extend_blob(
+      walrus_client,
+      signer,
+      blob_object_id,
+      epochs,
+    )
+    results.push({
+      blob_object_id,
+      end_epoch: end_epochs.get(blob_object_id) ?? null,
+      ...result,
+    })
 
-    if (json_mode) {
-      results.push({ blob_object_id, ...result })
-    } else {
+    if (!json_mode) {
       if (result.success) {
         spinner.succeed(
           `Extended ${chalk.green(blob_object_id.slice(0, 12))}... by ${epochs} epoch${epochs === 1 ? '' : 's'}`,
@@ -248,7 +380,9 @@ export async function renew(site_id, options = {}) {
       JSON.stringify({
         status: 'complete',
         site_id,
+        current_epoch,
         total: blob_object_ids.length,
+        skipped: skipped.length,
         success: success_count,
         failed: blob_object_ids.length - success_count,
         results,
@@ -266,4 +400,4 @@ export async function renew(site_id, options = {}) {
 }
 
 // Export for testing
-export { fetch_site_blob_objects, extend_blob }
+export { fetch_site_blob_objects, select_expiring_blobs, extend_blob }
@@ -0,0 +1,250 @@
+import { createServer } from 'node:http'
+import { join } from 'node:path'
+
+import chalk from 'chalk'
+
+import { scan_directory, read_file } from '../lib/files.js'
+import {
+  read_versui_config,
+  get_header_rules,
+  resolve_headers,
+  get_route_rules,
+  get_spa_options,
+  get_error_pages,
+  resolve_cache_options,
+  resolve_stream_paths,
+} from '../lib/config.js'
+import {
+  get_compress_encodings,
+  build_compressed_variants,
+  add_variant_metadata,
+} from '../lib/compress.js'
+import { generate_bootstrap } from '../lib/generate.js'
+
+import {
+  build_files_metadata,
+  build_integrity_map,
+} from './deploy/file-metadata.js'
+import { validate_directory } from './deploy/validate.js'
+
+const PATCH_ROUTE = /^\/v1\/blobs\/by-quilt-patch-id\/([a-zA-Z0-9_-]+)$/
+
+/**
+ * Build the bootstrap for a local directory, as deploy would, with the
+ * local server standing in for every aggregator
+ * Patch IDs are the file SHA-256, so edited files get new IDs and the SW
+ * cache never serves stale content across restarts
+ * @param {string} dir - Build directory
+ * @param {string} aggregator - Fake aggregator URL
+ * @returns {{html: string, sw: string, patches: Map<string, () => Buffer>}} Bootstrap and patch contents by ID
+ */
+export function build_preview(dir, aggregator) {
+  const versui_config = read_versui_config(join(dir, '..'))
+  const file_paths = scan_directory(dir, dir)
+  const { metadata: scanned_metadata } = build_files_metadata(file_paths, dir)
+  const variants = build_compressed_variants(
+    dir,
+    scanned_metadata,
+    get_compress_encodings(versui_config),
+  )
+  const file_metadata = add_variant_metadata(scanned_metadata, variants)
+  const paths = Object.keys(file_metadata)
+
+  const spa_options = get_spa_options(versui_config)
+  const error_pages = get_error_pages(versui_config)
+  if (spa_options.fallback && !file_metadata[spa_options.fallback]) {
+    throw new Error(
+      `Fallback document ${spa_options.fallback} is not in ${dir}. Check "spa" / "fallback" in .versui`,
+    )
+  }
+  for (const page of [error_pages.not_found, error_pages.unavailable]) {
+    if (page && !file_metadata[page]) {
+      throw new Error(
+        `Error page ${page} is not in ${dir}. Check "notFound" / "unavailable" in .versui`,
+      )
+    }
+  }
+
+  /** @type {Map<string, () => Buffer>} */
+  const patches = new Map()
+  /** @type {Object<string, string>} */
+  const resource_map = {}
+  for (const path of Object.keys(scanned_metadata)) {
+    const { hash } = file_metadata[path]
+    resource_map[path] = hash
+    patches.set(hash, () => read_file(join(dir, path)))
+  }
+  for (const { path, contents } of variants) {
+    const { hash } = file_metadata[path]
+    resource_map[path] = hash
+    patches.set(hash, () => contents)
+  }
+
+  const { html, sw } = generate_bootstrap(
+    versui_config?.name ?? 'Versui preview',
+    [aggregator],
+    resource_map,
+    {
+      integrity: build_integrity_map(file_metadata),
+      headers: resolve_headers(paths, get_header_rules(versui_config)),
+      routes: get_route_rules(versui_config),
+      ...spa_options,
+      not_found: error_pages.not_found,
+      unavailable_html: error_pages.unavailable
+        ? read_file(join(dir, error_pages.unavailable)).toString()
+        : null,
+      ...resolve_cache_options(paths, versui_config),
+      stream: resolve_stream_paths(paths, versui_config),
+    },
+  )
+
+  return { html, sw, patches }
+}
+
+/**
+ * Parse a single `bytes=` range against a content length
+ * @param {string|undefined} header - Range header
+ * @param {number} length - Content length
+ * @returns {{start: number, end: number}|null|false} Range, null without a usable header, false when unsatisfiable
+ */
+function parse_range(header, length) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header ?? '')
+  if (!match || (match[1] === '' && match[2] === '')) return null
+  const start =
+    match[1] === '' ? Math.max(0, length - Number(match[2])) : Number(match[1])
+  const end =
+    match[1] === '' || match[2] === ''
+      ? length - 1
+      : Math.min(Number(match[2]), length - 1)
+  return start > end || start >= length ? false : { start, end }
+}
+
+/**
+ * Start a local server hosting the bootstrap and a fake aggregator
+ * `/sw.js` is the generated SW, `/v1/blobs/by-quilt-patch-id/:id` serves
+ * local files, and every other path gets the bootstrap page like a static host
+ * @param {string} dir - Build directory
+ * @param {Object} [options] - Server options
+ * @param {string} [options.host] - Interface to listen on
+ * @param {number} [options.port] - Port (0 picks a free one)
+ * @returns {Promise<{server: import('node:http').Server, url: string}>} Running server and its URL
+ */
+export function start_preview_server(
+  dir,
+  { host = '127.0.0.1', port = 4173 } = {},
+) {
+  if (!validate_directory(dir)) {
+    throw new Error(`Invalid directory: ${dir}`)
+  }
+
+  /** @type {ReturnType<typeof build_preview>} */
+  let preview
+
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+
+    if (pathname === '/sw.js') {
+      res.writeHead(200, {
+        'Content-Type': 'text/javascript',
+        'Cache-Control': 'no-cache',
+      })
+      res.end(preview.sw)
+      return
+    }
+
+    const patch = PATCH_ROUTE.exec(pathname)
+    if (patch) {
+      const read = preview.patches.get(patch[1])
+      const cors = { 'Access-Control-Allow-Origin': '*' }
+      if (!read) {
+        res.writeHead(404, cors)
+        res.end('not found')
+        return
+      }
+      let content
+      try {
+        content = read()
+      } catch (err) {
+        // The file was deleted, renamed or made unreadable after startup
+        res.writeHead(err.code === 'ENOENT' ? 404 : 500, cors)
+        res.end(`${err.message}. Restart versui serve to pick up file changes`)
+        return
+      }
+      const range = parse_range(req.headers.range, content.length)
+      if (range === false) {
+        res.writeHead(416, {
+          ...cors,
+          'Content-Range': `bytes */${content.length}`,
+        })
+        res.end()
+        return
+      }
+      if (range) {
+        res.writeHead(206, {
+          ...cors,
+          'Content-Range': `bytes ${range.start}-${range.end}/${content.length}`,
+        })
+        res.end(content.subarray(range.start, range.end + 1))
+        return
+      }
+      res.writeHead(200, cors)
+      res.end(content)
+      return
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    })
+    res.end(preview.html)
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      const address = /** @type {import('node:net').AddressInfo} */ (
+        server.address()
+      )
+      const url = `http://${host === '127.0.0.1' ? 'localhost' : host}:${address.port}`
+      try {
+        preview = build_preview(dir, url)
+      } catch (err) {
+        server.close()
+        reject(err)
+        return
+      }
+      resolve({ server, url })
+    })
+  })
+}
+
+/**
+ * Preview a build locally through the generated bootstrap and SW
+ * @param {string} dir - Build directory
+ * @param {Object} [options] - Command options
+ * @param {string} [options.host] - Interface to listen on
+ * @param {number} [options.port] - Port
+ * @returns {Promise<import('node:http').Server>} Running server
+ */
+export async function serve(dir, options = {}) {
+  const { host = '127.0.0.1', port = 4173 } = options
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error('--port must be a port number')
+  }
+
+  const { server, url } = await start_preview_server(dir, { host, port })
+
+  console.log('')
+  console.log(chalk.green('  ✓ Serving ') + chalk.cyan(dir))
+  console.log('')
+  console.log(chalk.dim('  Site:       ') + chalk.cyan(url))
+  console.log(chalk.dim('  Aggregator: ') + chalk.cyan(`${url}/v1/blobs/...`))
+  console.log('')
+  console.log(
+    chalk.dim('  Files are hashed at startup. Restart after rebuilding.'),
+  )
+  console.log(chalk.dim('  Press Ctrl+C to stop.'))
+  console.log('')
+
+  return server
+}
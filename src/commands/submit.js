@@ -0,0 +1,485 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+
+import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
+import { fromBase64, toBase64 } from '@mysten/sui/utils'
+import { verifyTransactionSignature } from '@mysten/sui/verify'
+
+import { encode_base36 } from '../lib/base36.js'
+import { VERSUI_PACKAGE_IDS, get_versui_registry_id } from '../lib/env.js'
+import {
+  create_walrus_client,
+  encode_quilt_patch_id,
+  write_slivers_to_nodes,
+} from '../lib/walrus.js'
+
+import {
+  create_site_transaction,
+  add_resources_transaction,
+  batch_quilt_patches,
+} from './deploy/transaction.js'
+import { BLOB_FILE_VERSION } from './prepare.js'
+
+/**
+ * Stages that execute a transaction signed offline by the blob file sender
+ */
+const SIGNED_STAGES = ['register', 'create_site', 'add_resources']
+
+/**
+ * @typedef {Object} BlobFile
+ * @property {number} version - Blob file format version
+ * @property {'register' | 'upload' | 'create_site' | 'add_resources' | 'complete'} stage - Next step to run
+ * @property {string|null} tx - Pending unsigned transaction (base64) for signed stages
+ * @property {'testnet' | 'mainnet'} network - Network
+ * @property {number} n_shards - Walrus shard count the slivers were encoded for
+ * @property {string} sender - Address that signs every transaction
+ * @property {string} site_name - Site name
+ * @property {Record<string, {hash: string, size: number, content_type: string}>} file_metadata - File metadata
+ * @property {string} blob_id - Quilt blob ID
+ * @property {Object} metadata - Encoded blob metadata
+ * @property {Array<{shardIndex: number, sliverPairIndex: number, primary: string, secondary: string}>} slivers - Serialized sliver pairs by shard
+ * @property {{patches: Array<{identifier: string, startIndex: number, endIndex: number}>}} quilt_index - Quilt index
+ * @property {string} [blob_object_id] - Registered Blob object ID
+ * @property {Object} [certificate] - Aggregated storage certificate
+ * @property {string} [site_id] - Created Site object ID
+ * @property {string} [admin_cap_id] - Created SiteAdminCap object ID
+ * @property {string|number} [initial_shared_version] - Site initial shared version
+ * @property {number} [resource_batches_done] - add_resources transactions executed so far
+ * @property {Record<string, string>} [digests] - Executed transaction digests by stage
+ */
+
+/**
+ * Replace Uint8Arrays with the `__uint8array__` marker used by prepare
+ * @param {any} value - Value to encode
+ * @returns {any} JSON-safe value
+ */
+function encode_bytes(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_key, v) =>
+      v instanceof Uint8Array ? { __uint8array__: Array.from(v) } : v,
+    ),
+  )
+}
+
+/**
+ * Restore Uint8Arrays from the `__uint8array__` marker used by prepare
+ * @param {any} value - JSON value
+ * @returns {any} Value with Uint8Arrays restored
+ */
+export function decode_bytes(value) {
+  return JSON.parse(JSON.stringify(value), (_key, v) =>
+    v && Array.isArray(v.__uint8array__) ? new Uint8Array(v.__uint8array__) : v,
+  )
+}
+
+/**
+ * Group the sliver pairs written by prepare by node of the current committee
+ * Shards only move between nodes across epochs, so slivers encoded in an
+ * earlier epoch are still valid
+ * @param {BlobFile['slivers']} slivers - Serialized sliver pairs by shard
+ * @param {number[][]} node_shards - Shard indices of each committee node, in node index order
+ * @returns {Array<{primary: Array<{sliverPairIndex: number, sliver: Uint8Array}>, secondary: Array<{sliverPairIndex: number, sliver: Uint8Array}>}>} Slivers by node index
+ */
+export function assign_slivers_to_nodes(slivers, node_shards) {
+  const by_shard = new Map(slivers.map(pair => [pair.shardIndex, pair]))
+  return node_shards.map(shards => {
+    const pairs = shards.map(shard => by_shard.get(shard)).filter(Boolean)
+    return {
+      primary: pairs.map(pair => ({
+        sliverPairIndex: pair.sliverPairIndex,
+        sliver: fromBase64(pair.primary),
+      })),
+      secondary: pairs.map(pair => ({
+        sliverPairIndex: pair.sliverPairIndex,
+        sliver: fromBase64(pair.secondary),
+      })),
+    }
+  })
+}
+
+/**
+ * Check the slivers still fit the Walrus committee
+ * Epoch changes are fine; a different shard count needs a new encoding
+ * @param {BlobFile} blob - Blob file
+ * @param {import('@mysten/walrus').WalrusClient} walrus_client - Walrus client
+ * @returns {Promise<void>}
+ */
+async function assert_shard_count(blob, walrus_client) {
+  const { committee } = await walrus_client.systemState()
+  if (committee.n_shards !== blob.n_shards) {
+    throw new Error(
+      `Walrus shard count changed since prepare (${blob.n_shards} → ${committee.n_shards}). Re-run versui prepare.`,
+    )
+  }
+}
+
+/**
+ * Build quilt patches (identifier + patch ID) from the stored quilt index
+ * @param {{patches: Array<{identifier: string, startIndex: number, endIndex: number}>}} quilt_index - Quilt index
+ * @param {string} blob_id - Quilt blob ID
+ * @returns {Array<{identifier: string, quiltPatchId: string}>}
+ */
+export function build_quilt_patches(quilt_index, blob_id) {
+  return quilt_index.patches.map(patch => ({
+    identifier: patch.identifier,
+    quiltPatchId: encode_quilt_patch_id(blob_id, patch),
+  }))
+}
+
+/**
+ * Split the blob file's resources into add_resources batches
+ * @param {BlobFile} blob - Blob file
+ * @returns {Array<Array<{identifier: string, quiltPatchId: string}>>} Patches per transaction
+ */
+function resource_batches(blob) {
+  return batch_quilt_patches(
+    build_quilt_patches(blob.quilt_index, blob.blob_id),
+    blob.file_metadata,
+  )
+}
+
+/**
+ * Read and validate a blob file
+ * @param {string} file - Blob file path
+ * @returns {BlobFile}
+ */
+export function read_blob_file(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Blob file not found: ${file}`)
+  }
+
+  let blob
+  try {
+    blob = JSON.parse(readFileSync(file, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Failed to parse blob file: ${error.message}`)
+  }
+
+  if (blob.version !== BLOB_FILE_VERSION) {
+    throw new Error(
+      `Unsupported blob file version ${blob.version} (expected ${BLOB_FILE_VERSION}). Re-run versui prepare.`,
+    )
+  }
+  if (!['testnet', 'mainnet'].includes(blob.network)) {
+    throw new Error('Invalid blob file: unknown network')
+  }
+  if (!blob.sender || !blob.stage) {
+    throw new Error('Invalid blob file: missing sender or stage')
+  }
+
+  return blob
+}
+
+/**
+ * Find a created object in transaction object changes
+ * @param {any} tx_result - Transaction response
+ * @param {string} type_suffix - Object type suffix (e.g. '::site::Site')
+ * @returns {any} Object change or undefined
+ */
+function find_created(tx_result, type_suffix) {
+  return tx_result?.objectChanges?.find(
+    c => c.type === 'created' && c.objectType?.endsWith(type_suffix),
+  )
+}
+
+/**
+ * Execute a transaction signed elsewhere
+ * The signature is verified against the sender before anything is submitted
+ * @param {SuiClient} sui_client - Sui client
+ * @param {string} tx_base64 - Transaction bytes (base64)
+ * @param {string} signature - Serialized signature (base64, flag || sig || pubkey)
+ * @param {string} sender - Expected signer address
+ * @returns {Promise<any>} Transaction response
+ */
+async function execute_signed(sui_client, tx_base64, signature, sender) {
+  try {
+    await verifyTransactionSignature(fromBase64(tx_base64), signature, {
+      address: sender,
+    })
+  } catch {
+    throw new Error(
+      `Signature does not match the pending transaction for ${sender}`,
+    )
+  }
+
+  const response = await sui_client.executeTransactionBlock({
+    transactionBlock: tx_base64,
+    signature,
+    options: { showEffects: true, showObjectChanges: true },
+  })
+
+  if (response.effects?.status?.status !== 'success') {
+    throw new Error(
+      response.effects?.status?.error ||
+        `Transaction ${response.digest} failed`,
+    )
+  }
+
+  await sui_client.waitForTransaction({ digest: response.digest })
+  return response
+}
+
+/**
+ * Record the effects of an executed signed stage and move to the next stage
+ * @param {BlobFile} blob - Blob file
+ * @param {any} tx_result - Transaction response
+ * @returns {BlobFile} Updated blob file
+ */
+export function apply_stage_result(blob, tx_result) {
+  // Later add_resources batches are recorded as add_resources_2, _3, ...
+  const batches_done = blob.resource_batches_done ?? 0
+  const digest_key =
+    blob.stage === 'add_resources' && batches_done > 0
+      ? `add_resources_${batches_done + 1}`
+      : blob.stage
+  const digests = { ...blob.digests, [digest_key]: tx_result.digest }
+
+  if (blob.stage === 'register') {
+    const blob_obj = find_created(tx_result, '::blob::Blob')
+    if (!blob_obj?.objectId) {
+      throw new Error('Failed to extract Blob object ID from transaction')
+    }
+    return {
+      ...blob,
+      stage: 'upload',
+      tx: null,
+      blob_object_id: blob_obj.objectId,
+      digests,
+    }
+  }
+
+  if (blob.stage === 'create_site') {
+    const site_obj = find_created(tx_result, '::site::Site')
+    const admin_cap_obj = find_created(tx_result, '::site::SiteAdminCap')
+    const initial_shared_version =
+      site_obj?.owner?.Shared?.initial_shared_version
+    if (!site_obj?.objectId || !admin_cap_obj?.objectId) {
+      throw new Error(
+        'Failed to extract Site ID or AdminCap ID from transaction',
+      )
+    }
+    if (!initial_shared_version) {
+      throw new Error(
+        'Failed to extract initial_shared_version from Site object',
+      )
+    }
+    return {
+      ...blob,
+      stage: 'add_resources',
+      tx: null,
+      site_id: site_obj.objectId,
+      admin_cap_id: admin_cap_obj.objectId,
+      initial_shared_version,
+      digests,
+    }
+  }
+
+  if (batches_done + 1 < resource_batches(blob).length) {
+    return {
+      ...blob,
+      tx: null,
+      resource_batches_done: batches_done + 1,
+      digests,
+    }
+  }
+
+  return { ...blob, stage: 'complete', tx: null, digests }
+}
+
+/**
+ * Build the unsigned transaction for a signed stage
+ * @param {BlobFile} blob - Blob file
+ * @param {Object} clients - Clients
+ * @param {SuiClient} clients.sui_client - Sui client
+ * @param {import('@mysten/walrus').WalrusClient} clients.walrus_client - Walrus client
+ * @returns {Promise<string>} Transaction bytes (base64)
+ */
+async function build_stage_transaction(blob, { sui_client, walrus_client }) {
+  const { network, sender } = blob
+  const package_id = VERSUI_PACKAGE_IDS[network]
+  if (!package_id) {
+    throw new Error(`Versui package not deployed on ${network} yet`)
+  }
+
+  let tx
+  if (blob.stage === 'create_site') {
+    const versui_object_id = get_versui_registry_id(network)
+    if (!versui_object_id) {
+      throw new Error(`Versui registry not deployed on ${network} yet`)
+    }
+
+    // Certify the quilt and create the Site in one transaction (one signature)
+    tx = create_site_transaction({
+      package_id,
+      versui_object_id,
+      wallet: sender,
+      site_name: blob.site_name,
+      network,
+    })
+    tx.add(
+      walrus_client.certifyBlob({
+        blobId: blob.blob_id,
+        blobObjectId: blob.blob_object_id,
+        certificate: decode_bytes(blob.certificate),
+        deletable: true,
+      }),
+    )
+  } else {
+    tx = add_resources_transaction({
+      package_id,
+      wallet: sender,
+      admin_cap_id: blob.admin_cap_id,
+      site_id: blob.site_id,
+      initial_shared_version: blob.initial_shared_version,
+      quilt_patches: resource_batches(blob)[blob.resource_batches_done ?? 0],
+      file_metadata: blob.file_metadata,
+      network,
+    })
+  }
+
+  return toBase64(await tx.build({ client: sui_client }))
+}
+
+/**
+ * Upload slivers to storage nodes and aggregate the storage certificate
+ * Needs no key material: storage nodes only check the registered Blob object
+ * @param {BlobFile} blob - Blob file
+ * @param {import('@mysten/walrus').WalrusClient} walrus_client - Walrus client
+ * @returns {Promise<BlobFile>} Updated blob file
+ */
+async function upload_stage(blob, walrus_client) {
+  await assert_shard_count(blob, walrus_client)
+  const { committee } = await walrus_client.stakingState()
+
+  console.error('Uploading slivers to storage nodes...')
+  const confirmations = await write_slivers_to_nodes(walrus_client, {
+    blob_id: blob.blob_id,
+    metadata: decode_bytes(blob.metadata),
+    slivers_by_node: assign_slivers_to_nodes(
+      blob.slivers,
+      committee[0].contents.map(node => node.value),
+    ),
+    deletable: true,
+    object_id: blob.blob_object_id,
+    n_shards: blob.n_shards,
+    on_node: (done, failed, total) => {
+      console.error(
+        `  ${done}/${total} nodes stored${failed ? `, ${failed} failed` : ''}`,
+      )
+    },
+  })
+
+  const certificate = await walrus_client.certificateFromConfirmations({
+    confirmations,
+    blobId: blob.blob_id,
+    deletable: true,
+    blobObjectId: blob.blob_object_id,
+  })
+
+  return {
+    ...blob,
+    stage: 'create_site',
+    tx: null,
+    certificate: encode_bytes(certificate),
+  }
+}
+
+/**
+ * Submit a prepared deployment, one offline signature at a time
+ *
+ * Each run executes the pending transaction with the given signature, does
+ * any off-chain work (sliver upload), then writes and prints the next
+ * unsigned transaction. Progress is saved to the blob file after every step,
+ * so an interrupted run can be resumed by running submit again.
+ *
+ * Stages: register → upload → create_site → add_resources → complete
+ * @param {string} file - Blob file written by versui prepare
+ * @param {Object} [options] - Command options
+ * @param {string} [options.signature] - Signature for the pending transaction
+ * @returns {Promise<void>}
+ */
+export async function submit(file, options = {}) {
+  let { signature = null } = options
+  let blob = read_blob_file(file)
+
+  const sui_client = new SuiClient({ url: getFullnodeUrl(blob.network) })
+  const walrus_client = create_walrus_client(blob.network, sui_client)
+
+  const save = next => {
+    blob = next
+    writeFileSync(file, JSON.stringify(blob))
+  }
+
+  while (blob.stage !== 'complete') {
+    if (blob.stage === 'upload') {
+      save(await upload_stage(blob, walrus_client))
+      continue
+    }
+
+    if (!SIGNED_STAGES.includes(blob.stage)) {
+      throw new Error(`Invalid blob file: unknown stage "${blob.stage}"`)
+    }
+    // Fail before registering (and paying for) a blob that can't be uploaded
+    if (blob.stage === 'register') {
+      await assert_shard_count(blob, walrus_client)
+    }
+
+    if (!blob.tx) {
+      console.error(`Building ${blob.stage} transaction...`)
+      save({
+        ...blob,
+        tx: await build_stage_transaction(blob, { sui_client, walrus_client }),
+      })
+    }
+
+    // add_resources may take several transactions to fit Sui's limits
+    const batch =
+      blob.stage === 'add_resources'
+        ? {
+            batch: (blob.resource_batches_done ?? 0) + 1,
+            batches: resource_batches(blob).length,
+          }
+        : {}
+    const label = batch.batches > 1 ? ` (${batch.batch}/${batch.batches})` : ''
+
+    if (!signature) {
+      console.error(
+        `Sign the ${blob.stage} transaction${label} for ${blob.sender}, then run: versui submit ${file} --signature <sig>`,
+      )
+      console.log(
+        JSON.stringify({
+          status: 'pending',
+          stage: blob.stage,
+          ...batch,
+          tx: blob.tx,
+        }),
+      )
+      return
+    }
+
+    console.error(`Executing ${blob.stage} transaction${label}...`)
+    const tx_result = await execute_signed(
+      sui_client,
+      blob.tx,
+      signature,
+      blob.sender,
+    )
+    signature = null
+    save(apply_stage_result(blob, tx_result))
+  }
+
+  const subdomain = encode_base36(blob.site_id)
+  console.error('Deployment complete. Run versui regenerate for bootstrap.')
+  console.log(
+    JSON.stringify({
+      status: 'success',
+      site_id: blob.site_id,
+      admin_cap_id: blob.admin_cap_id,
+      blob_id: blob.blob_id,
+      blob_object_id: blob.blob_object_id,
+      subdomain,
+      url: `https://${subdomain}.walrus.site`,
+      patches: blob.quilt_index.patches.length,
+      digests: blob.digests,
+    }),
+  )
+}
@@ -1,7 +1,4 @@
-import { execSync, spawnSync } from 'node:child_process'
-
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
-import { toBase64 } from '@mysten/sui/utils'
 import chalk from 'chalk'
 import ora from 'ora'
 import prompts from 'prompts'
@@ -15,42 +12,12 @@ import {
   get_suins_client,
 } from '../lib/suins.js'
 import { get_versui_package_id, get_original_package_id } from '../lib/env.js'
-
-/**
- * Get active Sui network from CLI
- * @returns {'mainnet' | 'testnet'} Network name (testnet|mainnet)
- */
-function get_active_network() {
-  try {
-    const output = execSync('sui client active-env', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return /** @type {'mainnet' | 'testnet'} */ (output.trim())
-  } catch {
-    throw new Error(
-      'Could not determine active Sui network. Run: sui client active-env',
-    )
-  }
-}
-
-/**
- * Get active wallet address from Sui CLI
- * @returns {string} Wallet address
- */
-function get_active_address() {
-  try {
-    const output = execSync('sui client active-address', {
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'ignore'],
-    })
-    return output.trim()
-  } catch {
-    throw new Error(
-      'Could not get active wallet address. Run: sui client active-address',
-    )
-  }
-}
+import {
+  get_active_address,
+  get_active_network,
+  load_signer,
+  sign_and_execute,
+} from '../lib/signer.js'
 
 /**
  * Get Site object info including name
@@ -212,27 +179,10 @@ export async function suins_add(name, options = {}) {
     // Execute transaction
     spinner.start('Executing transaction...')
     result.transaction.setSender(address)
-    const tx_bytes = await result.transaction.build({ client: sui_client })
-    const tx_base64 = toBase64(tx_bytes)
-
-    const spawn_result = spawnSync(
-      'sui',
-      ['client', 'serialized-tx', tx_base64, '--json'],
-      {
-        encoding: 'utf8',
-        stdio: ['inherit', 'pipe', 'pipe'],
-      },
-    )
-
-    if (spawn_result.error) {
-      throw spawn_result.error
-    }
-
-    if (spawn_result.status !== 0) {
-      throw new Error(`sui command failed with status ${spawn_result.status}`)
-    }
-
-    const tx_result = JSON.parse(spawn_result.stdout)
+    const tx_result = await sign_and_execute(result.transaction, {
+      client: sui_client,
+      signer: load_signer(),
+    })
     const status = tx_result?.effects?.status?.status
 
     if (status === 'success') {
@@ -1,36 +1,61 @@
-import { execSync, spawn } from 'node:child_process'
-import { relative } from 'node:path'
+import { spawn } from 'node:child_process'
+import { join, relative } from 'node:path'
 
 import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
 import { Transaction } from '@mysten/sui/transactions'
-import { fromBase64, toBase64 } from '@mysten/sui/utils'
+import { fromHex } from '@mysten/sui/utils'
 import chalk from 'chalk'
 import ora from 'ora'
 
-import { scan_directory } from '../lib/files.js'
+import { scan_directory, read_file } from '../lib/files.js'
+import { add_variant_metadata, stage_variant_files } from '../lib/compress.js'
 import {
   get_versui_package_id,
   get_original_package_id,
   get_version_object_id,
 } from '../lib/env.js'
+import {
+  read_versui_config,
+  get_header_rules,
+  resolve_headers,
+} from '../lib/config.js'
+import {
+  compute_delta,
+  read_manifest,
+  write_manifest,
+  build_manifest,
+  is_manifest_current,
+  find_site_version,
+  compare_files,
+} from '../lib/delta.js'
+import {
+  create_journal,
+  read_journal,
+  record_step,
+  clear_journal,
+  assert_resumable,
+  get_journal_path,
+} from '../lib/journal.js'
+import { fetch_site_resources, resolve_project_site_id } from '../lib/sui.js'
+import { batch_calls, estimate_call_size } from '../lib/batch.js'
+import { load_signer, sign_and_execute } from '../lib/signer.js'
+import {
+  create_walrus_client,
+  store_quilts,
+  plan_quilts,
+  get_stored_quilts,
+} from '../lib/walrus.js'
 
 import { validate_directory, check_prerequisites } from './deploy/validate.js'
-import { build_files_metadata } from './deploy/file-metadata.js'
-
-/**
- * Get active wallet address from Sui CLI
- * @returns {string|null} Wallet address or null
- */
-function get_sui_active_address() {
-  try {
-    return execSync('sui client active-address', {
-      encoding: 'utf8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    }).trim()
-  } catch {
-    return null
-  }
-}
+import {
+  sum_walrus_price_estimates,
+  get_sui_gas_estimate,
+} from './deploy/estimate.js'
+import {
+  build_files_metadata,
+  build_generated_files,
+} from './deploy/file-metadata.js'
+import { simulate_transaction, print_plan } from './deploy/plan.js'
 
 /**
  * Run a command asynchronously (non-blocking for spinner animation)
@@ -74,72 +99,6 @@ function run_command_async(cmd, args, spawn_fn = spawn) {
   })
 }
 
-/**
- * Fetch site data and existing resources from Sui
- * @param {string} site_id - Site object ID
- * @param {SuiClient} sui_client - Sui client
- * @returns {Promise<{site_fields: any, resources: Map<string, {blob_id: string, hash: string, size: number}>}>}
- */
-async function fetch_site_resources(site_id, sui_client) {
-  const site_obj = await sui_client.getObject({
-    id: site_id,
-    options: { showContent: true },
-  })
-
-  if (!site_obj.data) {
-    throw new Error(`Site not found: ${site_id}`)
-  }
-
-  const { fields: site_fields } = /** @type {any} */ (site_obj.data.content)
-  const resources_table_id = site_fields.resources.fields.id.id
-
-  // Fetch all resources from table
-  const resource_entries = []
-  let cursor = null
-  let has_next_page = true
-
-  while (has_next_page) {
-    const page = await sui_client.getDynamicFields({
-      parentId: resources_table_id,
-      cursor,
-    })
-
-    resource_entries.push(...page.data)
-    has_next_page = page.hasNextPage
-    cursor = page.nextCursor
-  }
-
-  // Fetch resource details
-  const resource_ids = resource_entries.map(r => r.objectId)
-  const resource_objects =
-    resource_ids.length > 0
-      ? await sui_client.multiGetObjects({
-          ids: resource_ids,
-          options: { showContent: true },
-        })
-      : []
-
-  // Build resource map
-  /** @type {Map<string, {blob_id: string, hash: string, size: number}>} */
-  const resources = new Map()
-  for (const res of resource_objects) {
-    if (!res.data) continue
-    const { fields } = /** @type {any} */ (res.data.content)
-    // blob_hash is stored as vector<u8>, convert to hex for comparison
-    const hash_bytes = fields.blob_hash || []
-    const hash_hex = Array.from(hash_bytes)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('')
-    resources.set(fields.path, {
-      blob_id: fields.blob_id,
-      hash: hash_hex,
-      size: Number(fields.size),
-    })
-  }
-
-  return { site_fields, resources }
-}
-
 /**
  * Find AdminCap for a site owned by the current wallet
  * @param {string} site_id - Site object ID
@@ -172,89 +131,108 @@ async function find_admin_cap(
   return null
 }
 
-/**
- * Compare local files with existing resources
- * @param {Record<string, {hash: string, size: number, content_type: string}>} local_files - Local file metadata
- * @param {Map<string, {blob_id: string, hash: string, size: number}>} existing_resources - Existing resources
- * @returns {{added: string[], updated: string[], deleted: string[], unchanged: string[]}}
- */
-export function compare_files(local_files, existing_resources) {
-  const local_paths = new Set(Object.keys(local_files))
-  const existing_paths = new Set(existing_resources.keys())
-
-  const added = []
-  const updated = []
-  const deleted = []
-  const unchanged = []
-
-  // Check local files
-  for (const path of local_paths) {
-    const local_info = local_files[path]
-    const existing_info = existing_resources.get(path)
-
-    if (!existing_info) {
-      added.push(path)
-    } else if (local_info.hash !== existing_info.hash) {
-      updated.push(path)
-    } else {
-      unchanged.push(path)
-    }
-  }
-
-  // Check deleted files
-  for (const path of existing_paths) {
-    if (!local_paths.has(path)) {
-      deleted.push(path)
-    }
-  }
-
-  return { added, updated, deleted, unchanged }
-}
-
 /**
  * Upload changed files to Walrus
  * @param {string} dir - Directory path
  * @param {string[]} file_paths - Absolute file paths to upload
  * @param {number} epochs - Storage epochs
- * @returns {Promise<{blob_id: string, blob_object_id: string, patches: Array<{identifier: string, quiltPatchId: string}>}>}
+ * @param {Object} params - Upload options
+ * @param {import('@mysten/walrus').WalrusClient} [params.walrus_client] - Walrus client (SDK upload)
+ * @param {import('@mysten/sui/cryptography').Signer} [params.signer] - Signer paying for storage
+ * @param {boolean} [params.walrus_cli] - Use the walrus binary instead of the SDK
+ * @param {(progress: import('../lib/walrus.js').UploadProgress) => void} [params.on_progress] - SDK progress callback
+ * @param {import('../lib/compress.js').GeneratedFile[]} [params.generated] - Generated files (compressed variants, header map) to upload with the files
+ * @param {import('../lib/walrus.js').StoredQuilts} [params.stored] - Quilts an interrupted upload already stored (SDK upload)
+ * @param {(stored: import('../lib/walrus.js').StoredQuilts) => void} [params.on_stored] - Called after each quilt is stored (SDK upload)
+ * @returns {Promise<{quilts: Array<{blob_id: string, blob_object_id: string, patches: number}>, patches: Array<{identifier: string, quiltPatchId: string}>}>} Stored quilts and the patches of all of them
  */
-async function upload_files_to_walrus(dir, file_paths, epochs) {
-  if (file_paths.length === 0) {
-    return { blob_id: null, blob_object_id: null, patches: [] }
+async function upload_files_to_walrus(
+  dir,
+  file_paths,
+  epochs,
+  {
+    walrus_client,
+    signer,
+    walrus_cli = false,
+    on_progress,
+    generated = [],
+    stored,
+    on_stored,
+  } = {},
+) {
+  if (file_paths.length === 0 && generated.length === 0) {
+    return { quilts: [], patches: [] }
   }
 
-  // Build --blobs args with JSON format
-  const blobs_args = ['--blobs']
-  for (const fp of file_paths) {
-    const rel = '/' + relative(dir, fp).replace(/\\/g, '/')
-    const blob_spec = JSON.stringify({ path: fp, identifier: rel })
-    blobs_args.push(blob_spec)
-  }
+  let result
+  if (walrus_cli) {
+    // Build --blobs args with JSON format
+    const blobs_args = ['--blobs']
+    for (const fp of file_paths) {
+      const rel = '/' + relative(dir, fp).replace(/\\/g, '/')
+      const blob_spec = JSON.stringify({ path: fp, identifier: rel })
+      blobs_args.push(blob_spec)
+    }
 
-  const output = await run_command_async('walrus', [
-    'store-quilt',
-    ...blobs_args,
-    '--epochs',
-    String(epochs),
-    '--json',
-  ])
-
-  const result = JSON.parse(output)
-  const blob_store = result.blobStoreResult
-  const blob_id =
-    blob_store?.newlyCreated?.blobObject?.blobId ||
-    blob_store?.alreadyCertified?.blobId
-  const blob_object_id =
-    blob_store?.newlyCreated?.blobObject?.id ||
-    blob_store?.alreadyCertified?.object
+    const staged = stage_variant_files(generated)
+    for (const spec of staged.specs) {
+      blobs_args.push(JSON.stringify(spec))
+    }
+
+    try {
+      const output = await run_command_async('walrus', [
+        'store-quilt',
+        ...blobs_args,
+        '--epochs',
+        String(epochs),
+        '--json',
+      ])
+      result = JSON.parse(output)
+    } finally {
+      staged.cleanup()
+    }
+  } else {
+    result = await store_quilts(walrus_client, {
+      files: [
+        ...file_paths.map(fp => ({
+          identifier: '/' + relative(dir, fp).replace(/\\/g, '/'),
+          contents: read_file(fp),
+        })),
+        ...generated.map(({ path, contents }) => ({
+          identifier: path,
+          contents,
+        })),
+      ],
+      epochs,
+      signer,
+      stored,
+      on_stored,
+      on_progress,
+    })
+  }
 
   return {
-    blob_id,
-    blob_object_id,
+    quilts: get_stored_quilts(result),
     patches: result.storedQuiltBlobs || [],
   }
 }
 
+/**
+ * Map normalized patch identifiers to quilt patch IDs
+ * @param {Array<{identifier: string, quiltPatchId: string}>} patches - Walrus patches
+ * @returns {Map<string, string>} Path -> quilt patch ID
+ */
+function build_patch_map(patches) {
+  const patch_map = new Map()
+  for (const patch of patches) {
+    const normalized = patch.identifier.startsWith('/')
+      ? patch.identifier
+      : '/' + patch.identifier
+    patch_map.set(normalized, patch.quiltPatchId)
+  }
+  return patch_map
+}
+
 /**
  * Build update transaction
  * @param {object} params - Transaction parameters
@@ -292,14 +270,7 @@ export function build_update_transaction({
     throw new Error(`Version object not deployed on ${network}`)
   }
 
-  // Build patch lookup map
-  const patch_map = new Map()
-  for (const patch of patches) {
-    const normalized = patch.identifier.startsWith('/')
-      ? patch.identifier
-      : '/' + patch.identifier
-    patch_map.set(normalized, patch.quiltPatchId)
-  }
+  const patch_map = build_patch_map(patches)
 
   const site_ref = tx.sharedObjectRef({
     objectId: site_id,
@@ -321,7 +292,7 @@ export function build_update_transaction({
         site_ref,
         tx.pure.string(path),
         tx.pure.string(patch_id),
-        tx.pure.vector('u8', Array.from(fromBase64(info.hash))),
+        tx.pure.vector('u8', Array.from(fromHex(info.hash))),
         tx.pure.string(info.content_type),
         tx.pure.u64(info.size),
       ],
@@ -342,7 +313,7 @@ export function build_update_transaction({
         site_ref,
         tx.pure.string(path),
         tx.pure.string(patch_id),
-        tx.pure.vector('u8', Array.from(fromBase64(info.hash))),
+        tx.pure.vector('u8', Array.from(fromHex(info.hash))),
         tx.pure.u64(info.size),
       ],
     })
@@ -364,46 +335,236 @@ export function build_update_transaction({
   return tx
 }
 
+/**
+ * Split an update into batches that fit Sui's transaction limits
+ * Each batch is passed to build_update_transaction with the same patches.
+ * Adds come first, then updates, then deletes; paths build_update_transaction
+ * would skip (no metadata or patch) are dropped
+ * @param {object} params - Update contents
+ * @param {string[]} params.added_paths - Paths of new files
+ * @param {string[]} params.updated_paths - Paths of updated files
+ * @param {string[]} params.deleted_paths - Paths of deleted files
+ * @param {Array<{identifier: string, quiltPatchId: string}>} params.patches - Walrus patches
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} params.file_metadata - File metadata
+ * @returns {Array<{added_paths: string[], updated_paths: string[], deleted_paths: string[]}>} Paths per transaction
+ */
+export function batch_update_paths({
+  added_paths,
+  updated_paths,
+  deleted_paths,
+  patches,
+  file_metadata,
+}) {
+  const patch_map = build_patch_map(patches)
+  const uploaded = path => file_metadata[path] && patch_map.has(path)
+  const calls = [
+    ...added_paths.filter(uploaded).map(path => ({ kind: 'added', path })),
+    ...updated_paths.filter(uploaded).map(path => ({ kind: 'updated', path })),
+    ...deleted_paths.map(path => ({ kind: 'deleted', path })),
+  ]
+
+  const batches = batch_calls(calls, ({ kind, path }) => {
+    if (kind === 'deleted') return estimate_call_size([path])
+    const info = file_metadata[path]
+    return estimate_call_size([
+      path,
+      patch_map.get(path),
+      fromHex(info.hash),
+      ...(kind === 'added' ? [info.content_type] : []),
+      info.size,
+    ])
+  })
+
+  return batches.map(batch => ({
+    added_paths: batch.filter(c => c.kind === 'added').map(c => c.path),
+    updated_paths: batch.filter(c => c.kind === 'updated').map(c => c.path),
+    deleted_paths: batch.filter(c => c.kind === 'deleted').map(c => c.path),
+  }))
+}
+
+/**
+ * Plan an update without uploading or signing
+ * The changed files are encoded into a quilt locally, so the patch IDs in
+ * the dry-run transaction are the ones a real upload produces
+ * @param {Object} params - Plan parameters
+ * @param {string} params.dir - Directory being deployed
+ * @param {string} params.network - Network (testnet|mainnet)
+ * @param {number} params.epochs - Storage epochs for new uploads
+ * @param {boolean} params.json_mode - JSON output mode
+ * @param {string} params.site_id - Site object ID
+ * @param {string|null} params.site_name - Site name
+ * @param {{added: string[], updated: string[], deleted: string[]}} params.diff - Changes to apply
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} params.file_metadata - Local files, including generated files
+ * @param {import('../lib/compress.js').GeneratedFile[]} params.generated - Generated files (compressed variants, header map)
+ * @param {Omit<Parameters<typeof build_update_transaction>[0], 'patches'>} params.transaction - Update transaction parameters
+ * @param {SuiClient} params.sui_client - Sui client
+ * @returns {Promise<import('./deploy/plan.js').DeployPlan>}
+ */
+async function update_dry_run({
+  dir,
+  network,
+  epochs,
+  json_mode,
+  site_id,
+  site_name,
+  diff,
+  file_metadata,
+  generated,
+  transaction,
+  sui_client,
+}) {
+  const upload_paths = [...diff.added, ...diff.updated]
+  const walrus_client = create_walrus_client(network, sui_client)
+
+  let quilts = []
+  let wal_cost = null
+  if (upload_paths.length > 0) {
+    quilts = await plan_quilts(
+      walrus_client,
+      upload_paths.map(path => ({
+        identifier: path,
+        contents:
+          generated.find(f => f.path === path)?.contents ??
+          read_file(join(dir, path)),
+      })),
+    )
+    wal_cost = await sum_walrus_price_estimates(
+      quilts.map(quilt => quilt.size),
+      epochs,
+      walrus_client,
+    )
+  }
+
+  const patches = quilts.flatMap(quilt => quilt.patches)
+  const batches = batch_update_paths({
+    added_paths: transaction.added_paths,
+    updated_paths: transaction.updated_paths,
+    deleted_paths: transaction.deleted_paths,
+    patches,
+    file_metadata,
+  })
+  // Batches touch disjoint paths, so each simulates against the current Site
+  const transactions = []
+  for (const [i, batch] of batches.entries()) {
+    transactions.push(
+      await simulate_transaction(
+        batches.length > 1 ? `update ${i + 1}/${batches.length}` : 'update',
+        build_update_transaction({ ...transaction, ...batch, patches }),
+        sui_client,
+      ),
+    )
+  }
+
+  const change_of = path =>
+    diff.added.includes(path)
+      ? 'added'
+      : diff.updated.includes(path)
+        ? 'updated'
+        : 'deleted'
+  const plan = {
+    status: /** @type {const} */ ('dry_run'),
+    action: /** @type {const} */ ('update'),
+    network,
+    site_name,
+    site_id,
+    files: [...upload_paths, ...diff.deleted].map(path => ({
+      path,
+      size: file_metadata[path]?.size ?? 0,
+      content_type: file_metadata[path]?.content_type ?? '',
+      change: change_of(path),
+    })),
+    quilts: quilts.map(quilt => ({
+      blob_id: quilt.blob_id,
+      size: quilt.size,
+      patches: quilt.patches.length,
+    })),
+    epochs,
+    wal_cost,
+    transactions,
+  }
+  print_plan(plan, json_mode)
+  return plan
+}
+
 /**
  * Update an existing site with new files
  * @param {string} dir - Directory to deploy
  * @param {Object} [options] - Command options
- * @param {string} [options.site] - Site object ID
+ * @param {string} [options.site] - Site object ID (derived from the site name when omitted)
+ * @param {string} [options.name] - Site name (overrides .versui and package.json)
  * @param {string} [options.network] - Network (testnet|mainnet)
  * @param {number} [options.epochs] - Storage epochs for new uploads
  * @param {boolean} [options.yes] - Skip confirmations
  * @param {boolean} [options.json] - JSON output mode
+ * @param {boolean} [options.walrusCli] - Upload with the walrus binary instead of the SDK
+ * @param {boolean} [options.dryRun] - Print the plan without uploading or signing
+ * @param {boolean} [options.resume] - Resume an interrupted update from its journal
  * @returns {Promise<void>}
  */
 export async function update(dir, options = {}) {
+  let { network = 'testnet', epochs = 1 } = options
   const {
-    site: site_id,
-    network = 'testnet',
-    epochs = 1,
+    site,
+    name,
     json: json_mode = false,
+    walrusCli: walrus_cli = false,
+    dryRun: dry_run = false,
+    resume = false,
   } = options
 
   // Validate inputs
-  if (!site_id) {
-    throw new Error('Site ID is required. Use --site <site-id>')
-  }
-
   if (!validate_directory(dir)) {
     throw new Error(`Invalid directory: ${dir}`)
   }
+  if (resume && dry_run) {
+    throw new Error('--resume cannot be combined with --dry-run')
+  }
+
+  // Resuming restores network, epochs and site from the journal
+  const project_dir = join(dir, '..')
+  const existing_journal = read_journal(project_dir, 'update')
+  if (resume) {
+    if (!existing_journal) {
+      throw new Error(
+        `No interrupted update to resume (${get_journal_path(project_dir, 'update')} not found)`,
+      )
+    }
+    ;({ network, epochs } = existing_journal)
+  } else if (existing_journal && !json_mode && !dry_run) {
+    console.log('')
+    console.log(
+      chalk.yellow(
+        `  ⚠ Found an interrupted update of "${existing_journal.site_name}". Use --resume to continue it;`,
+      ),
+    )
+    console.log(chalk.yellow('    this update will replace its journal.'))
+  }
 
   // Check prerequisites
-  const prereqs = check_prerequisites()
+  const prereqs = check_prerequisites({ walrus_cli })
   if (!prereqs.success) {
     throw new Error(
       `Missing prerequisites: ${prereqs.missing.join(', ')}. Install them first.`,
     )
   }
 
-  const wallet = get_sui_active_address()
-  if (!wallet) {
-    throw new Error('No active Sui wallet. Run: sui client new-address ed25519')
+  let signer
+  try {
+    signer = load_signer()
+  } catch (err) {
+    throw new Error(
+      `No Sui signer available: ${err.message}\n` +
+        'Set VERSUI_PRIVATE_KEY or run: sui client new-address ed25519',
+    )
   }
+  const wallet = signer.toSuiAddress()
+
+  const { site_id, site_name } = resolve_project_site_id(dir, {
+    site: resume ? existing_journal.site_id : site,
+    name,
+    wallet,
+    network,
+  })
 
   const package_id = get_versui_package_id(network)
   if (!package_id) {
@@ -435,21 +596,26 @@ export async function update(dir, options = {}) {
   )
   if (!admin_cap_id) {
     spinner.fail()
+    if (site_name) {
+      throw new Error(
+        `No site named "${site_name}" owned by ${wallet} on ${network}. ` +
+          'Deploy it first, or pass --site <site-id>.',
+      )
+    }
     throw new Error(
       `You don't have AdminCap for site ${site_id}. Only the site owner can update.`,
     )
   }
 
-  // Fetch existing site resources
-  const { site_fields, resources: existing_resources } =
-    await fetch_site_resources(site_id, sui_client)
-
-  // Get initial_shared_version from Site object
+  // Get initial_shared_version and current version from Site object
   const site_obj = await sui_client.getObject({
     id: site_id,
-    options: { showOwner: true },
+    options: { showOwner: true, showContent: true },
   })
-  const initial_shared_version = /** @type {any} */ (site_obj.data?.owner)
+  if (!site_obj.data) {
+    throw new Error(`Site not found: ${site_id}`)
+  }
+  const initial_shared_version = /** @type {any} */ (site_obj.data.owner)
     ?.Shared?.initial_shared_version
   if (!initial_shared_version) {
     throw new Error('Failed to get initial_shared_version from Site object')
@@ -459,17 +625,95 @@ export async function update(dir, options = {}) {
 
   // Scan local directory
   const file_paths = scan_directory(dir, dir)
-  const { metadata: file_metadata } = build_files_metadata(file_paths, dir)
+  const { metadata: scanned_metadata } = build_files_metadata(file_paths, dir)
+  const versui_config = read_versui_config(project_dir)
+  const generated = build_generated_files(dir, scanned_metadata, versui_config)
+  const file_metadata = add_variant_metadata(scanned_metadata, generated)
+
+  // Diff against the local manifest when it still matches the Site version,
+  // otherwise fall back to reading every resource from chain
+  const manifest = read_manifest(project_dir)
+  let site_fields
+  let diff
+  /** @type {Object<string, {blob_id: string}>} */
+  let previous_resources
+  if (
+    is_manifest_current(manifest, {
+      site_id,
+      network,
+      version: site_obj.data.version,
+    })
+  ) {
+    site_fields = /** @type {any} */ (site_obj.data.content).fields
+    const delta = compute_delta(file_metadata, manifest)
+    diff = {
+      added: delta.added,
+      updated: delta.modified,
+      deleted: delta.removed,
+      unchanged: delta.unchanged,
+    }
+    previous_resources = manifest.resources
+  } else {
+    spinner.text = 'Fetching site resources...'
+    const fetched = await fetch_site_resources(site_id, sui_client)
+    ;({ site_fields } = fetched)
+    diff = compare_files(file_metadata, fetched.resources)
+    previous_resources = Object.fromEntries(fetched.resources)
+  }
 
-  // Compare files
-  const diff = compare_files(file_metadata, existing_resources)
+  // A resumed update applies the changes it planned, not a fresh diff
+  // against a site its earlier batches already changed
+  if (resume) {
+    assert_resumable(existing_journal, { wallet, file_metadata })
+    const { added_paths, updated_paths, deleted_paths } =
+      existing_journal.changes
+    diff = {
+      added: added_paths,
+      updated: updated_paths,
+      deleted: deleted_paths,
+      unchanged: [],
+    }
+  }
 
   spinner.stop()
 
+  /**
+   * Save the manifest for the next run's local diff
+   * @param {string|number|null} site_version - Site version after this run
+   * @param {Array<{identifier: string, quiltPatchId: string}>} patches - Patches uploaded by this run
+   */
+  const save_manifest = (site_version, patches) => {
+    write_manifest(
+      project_dir,
+      build_manifest({
+        site_id,
+        network,
+        site_version,
+        file_metadata,
+        patches,
+        previous_resources,
+        headers: resolve_headers(
+          Object.keys(file_metadata),
+          get_header_rules(versui_config),
+        ),
+      }),
+    )
+  }
+
   // Check if there are any changes
   const total_changes =
     diff.added.length + diff.updated.length + diff.deleted.length
   if (total_changes === 0) {
+    if (
+      !dry_run &&
+      !is_manifest_current(manifest, {
+        site_id,
+        network,
+        version: site_obj.data.version,
+      })
+    ) {
+      save_manifest(site_obj.data.version, [])
+    }
     if (json_mode) {
       console.log(JSON.stringify({ status: 'no_changes', site_id }))
     } else {
@@ -480,8 +724,8 @@ export async function update(dir, options = {}) {
     return
   }
 
-  // Display diff
-  if (!json_mode) {
+  // Display diff (a dry run lists it in the plan)
+  if (!json_mode && !dry_run) {
     console.log('')
     console.log(
       chalk.bold(`  Updating site ${chalk.cyan(site_id.slice(0, 12))}...`),
@@ -501,66 +745,180 @@ export async function update(dir, options = {}) {
     console.log('')
   }
 
-  // Get absolute paths for files that need uploading
-  const files_to_upload = [...diff.added, ...diff.updated].map(rel_path => {
-    // Convert relative path back to absolute
-    const clean_path = rel_path.startsWith('/') ? rel_path.slice(1) : rel_path
-    return `${dir}/${clean_path}`
-  })
+  // Get absolute paths for files that need uploading (generated files are in memory)
+  const changed_paths = new Set([...diff.added, ...diff.updated])
+
+  if (dry_run) {
+    await update_dry_run({
+      dir,
+      network,
+      epochs,
+      json_mode,
+      site_id,
+      site_name: site_fields.name ?? site_name,
+      diff,
+      file_metadata,
+      generated,
+      transaction: {
+        package_id,
+        wallet,
+        admin_cap_id,
+        site_id,
+        initial_shared_version,
+        added_paths: diff.added,
+        updated_paths: diff.updated,
+        deleted_paths: diff.deleted,
+        file_metadata,
+        network,
+      },
+      sui_client,
+    })
+    return
+  }
 
-  // Upload changed files to Walrus
-  if (files_to_upload.length > 0) {
-    if (!json_mode) {
-      spinner.start(`Uploading ${files_to_upload.length} files to Walrus...`)
+  let journal = resume
+    ? existing_journal
+    : create_journal({
+        command: 'update',
+        network,
+        epochs,
+        site_name: site_fields.name ?? site_name,
+        wallet,
+        file_metadata,
+        site_id,
+        changes: {
+          added_paths: diff.added,
+          updated_paths: diff.updated,
+          deleted_paths: diff.deleted,
+        },
+      })
+
+  let patches
+  if (journal.steps.upload) {
+    // Upload finished in the interrupted update - reuse it
+    patches = journal.steps.upload.quilt_patches
+  } else {
+    const generated_to_upload = generated.filter(f => changed_paths.has(f.path))
+    const files_to_upload = [...changed_paths]
+      .filter(rel_path => !generated_to_upload.some(f => f.path === rel_path))
+      .map(rel_path => {
+        // Convert relative path back to absolute
+        const clean_path = rel_path.startsWith('/')
+          ? rel_path.slice(1)
+          : rel_path
+        return `${dir}/${clean_path}`
+      })
+    const upload_count = changed_paths.size
+
+    // Upload changed files to Walrus
+    if (upload_count > 0) {
+      if (!json_mode) {
+        spinner.start(`Uploading ${upload_count} files to Walrus...`)
+      }
     }
-  }
 
-  const { patches } = await upload_files_to_walrus(dir, files_to_upload, epochs)
+    let uploaded
+    try {
+      uploaded = await upload_files_to_walrus(dir, files_to_upload, epochs, {
+        walrus_client: create_walrus_client(network, sui_client),
+        signer,
+        walrus_cli,
+        generated: generated_to_upload,
+        stored: journal.steps.partial_upload,
+        on_stored: stored => {
+          journal = record_step(project_dir, journal, 'partial_upload', stored)
+        },
+        on_progress: event => {
+          if (json_mode || event.stage !== 'store') return
+          const quilt =
+            event.quilts > 1 ? `quilt ${event.quilt + 1}/${event.quilts}, ` : ''
+          spinner.text = `Uploading ${upload_count} files to Walrus... (${quilt}${event.nodes_done}/${event.nodes_total} nodes)`
+        },
+      })
+    } catch (err) {
+      if (!json_mode) spinner.fail('Upload failed')
+      if (journal.steps.partial_upload) {
+        throw new Error(
+          `Walrus upload failed: ${err.message}\n` +
+            `${journal.steps.partial_upload.quilts.length} quilt(s) were stored. ` +
+            `Resume with: versui update ${dir} --resume`,
+        )
+      }
+      throw err
+    }
+    ;({ patches } = uploaded)
 
-  if (files_to_upload.length > 0 && !json_mode) {
-    spinner.succeed(`Uploaded ${files_to_upload.length} files to Walrus`)
-  }
+    if (upload_count > 0 && !json_mode) {
+      spinner.succeed(`Uploaded ${upload_count} files to Walrus`)
+    }
 
-  // Build transaction
-  if (!json_mode) {
-    spinner.start('Building update transaction...')
+    journal = record_step(project_dir, journal, 'upload', {
+      quilts: uploaded.quilts,
+      quilt_patches: patches,
+    })
   }
 
-  const tx = build_update_transaction({
-    package_id,
-    wallet,
-    admin_cap_id,
-    site_id,
-    initial_shared_version,
+  // Register changes in batches that fit Sui's transaction limits; each
+  // completed batch is journaled so --resume continues with the next one
+  const batches = batch_update_paths({
     added_paths: diff.added,
     updated_paths: diff.updated,
     deleted_paths: diff.deleted,
     patches,
     file_metadata,
-    network,
   })
 
-  const tx_bytes = await tx.build({ client: sui_client })
-  const tx_base64 = toBase64(tx_bytes)
+  const batches_done = journal.steps.update_resources?.batches_done ?? 0
+  /** @type {string[]} */
+  const tx_digests = [...(journal.steps.update_resources?.digests ?? [])]
+  let tx_result
+  for (let i = batches_done; i < batches.length; i++) {
+    const batch = batches[i]
+    const label = batches.length > 1 ? ` ${i + 1}/${batches.length}` : ''
+    if (!json_mode) {
+      spinner.start(`Building update transaction${label}...`)
+    }
 
-  if (!json_mode) {
-    spinner.text = 'Executing update transaction...'
-  }
+    try {
+      const tx_bytes = await build_update_transaction({
+        package_id,
+        wallet,
+        admin_cap_id,
+        site_id,
+        initial_shared_version,
+        ...batch,
+        patches,
+        file_metadata,
+        network,
+      }).build({ client: sui_client })
+
+      const gas = await get_sui_gas_estimate(tx_bytes, sui_client)
+      if (!json_mode) {
+        spinner.text = `Executing update transaction${label}${gas === null ? '' : ` (~${gas.toFixed(6)} SUI)`}...`
+      }
 
-  // Execute transaction
-  let tx_result
-  try {
-    const output = await run_command_async('sui', [
-      'client',
-      'serialized-tx',
-      tx_base64,
-      '--json',
-    ])
-    tx_result = JSON.parse(output)
-  } catch (err) {
-    if (!json_mode) spinner.fail('Transaction failed')
-    throw new Error(`Transaction failed: ${err.stderr || err.message}`)
+      tx_result = await sign_and_execute(tx_bytes, {
+        client: sui_client,
+        signer,
+      })
+      tx_digests.push(tx_result?.digest)
+    } catch (err) {
+      if (!json_mode) spinner.fail(`Transaction${label} failed`)
+      throw new Error(
+        `Transaction failed: ${err.message}\n` +
+          (i > 0
+            ? `${i} of ${batches.length} update transactions were applied. `
+            : '') +
+          `Resume with: versui update ${dir} --resume`,
+      )
+    }
+
+    journal = record_step(project_dir, journal, 'update_resources', {
+      batches_done: i + 1,
+      digests: tx_digests,
+    })
   }
+  clear_journal(project_dir, 'update')
 
   if (!json_mode) {
     spinner.succeed('Site updated successfully!')
@@ -571,9 +929,11 @@ export async function update(dir, options = {}) {
       `  ${chalk.dim('Site:')}    ${chalk.cyan(site_fields.name || 'Unnamed')}`,
     )
     console.log(`  ${chalk.dim('ID:')}      ${chalk.magenta(site_id)}`)
-    console.log(
-      `  ${chalk.dim('Tx:')}      ${chalk.dim(tx_result?.digest || 'unknown')}`,
-    )
+    for (const [i, digest] of tx_digests.entries()) {
+      console.log(
+        `  ${chalk.dim(i === 0 ? 'Tx:' : '   ')}      ${chalk.dim(digest || 'unknown')}`,
+      )
+    }
     console.log('')
     console.log(chalk.dim('  Summary:'))
     console.log(`    ${chalk.green(`+ ${diff.added.length} added`)}`)
@@ -590,10 +950,13 @@ export async function update(dir, options = {}) {
         updated: diff.updated.length,
         deleted: diff.deleted.length,
         tx_digest: tx_result?.digest,
+        tx_digests,
       }),
     )
   }
+
+  save_manifest(find_site_version(tx_result?.objectChanges, site_id), patches)
 }
 
 // Export for testing
-export { fetch_site_resources, find_admin_cap, upload_files_to_walrus }
+export { find_admin_cap, upload_files_to_walrus }
@@ -0,0 +1,420 @@
+import { join } from 'node:path'
+import { performance } from 'node:perf_hooks'
+
+import { SuiClient, getFullnodeUrl } from '@mysten/sui/client'
+import chalk from 'chalk'
+import ora from 'ora'
+
+import { scan_directory } from '../lib/files.js'
+import { hash_content } from '../lib/hash.js'
+import {
+  read_versui_config,
+  get_aggregator_options,
+  get_header_rules,
+  resolve_headers,
+  build_headers_files,
+} from '../lib/config.js'
+import { add_variant_metadata, is_variant_path } from '../lib/compress.js'
+import { load_signer } from '../lib/signer.js'
+import { create_walrus_client } from '../lib/walrus.js'
+import { map_concurrent } from '../lib/batch.js'
+import {
+  fetch_blob_end_epochs,
+  fetch_site_resources,
+  resolve_site_id,
+} from '../lib/sui.js'
+import { compare_files } from '../lib/delta.js'
+
+import { build_files_metadata } from './deploy/file-metadata.js'
+import { validate_directory } from './deploy/validate.js'
+
+/**
+ * Responses slower than this are reported as slow (ms)
+ */
+export const DEFAULT_SLOW_THRESHOLD = 3000
+
+/**
+ * Patch downloads in flight at once across all aggregators
+ */
+const VERIFY_CONCURRENCY = 8
+
+/**
+ * Statuses that fail verification; `slow` is reported but passes
+ */
+const FAILING_STATUSES = ['missing', 'mismatch', 'expired', 'error']
+
+/**
+ * @typedef {Object} PatchCheck
+ * @property {string} path - Resource path
+ * @property {string} aggregator - Aggregator URL
+ * @property {'ok'|'slow'|'missing'|'mismatch'|'expired'|'error'} status - Result
+ * @property {number|null} ms - Download time (null when not downloaded)
+ * @property {string} [error] - Failure detail
+ */
+
+/**
+ * Download one quilt patch from an aggregator and check it against the
+ * on-chain SHA-256
+ * @param {string} aggregator - Aggregator URL
+ * @param {string} path - Resource path
+ * @param {{blob_id: string, hash: string}} resource - On-chain resource
+ * @param {Object} options - Check options
+ * @param {number} options.timeout - Abort the download after this many ms
+ * @param {number} options.slow_threshold - Report responses slower than this as slow (ms)
+ * @param {typeof fetch} [options.fetch_fn] - Fetch implementation (injectable for testing)
+ * @returns {Promise<PatchCheck>}
+ */
+export async function check_patch(
+  aggregator,
+  path,
+  resource,
+  { timeout, slow_threshold, fetch_fn = fetch },
+) {
+  const url = `${aggregator}/v1/blobs/by-quilt-patch-id/${resource.blob_id}`
+  const started = performance.now()
+  const elapsed = () => Math.round(performance.now() - started)
+
+  try {
+    const response = await fetch_fn(url, {
+      signal: AbortSignal.timeout(timeout),
+    })
+    if (response.status === 404) {
+      return { path, aggregator, status: 'missing', ms: elapsed() }
+    }
+    if (!response.ok) {
+      return {
+        path,
+        aggregator,
+        status: 'error',
+        ms: elapsed(),
+        error: `HTTP ${response.status}`,
+      }
+    }
+
+    const content = Buffer.from(await response.arrayBuffer())
+    const ms = elapsed()
+    const hash = hash_content(content)
+    if (hash !== resource.hash) {
+      return {
+        path,
+        aggregator,
+        status: 'mismatch',
+        ms,
+        error: `expected ${resource.hash}, got ${hash}`,
+      }
+    }
+    return {
+      path,
+      aggregator,
+      status: ms > slow_threshold ? 'slow' : 'ok',
+      ms,
+    }
+  } catch (err) {
+    const timed_out = err.name === 'TimeoutError' || err.name === 'AbortError'
+    return {
+      path,
+      aggregator,
+      status: 'error',
+      ms: elapsed(),
+      error: timed_out ? `timed out after ${timeout}ms` : err.message,
+    }
+  }
+}
+
+/**
+ * Check every resource on every aggregator
+ * Resources whose blob has expired on Walrus are reported as expired without
+ * downloading them
+ * @param {Map<string, {blob_id: string, hash: string, blob_object_id?: string}>} resources - On-chain resources
+ * @param {Object} options - Check options
+ * @param {string[]} options.aggregators - Aggregator URLs
+ * @param {number[]} options.timeouts - Per-aggregator timeouts (ms), aligned with aggregators
+ * @param {number} options.slow_threshold - Slow response threshold (ms)
+ * @param {Map<string, number|null>} [options.end_epochs] - Storage end epoch by blob object ID
+ * @param {number|null} [options.current_epoch] - Current Walrus epoch
+ * @param {typeof fetch} [options.fetch_fn] - Fetch implementation (injectable for testing)
+ * @returns {Promise<PatchCheck[]>} One check per resource and aggregator
+ */
+export async function check_resources(
+  resources,
+  {
+    aggregators,
+    timeouts,
+    slow_threshold,
+    end_epochs = new Map(),
+    current_epoch = null,
+    fetch_fn,
+  },
+) {
+  const jobs = []
+  for (const [path, resource] of resources) {
+    const end_epoch = end_epochs.get(resource.blob_object_id) ?? null
+    const expired =
+      end_epoch !== null && current_epoch !== null && end_epoch <= current_epoch
+    aggregators.forEach((aggregator, i) => {
+      jobs.push({ path, resource, aggregator, timeout: timeouts[i], expired })
+    })
+  }
+
+  return map_concurrent(jobs, VERIFY_CONCURRENCY, job =>
+    job.expired
+      ? Promise.resolve({
+          path: job.path,
+          aggregator: job.aggregator,
+          status: 'expired',
+          ms: null,
+        })
+      : check_patch(job.aggregator, job.path, job.resource, {
+          timeout: job.timeout,
+          slow_threshold,
+          fetch_fn,
+        }),
+  )
+}
+
+/**
+ * Count check results per aggregator
+ * @param {PatchCheck[]} checks - Check results
+ * @param {string[]} aggregators - Aggregator URLs (table order)
+ * @returns {Array<{aggregator: string, ok: number, slow: number, missing: number, mismatch: number, expired: number, error: number, avg_ms: number|null}>}
+ */
+export function summarize_checks(checks, aggregators) {
+  return aggregators.map(aggregator => {
+    const own = checks.filter(c => c.aggregator === aggregator)
+    const timed = own.filter(c => c.ms !== null)
+    const count = status => own.filter(c => c.status === status).length
+    return {
+      aggregator,
+      ok: count('ok'),
+      slow: count('slow'),
+      missing: count('missing'),
+      mismatch: count('mismatch'),
+      expired: count('expired'),
+      error: count('error'),
+      avg_ms:
+        timed.length > 0
+          ? Math.round(timed.reduce((sum, c) => sum + c.ms, 0) / timed.length)
+          : null,
+    }
+  })
+}
+
+/**
+ * Compare a local build directory with the on-chain resources
+ * The header map is rebuilt from the project's .versui so it matches what
+ * deploy stored. Compressed variants follow their source file and are left out
+ * @param {string} dir - Build directory
+ * @param {Map<string, {blob_id: string, hash: string, size: number}>} resources - On-chain resources
+ * @returns {{not_deployed: string[], changed: string[], not_local: string[]}}
+ */
+export function compare_local_build(dir, resources) {
+  const file_paths = scan_directory(dir, dir)
+  const { metadata } = build_files_metadata(file_paths, dir)
+  const header_rules = get_header_rules(read_versui_config(join(dir, '..')))
+  const { added, updated, deleted } = compare_files(
+    add_variant_metadata(
+      metadata,
+      build_headers_files(resolve_headers(Object.keys(metadata), header_rules)),
+    ),
+    new Map([...resources].filter(([path]) => !is_variant_path(path))),
+  )
+  return { not_deployed: added, changed: updated, not_local: deleted }
+}
+
+/**
+ * Print the per-aggregator table and the failing resources
+ * @param {ReturnType<typeof summarize_checks>} summary - Per-aggregator counts
+ * @param {PatchCheck[]} problems - Non-ok checks
+ * @param {ReturnType<typeof compare_local_build>|null} local - Local build comparison
+ */
+function print_report(summary, problems, local) {
+  const width = Math.max(10, ...summary.map(s => s.aggregator.length))
+  const columns = ['ok', 'slow', 'missing', 'mismatch', 'expired', 'error']
+  const cell = (value, color) =>
+    String(value)
+      .padStart(9)
+      .replace(/\d+/, n => (n === '0' ? n : color(n)))
+  const colors = {
+    ok: chalk.green,
+    slow: chalk.yellow,
+    missing: chalk.red,
+    mismatch: chalk.red,
+    expired: chalk.red,
+    error: chalk.red,
+  }
+
+  console.log('')
+  console.log(
+    chalk.dim(
+      '  ' +
+        'Aggregator'.padEnd(width) +
+        columns.map(c => c.padStart(9)).join('') +
+        'avg ms'.padStart(9),
+    ),
+  )
+  for (const row of summary) {
+    console.log(
+      '  ' +
+        row.aggregator.padEnd(width) +
+        columns.map(c => cell(row[c], colors[c])).join('') +
+        chalk.dim(String(row.avg_ms ?? '-').padStart(9)),
+    )
+  }
+
+  if (problems.length > 0) {
+    console.log('')
+    for (const { path, aggregator, status, error } of problems) {
+      const color = status === 'slow' ? chalk.yellow : chalk.red
+      console.log(
+        `  ${color(status.padEnd(9))}${path} ${chalk.dim(aggregator)}${error ? chalk.dim(` (${error})`) : ''}`,
+      )
+    }
+  }
+
+  if (local) {
+    console.log('')
+    for (const path of local.not_deployed) {
+      console.log(`  ${chalk.red('+ not deployed'.padEnd(16))}${path}`)
+    }
+    for (const path of local.changed) {
+      console.log(`  ${chalk.red('~ changed'.padEnd(16))}${path}`)
+    }
+    for (const path of local.not_local) {
+      console.log(`  ${chalk.red('- not local'.padEnd(16))}${path}`)
+    }
+  }
+}
+
+/**
+ * Verify that every resource of a deployed site is served intact by each
+ * configured aggregator, and optionally that it matches a local build
+ * @param {string} site_identifier - Site object ID or site name
+ * @param {Object} [options] - Command options
+ * @param {string} [options.network] - Network (testnet|mainnet)
+ * @param {string} [options.owner] - Site owner for name lookup (defaults to the active wallet)
+ * @param {string} [options.dir] - Local build directory to compare with
+ * @param {number} [options.slow] - Slow response threshold (ms)
+ * @param {boolean} [options.json] - JSON output mode
+ * @returns {Promise<{status: string}>} Report; status is `failed` on missing, mismatched, expired or unreachable patches or local differences
+ */
+export async function verify(site_identifier, options = {}) {
+  const {
+    network = 'testnet',
+    owner = null,
+    dir = null,
+    slow: slow_threshold = DEFAULT_SLOW_THRESHOLD,
+    json: json_mode = false,
+  } = options
+
+  if (!site_identifier) {
+    throw new Error('Site ID is required. Use: versui verify <site-id|name>')
+  }
+  if (!Number.isInteger(slow_threshold) || slow_threshold < 1) {
+    throw new Error('--slow must be a positive number of milliseconds')
+  }
+  if (dir && !validate_directory(dir)) {
+    throw new Error(`Invalid directory: ${dir}`)
+  }
+
+  let wallet = owner
+  if (!wallet) {
+    try {
+      wallet = load_signer().toSuiAddress()
+    } catch {
+      wallet = null
+    }
+  }
+
+  if (!wallet && !/^0x[a-fA-F0-9]{64}$/.test(site_identifier)) {
+    throw new Error(
+      `Cannot resolve site name "${site_identifier}" without a wallet. Pass --owner <address> or use the site ID.`,
+    )
+  }
+
+  const rpc_url = getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet')
+  const sui_client = new SuiClient({ url: rpc_url })
+
+  const spinner = ora({
+    text: 'Fetching site resources...',
+    isSilent: json_mode || !process.stdout.isTTY,
+  }).start()
+
+  const site_id = await resolve_site_id(site_identifier, wallet, network)
+  const { resources } = await fetch_site_resources(site_id, sui_client)
+
+  const blob_object_ids = [
+    ...new Set([...resources.values()].map(r => r.blob_object_id)),
+  ].filter(Boolean)
+  const end_epochs = await fetch_blob_end_epochs(blob_object_ids, sui_client)
+  let current_epoch = null
+  try {
+    const walrus_client = create_walrus_client(network, sui_client)
+    const { committee } = await walrus_client.systemState()
+    current_epoch = committee.epoch
+  } catch {
+    // Expiry is only reported when the current epoch is known
+  }
+
+  const project_dir = dir ? join(dir, '..') : process.cwd()
+  const { aggregators, timeouts } = get_aggregator_options(
+    read_versui_config(project_dir),
+    network,
+  )
+
+  spinner.text = `Downloading ${resources.size} resource${resources.size === 1 ? '' : 's'} from ${aggregators.length} aggregators...`
+  const checks = await check_resources(resources, {
+    aggregators,
+    timeouts,
+    slow_threshold,
+    end_epochs,
+    current_epoch,
+  })
+
+  let local = null
+  if (dir) {
+    spinner.text = 'Comparing with local build...'
+    local = compare_local_build(dir, resources)
+  }
+
+  spinner.stop()
+
+  const summary = summarize_checks(checks, aggregators)
+  const problems = checks.filter(c => c.status !== 'ok')
+  const failed =
+    problems.some(c => FAILING_STATUSES.includes(c.status)) ||
+    (local !== null &&
+      local.not_deployed.length +
+        local.changed.length +
+        local.not_local.length >
+        0)
+
+  const report = {
+    status: failed ? 'failed' : 'ok',
+    site_id,
+    network,
+    current_epoch,
+    resources: resources.size,
+    aggregators: summary,
+    problems,
+    local,
+  }
+
+  if (json_mode) {
+    console.log(JSON.stringify(report))
+    return report
+  }
+
+  print_report(summary, problems, local)
+  console.log('')
+  if (failed) {
+    console.log(chalk.red.bold(`  ✗ Verification failed for ${site_id}`))
+  } else {
+    console.log(
+      chalk.green.bold(
+        `  ✓ ${resources.size} resource${resources.size === 1 ? '' : 's'} verified on ${aggregators.length} aggregators`,
+      ),
+    )
+  }
+  console.log('')
+  return report
+}
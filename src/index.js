@@ -9,9 +9,16 @@ import chalk from 'chalk'
 
 import { deploy } from './commands/deploy.js'
 import { update } from './commands/update.js'
+import { diff } from './commands/diff.js'
 import { list } from './commands/list.js'
+import { prepare } from './commands/prepare.js'
+import { submit } from './commands/submit.js'
 import { delete_site } from './commands/delete.js'
 import { regenerate } from './commands/regenerate.js'
+import { renew } from './commands/renew.js'
+import { verify } from './commands/verify.js'
+import { pull } from './commands/pull.js'
+import { serve } from './commands/serve.js'
 import { domain_add, domain_remove, domain_list } from './commands/domain.js'
 import { suins_add, suins_list } from './commands/suins.js'
 
@@ -45,6 +52,10 @@ program
   .option('-y, --yes', 'skip confirmations (for CI/scripts)')
   .option('--json', 'output JSON only (for scripts/services)')
   .option('--custom-sw', 'force plugin mode (skip SW auto-detection)')
+  .option('--walrus-cli', 'upload with the walrus binary instead of the SDK')
+  .option('--resume', 'resume an interrupted deploy from its journal')
+  .option('--live', 'bootstrap reads the latest resources from Sui at runtime')
+  .option('--dry-run', 'print the plan without uploading or signing')
   .action(async (dir, options) => {
     try {
       await deploy(dir, options)
@@ -57,11 +68,15 @@ program
   .command('update')
   .description('Update an existing site with new files')
   .argument('<dir>', 'directory to deploy')
-  .requiredOption('--site <id>', 'site object ID to update')
+  .option('--site <id>', 'site object ID (default: derived from site name)')
+  .option('-n, --name <name>', 'site name (overrides .versui and package.json)')
   .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
   .option('-e, --epochs <number>', 'storage duration for new uploads', '1')
   .option('-y, --yes', 'skip confirmations')
   .option('--json', 'output JSON only')
+  .option('--walrus-cli', 'upload with the walrus binary instead of the SDK')
+  .option('--dry-run', 'print the plan without uploading or signing')
+  .option('--resume', 'resume an interrupted update from its journal')
   .action(async (dir, options) => {
     try {
       await update(dir, { ...options, epochs: Number(options.epochs) })
@@ -70,6 +85,61 @@ program
     }
   })
 
+program
+  .command('diff')
+  .description('Show what an update would change on a live site')
+  .argument('<dir>', 'local build directory')
+  .option('--site <id>', 'site object ID (default: derived from site name)')
+  .option('-n, --name <name>', 'site name (overrides .versui and package.json)')
+  .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
+  .option(
+    '-e, --epochs <number>',
+    'storage duration for the cost estimate',
+    '1',
+  )
+  .option('--json', 'output JSON only')
+  .action(async (dir, options) => {
+    try {
+      const report = await diff(dir, {
+        ...options,
+        epochs: Number(options.epochs),
+      })
+      if (report.status === 'different') process.exitCode = 1
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
+program
+  .command('prepare')
+  .description('Encode a site and output an unsigned register transaction')
+  .argument('<dir>', 'directory to deploy')
+  .requiredOption('--address <address>', 'address of the offline signer')
+  .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
+  .option('-e, --epochs <number>', 'storage duration in epochs', '1')
+  .option('-n, --name <name>', 'site name (overrides .versui and package.json)')
+  .option('-o, --output <file>', 'blob file to write', 'versui-blob.json')
+  .action(async (dir, options) => {
+    try {
+      await prepare(dir, options)
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
+program
+  .command('submit')
+  .description('Submit a prepared deployment with an offline signature')
+  .argument('<file>', 'blob file written by versui prepare')
+  .option('--signature <sig>', 'signature for the pending transaction')
+  .action(async (file, options) => {
+    try {
+      await submit(file, options)
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
 program
   .command('list')
   .alias('ls')
@@ -83,13 +153,97 @@ program
   .argument('<site-ids...>', 'site object ID(s) to delete')
   .option('-y, --yes', 'skip confirmation prompt')
   .option('--network <network>', 'sui network (testnet, mainnet)')
+  .option('--blobs', 'also delete the Walrus blobs the sites are stored in')
   .action(delete_site)
 
+program
+  .command('renew')
+  .description('Extend Walrus storage for a site')
+  .argument('<site>', 'site object ID or name')
+  .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
+  .option('-e, --epochs <number>', 'epochs to extend by')
+  .option(
+    '--min-remaining <epochs>',
+    'only extend blobs with fewer epochs remaining',
+  )
+  .option('-y, --yes', 'skip confirmations')
+  .option('--json', 'output JSON only')
+  .action(async (site, options) => {
+    try {
+      await renew(site, {
+        ...options,
+        epochs: options.epochs ? Number(options.epochs) : undefined,
+        minRemaining:
+          options.minRemaining !== undefined
+            ? Number(options.minRemaining)
+            : null,
+      })
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
+program
+  .command('verify')
+  .description(
+    'Check that every resource of a site is served intact by each aggregator',
+  )
+  .argument('<site>', 'site object ID or name')
+  .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
+  .option('--owner <address>', 'site owner for name lookup (default: wallet)')
+  .option('--dir <path>', 'also compare with a local build directory')
+  .option('--slow <ms>', 'report responses slower than this as slow')
+  .option('--json', 'output JSON only')
+  .action(async (site, options) => {
+    try {
+      const report = await verify(site, {
+        ...options,
+        slow: options.slow !== undefined ? Number(options.slow) : undefined,
+      })
+      if (report.status === 'failed') process.exitCode = 1
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
+program
+  .command('pull')
+  .description('Download a deployed site back to a directory')
+  .argument('<site>', 'site object ID or name')
+  .argument('<out-dir>', 'directory to write the files to')
+  .option('--network <network>', 'sui network (testnet, mainnet)', 'testnet')
+  .option('--owner <address>', 'site owner for name lookup (default: wallet)')
+  .option('-f, --force', 'write into a non-empty directory')
+  .option('--json', 'output JSON only')
+  .action(async (site, out_dir, options) => {
+    try {
+      const report = await pull(site, out_dir, options)
+      if (report.status === 'failed') process.exitCode = 1
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
+program
+  .command('serve')
+  .description('Preview a build locally through the generated bootstrap')
+  .argument('<dir>', 'directory to serve')
+  .option('-p, --port <number>', 'port to listen on', '4173')
+  .option('--host <host>', 'interface to listen on', '127.0.0.1')
+  .action(async (dir, options) => {
+    try {
+      await serve(dir, { ...options, port: Number(options.port) })
+    } catch (error) {
+      handle_error(error)
+    }
+  })
+
 program
   .command('regenerate')
   .description('Regenerate bootstrap or SW snippet for an existing site')
   .argument('<site-id>', 'site object ID')
   .option('--network <network>', 'sui network (testnet, mainnet)')
+  .option('--live', 'bootstrap reads the latest resources from Sui at runtime')
   .action(async (site_id, options) => {
     try {
       const result = await regenerate(site_id, options)
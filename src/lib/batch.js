@@ -0,0 +1,118 @@
+/**
+ * Sui protocol limits for one programmable transaction
+ * (max_programmable_tx_commands and max_tx_size_bytes in the protocol config)
+ */
+export const MAX_TX_COMMANDS = 1024
+export const MAX_TX_BYTES = 128 * 1024
+
+/**
+ * Largest pure argument Sui accepts (max_pure_argument_size), which bounds
+ * a vector passed to a single Move call
+ */
+export const MAX_PURE_ARG_BYTES = 16 * 1024
+
+/**
+ * Room kept free in each transaction for gas data, object inputs and the sender
+ */
+const TX_BYTES_HEADROOM = 16 * 1024
+
+/**
+ * Serialized size of a Move call before its pure arguments: command tag,
+ * package ID, module and function names, object argument references
+ */
+const CALL_BYTES = 96
+
+/**
+ * Serialized overhead of one pure argument: argument reference, input tag
+ * and length prefixes
+ */
+const ARG_BYTES = 8
+
+/**
+ * Estimate the serialized size of a Move call from its pure arguments
+ * Strings count their UTF-8 bytes, numbers count as u64
+ * @param {Array<string|number|Uint8Array|number[]>} pure_args - Pure argument values
+ * @returns {number} Estimated size in bytes
+ */
+export function estimate_call_size(pure_args) {
+  let size = CALL_BYTES
+  for (const arg of pure_args) {
+    size +=
+      ARG_BYTES +
+      (typeof arg === 'string'
+        ? Buffer.byteLength(arg)
+        : typeof arg === 'number'
+          ? 8
+          : arg.length)
+  }
+  return size
+}
+
+/**
+ * Split Move calls into batches that each fit in one transaction
+ * Batches keep the input order and are filled greedily, so the same items
+ * always produce the same batches (resume relies on this)
+ * @template T
+ * @param {T[]} items - One item per Move call
+ * @param {(item: T) => number} call_size - Estimated serialized size of an item's call
+ * @param {Object} [limits] - Per-transaction limits
+ * @param {number} [limits.max_commands] - Max Move calls per transaction
+ * @param {number} [limits.max_bytes] - Max estimated bytes of calls per transaction
+ * @returns {T[][]} Batches (empty when there are no items)
+ */
+export function batch_calls(
+  items,
+  call_size,
+  {
+    max_commands = MAX_TX_COMMANDS,
+    max_bytes = MAX_TX_BYTES - TX_BYTES_HEADROOM,
+  } = {},
+) {
+  /** @type {T[][]} */
+  const batches = []
+  /** @type {T[]} */
+  let batch = []
+  let batch_bytes = 0
+
+  for (const item of items) {
+    const size = call_size(item)
+    if (size > max_bytes) {
+      throw new Error(
+        `Move call of ${size} bytes does not fit in one transaction (limit ${max_bytes} bytes)`,
+      )
+    }
+    if (batch.length === max_commands || batch_bytes + size > max_bytes) {
+      batches.push(batch)
+      batch = []
+      batch_bytes = 0
+    }
+    batch.push(item)
+    batch_bytes += size
+  }
+  if (batch.length > 0) batches.push(batch)
+
+  return batches
+}
+
+/**
+ * Run async tasks with a bounded number in flight, keeping input order
+ * @template T, R
+ * @param {T[]} items - Task inputs
+ * @param {number} limit - Maximum tasks in flight
+ * @param {(item: T, index: number) => Promise<R>} task - Task to run per item
+ * @returns {Promise<R[]>} Results in input order
+ */
+export async function map_concurrent(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index], index)
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  )
+  return results
+}
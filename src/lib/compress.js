@@ -0,0 +1,187 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { brotliCompressSync, gzipSync, constants } from 'node:zlib'
+
+import { hash_content } from './hash.js'
+import { get_content_type, read_file, INTERNAL_PATH_PREFIX } from './files.js'
+
+/**
+ * Supported encodings
+ * Variants live in the internal namespace, so `/app.js` is stored as
+ * `/app.js`, `/.versui/br/app.js` and `/.versui/gzip/app.js` and a real
+ * `/app.js.br` is left alone
+ */
+export const COMPRESSION_ENCODINGS = ['br', 'gzip']
+
+/**
+ * Files smaller than this aren't worth an extra quilt patch (bytes)
+ */
+export const MIN_COMPRESS_SIZE = 1024
+
+/**
+ * A variant is only kept if it is at most this fraction of the original
+ */
+const MAX_COMPRESSED_RATIO = 0.9
+
+/**
+ * Content types that compress well (already-compressed images, video and
+ * fonts don't)
+ */
+const COMPRESSIBLE_TYPE_PATTERN =
+  /^(text\/|image\/svg\+xml|application\/(javascript|json|ld\+json|manifest\+json|xml|wasm))/
+
+/**
+ * Get the encodings to produce from .versui `compress`
+ * `true` produces every supported encoding; a list picks some of them
+ * @param {Object|null} config - Versui configuration
+ * @returns {string[]} Encodings (`br`, `gzip`), empty when disabled
+ */
+export function get_compress_encodings(config) {
+  const compress = config?.compress ?? false
+  if (compress === false) return []
+  if (compress === true) return [...COMPRESSION_ENCODINGS]
+
+  if (
+    !Array.isArray(compress) ||
+    compress.some(encoding => !COMPRESSION_ENCODINGS.includes(encoding))
+  ) {
+    throw new Error(
+      `Invalid .versui compress: use true or a list of ${COMPRESSION_ENCODINGS.join(', ')}`,
+    )
+  }
+  return compress
+}
+
+/**
+ * Get the resource path of a file's compressed variant
+ * @param {string} path - Original file path (`/app.js`)
+ * @param {string} encoding - `br` or `gzip`
+ * @returns {string} Variant path (`/.versui/br/app.js`)
+ */
+export function get_variant_path(path, encoding) {
+  return INTERNAL_PATH_PREFIX + encoding + path
+}
+
+/**
+ * Check if a resource path is a compressed variant
+ * @param {string} path - Resource path
+ * @returns {boolean} True for variant paths
+ */
+export function is_variant_path(path) {
+  return COMPRESSION_ENCODINGS.some(encoding =>
+    path.startsWith(INTERNAL_PATH_PREFIX + encoding + '/'),
+  )
+}
+
+/**
+ * Check if a content type is worth compressing
+ * @param {string} content_type - MIME type
+ * @returns {boolean} True for text-like types
+ */
+export function is_compressible(content_type) {
+  return COMPRESSIBLE_TYPE_PATTERN.test(content_type)
+}
+
+/**
+ * Compress content with one encoding at maximum level
+ * @param {Buffer} content - Original content
+ * @param {string} encoding - `br` or `gzip`
+ * @returns {Buffer} Compressed content
+ */
+function compress(content, encoding) {
+  if (encoding === 'br') {
+    return brotliCompressSync(content, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: constants.BROTLI_MAX_QUALITY,
+        [constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+      },
+    })
+  }
+  return gzipSync(content, { level: constants.Z_BEST_COMPRESSION })
+}
+
+/**
+ * @typedef {Object} GeneratedFile
+ * @property {string} path - Resource path
+ * @property {Buffer} contents - File bytes
+ */
+
+/**
+ * @typedef {Object} CompressedVariant
+ * @property {string} path - Variant path (`/.versui/br/app.js`)
+ * @property {string} source - Original file path (`/app.js`)
+ * @property {string} encoding - `br` or `gzip`
+ * @property {Buffer} contents - Compressed bytes
+ */
+
+/**
+ * Build pre-compressed variants of compressible files
+ * Output is deterministic, so unchanged files produce unchanged variants and
+ * `versui update` only uploads variants of files that changed
+ * @param {string} dir - Deployed directory
+ * @param {Record<string, {size: number, content_type: string}>} file_metadata - Scanned files
+ * @param {string[]} encodings - Encodings to produce
+ * @returns {CompressedVariant[]} Variants worth storing
+ */
+export function build_compressed_variants(dir, file_metadata, encodings) {
+  if (encodings.length === 0) return []
+
+  const variants = []
+  for (const [path, { size, content_type }] of Object.entries(file_metadata)) {
+    if (size < MIN_COMPRESS_SIZE || !is_compressible(content_type)) continue
+
+    const content = read_file(join(dir, path))
+    for (const encoding of encodings) {
+      const contents = compress(content, encoding)
+      if (contents.length > size * MAX_COMPRESSED_RATIO) continue
+      variants.push({
+        path: get_variant_path(path, encoding),
+        source: path,
+        encoding,
+        contents,
+      })
+    }
+  }
+  return variants
+}
+
+/**
+ * Add generated files (variants, header map) to the file metadata so they are
+ * diffed, stored and registered on the Site like any other file
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} file_metadata - Scanned files
+ * @param {GeneratedFile[]} generated - Generated files
+ * @returns {Record<string, {hash: string, size: number, content_type: string}>} Metadata including generated files
+ */
+export function add_variant_metadata(file_metadata, generated) {
+  const metadata = { ...file_metadata }
+  for (const { path, contents } of generated) {
+    metadata[path] = {
+      hash: hash_content(contents),
+      size: contents.length,
+      content_type: get_content_type(path),
+    }
+  }
+  return metadata
+}
+
+/**
+ * Write generated files to a temporary directory for
+ * `walrus store-quilt --blobs`
+ * @param {GeneratedFile[]} generated - Files to stage
+ * @returns {{specs: Array<{path: string, identifier: string}>, cleanup: () => void}} Blob specs and cleanup
+ */
+export function stage_variant_files(generated) {
+  if (generated.length === 0) return { specs: [], cleanup: () => {} }
+
+  const staging_dir = mkdtempSync(join(tmpdir(), 'versui-variants-'))
+  const specs = generated.map(({ path, contents }, i) => {
+    const staged_path = join(staging_dir, String(i))
+    writeFileSync(staged_path, contents)
+    return { path: staged_path, identifier: path }
+  })
+  return {
+    specs,
+    cleanup: () => rmSync(staging_dir, { recursive: true, force: true }),
+  }
+}
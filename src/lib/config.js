@@ -1,6 +1,16 @@
 import { readFileSync, existsSync } from 'node:fs'
 import { join } from 'node:path'
 
+import { getFullnodeUrl } from '@mysten/sui/client'
+import { minimatch } from 'minimatch'
+
+import { INTERNAL_PATH_PREFIX } from './files.js'
+
+/**
+ * HTTP header field name (RFC 9110 token)
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+
 /**
  * Read .versui configuration file from project root
  * @param {string} project_dir - Project directory path
@@ -22,26 +32,101 @@ export function read_versui_config(project_dir) {
 }
 
 /**
- * Get aggregators list with fallback to defaults
- * @param {Object|null} config - Versui configuration
+ * Per-attempt aggregator timeout in the generated SW (ms)
+ */
+export const DEFAULT_AGGREGATOR_TIMEOUT = 10000
+
+/**
+ * How the generated SW queries aggregators
+ * `sequential` tries them one at a time, `race` queries all and takes the first valid response
+ */
+export const AGGREGATOR_MODES = ['sequential', 'race']
+
+/**
+ * Default aggregators per network
  * @param {string} network - Network (testnet/mainnet)
  * @returns {string[]} Array of aggregator URLs
  */
-export function get_aggregators(config, network) {
-  const defaults =
-    network === 'mainnet'
-      ? ['https://aggregator.walrus.space', 'https://wal-aggregator.stakin.io']
-      : [
-          'https://aggregator.walrus-testnet.walrus.space',
-          'https://aggregator.testnet.blob.store',
-        ]
+function default_aggregators(network) {
+  return network === 'mainnet'
+    ? ['https://aggregator.walrus.space', 'https://wal-aggregator.stakin.io']
+    : [
+        'https://aggregator.walrus-testnet.walrus.space',
+        'https://aggregator.testnet.blob.store',
+      ]
+}
+
+/**
+ * Resolve aggregators with their weights and timeouts
+ * `.versui` aggregators are URLs or `{ url, weight, timeout }` objects. They
+ * are merged before the defaults and ordered by weight (highest first)
+ * @param {Object|null} config - Versui configuration
+ * @param {string} network - Network (testnet/mainnet)
+ * @returns {{aggregators: string[], weights: number[], timeouts: number[], race: boolean}} Aligned per-aggregator settings
+ */
+export function get_aggregator_options(config, network) {
+  const custom = config?.aggregators ?? []
+  if (!Array.isArray(custom)) {
+    throw new Error('Invalid .versui aggregators: expected an array')
+  }
+
+  const mode = config?.aggregatorMode ?? 'sequential'
+  if (!AGGREGATOR_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid .versui aggregatorMode "${mode}": use ${AGGREGATOR_MODES.join(', ')}`,
+    )
+  }
+
+  const default_timeout =
+    config?.aggregatorTimeout ?? DEFAULT_AGGREGATOR_TIMEOUT
+  const check_timeout = (timeout, field) => {
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw new Error(
+        `Invalid .versui ${field}: expected a timeout in milliseconds`,
+      )
+    }
+  }
+  check_timeout(default_timeout, 'aggregatorTimeout')
+
+  const entries = [...custom, ...default_aggregators(network)].map(entry => {
+    const {
+      url,
+      weight = 1,
+      timeout = default_timeout,
+    } = typeof entry === 'string' ? { url: entry } : (entry ?? {})
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      throw new Error(
+        `Invalid .versui aggregator ${JSON.stringify(entry)}: expected an http(s) URL`,
+      )
+    }
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new Error(
+        `Invalid weight for aggregator ${url}: expected a positive number`,
+      )
+    }
+    check_timeout(timeout, `timeout for aggregator ${url}`)
+    return { url, weight, timeout }
+  })
+
+  // Stable sort: equal weights keep custom aggregators first
+  entries.sort((a, b) => b.weight - a.weight)
 
-  if (!config || !config.aggregators || config.aggregators.length === 0) {
-    return defaults
+  return {
+    aggregators: entries.map(e => e.url),
+    weights: entries.map(e => e.weight),
+    timeouts: entries.map(e => e.timeout),
+    race: mode === 'race',
   }
+}
 
-  // Merge custom aggregators with defaults (custom first for priority)
-  return [...config.aggregators, ...defaults]
+/**
+ * Get aggregators list with fallback to defaults
+ * @param {Object|null} config - Versui configuration
+ * @param {string} network - Network (testnet/mainnet)
+ * @returns {string[]} Array of aggregator URLs, highest weight first
+ */
+export function get_aggregators(config, network) {
+  return get_aggregator_options(config, network).aggregators
 }
 
 /**
@@ -72,3 +157,366 @@ export function get_site_name({ cli_name, versui_config, package_json }) {
   // Fallback
   return 'Versui Site'
 }
+
+/**
+ * @typedef {Object} HeaderRule
+ * @property {string} pattern - Glob matched against resource paths
+ * @property {Object<string, string>} headers - Headers applied to matching paths
+ */
+
+/**
+ * Get custom header rules from .versui `headers` (glob → header map)
+ * Rules keep config order so later globs override earlier ones
+ * @param {Object|null} config - Versui configuration
+ * @returns {HeaderRule[]} Validated header rules
+ */
+export function get_header_rules(config) {
+  if (!config?.headers) {
+    return []
+  }
+
+  if (typeof config.headers !== 'object' || Array.isArray(config.headers)) {
+    throw new Error('Invalid .versui headers: expected { "<glob>": { ... } }')
+  }
+
+  return Object.entries(config.headers).map(([pattern, headers]) => {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error(
+        `Invalid .versui headers for "${pattern}": expected a header map`,
+      )
+    }
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid header name "${name}" for "${pattern}"`)
+      }
+      if (typeof value !== 'string' || /[\r\n\0]/.test(value)) {
+        throw new Error(`Invalid value for header "${name}" on "${pattern}"`)
+      }
+    }
+    return { pattern, headers }
+  })
+}
+
+/**
+ * Match a resource path against a .versui glob
+ * Globs may be written with or without the leading slash
+ * @param {string} path - Resource path (e.g. '/assets/app.js')
+ * @param {string} pattern - Glob (e.g. '/assets/**', '**\/*.html')
+ * @returns {boolean}
+ */
+export function match_path(path, pattern) {
+  return minimatch(path.replace(/^\//, ''), pattern.replace(/^\//, ''), {
+    dot: true,
+  })
+}
+
+/**
+ * Resolve custom headers for each resource path
+ * @param {string[]} paths - Resource paths
+ * @param {HeaderRule[]} rules - Header rules from get_header_rules
+ * @returns {Object<string, Object<string, string>>} Path → headers (paths without headers omitted)
+ */
+export function resolve_headers(paths, rules) {
+  /** @type {Object<string, Object<string, string>>} */
+  const resolved = {}
+  if (rules.length === 0) {
+    return resolved
+  }
+
+  for (const path of paths) {
+    /** @type {Object<string, string>} */
+    const headers = {}
+    for (const rule of rules) {
+      if (match_path(path, rule.pattern)) {
+        Object.assign(headers, rule.headers)
+      }
+    }
+    if (Object.keys(headers).length > 0) {
+      resolved[path] = headers
+    }
+  }
+  return resolved
+}
+
+/**
+ * Site resource holding the resolved header map
+ */
+export const HEADERS_RESOURCE_PATH = INTERNAL_PATH_PREFIX + 'headers'
+
+/**
+ * Build the header map resource stored alongside the site's files
+ * The Site object has no headers field, so the map is stored on Walrus like a
+ * file; live service workers load it with the resource map
+ * @param {Object<string, Object<string, string>>} headers - Path → headers from resolve_headers
+ * @returns {Array<{path: string, contents: Buffer}>} The resource, or none without headers
+ */
+export function build_headers_files(headers) {
+  if (Object.keys(headers).length === 0) return []
+  const sorted = Object.fromEntries(
+    Object.keys(headers)
+      .sort()
+      .map(path => [path, headers[path]]),
+  )
+  return [
+    {
+      path: HEADERS_RESOURCE_PATH,
+      contents: Buffer.from(JSON.stringify(sorted)),
+    },
+  ]
+}
+
+/**
+ * Redirect status codes the service worker can answer with
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+/**
+ * @typedef {Object} RouteRule
+ * @property {string} source - Source path pattern (e.g. '/blog/:slug', '/docs/*')
+ * @property {string} destination - Destination path or URL (placeholders allowed)
+ * @property {number} status - 200 for rewrites, 3xx for redirects
+ * @property {string} pattern - Compiled RegExp source for `source`
+ */
+
+/**
+ * Compile a source pattern into a RegExp source
+ * `:name` matches one path segment, a trailing `*` matches the rest as `:splat`
+ * @param {string} source - Source pattern
+ * @returns {{pattern: string, params: string[]}} RegExp source and placeholder names
+ */
+export function compile_route_source(source) {
+  if (typeof source !== 'string' || !source.startsWith('/')) {
+    throw new Error(`Invalid route source "${source}": must start with /`)
+  }
+
+  const params = []
+  const segments = source.split('/').map((segment, i, all) => {
+    if (segment === '*' && i === all.length - 1) {
+      params.push('splat')
+      return '(?<splat>.*)'
+    }
+    const param = segment.match(/^:([A-Za-z_]\w*)$/)
+    if (param) {
+      if (params.includes(param[1])) {
+        throw new Error(
+          `Invalid route source "${source}": duplicate :${param[1]}`,
+        )
+      }
+      params.push(param[1])
+      return `(?<${param[1]}>[^/]+)`
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  })
+
+  return { pattern: `^${segments.join('/')}$`, params }
+}
+
+/**
+ * Get redirect and rewrite rules from .versui `redirects` / `rewrites`
+ * Redirects default to 301, rewrites are always 200; a redirect with status
+ * 200 is treated as a rewrite. Rules are evaluated in order (redirects first)
+ * @param {Object|null} config - Versui configuration
+ * @returns {RouteRule[]} Validated, compiled rules
+ */
+export function get_route_rules(config) {
+  for (const key of ['redirects', 'rewrites']) {
+    if (config?.[key] != null && !Array.isArray(config[key])) {
+      throw new Error(`Invalid .versui ${key}: expected an array of rules`)
+    }
+  }
+
+  const entries = [
+    ...(config?.redirects ?? []).map(rule => ({ status: 301, ...rule })),
+    ...(config?.rewrites ?? []).map(rule => ({ ...rule, status: 200 })),
+  ]
+
+  return entries.map(({ source, destination, status }) => {
+    const { pattern, params } = compile_route_source(source)
+
+    if (status !== 200 && !REDIRECT_STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid status ${status} for "${source}": use 200 or one of ${REDIRECT_STATUSES.join(', ')}`,
+      )
+    }
+
+    const is_url = /^https?:\/\//.test(destination)
+    if (
+      typeof destination !== 'string' ||
+      (!destination.startsWith('/') && !(is_url && status !== 200))
+    ) {
+      throw new Error(
+        `Invalid destination for "${source}": use a path starting with / (or a URL for redirects)`,
+      )
+    }
+
+    // Placeholders must come from the source; ports in URLs are not placeholders
+    const destination_path = is_url
+      ? destination.replace(/^https?:\/\/[^/]+/, '')
+      : destination
+    for (const [, name] of destination_path.matchAll(/:([A-Za-z_]\w*)/g)) {
+      if (!params.includes(name)) {
+        throw new Error(
+          `Invalid destination for "${source}": :${name} is not in the source`,
+        )
+      }
+    }
+
+    return { source, destination, status, pattern }
+  })
+}
+
+/**
+ * Get SPA fallback and clean-URL options from .versui
+ * `spa: true` falls back to /index.html; `fallback` picks another document
+ * @param {Object|null} config - Versui configuration
+ * @returns {{clean_urls: boolean, fallback: string|null}}
+ */
+export function get_spa_options(config) {
+  const clean_urls = config?.cleanUrls === true
+  const fallback = config?.fallback ?? (config?.spa ? '/index.html' : null)
+
+  if (
+    fallback !== null &&
+    (typeof fallback !== 'string' || !fallback.startsWith('/'))
+  ) {
+    throw new Error(
+      `Invalid .versui fallback "${fallback}": must be a path starting with /`,
+    )
+  }
+
+  return { clean_urls, fallback }
+}
+
+/**
+ * Get custom error pages from .versui
+ * @param {Object|null} config - Versui configuration
+ * @returns {{not_found: string|null, unavailable: string|null}} Site paths of the pages
+ */
+export function get_error_pages(config) {
+  const pages = {
+    not_found: config?.notFound ?? null,
+    unavailable: config?.unavailable ?? null,
+  }
+
+  for (const [key, path] of [
+    ['notFound', pages.not_found],
+    ['unavailable', pages.unavailable],
+  ]) {
+    if (path !== null && (typeof path !== 'string' || !path.startsWith('/'))) {
+      throw new Error(
+        `Invalid .versui ${key} "${path}": must be a path starting with /`,
+      )
+    }
+  }
+
+  return pages
+}
+
+/**
+ * Caching strategies supported by the generated service worker
+ * Quilt patch IDs are content-addressed, so cache-first is always safe
+ */
+export const CACHE_STRATEGIES = ['cache-first', 'network-first', 'network-only']
+
+/**
+ * Resolve .versui `cache` settings against the deployed paths
+ * `precache` lists globs fetched at SW install; `strategies` maps globs to a
+ * strategy overriding the cache-first default (later globs win)
+ * @param {string[]} paths - Resource paths
+ * @param {Object|null} config - Versui configuration
+ * @returns {{precache: string[], strategies: Object<string, string>}} Precached paths and per-path overrides
+ */
+export function resolve_cache_options(paths, config) {
+  const { precache = [], strategies = {} } = config?.cache ?? {}
+
+  if (!Array.isArray(precache) || precache.some(p => typeof p !== 'string')) {
+    throw new Error(
+      'Invalid .versui cache.precache: expected an array of globs',
+    )
+  }
+  if (typeof strategies !== 'object' || Array.isArray(strategies)) {
+    throw new Error(
+      'Invalid .versui cache.strategies: expected { "<glob>": "<strategy>" }',
+    )
+  }
+  for (const [pattern, strategy] of Object.entries(strategies)) {
+    if (!CACHE_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Invalid cache strategy "${strategy}" for "${pattern}": use ${CACHE_STRATEGIES.join(', ')}`,
+      )
+    }
+  }
+
+  /** @type {Object<string, string>} */
+  const resolved = {}
+  for (const path of paths) {
+    for (const [pattern, strategy] of Object.entries(strategies)) {
+      if (match_path(path, pattern)) resolved[path] = strategy
+    }
+    if (resolved[path] === 'cache-first') delete resolved[path]
+  }
+
+  return {
+    precache: paths.filter(path =>
+      precache.some(pattern => match_path(path, pattern)),
+    ),
+    strategies: resolved,
+  }
+}
+
+/**
+ * Resolve .versui `stream` globs against the deployed paths
+ * Range requests for these paths are forwarded to aggregators so media can
+ * start playing before it is fully downloaded. Partial responses can't be
+ * checked against the file's SHA-256, so they are served unverified
+ * @param {string[]} paths - Resource paths
+ * @param {Object|null} config - Versui configuration
+ * @returns {string[]} Paths streamed with forwarded range requests
+ */
+export function resolve_stream_paths(paths, config) {
+  const stream = config?.stream ?? []
+  if (!Array.isArray(stream) || stream.some(p => typeof p !== 'string')) {
+    throw new Error('Invalid .versui stream: expected an array of globs')
+  }
+
+  return paths.filter(path => stream.some(pattern => match_path(path, pattern)))
+}
+
+/**
+ * How often a live-mode SW re-reads the Site object (seconds)
+ */
+export const DEFAULT_LIVE_REVALIDATE = 300
+
+/**
+ * Get live-mode settings for the bootstrap SW
+ * `.versui` `live` is `true` or `{ revalidate, rpcs }`; custom RPC URLs are
+ * tried before the network's public fullnode
+ * @param {Object|null} config - Versui configuration
+ * @param {string} network - Network (testnet/mainnet)
+ * @param {boolean} [force] - Enable live mode even if `.versui` doesn't (--live)
+ * @returns {{rpc_urls: string[], revalidate: number}|null} Live settings, or null when disabled
+ */
+export function get_live_options(config, network, force = false) {
+  const live = config?.live ?? false
+  if (!live && !force) return null
+
+  const { revalidate = DEFAULT_LIVE_REVALIDATE, rpcs = [] } =
+    typeof live === 'object' ? live : {}
+  if (!Number.isInteger(revalidate) || revalidate <= 0) {
+    throw new Error(
+      'Invalid .versui live.revalidate: expected a number of seconds',
+    )
+  }
+  if (
+    !Array.isArray(rpcs) ||
+    rpcs.some(url => typeof url !== 'string' || !/^https?:\/\//.test(url))
+  ) {
+    throw new Error('Invalid .versui live.rpcs: expected an array of URLs')
+  }
+
+  const fullnode = getFullnodeUrl(network === 'mainnet' ? 'mainnet' : 'testnet')
+  return {
+    rpc_urls: [...rpcs, fullnode],
+    revalidate,
+  }
+}
@@ -1,3 +1,16 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+
+/**
+ * Manifest format version
+ */
+export const MANIFEST_VERSION = 1
+
+/**
+ * Manifest file name (stored in the project root, next to .versui-deploy.json)
+ */
+export const MANIFEST_FILE = '.versui-manifest.json'
+
 /**
  * @typedef {Object} FileInfo
  * @property {string} hash - SHA-256 hash
@@ -27,6 +40,8 @@
  * @typedef {Object} DeploymentManifest
  * @property {number} version
  * @property {string} site_id
+ * @property {string} network
+ * @property {string|null} site_version - Site object version after the deploy
  * @property {string} deployed_at
  * @property {Object<string, Resource>} resources
  */
@@ -84,3 +99,172 @@ export function compute_delta(current_files, previous_manifest) {
 
   return result
 }
+
+/**
+ * Get the manifest path for a project
+ * @param {string} project_dir - Project root (parent of the deployed dir)
+ * @returns {string} Manifest file path
+ */
+export function get_manifest_path(project_dir) {
+  return join(project_dir, MANIFEST_FILE)
+}
+
+/**
+ * Read the manifest of the last deploy/update
+ * @param {string} project_dir - Project root
+ * @returns {DeploymentManifest | null} Manifest or null if missing/unreadable
+ */
+export function read_manifest(project_dir) {
+  const manifest_path = get_manifest_path(project_dir)
+  if (!existsSync(manifest_path)) {
+    return null
+  }
+
+  try {
+    const manifest = JSON.parse(readFileSync(manifest_path, 'utf-8'))
+    return manifest.version === MANIFEST_VERSION ? manifest : null
+  } catch {
+    // A corrupt manifest only costs a full chain scan
+    return null
+  }
+}
+
+/**
+ * Write the manifest to `.versui-manifest.json`
+ * @param {string} project_dir - Project root
+ * @param {DeploymentManifest} manifest - Manifest to write
+ */
+export function write_manifest(project_dir, manifest) {
+  writeFileSync(
+    get_manifest_path(project_dir),
+    JSON.stringify(manifest, null, 2) + '\n',
+  )
+}
+
+/**
+ * Check whether a manifest still describes the on-chain Site
+ * Any transaction touching the Site bumps its version, so a matching version
+ * means no one changed the resources since the manifest was written
+ * @param {DeploymentManifest | null} manifest - Local manifest
+ * @param {Object} site - On-chain Site state
+ * @param {string} site.site_id - Site object ID
+ * @param {string} site.network - Network
+ * @param {string|number} site.version - Current Site object version
+ * @returns {boolean}
+ */
+export function is_manifest_current(manifest, { site_id, network, version }) {
+  return (
+    !!manifest &&
+    manifest.site_id === site_id &&
+    manifest.network === network &&
+    manifest.site_version != null &&
+    String(manifest.site_version) === String(version)
+  )
+}
+
+/**
+ * Build the manifest describing a site after a deploy/update
+ * @param {Object} params - Manifest parameters
+ * @param {string} params.site_id - Site object ID
+ * @param {string} params.network - Network
+ * @param {string|number|null} params.site_version - Site object version after the transaction
+ * @param {Object<string, FileInfo>} params.file_metadata - Deployed local files
+ * @param {Array<{identifier: string, quiltPatchId: string}>} params.patches - Patches uploaded by this run
+ * @param {Object<string, {blob_id: string}>} [params.previous_resources] - Resources kept from before (unchanged files)
+ * @param {Object<string, Object<string, string>>} [params.headers] - Custom headers per path (from .versui)
+ * @returns {DeploymentManifest}
+ */
+export function build_manifest({
+  site_id,
+  network,
+  site_version,
+  file_metadata,
+  patches,
+  previous_resources = {},
+  headers = {},
+}) {
+  const patch_map = new Map()
+  for (const patch of patches) {
+    const normalized = patch.identifier.startsWith('/')
+      ? patch.identifier
+      : '/' + patch.identifier
+    patch_map.set(normalized, patch.quiltPatchId)
+  }
+
+  /** @type {Object<string, Resource>} */
+  const resources = {}
+  for (const [path, info] of Object.entries(file_metadata)) {
+    const blob_id = patch_map.get(path) ?? previous_resources[path]?.blob_id
+    if (!blob_id) continue
+    resources[path] = {
+      path,
+      blob_id,
+      blob_hash: info.hash,
+      content_type: info.content_type,
+      size: info.size,
+      ...(headers[path] && { headers: headers[path] }),
+    }
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    site_id,
+    network,
+    site_version: site_version == null ? null : String(site_version),
+    deployed_at: new Date().toISOString(),
+    resources,
+  }
+}
+
+/**
+ * Find the Site version written by a transaction
+ * @param {Array<{type: string, objectId?: string, version?: string}>|undefined} object_changes - Transaction objectChanges
+ * @param {string} site_id - Site object ID
+ * @returns {string|null} New Site version, or null if the Site was not touched
+ */
+export function find_site_version(object_changes, site_id) {
+  const change = object_changes?.find(
+    c =>
+      (c.type === 'mutated' || c.type === 'created') && c.objectId === site_id,
+  )
+  return change?.version ?? null
+}
+
+/**
+ * Compare local files with existing resources
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} local_files - Local file metadata
+ * @param {Map<string, {blob_id: string, hash: string, size: number}>} existing_resources - Existing resources
+ * @returns {{added: string[], updated: string[], deleted: string[], unchanged: string[]}}
+ */
+export function compare_files(local_files, existing_resources) {
+  const local_paths = new Set(Object.keys(local_files))
+  const existing_paths = new Set(existing_resources.keys())
+
+  const added = []
+  const updated = []
+  const deleted = []
+  const unchanged = []
+
+  // Check local files
+  for (const path of local_paths) {
+    const local_info = local_files[path]
+    const existing_info = existing_resources.get(path)
+
+    if (!existing_info) {
+      added.push(path)
+    } else if (local_info.hash !== existing_info.hash) {
+      updated.push(path)
+    } else {
+      unchanged.push(path)
+    }
+  }
+
+  // Check deleted files
+  for (const path of existing_paths) {
+    if (!local_paths.has(path)) {
+      deleted.push(path)
+    }
+  }
+
+  return { added, updated, deleted, unchanged }
+}
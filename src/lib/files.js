@@ -4,6 +4,21 @@ import { join, relative, normalize, resolve } from 'node:path'
 import { minimatch } from 'minimatch'
 import mime from 'mime'
 
+/**
+ * Resource paths under this prefix are generated by Versui (header map,
+ * compressed variants), not files of the deployed directory
+ */
+export const INTERNAL_PATH_PREFIX = '/.versui/'
+
+/**
+ * Check if a resource path is reserved for Versui
+ * @param {string} path - Resource path
+ * @returns {boolean} True for paths under INTERNAL_PATH_PREFIX
+ */
+export function is_internal_path(path) {
+  return path.startsWith(INTERNAL_PATH_PREFIX)
+}
+
 export function get_content_type(file_path) {
   return mime.getType(file_path) || 'application/octet-stream'
 }
@@ -113,6 +128,8 @@ export function scan_directory(dir, base_dir, ignore_patterns = null) {
   for (const entry of readdirSync(dir)) {
     const full_path = join(dir, entry)
     const rel_path = relative(base_dir, full_path)
+    // Reserved for resources Versui generates (see INTERNAL_PATH_PREFIX)
+    if (rel_path === '.versui') continue
     if (should_ignore(rel_path, ignore_patterns)) continue
     const stat = statSync(full_path)
     if (stat.isDirectory()) {
@@ -1,21 +1,108 @@
 import { MIME_TYPES_BROWSER } from './mime-browser.js'
+import { DEFAULT_AGGREGATOR_TIMEOUT, HEADERS_RESOURCE_PATH } from './config.js'
+import { INTERNAL_PATH_PREFIX } from './files.js'
+
+/**
+ * Escape text for HTML element and attribute context
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escape_html(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Fetch listener for live mode
+ * Revalidates the resource map in the background once it is older than `$i`.
+ * Until a map is loaded, same-origin requests wait for it and fall through to
+ * the network when nothing matches
+ */
+const LIVE_FETCH_LISTENER = `e=>{if(Date.now()-$t>$i){$t=Date.now();$m=$m.then($l).catch(()=>{})}if($k)return $f(e);if(new URL(e.request.url).origin!==location.origin)return;e.respondWith($m.then(()=>{let r;$f({request:e.request,respondWith:x=>{r=x}});return r||fetch(e.request)}))}`
+
+/**
+ * SW code that loads the resource map from the Site object over Sui JSON-RPC
+ * The last map is kept in Cache Storage so restarts serve it immediately while
+ * revalidating; the resources table is only re-read when the Site version changes.
+ * Custom headers come from the site's header map resource
+ * @param {{site_id: string, rpc_urls: string[], revalidate: number}} live - Live mode options
+ * @returns {string} SW source defining $k (loaded), $m (load promise), $t, $i, $l and $h
+ */
+function live_loader({ site_id, rpc_urls, revalidate }) {
+  return `const $s=${JSON.stringify(site_id)},$r=${JSON.stringify(rpc_urls)},$i=${revalidate * 1000},$n=${JSON.stringify(HEADERS_RESOURCE_PATH)};
+let $k=0,$v=null,$t=Date.now();
+const $q=async(m,p)=>{for(const u of $r){try{const r=await fetch(u,{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({jsonrpc:'2.0',id:1,method:m,params:p})});const j=await r.json();if(j.result!==undefined)return j.result}catch(e){}}throw new Error('Sui RPC unavailable')};
+const $a=m=>{for(const k in R)delete R[k];for(const k in I)delete I[k];Object.assign(R,m.r);Object.assign(I,m.i);$v=m.v;$k=1};
+const $h=async()=>{const b=R[$n];let n={};if(b){if(!/^[a-zA-Z0-9_-]+$/.test(b))return;const d=await B($n,b);if(!d)return;n=await new Response(d).json()}for(const k in H)delete H[k];Object.assign(H,n)};
+const $l=async()=>{const s=await $q('sui_getObject',[$s,{showContent:true}]);if(!s.data)throw new Error('Site not found');if(s.data.version!==$v){const t=s.data.content.fields.resources.fields.id.id,o=[];let c=null;do{const g=await $q('suix_getDynamicFields',[t,c,null]);o.push(...g.data.map(x=>x.objectId));c=g.hasNextPage?g.nextCursor:null}while(c);const r={},i={};for(let n=0;n<o.length;n+=50)for(const x of await $q('sui_multiGetObjects',[o.slice(n,n+50),{showContent:true}])){const f=x.data?.content?.fields;if(!f)continue;r[f.path]=f.blob_id;const h=f.blob_hash||[];if(h.length===32)i[f.path]=h.map(y=>(+y).toString(16).padStart(2,'0')).join('')}const m={v:s.data.version,r,i};$a(m);await $h().catch(()=>{});await(await caches.open(K)).put('/.versui/map',new Response(JSON.stringify(m)));await $c()}$t=Date.now()};
+let $m=(async()=>{try{const c=await(await caches.open(K)).match('/.versui/map');if(c){$a(await c.json());await $h()}}catch(e){}const l=$l().catch(()=>{});if(!$k)await l})();`
+}
 
 /**
  * Generate bootstrap HTML and SW for a Versui site
  * @param {string} site_name - Site name
  * @param {string[]} aggregators - List of aggregator URLs
- * @param {Object<string, string>} resource_map - Map of path to blob_hash
+ * @param {Object<string, string>} resource_map - Map of path to quilt patch ID
+ * @param {Object} [options] - Optional SW behavior
+ * @param {Object<string, string>} [options.integrity] - Hex SHA-256 per path, verified before serving
+ * @param {Object<string, Object<string, string>>} [options.headers] - Custom response headers per path
+ * @param {import('./config.js').RouteRule[]} [options.routes] - Redirect/rewrite rules for unmatched paths
+ * @param {boolean} [options.clean_urls] - Resolve `/about` to `/about.html` or `/about/index.html`
+ * @param {string|null} [options.fallback] - Document served for unknown navigations (SPA mode)
+ * @param {string|null} [options.not_found] - Page served with 404 for unknown navigations
+ * @param {string|null} [options.unavailable_html] - Page shown (503) when no aggregator can serve the site
+ * @param {string[]} [options.precache] - Paths cached at SW install
+ * @param {Object<string, string>} [options.strategies] - Per-path cache strategy overrides (default cache-first)
+ * @param {number[]} [options.weights] - Aggregator weights, aligned with `aggregators`
+ * @param {number[]} [options.timeouts] - Per-attempt timeout (ms) per aggregator
+ * @param {boolean} [options.race] - Query all aggregators at once and take the first valid response
+ * @param {string[]} [options.stream] - Paths whose range requests are forwarded to aggregators unverified
+ * @param {{site_id: string, rpc_urls: string[], revalidate: number}|null} [options.live] - Read the resource map from the Site object at runtime instead of embedding it
  * @returns {{html: string, sw: string}} Bootstrap HTML and SW
  */
-export function generate_bootstrap(site_name, aggregators, resource_map) {
+export function generate_bootstrap(
+  site_name,
+  aggregators,
+  resource_map,
+  options = {},
+) {
+  const {
+    integrity = {},
+    headers = {},
+    routes = [],
+    clean_urls = false,
+    fallback = null,
+    not_found = null,
+    unavailable_html = null,
+    precache = [],
+    strategies = {},
+    weights = aggregators.map(() => 1),
+    timeouts = aggregators.map(() => DEFAULT_AGGREGATOR_TIMEOUT),
+    race = false,
+    stream = [],
+    live = null,
+  } = options
   // XSS: escape for HTML context
-  const escaped_html = site_name
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-  const resources = JSON.stringify(resource_map)
+  const escaped_html = escape_html(site_name)
+  // Custom unavailable page is inlined: it must render when Walrus can't serve the site
+  const error_block = unavailable_html
+    ? `<iframe id="err" title="Site unavailable" srcdoc="${escape_html(unavailable_html)}" style="display:none;position:fixed;inset:0;width:100%;height:100%;border:0;background:#fff"></iframe>`
+    : `<div class="e" id="err" style="display:none"><h1>Site Storage Expired</h1><p>This site's storage has expired on Walrus. It will automatically load once the administrator restores it.</p><div class="retry"><div class="s"></div><span>Retrying...</span></div></div>`
+  // Live mode: the SW loads paths, hashes and headers from the Site, so nothing is embedded
+  const resources = live ? '{}' : JSON.stringify(resource_map)
   const agg_json = JSON.stringify(aggregators)
+  const integrity_json = live ? '{}' : JSON.stringify(integrity)
+  const headers_json = live ? '{}' : JSON.stringify(headers)
+  const routes_json = JSON.stringify(
+    routes.map(({ pattern, destination, status }) => [
+      pattern,
+      destination,
+      status,
+    ]),
+  )
 
   const html = `<!DOCTYPE html>
 <html>
@@ -27,7 +114,7 @@ export function generate_bootstrap(site_name, aggregators, resource_map) {
 </head>
 <body>
 <div class="s" id="l"></div>
-<div class="e" id="err" style="display:none"><h1>Site Storage Expired</h1><p>This site's storage has expired on Walrus. It will automatically load once the administrator restores it.</p><div class="retry"><div class="s"></div><span>Retrying...</span></div></div>
+${error_block}
 <div class="nosw" id="nosw" style="display:none">Your browser doesn't support Service Workers.<br>Please use a modern browser to view this site.</div>
 <script>
 (()=>{
@@ -43,21 +130,51 @@ check()})();
 </body>
 </html>`
 
-  const sw = `const A=${agg_json},R=${resources};
+  const sw = `const A=${agg_json},R=${resources},H=${headers_json},W=${routes_json};
+const C=${clean_urls ? 1 : 0},F=${JSON.stringify(fallback)},N=${JSON.stringify(not_found)},U=${JSON.stringify(unavailable_html)};
+const I=${integrity_json},P=${JSON.stringify(precache)},S=${JSON.stringify(strategies)},K='versui-blobs';
 const M=${JSON.stringify(MIME_TYPES_BROWSER)};
-self.addEventListener('install',()=>self.skipWaiting());
-self.addEventListener('activate',e=>e.waitUntil(clients.claim()));
-self.addEventListener('fetch',e=>{
-  const p=new URL(e.request.url).pathname;
+const T=${JSON.stringify(timeouts)},Y=${JSON.stringify(weights)},X=${race ? 1 : 0},$x=new Set(${JSON.stringify(stream)});
+const V=async(d,h)=>[...new Uint8Array(await crypto.subtle.digest('SHA-256',d))].map(x=>x.toString(16).padStart(2,'0')).join('')===h;
+const L=q=>R[q]?q:C?[q+'.html',q.replace(/\\/?$/,'/index.html')].find(x=>R[x]):undefined;
+const Q=b=>'/.versui/blobs/'+b;
+const $c=async()=>{if(!$k)return;const l=new Set([...Object.values(R).map(Q),'/.versui/map']);const c=await caches.open(K);for(const k of await c.keys())if(!l.has(new URL(k.url).pathname))await c.delete(k)};
+${live ? live_loader(live) : 'let $k=1,$m=Promise.resolve();'}
+const J=(m,f)=>new Promise((y,n)=>{const o=indexedDB.open('versui',1);o.onupgradeneeded=()=>o.result.createObjectStore('health');o.onerror=()=>n(o.error);o.onsuccess=()=>{const t=o.result.transaction('health',m),q=f(t.objectStore('health'));t.oncomplete=()=>y(q.result);t.onerror=()=>n(t.error)}});
+const E=J('readonly',s=>s.get('scores')).then(h=>h||{},()=>({}));
+const Z=(a,k)=>E.then(h=>{h[a]=(h[a]??1)*.7+(k?.3:0);return J('readwrite',s=>s.put(h,'scores'))}).catch(()=>{});
+const O=h=>A.map((a,i)=>i).sort((i,j)=>Y[j]*(h[A[j]]??1)-Y[i]*(h[A[i]]??1));
+const D=async(i,p,b,g,f)=>{const c=new AbortController(),t=setTimeout(()=>c.abort(),T[i]);g?.signal.addEventListener('abort',()=>c.abort());try{const r=await fetch(A[i]+'/v1/blobs/by-quilt-patch-id/'+b,{signal:c.signal});if(!r.ok)throw r.status;let d=await r.arrayBuffer();if(f)d=await new Response(new Response(d).body.pipeThrough(new DecompressionStream(f))).arrayBuffer();if(I[p]&&!await V(d,I[p]))throw 0;Z(A[i],1);return d}catch(e){if(e!==404&&!g?.signal.aborted)Z(A[i],0);throw e}finally{clearTimeout(t)}};
+const G=async(p,b,f)=>{const o=O(await E);if(X){const g=new AbortController();try{return await Promise.any(o.map(i=>D(i,p,b,g,f)))}catch(e){return null}finally{g.abort()}}for(const i of o){try{return await D(i,p,b,undefined,f)}catch(e){}}return null};
+const $e=[['brotli','br'],['gzip','gzip']].filter(([f])=>{try{new DecompressionStream(f);return 1}catch(e){}});
+const $z=async(p,b)=>{for(const[f,n]of $e){const v=R[${JSON.stringify(INTERNAL_PATH_PREFIX)}+n+p];if(v&&/^[a-zA-Z0-9_-]+$/.test(v)){const d=await G(p,v,f);if(d)return d}}return G(p,b)};
+const $g=async(b,g)=>{for(const i of O(await E)){const c=new AbortController(),t=setTimeout(()=>c.abort(),T[i]);try{const r=await fetch(A[i]+'/v1/blobs/by-quilt-patch-id/'+b,{headers:{Range:g},signal:c.signal});if(r.status===206)return r;c.abort()}catch(e){}finally{clearTimeout(t)}}return null};
+const $y=(d,m,h)=>{const n=d.byteLength;let s,t;if(m[1]===''){s=Math.max(0,n-m[2]);t=n-1}else{s=+m[1];t=m[2]===''?n-1:Math.min(+m[2],n-1)}if(s>t||s>=n)return new Response(null,{status:416,headers:{'Content-Range':'bytes */'+n}});return new Response(d.slice(s,t+1),{status:206,headers:{...h,'Accept-Ranges':'bytes','Content-Range':'bytes '+s+'-'+t+'/'+n}})};
+const B=async(p,b)=>{const s=S[p]||'cache-first';if(s==='network-only')return $z(p,b);const c=await caches.open(K);let m=s==='cache-first'&&await c.match(Q(b));if(m)return m.arrayBuffer();const d=await $z(p,b);if(d){await c.put(Q(b),new Response(d.slice(0)));return d}m=await c.match(Q(b));return m?m.arrayBuffer():null};
+self.addEventListener('install',e=>{self.skipWaiting();e.waitUntil($m.then(()=>caches.open(K)).then(c=>Promise.all(P.filter(p=>/^[a-zA-Z0-9_-]+$/.test(R[p])).map(async p=>{if(await c.match(Q(R[p])))return;const d=await $z(p,R[p]);if(d)await c.put(Q(R[p]),new Response(d))}))).catch(()=>{}))});
+self.addEventListener('activate',e=>e.waitUntil((async()=>{for(const n of await caches.keys())if(n.startsWith('versui-')&&n!==K)await caches.delete(n);await $m;await $c();await clients.claim()})()));
+const $f=e=>{
+  const u=new URL(e.request.url),o=u.origin===location.origin;
+  let p=u.pathname;
+  if(o&&p.startsWith(${JSON.stringify(INTERNAL_PATH_PREFIX)}))return;
+  if(!R[p]&&o){const r=L(p);if(r)p=r;else for(const[s,d,c]of W){const m=p.match(new RegExp(s));if(!m)continue;const t=d.replace(/:(\\w+)/g,(x,k)=>m.groups&&k in m.groups?m.groups[k]:x);if(c!==200)return e.respondWith(Response.redirect(new URL(t,u.origin).href+(t.includes('?')?'':u.search),c));p=L(t)||t;break}}
+  let z=200;
+  if(!R[p]&&o&&(F||N)){if(e.request.mode!=='navigate')return e.respondWith(new Response('not found',{status:404}));if(F)p=F;else{p=N;z=404}}
   const b=R[p];
   if(b){
     if(!/^[a-zA-Z0-9_-]+$/.test(b))return e.respondWith(new Response('invalid',{status:400}));
     e.respondWith((async()=>{
-      for(const a of A){try{const r=await fetch(a+'/v1/blobs/by-quilt-patch-id/'+b);if(r.ok){const ext=p.match(/\\.[^.]+$/)?.[0]||'';const type=M[ext]||'application/octet-stream';return new Response(await r.blob(),{headers:{'Content-Type':type}})}}catch(e){}}
+      const ext=p.match(/\\.[^.]+$/)?.[0]||'';const type=M[ext]||'application/octet-stream';const h={'Content-Type':type,...H[p]};
+      const g=z===200&&e.request.headers.get('range'),m=g&&/^bytes=(\\d*)-(\\d*)$/.exec(g),y=m&&(m[1]||m[2]);
+      if(y&&$x.has(p)&&!await(await caches.open(K)).match(Q(b))){const r=await $g(b,g);if(r)return new Response(r.body,{status:206,headers:{...h,'Accept-Ranges':'bytes','Content-Range':r.headers.get('content-range')}})}
+      const d=await B(p,b);
+      if(d)return y?$y(d,m,h):new Response(d,{status:z,headers:{...h,'Accept-Ranges':'bytes'}});
+      if(U&&e.request.mode==='navigate')return new Response(U,{status:503,headers:{'Content-Type':'text/html','Retry-After':'60'}});
       return new Response('expired',{status:404});
     })());
   }
-});`
+};
+self.addEventListener('fetch',${live ? LIVE_FETCH_LISTENER : '$f'});`
 
   return { html, sw }
 }
@@ -0,0 +1,155 @@
+import { existsSync, readFileSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+
+/**
+ * Journal file names (stored in the project root, next to .versui)
+ */
+export const JOURNAL_FILE = '.versui-deploy.json'
+export const UPDATE_JOURNAL_FILE = '.versui-update.json'
+
+/**
+ * @typedef {Object} DeployJournal
+ * @property {number} version - Journal format version
+ * @property {'deploy'|'update'} [command] - Command that wrote the journal (deploy when missing)
+ * @property {string} network - Network (testnet|mainnet)
+ * @property {number} epochs - Storage epochs
+ * @property {string} site_name - Site name
+ * @property {string} wallet - Wallet address that owns the deployment
+ * @property {Record<string, {hash: string, size: number, content_type: string}>} file_metadata - Files being deployed
+ * @property {string} [site_id] - Site being updated (update only)
+ * @property {{added_paths: string[], updated_paths: string[], deleted_paths: string[]}} [changes] - Changes being applied (update only)
+ * @property {Object} steps - Outputs of completed steps
+ * @property {{blob_id?: string, blob_object_id?: string, quilts?: Array<{blob_id: string, blob_object_id: string, patches: number}>, quilt_patches: Array<{identifier: string, quiltPatchId: string}>}} [steps.upload] - Walrus upload (blob_id and blob_object_id are the first quilt's, deploy only)
+ * @property {import('./walrus.js').StoredQuilts} [steps.partial_upload] - Quilts stored so far by an upload that has not finished
+ * @property {{site_id: string, admin_cap_id: string, initial_shared_version: string|number, digest: string}} [steps.create_site] - Transaction 1
+ * @property {{batches_done: number, digests: string[]}} [steps.add_resources] - Transaction 2 batches executed so far
+ * @property {{batches_done: number, digests: string[]}} [steps.update_resources] - Update batches executed so far
+ */
+
+/**
+ * Get the journal path for a project
+ * @param {string} project_dir - Project root (parent of the deployed dir)
+ * @param {'deploy'|'update'} [command='deploy'] - Command the journal belongs to
+ * @returns {string} Journal file path
+ */
+export function get_journal_path(project_dir, command = 'deploy') {
+  return join(
+    project_dir,
+    command === 'update' ? UPDATE_JOURNAL_FILE : JOURNAL_FILE,
+  )
+}
+
+/**
+ * Create a new (unsaved) journal for a deploy or update
+ * @param {Object} params - Deploy parameters
+ * @param {'deploy'|'update'} [params.command='deploy'] - Command writing the journal
+ * @param {string} params.network - Network
+ * @param {number} params.epochs - Storage epochs
+ * @param {string} params.site_name - Site name
+ * @param {string} params.wallet - Wallet address
+ * @param {Record<string, {hash: string, size: number, content_type: string}>} params.file_metadata - File metadata
+ * @param {string} [params.site_id] - Site being updated
+ * @param {{added_paths: string[], updated_paths: string[], deleted_paths: string[]}} [params.changes] - Changes being applied by an update
+ * @returns {DeployJournal}
+ */
+export function create_journal({
+  command = 'deploy',
+  network,
+  epochs,
+  site_name,
+  wallet,
+  file_metadata,
+  site_id,
+  changes,
+}) {
+  return {
+    version: 1,
+    command,
+    network,
+    epochs,
+    site_name,
+    wallet,
+    file_metadata,
+    ...(command === 'update' ? { site_id, changes } : {}),
+    steps: {},
+  }
+}
+
+/**
+ * Read the journal of an interrupted deploy or update
+ * @param {string} project_dir - Project root
+ * @param {'deploy'|'update'} [command='deploy'] - Command the journal belongs to
+ * @returns {DeployJournal|null} Journal or null if none exists
+ */
+export function read_journal(project_dir, command = 'deploy') {
+  const journal_path = get_journal_path(project_dir, command)
+  if (!existsSync(journal_path)) {
+    return null
+  }
+
+  try {
+    return JSON.parse(readFileSync(journal_path, 'utf-8'))
+  } catch (error) {
+    throw new Error(
+      `Invalid ${command} journal ${journal_path}: ${error.message}`,
+    )
+  }
+}
+
+/**
+ * Record a completed step and persist the journal
+ * Called right after each irreversible step so a failure later can resume
+ * (partial_upload is recorded after every quilt, add_resources and
+ * update_resources after every batch)
+ * @param {string} project_dir - Project root
+ * @param {DeployJournal} journal - Current journal
+ * @param {'partial_upload' | 'upload' | 'create_site' | 'add_resources' | 'update_resources'} step - Completed step
+ * @param {Object} outputs - Step outputs
+ * @returns {DeployJournal} Updated journal
+ */
+export function record_step(project_dir, journal, step, outputs) {
+  const updated = { ...journal, steps: { ...journal.steps, [step]: outputs } }
+  writeFileSync(
+    get_journal_path(project_dir, journal.command),
+    JSON.stringify(updated, null, 2) + '\n',
+  )
+  return updated
+}
+
+/**
+ * Delete the journal after a deploy or update completes
+ * @param {string} project_dir - Project root
+ * @param {'deploy'|'update'} [command='deploy'] - Command the journal belongs to
+ */
+export function clear_journal(project_dir, command = 'deploy') {
+  rmSync(get_journal_path(project_dir, command), { force: true })
+}
+
+/**
+ * Ensure a journal can be resumed with the current wallet and files
+ * @param {DeployJournal} journal - Journal to resume
+ * @param {Object} current - Current deploy state
+ * @param {string} current.wallet - Wallet address
+ * @param {Record<string, {hash: string}>} current.file_metadata - Current file metadata
+ */
+export function assert_resumable(journal, { wallet, file_metadata }) {
+  const command = journal.command ?? 'deploy'
+  if (journal.wallet !== wallet) {
+    throw new Error(
+      `Interrupted ${command} belongs to ${journal.wallet}, but the active wallet is ${wallet}`,
+    )
+  }
+
+  const journal_paths = Object.keys(journal.file_metadata)
+  const current_paths = Object.keys(file_metadata)
+  const changed =
+    journal_paths.length !== current_paths.length ||
+    current_paths.some(
+      path => journal.file_metadata[path]?.hash !== file_metadata[path].hash,
+    )
+  if (changed) {
+    throw new Error(
+      `Files changed since the interrupted ${command}. Run versui ${command} again without --resume.`,
+    )
+  }
+}
@@ -0,0 +1,233 @@
+import { existsSync, readFileSync } from 'node:fs'
+import { homedir } from 'node:os'
+import { join } from 'node:path'
+
+import { decodeSuiPrivateKey } from '@mysten/sui/cryptography'
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519'
+import { Secp256k1Keypair } from '@mysten/sui/keypairs/secp256k1'
+import { Secp256r1Keypair } from '@mysten/sui/keypairs/secp256r1'
+import { fromBase64 } from '@mysten/sui/utils'
+
+/**
+ * Keypair classes by signature scheme
+ * Keystore entries prefix the secret key with the scheme flag byte
+ */
+const KEYPAIR_SCHEMES = {
+  ED25519: { flag: 0x00, keypair: Ed25519Keypair },
+  Secp256k1: { flag: 0x01, keypair: Secp256k1Keypair },
+  Secp256r1: { flag: 0x02, keypair: Secp256r1Keypair },
+}
+
+/**
+ * @typedef {import('@mysten/sui/cryptography').Keypair} Keypair
+ */
+
+/**
+ * @typedef {Object} ClientConfig
+ * @property {string|null} active_address - Active address from client.yaml
+ * @property {string|null} active_env - Active environment alias from client.yaml
+ */
+
+/**
+ * Get the Sui CLI config directory
+ * Honors SUI_CONFIG_DIR like the Sui CLI itself
+ * @param {Object} [env] - Environment variables (injectable for testing)
+ * @returns {string} Config directory path
+ */
+export function get_sui_config_dir(env = process.env) {
+  return env.SUI_CONFIG_DIR || join(homedir(), '.sui', 'sui_config')
+}
+
+/**
+ * Create a keypair from a secret key string
+ * Accepts Bech32 `suiprivkey...` strings and base64 keystore entries (flag || key)
+ * @param {string} secret - Encoded secret key
+ * @returns {Keypair} Keypair instance
+ */
+export function keypair_from_secret(secret) {
+  const trimmed = secret?.trim()
+  if (!trimmed) {
+    throw new Error('Private key cannot be empty')
+  }
+
+  if (trimmed.startsWith('suiprivkey')) {
+    const { scheme, secretKey } = decodeSuiPrivateKey(trimmed)
+    const entry = KEYPAIR_SCHEMES[scheme]
+    if (!entry) {
+      throw new Error(`Unsupported key scheme: ${scheme}`)
+    }
+    return entry.keypair.fromSecretKey(secretKey)
+  }
+
+  let bytes
+  try {
+    bytes = fromBase64(trimmed)
+  } catch {
+    throw new Error('Invalid private key: expected suiprivkey or base64 format')
+  }
+
+  if (bytes.length !== 33) {
+    throw new Error(
+      `Invalid private key: expected 33 bytes (flag + key), got ${bytes.length}`,
+    )
+  }
+
+  const entry = Object.values(KEYPAIR_SCHEMES).find(s => s.flag === bytes[0])
+  if (!entry) {
+    throw new Error(`Unsupported key scheme flag: ${bytes[0]}`)
+  }
+
+  return entry.keypair.fromSecretKey(bytes.slice(1))
+}
+
+/**
+ * Read all keypairs from a Sui keystore file
+ * @param {string} keystore_path - Path to sui.keystore (JSON array of base64 keys)
+ * @returns {Keypair[]} Keypairs (unsupported entries are skipped)
+ */
+export function read_keystore(keystore_path) {
+  if (!existsSync(keystore_path)) {
+    throw new Error(`Sui keystore not found: ${keystore_path}`)
+  }
+
+  let entries
+  try {
+    entries = JSON.parse(readFileSync(keystore_path, 'utf-8'))
+  } catch (error) {
+    throw new Error(`Failed to parse Sui keystore: ${error.message}`)
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid Sui keystore: expected an array of keys')
+  }
+
+  const keypairs = []
+  for (const entry of entries) {
+    try {
+      keypairs.push(keypair_from_secret(entry))
+    } catch {
+      // Skip keys we cannot load (e.g. unsupported schemes)
+    }
+  }
+
+  return keypairs
+}
+
+/**
+ * Read active address and environment from client.yaml
+ * Only the two top-level scalar keys are needed, so no YAML parser is used
+ * @param {string} config_dir - Sui config directory
+ * @returns {ClientConfig} Client configuration
+ */
+export function read_client_config(config_dir) {
+  const config_path = join(config_dir, 'client.yaml')
+  if (!existsSync(config_path)) {
+    return { active_address: null, active_env: null }
+  }
+
+  const content = readFileSync(config_path, 'utf-8')
+  const read_key = key => {
+    const match = content.match(
+      new RegExp(`^${key}:\\s*["']?([^"'\\s#]+)["']?`, 'm'),
+    )
+    return match && match[1] !== '~' && match[1] !== 'null' ? match[1] : null
+  }
+
+  return {
+    active_address: read_key('active_address'),
+    active_env: read_key('active_env'),
+  }
+}
+
+/**
+ * Load the signer used for transactions
+ * Priority: VERSUI_PRIVATE_KEY env var → active address in the Sui keystore
+ * @param {Object} [options] - Signer options
+ * @param {Object} [options.env] - Environment variables (injectable for testing)
+ * @returns {Keypair} Signer keypair
+ */
+export function load_signer({ env = process.env } = {}) {
+  if (env.VERSUI_PRIVATE_KEY) {
+    return keypair_from_secret(env.VERSUI_PRIVATE_KEY)
+  }
+
+  const config_dir = get_sui_config_dir(env)
+  const keypairs = read_keystore(join(config_dir, 'sui.keystore'))
+  if (keypairs.length === 0) {
+    throw new Error(
+      'No keys found in Sui keystore. Set VERSUI_PRIVATE_KEY or run: sui client new-address ed25519',
+    )
+  }
+
+  const { active_address } = read_client_config(config_dir)
+  if (!active_address) {
+    return keypairs[0]
+  }
+
+  const active = keypairs.find(k => k.toSuiAddress() === active_address)
+  if (!active) {
+    throw new Error(
+      `Active address ${active_address} not found in Sui keystore`,
+    )
+  }
+
+  return active
+}
+
+/**
+ * Get the signer's wallet address
+ * @param {Object} [options] - Signer options (see load_signer)
+ * @returns {string} Wallet address
+ */
+export function get_active_address(options) {
+  try {
+    return load_signer(options).toSuiAddress()
+  } catch (error) {
+    throw new Error(`Could not load wallet: ${error.message}`)
+  }
+}
+
+/**
+ * Get the active Sui network from client.yaml
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - Environment variables (injectable for testing)
+ * @returns {'mainnet' | 'testnet'} Network name
+ */
+export function get_active_network({ env = process.env } = {}) {
+  const { active_env } = read_client_config(get_sui_config_dir(env))
+  if (active_env !== 'mainnet' && active_env !== 'testnet') {
+    throw new Error(
+      'Could not determine active Sui network. Use --network <testnet|mainnet>',
+    )
+  }
+  return active_env
+}
+
+/**
+ * Sign and execute a transaction, then wait for it to be indexed
+ * Response matches `sui client serialized-tx --json` (effects, objectChanges, digest)
+ * @param {import('@mysten/sui/transactions').Transaction | Uint8Array} transaction - Transaction or built bytes
+ * @param {Object} params - Execution parameters
+ * @param {import('@mysten/sui/client').SuiClient} params.client - Sui client
+ * @param {Keypair} params.signer - Signer keypair
+ * @returns {Promise<any>} Transaction response
+ */
+export async function sign_and_execute(transaction, { client, signer }) {
+  const response = await client.signAndExecuteTransaction({
+    transaction,
+    signer,
+    options: { showEffects: true, showObjectChanges: true },
+  })
+
+  if (response.effects?.status?.status !== 'success') {
+    throw new Error(
+      response.effects?.status?.error ||
+        `Transaction ${response.digest} failed`,
+    )
+  }
+
+  // Wait so follow-up reads (e.g. created objects) see this transaction
+  await client.waitForTransaction({ digest: response.digest })
+
+  return response
+}
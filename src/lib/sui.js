@@ -1,32 +1,28 @@
+import { existsSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
+
 import { Transaction } from '@mysten/sui/transactions'
 import { bcs } from '@mysten/sui/bcs'
 import { deriveObjectID } from '@mysten/sui/utils'
 import chalk from 'chalk'
 
 import { encode_base36 } from './base36.js'
+import { read_versui_config, get_site_name } from './config.js'
 import {
   get_versui_package_id,
   get_versui_registry_id,
   get_version_object_id,
 } from './env.js'
 
+// multiGetObjects accepts at most 50 IDs per request
+const MULTI_GET_LIMIT = 50
+
 /**
  * @typedef {Object} TransactionResult
  * @property {Uint8Array} tx_bytes - Transaction bytes
  * @property {string} tx_bytes_base64 - Base64 encoded transaction bytes
  */
 
-/**
- * @typedef {Object} ResourceData
- * @property {string} path - Resource path (e.g., '/index.html')
- * @property {string} blob_id - Walrus blob ID
- * @property {string} blob_hash - SHA-256 hash of content
- * @property {string} content_type - MIME type
- * @property {number} size - File size in bytes
- * @property {string} [resource_id] - Resource object ID (for updates)
- * @property {Object<string, string>} [headers] - Custom HTTP headers
- */
-
 /**
  * Build a transaction that creates a Site (step 1 of deployment)
  * Returns AdminCap to sender, creates shared Site object
@@ -81,140 +77,6 @@ export async function build_create_site_transaction(
   }
 }
 
-/**
- * Build a transaction that adds resources to a Site (step 2 of deployment)
- * Requires AdminCap and shared Site ID from step 1
- * @param {string} admin_cap_id - AdminCap object ID
- * @param {string} site_id - Shared Site object ID
- * @param {string} site_version - Site object version from step 1
- * @param {ResourceData[]} resources - Array of resources to add
- * @param {string} sender - Sender address
- * @param {Object} client - Sui client
- * @returns {Promise<TransactionResult>} Transaction bytes
- */
-export async function build_add_resources_transaction(
-  admin_cap_id,
-  site_id,
-  site_version,
-  resources,
-  sender,
-  client,
-  network = 'testnet',
-) {
-  const package_id = get_versui_package_id(network)
-  if (!package_id) {
-    throw new Error(`Versui package not deployed on ${network}`)
-  }
-
-  const tx = new Transaction()
-
-  const version_id = get_version_object_id(network)
-  if (!version_id) {
-    throw new Error(`Version object not deployed on ${network}`)
-  }
-
-  // Add all resources
-  for (const resource of resources) {
-    tx.moveCall({
-      target: `${package_id}::site::add_resource`,
-      arguments: [
-        tx.object(version_id),
-        tx.object(admin_cap_id), // AdminCap reference (owned object)
-        tx.sharedObjectRef({
-          objectId: site_id,
-          initialSharedVersion: site_version,
-          mutable: true,
-        }), // Shared Site reference (mutable shared object)
-        tx.pure.string(resource.path),
-        tx.pure.string(resource.blob_id),
-        tx.pure.vector(
-          'u8',
-          Array.from(Buffer.from(resource.blob_hash, 'hex')),
-        ),
-        tx.pure.string(resource.content_type),
-        tx.pure.u64(resource.size),
-      ],
-    })
-  }
-
-  // Set sender
-  tx.setSender(sender)
-
-  // Build transaction bytes
-  const tx_bytes = await tx.build({ client })
-
-  return {
-    tx_bytes,
-    tx_bytes_base64: Buffer.from(tx_bytes).toString('base64'),
-  }
-}
-
-/**
- * Build a transaction that updates existing Resources
- * @param {string} admin_cap_id - AdminCap object ID
- * @param {string} site_id - Shared Site object ID
- * @param {string} site_version - Current Site object version
- * @param {ResourceData[]} resources - Resources to update (must include path)
- * @param {string} sender - Sender address
- * @param {Object} client - Sui client
- * @returns {Promise<TransactionResult>} Transaction bytes
- */
-export async function build_update_transaction(
-  admin_cap_id,
-  site_id,
-  site_version,
-  resources,
-  sender,
-  client,
-  network = 'testnet',
-) {
-  const package_id = get_versui_package_id(network)
-  if (!package_id) {
-    throw new Error(`Versui package not deployed on ${network}`)
-  }
-
-  const tx = new Transaction()
-
-  const version_id = get_version_object_id(network)
-  if (!version_id) {
-    throw new Error(`Version object not deployed on ${network}`)
-  }
-
-  // Update all resources
-  for (const resource of resources) {
-    tx.moveCall({
-      target: `${package_id}::site::update_resource`,
-      arguments: [
-        tx.object(version_id),
-        tx.object(admin_cap_id), // AdminCap reference (owned object)
-        tx.sharedObjectRef({
-          objectId: site_id,
-          initialSharedVersion: site_version,
-          mutable: true,
-        }), // Shared Site reference (mutable shared object)
-        tx.pure.string(resource.path), // Resource path
-        tx.pure.string(resource.blob_id), // New blob ID
-        tx.pure.vector(
-          'u8',
-          Array.from(Buffer.from(resource.blob_hash, 'hex')),
-        ),
-        tx.pure.u64(resource.size),
-      ],
-    })
-  }
-
-  // Set sender
-  tx.setSender(sender)
-
-  // Build transaction bytes
-  const tx_bytes = await tx.build({ client })
-
-  return {
-    tx_bytes,
-    tx_bytes_base64: Buffer.from(tx_bytes).toString('base64'),
-  }
-}
-
 /**
  * Parse signature from sui keytool output
  * @param {string} output - Output from sui keytool sign
@@ -338,70 +200,6 @@ export function format_sites_table(sites, network) {
   return lines.join('\n')
 }
 
-/**
- * Build delete resources transaction
- * @param {string} admin_cap_id - AdminCap object ID
- * @param {string} site_id - Site object ID
- * @param {string} site_version - Initial shared version
- * @param {Array<{type: string, value: any}>} resource_names - Array of resource path names from dynamic fields
- * @param {string} sender - Sender address
- * @param {Object} client - Sui client
- * @returns {Promise<TransactionResult>} Transaction bytes
- */
-export async function build_delete_resources_transaction(
-  admin_cap_id,
-  site_id,
-  site_version,
-  resource_names,
-  sender,
-  client,
-  network = 'testnet',
-) {
-  const package_id = get_versui_package_id(network)
-  if (!package_id) {
-    throw new Error(`Versui package not deployed on ${network}`)
-  }
-
-  const tx = new Transaction()
-
-  const version_id = get_version_object_id(network)
-  if (!version_id) {
-    throw new Error(`Version object not deployed on ${network}`)
-  }
-
-  // Delete each resource
-  for (const name_obj of resource_names) {
-    // Extract the path string from the dynamic field name object
-    // name_obj structure: { type: "0x1::string::String", value: "/index.html" }
-    const path = name_obj.value || String(name_obj)
-
-    tx.moveCall({
-      target: `${package_id}::site::delete_resource`,
-      arguments: [
-        tx.object(version_id),
-        tx.object(admin_cap_id), // AdminCap reference
-        tx.sharedObjectRef({
-          objectId: site_id,
-          initialSharedVersion: site_version,
-          mutable: true,
-        }), // Shared Site reference (mutable)
-        tx.pure.string(path), // Resource path
-      ],
-    })
-  }
-
-  // Set sender
-  tx.setSender(sender)
-
-  // Build transaction bytes
-  const tx_bytes = await tx.build({ client })
-
-  return {
-    tx_bytes,
-    tx_bytes_base64: Buffer.from(tx_bytes).toString('base64'),
-  }
-}
-
 /**
  * Build a transaction that deletes a Site object
  * Note: Site's Table must be empty (all resources deleted first)
@@ -531,3 +329,179 @@ export async function get_site_id_by_name(
     network,
   )
 }
+
+/**
+ * Check if a string is a valid Sui object ID (0x + 64 hex chars)
+ * @param {string} id - String to check
+ * @returns {boolean}
+ */
+function is_valid_sui_object_id(id) {
+  return /^0x[a-fA-F0-9]{64}$/.test(id)
+}
+
+/**
+ * Resolve a site identifier (object ID or site name) to a site ID
+ * @param {string} identifier - Site object ID or name
+ * @param {string} wallet - Owner wallet address
+ * @param {string} network - Network (testnet|mainnet)
+ * @returns {Promise<string>} Site object ID
+ */
+export async function resolve_site_id(identifier, wallet, network) {
+  if (is_valid_sui_object_id(identifier)) {
+    return identifier
+  }
+
+  const registry_id = get_versui_registry_id(network)
+  if (!registry_id) {
+    throw new Error(
+      `Cannot resolve site name "${identifier}" - registry not available. Use site ID instead.`,
+    )
+  }
+
+  return get_site_id_by_name(null, registry_id, wallet, identifier, network)
+}
+
+/**
+ * Resolve the site a project directory was deployed as
+ * Uses --site when given, otherwise derives the Site address from the name
+ * cascade (--name → .versui → package.json), the same name deploy used
+ * @param {string} dir - Directory being deployed
+ * @param {Object} params - Resolution parameters
+ * @param {string} [params.site] - Explicit Site object ID
+ * @param {string} [params.name] - Site name from CLI flag
+ * @param {string} params.wallet - Owner wallet address
+ * @param {string} params.network - Network (testnet|mainnet)
+ * @returns {{site_id: string, site_name: string|null}} Site ID and the name it was derived from
+ */
+export function resolve_project_site_id(dir, { site, name, wallet, network }) {
+  if (site) {
+    return { site_id: site, site_name: null }
+  }
+
+  const project_dir = join(dir, '..')
+  const versui_config = read_versui_config(project_dir)
+  let package_json = null
+  const package_json_path = join(project_dir, 'package.json')
+  if (existsSync(package_json_path)) {
+    try {
+      package_json = JSON.parse(readFileSync(package_json_path, 'utf-8'))
+    } catch {
+      // Ignore invalid package.json
+    }
+  }
+
+  const site_name = get_site_name({
+    cli_name: name,
+    versui_config,
+    package_json,
+  })
+
+  const registry_id = get_versui_registry_id(network)
+  if (!registry_id) {
+    throw new Error(
+      `Site name lookup not available on ${network} (registry not deployed). Use --site <site-id>`,
+    )
+  }
+
+  return {
+    site_id: derive_site_address(registry_id, wallet, site_name, network),
+    site_name,
+  }
+}
+
+/**
+ * Fetch site data and existing resources from Sui
+ * @param {string} site_id - Site object ID
+ * @param {import('@mysten/sui/client').SuiClient} sui_client - Sui client
+ * @returns {Promise<{site_fields: any, resources: Map<string, {blob_id: string, hash: string, size: number, content_type: string, blob_object_id: string}>}>}
+ */
+export async function fetch_site_resources(site_id, sui_client) {
+  const site_obj = await sui_client.getObject({
+    id: site_id,
+    options: { showContent: true },
+  })
+
+  if (!site_obj.data) {
+    throw new Error(`Site not found: ${site_id}`)
+  }
+
+  const { fields: site_fields } = /** @type {any} */ (site_obj.data.content)
+  const resources_table_id = site_fields.resources.fields.id.id
+
+  // Fetch all resources from table
+  const resource_entries = []
+  let cursor = null
+  let has_next_page = true
+
+  while (has_next_page) {
+    const page = await sui_client.getDynamicFields({
+      parentId: resources_table_id,
+      cursor,
+    })
+
+    resource_entries.push(...page.data)
+    has_next_page = page.hasNextPage
+    cursor = page.nextCursor
+  }
+
+  // Fetch resource details
+  const resource_ids = resource_entries.map(r => r.objectId)
+  const resource_objects = []
+  for (let i = 0; i < resource_ids.length; i += MULTI_GET_LIMIT) {
+    resource_objects.push(
+      ...(await sui_client.multiGetObjects({
+        ids: resource_ids.slice(i, i + MULTI_GET_LIMIT),
+        options: { showContent: true },
+      })),
+    )
+  }
+
+  // Build resource map
+  /** @type {Map<string, {blob_id: string, hash: string, size: number, content_type: string, blob_object_id: string}>} */
+  const resources = new Map()
+  for (const res of resource_objects) {
+    if (!res.data) continue
+    const { fields } = /** @type {any} */ (res.data.content)
+    // blob_hash is stored as vector<u8>, convert to hex for comparison
+    const hash_bytes = fields.blob_hash || []
+    const hash_hex = Array.from(hash_bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+    resources.set(fields.path, {
+      blob_id: fields.blob_id,
+      hash: hash_hex,
+      size: Number(fields.size),
+      content_type: fields.content_type,
+      blob_object_id: fields.blob_object_id,
+    })
+  }
+
+  return { site_fields, resources }
+}
+
+/**
+ * Fetch the storage end epoch of each blob object
+ * @param {string[]} blob_object_ids - Blob object IDs
+ * @param {import('@mysten/sui/client').SuiClient} sui_client - Sui client
+ * @returns {Promise<Map<string, number|null>>} End epoch by blob object ID (null if unreadable)
+ */
+export async function fetch_blob_end_epochs(blob_object_ids, sui_client) {
+  /** @type {Map<string, number|null>} */
+  const end_epochs = new Map()
+
+  for (let i = 0; i < blob_object_ids.length; i += MULTI_GET_LIMIT) {
+    const batch = blob_object_ids.slice(i, i + MULTI_GET_LIMIT)
+    const objects = await sui_client.multiGetObjects({
+      ids: batch,
+      options: { showContent: true },
+    })
+
+    batch.forEach((id, index) => {
+      const content = /** @type {any} */ (objects[index]?.data?.content)
+      const end_epoch = content?.fields?.storage?.fields?.end_epoch
+      end_epochs.set(id, end_epoch === undefined ? null : Number(end_epoch))
+    })
+  }
+
+  return end_epochs
+}
@@ -59,11 +59,38 @@ export async function detect_service_worker(
 
 /**
  * Generate integration snippet for custom service worker
+ * The SW plugin only takes a resource map, so features the site configures
+ * are listed in a warning comment instead of being passed to it
  * @param {Object<string, string>} resource_map - Path to quilt patch ID mappings
  * @param {string} [sw_path] - Path to detected service worker file (optional, for display)
+ * @param {Object} [options] - Site features the bootstrap would apply
+ * @param {Object<string, string>} [options.integrity] - Hex SHA-256 per path
+ * @param {Object<string, Object<string, string>>} [options.headers] - Custom response headers per path
+ * @param {import('./config.js').RouteRule[]} [options.routes] - Redirect/rewrite rules
+ * @param {boolean} [options.clean_urls] - Resolve extensionless paths to .html / index.html
+ * @param {string|null} [options.fallback] - Document served for unknown navigations
+ * @param {string|null} [options.not_found] - Page served with 404 for unknown navigations
+ * @param {string[]} [options.precache] - Paths cached at SW install
+ * @param {Object<string, string>} [options.strategies] - Per-path cache strategy overrides
+ * @param {string[]} [options.stream] - Paths whose range requests go straight to aggregators
  * @returns {string} Code snippet for integrating Versui into existing SW
  */
-export function generate_sw_snippet(resource_map, sw_path = null) {
+export function generate_sw_snippet(
+  resource_map,
+  sw_path = null,
+  options = {},
+) {
+  const {
+    integrity = {},
+    headers = {},
+    routes = [],
+    clean_urls = false,
+    fallback = null,
+    not_found = null,
+    precache = [],
+    strategies = {},
+    stream = [],
+  } = options
   const resources_json = JSON.stringify(resource_map, null, 2)
     .split('\n')
     .map((line, i) => (i === 0 ? line : '  ' + line))
@@ -71,12 +98,29 @@ export function generate_sw_snippet(resource_map, sw_path = null) {
 
   const sw_location = sw_path ? ` (${sw_path})` : ''
 
+  const unsupported = [
+    Object.keys(integrity).length > 0 && 'integrity verification',
+    Object.keys(headers).length > 0 && 'custom headers',
+    routes.length > 0 && 'redirects and rewrites',
+    clean_urls && 'clean URLs',
+    fallback && 'SPA fallback',
+    not_found && 'the 404 page',
+    precache.length > 0 && 'precaching',
+    Object.keys(strategies).length > 0 && 'cache strategies',
+    stream.length > 0 && 'range streaming',
+  ].filter(Boolean)
+  const warning =
+    unsupported.length > 0
+      ? `// The SW plugin does not apply ${unsupported.join(', ')}.\n` +
+        '// Use the generated bootstrap service worker if the site needs them.\n'
+      : ''
+
   return `
 Add this to your service worker${sw_location}:
 
 import { create_versui_handler } from '@versui/sw-plugin'
 
-const versui = create_versui_handler()
+${warning}const versui = create_versui_handler()
 versui.load(${resources_json})
 self.addEventListener('fetch', e => versui.handle(e))
 `.trim()
@@ -1,4 +1,83 @@
-import { WalrusClient } from '@mysten/walrus'
+import { bcs } from '@mysten/sui/bcs'
+import { fromBase64 } from '@mysten/sui/utils'
+import { WalrusClient, blobIdToInt, blobIdFromInt } from '@mysten/walrus'
+
+/**
+ * BCS layout of a quilt patch ID (quilt blob ID + patch range)
+ * Mirrors the SDK's internal QuiltPatchId so patch IDs match `walrus store-quilt`
+ */
+const QUILT_PATCH_ID = bcs.struct('QuiltPatchId', {
+  quilt_id: bcs.u256(),
+  patch_id: bcs.struct('InternalQuiltPatchId', {
+    version: bcs.u8(),
+    start_index: bcs.u16(),
+    end_index: bcs.u16(),
+  }),
+})
+
+/**
+ * Serialized size of a quilt patch ID (u256 quilt ID, u8 version, two u16)
+ */
+const QUILT_PATCH_ID_BYTES = 32 + 1 + 2 + 2
+
+/**
+ * Quilt columns the SDK may reserve for the quilt index
+ */
+const QUILT_INDEX_COLUMNS = 10
+
+/**
+ * Largest symbol size for RS2 encoding (2^16 - 1, rounded down to the
+ * 2-byte alignment)
+ */
+const MAX_SYMBOL_SIZE = 65534
+
+/**
+ * Per-patch bytes the quilt adds in front of each file (blob header and
+ * identifier length), on top of the identifier itself
+ */
+const QUILT_PATCH_HEADER_BYTES = 8
+
+/**
+ * Largest quilt a single upload builds. Every patch takes whole columns, so
+ * a small file next to a large one costs as much storage as a column of the
+ * large one; capping the quilt also bounds encoding memory
+ */
+const MAX_QUILT_BYTES = 64 * 1024 * 1024
+
+/**
+ * File size classes used to group files when a site needs several quilts
+ */
+const QUILT_SIZE_CLASSES = [64 * 1024, 1024 * 1024, 16 * 1024 * 1024]
+
+/**
+ * File bytes of the quilts being encoded and written to storage nodes at
+ * once. Their slivers take several times as much memory, so a quilt of the
+ * maximum size uploads alone while small quilts overlap
+ */
+const QUILT_UPLOAD_BYTES = MAX_QUILT_BYTES
+
+/**
+ * @typedef {Object} UploadProgress
+ * @property {'encode' | 'register' | 'store' | 'certify' | 'done'} stage - Current upload stage
+ * @property {number} [nodes_done] - Storage nodes that returned a confirmation (store stage)
+ * @property {number} [nodes_failed] - Storage nodes that failed (store stage)
+ * @property {number} [nodes_total] - Storage nodes in the committee (store stage)
+ * @property {number} [quilt] - Index of the quilt this event is for (multi-quilt uploads)
+ * @property {number} [quilts] - Quilts in the upload (multi-quilt uploads)
+ */
+
+/**
+ * @typedef {Object} StoredQuilts
+ * @property {Array<{blob_id: string, blob_object_id: string, patches: number}>} quilts - Stored quilts
+ * @property {Array<{identifier: string, quiltPatchId: string}>} quilt_patches - Patches of all of them
+ */
+
+/**
+ * @typedef {Object} QuiltLimits
+ * @property {number} columns - Columns available to patches
+ * @property {number} rows - Symbols per column
+ * @property {number} max_bytes - Largest quilt to build
+ */
 
 /**
  * Create Walrus client for network
@@ -14,73 +93,570 @@ export function create_walrus_client(network, sui_client) {
 }
 
 /**
- * Encode files and return metadata for registration
+ * Download blob from Walrus
  * @param {WalrusClient} walrus_client
- * @param {Array<{path: string, content: Buffer}>} files
- * @returns {Promise<Array<{path: string, blob_id: string, root_hash: number[], size: number, metadata: Object}>>}
- */
-export async function encode_files(walrus_client, files) {
-  const encoded_blobs = []
-
-  for (const file of files) {
-    const encoded = await walrus_client.encodeBlob(file.content)
-    encoded_blobs.push({
-      path: file.path,
-      blob_id: encoded.blobId,
-      root_hash: Array.from(encoded.rootHash),
-      size: file.content.length,
-      metadata: encoded.metadata,
-    })
+ * @param {string} blob_id
+ * @returns {Promise<Uint8Array>}
+ */
+export async function download_blob(walrus_client, blob_id) {
+  return walrus_client.readBlob({ blobId: blob_id })
+}
+
+/**
+ * Download one quilt patch from Walrus storage nodes
+ * Site resources store quilt patch IDs, which `readBlob` can't resolve
+ * @param {WalrusClient} walrus_client
+ * @param {string} patch_id - Quilt patch ID
+ * @returns {Promise<Uint8Array>}
+ */
+export async function download_quilt_patch(walrus_client, patch_id) {
+  const [file] = await walrus_client.getFiles({ ids: [patch_id] })
+  return file.bytes()
+}
+
+/**
+ * Encode a quilt patch ID (URL-safe base64, no padding)
+ * @param {string} quilt_id - Quilt blob ID
+ * @param {{startIndex: number, endIndex: number}} patch - Patch range from the quilt index
+ * @returns {string} Quilt patch ID
+ */
+export function encode_quilt_patch_id(quilt_id, patch) {
+  return QUILT_PATCH_ID.serialize({
+    quilt_id: blobIdToInt(quilt_id),
+    patch_id: {
+      version: 1,
+      start_index: patch.startIndex,
+      end_index: patch.endIndex,
+    },
+  })
+    .toBase64()
+    .replace(/=*$/, '')
+    .replaceAll('+', '-')
+    .replaceAll('/', '_')
+}
+
+/**
+ * Get the quilt blob ID a resource's blob ID points into
+ * Resources store quilt patch IDs, which embed the quilt blob ID; plain blob
+ * IDs are returned unchanged
+ * @param {string} blob_id - Quilt patch ID or blob ID
+ * @returns {string} Quilt blob ID
+ */
+export function get_quilt_id(blob_id) {
+  const bytes = fromBase64(
+    blob_id.replaceAll('-', '+').replaceAll('_', '/') +
+      '='.repeat((4 - (blob_id.length % 4)) % 4),
+  )
+  if (bytes.length !== QUILT_PATCH_ID_BYTES) return blob_id
+  return blobIdFromInt(QUILT_PATCH_ID.parse(bytes).quilt_id)
+}
+
+/**
+ * Write encoded slivers to every storage node, reporting each node as it finishes
+ * Aborts once failed shards exceed the fault tolerance (f = (n - 1) / 3)
+ * @param {WalrusClient} walrus_client
+ * @param {Object} params
+ * @param {string} params.blob_id - Blob ID
+ * @param {Object} params.metadata - Blob metadata from encodeBlob
+ * @param {Array} params.slivers_by_node - Slivers per node from encodeBlob
+ * @param {boolean} params.deletable - Whether the blob is deletable
+ * @param {string} params.object_id - Registered blob object ID
+ * @param {number} params.n_shards - Total shards in the committee
+ * @param {(done: number, failed: number, total: number) => void} [params.on_node] - Called after each node settles
+ * @returns {Promise<Array>} Confirmations by node (null for failed nodes)
+ */
+export async function write_slivers_to_nodes(
+  walrus_client,
+  {
+    blob_id,
+    metadata,
+    slivers_by_node,
+    deletable,
+    object_id,
+    n_shards,
+    on_node = () => {},
+  },
+) {
+  const max_faulty = Math.floor((n_shards - 1) / 3)
+  const controller = new AbortController()
+  const total = slivers_by_node.length
+  let done = 0
+  let failed = 0
+  let failed_shards = 0
+
+  return Promise.all(
+    slivers_by_node.map(async (slivers, node_index) => {
+      try {
+        const confirmation = await walrus_client.writeEncodedBlobToNode({
+          nodeIndex: node_index,
+          blobId: blob_id,
+          metadata,
+          slivers,
+          deletable,
+          objectId: object_id,
+          signal: controller.signal,
+        })
+        done++
+        on_node(done, failed, total)
+        return confirmation
+      } catch {
+        failed++
+        failed_shards += slivers.primary.length
+        if (failed_shards > max_faulty) {
+          const error = new Error(
+            `Too many storage node failures (${failed}/${total} nodes)`,
+          )
+          controller.abort(error)
+          throw error
+        }
+        on_node(done, failed, total)
+        return null
+      }
+    }),
+  )
+}
+
+/**
+ * Encode files into a quilt and its Walrus blob, without storing anything
+ * @param {WalrusClient} walrus_client
+ * @param {Array<{identifier: string, contents: Uint8Array}>} files - Files to encode
+ * @returns {Promise<{quilt: Uint8Array, index: {patches: Array<{identifier: string, startIndex: number, endIndex: number}>}, encoded: Awaited<ReturnType<WalrusClient['encodeBlob']>>}>}
+ */
+async function encode_quilt(walrus_client, files) {
+  const { quilt, index } = await walrus_client.encodeQuilt({
+    blobs: files.map(file => ({
+      identifier: file.identifier,
+      contents: file.contents,
+    })),
+  })
+  const encoded = await walrus_client.encodeBlob(quilt)
+  return { quilt, index, encoded }
+}
+
+/**
+ * Map a quilt index to patch IDs, as `walrus store-quilt` reports them
+ * @param {string} blob_id - Quilt blob ID
+ * @param {{patches: Array<{identifier: string, startIndex: number, endIndex: number}>}} index - Quilt index
+ * @returns {Array<{identifier: string, quiltPatchId: string}>}
+ */
+function quilt_patches(blob_id, index) {
+  return index.patches.map(patch => ({
+    identifier: patch.identifier,
+    quiltPatchId: encode_quilt_patch_id(blob_id, patch),
+  }))
+}
+
+/**
+ * Compute the quilt an upload would store, locally
+ * Quilts are content-addressed, so the blob ID and patch IDs match what a
+ * real upload of the same files produces
+ * @param {WalrusClient} walrus_client
+ * @param {Array<{identifier: string, contents: Uint8Array}>} files - Files to encode
+ * @returns {Promise<{blob_id: string, size: number, patches: Array<{identifier: string, quiltPatchId: string}>}>}
+ */
+export async function plan_quilt(walrus_client, files) {
+  const { quilt, index, encoded } = await encode_quilt(walrus_client, files)
+  return {
+    blob_id: encoded.blobId,
+    size: quilt.length,
+    patches: quilt_patches(encoded.blobId, index),
   }
+}
 
-  return encoded_blobs
+/**
+ * Quilt limits for a committee size
+ * A quilt is a matrix of (n - 2f) rows by (n - f) columns, f = (n - 1) / 3,
+ * and each patch takes at least one whole column
+ * @param {number} n_shards - Total shards in the committee
+ * @returns {QuiltLimits}
+ */
+export function quilt_limits(n_shards) {
+  const max_faulty = Math.floor((n_shards - 1) / 3)
+  return {
+    columns: n_shards - max_faulty - QUILT_INDEX_COLUMNS,
+    rows: n_shards - 2 * max_faulty,
+    max_bytes: MAX_QUILT_BYTES,
+  }
 }
 
 /**
- * Upload files to storage nodes and get confirmations
- * This re-encodes the files (deterministic) and uploads
+ * Bytes a file takes in a quilt, headers included
+ * @param {{identifier: string, contents: Uint8Array}} file - File to store
+ * @returns {number}
+ */
+function patch_size(file) {
+  return (
+    file.contents.length +
+    QUILT_PATCH_HEADER_BYTES +
+    Buffer.byteLength(file.identifier)
+  )
+}
+
+/**
+ * Estimate the size of the quilt holding a set of patches
+ * Mirrors the SDK's search for the smallest symbol size that fits every
+ * patch into whole columns
+ * @param {number[]} sizes - Patch sizes (see patch_size)
+ * @param {QuiltLimits} limits - Quilt limits
+ * @returns {number} Quilt size in bytes, Infinity when the patches can't fit
+ */
+function estimate_quilt_size(sizes, { columns, rows }) {
+  const fits = symbol_size =>
+    sizes.reduce(
+      (used, size) => used + Math.ceil(size / (symbol_size * rows)),
+      0,
+    ) <= columns
+  if (sizes.length > columns || !fits(MAX_SYMBOL_SIZE)) return Infinity
+
+  let low = 1
+  let high = MAX_SYMBOL_SIZE
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2)
+    if (fits(mid)) high = mid
+    else low = mid + 1
+  }
+  return Math.ceil(low / 2) * 2 * rows * (columns + QUILT_INDEX_COLUMNS)
+}
+
+/**
+ * Split files into groups that each fit in one quilt
+ * Sites that fit stay in a single quilt. Larger sites are grouped by size
+ * class, then by path so files of a directory end up together, and each
+ * group is filled greedily. The same files always give the same groups
+ * @template {{identifier: string, contents: Uint8Array}} F
+ * @param {F[]} files - Files to store
+ * @param {QuiltLimits} limits - Quilt limits (see quilt_limits)
+ * @returns {F[][]} File groups, one per quilt
+ */
+export function partition_quilts(files, limits) {
+  const fits = group =>
+    estimate_quilt_size(group.map(patch_size), limits) <= limits.max_bytes
+  if (files.length === 0 || fits(files)) return [files]
+
+  const size_class = file =>
+    QUILT_SIZE_CLASSES.filter(limit => file.contents.length > limit).length
+  const sorted = [...files].sort(
+    (a, b) =>
+      size_class(a) - size_class(b) ||
+      (a.identifier < b.identifier ? -1 : a.identifier > b.identifier ? 1 : 0),
+  )
+
+  /** @type {F[][]} */
+  const groups = []
+  /** @type {F[]} */
+  let group = []
+  for (const file of sorted) {
+    if (group.length > 0 && !fits([...group, file])) {
+      groups.push(group)
+      group = []
+    }
+    group.push(file)
+  }
+  groups.push(group)
+  return groups
+}
+
+/**
+ * Compute the quilts an upload would store, locally (see plan_quilt)
  * @param {WalrusClient} walrus_client
- * @param {Array<{content: Buffer}>} files - File contents
- * @param {Array<string>} blob_object_ids - Blob object IDs from register TX
- * @param {Object} options
- * @returns {Promise<Array>} confirmations by blob
+ * @param {Array<{identifier: string, contents: Uint8Array}>} files - Files to encode
+ * @returns {Promise<Array<{blob_id: string, size: number, patches: Array<{identifier: string, quiltPatchId: string}>}>>}
  */
-export async function upload_files_to_nodes(
+export async function plan_quilts(walrus_client, files) {
+  const { committee } = await walrus_client.systemState()
+  const quilts = []
+  for (const group of partition_quilts(
+    files,
+    quilt_limits(committee.n_shards),
+  )) {
+    quilts.push(await plan_quilt(walrus_client, group))
+  }
+  return quilts
+}
+
+/**
+ * Store files as a Walrus quilt entirely in-process
+ * Flow: encodeQuilt → register blob → write slivers to nodes → certify
+ * Result matches `walrus store-quilt --json` so callers can use either path
+ * @param {WalrusClient} walrus_client
+ * @param {Object} params
+ * @param {Array<{identifier: string, contents: Uint8Array}>} params.files - Files to store
+ * @param {number} params.epochs - Storage epochs
+ * @param {import('@mysten/sui/cryptography').Signer} params.signer - Pays for storage and owns the blob
+ * @param {boolean} [params.deletable] - Whether the quilt blob is deletable
+ * @param {(progress: UploadProgress) => void} [params.on_progress] - Progress callback
+ * @param {<T>(execute: () => Promise<T>) => Promise<T>} [params.run_transaction] - Runs each signed transaction (lets parallel uploads take turns with the signer's gas coin)
+ * @returns {Promise<{blobStoreResult: Object, storedQuiltBlobs: Array<{identifier: string, quiltPatchId: string}>}>}
+ */
+export async function store_quilt(
   walrus_client,
-  files,
-  blob_object_ids,
-  options = {},
+  {
+    files,
+    epochs,
+    signer,
+    deletable = true,
+    on_progress = () => {},
+    run_transaction = execute => execute(),
+  },
 ) {
-  const { deletable = true } = options
-  const confirmations_by_blob = []
+  on_progress({ stage: 'encode' })
+  const { quilt, index, encoded } = await encode_quilt(walrus_client, files)
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i]
+  on_progress({ stage: 'register' })
+  const { blob } = await run_transaction(() =>
+    walrus_client.executeRegisterBlobTransaction({
+      signer,
+      size: quilt.length,
+      epochs,
+      blobId: encoded.blobId,
+      rootHash: encoded.rootHash,
+      deletable,
+      owner: signer.toSuiAddress(),
+      attributes: { _walrusBlobType: 'quilt' },
+    }),
+  )
+  const blob_object_id = blob.id.id
 
-    // Re-encode (deterministic - same content = same slivers)
-    const encoded = await walrus_client.encodeBlob(file.content)
+  const { committee } = await walrus_client.systemState()
+  const nodes_total = encoded.sliversByNode.length
+  on_progress({ stage: 'store', nodes_done: 0, nodes_failed: 0, nodes_total })
+  const confirmations = await write_slivers_to_nodes(walrus_client, {
+    blob_id: encoded.blobId,
+    metadata: encoded.metadata,
+    slivers_by_node: encoded.sliversByNode,
+    deletable,
+    object_id: blob_object_id,
+    n_shards: committee.n_shards,
+    on_node: (nodes_done, nodes_failed) =>
+      on_progress({ stage: 'store', nodes_done, nodes_failed, nodes_total }),
+  })
 
-    // Upload to nodes
-    const confirmations = await walrus_client.writeEncodedBlobToNodes({
+  on_progress({ stage: 'certify' })
+  await run_transaction(() =>
+    walrus_client.executeCertifyBlobTransaction({
+      signer,
       blobId: encoded.blobId,
-      metadata: encoded.metadata,
-      sliversByNode: encoded.sliversByNode,
+      blobObjectId: blob_object_id,
+      confirmations,
+      deletable,
+    }),
+  )
+
+  on_progress({ stage: 'done' })
+  return {
+    blobStoreResult: {
+      newlyCreated: {
+        blobObject: { id: blob_object_id, blobId: encoded.blobId },
+      },
+    },
+    storedQuiltBlobs: quilt_patches(encoded.blobId, index),
+  }
+}
+
+/**
+ * Store files as one or more Walrus quilts, uploading them in parallel
+ * Files are split with partition_quilts. Encoding and sliver writes overlap
+ * up to QUILT_UPLOAD_BYTES of files, while signed transactions run one at a
+ * time since they share a gas coin. After a failure no further quilt is
+ * started; the quilts already stored were reported through on_stored, so a
+ * retry can pass them back as `stored` and only upload the rest
+ * @param {WalrusClient} walrus_client
+ * @param {Object} params - Same as store_quilt
+ * @param {Array<{identifier: string, contents: Uint8Array}>} params.files - Files to store
+ * @param {number} params.epochs - Storage epochs
+ * @param {import('@mysten/sui/cryptography').Signer} params.signer - Pays for storage and owns the blobs
+ * @param {boolean} [params.deletable] - Whether the quilt blobs are deletable
+ * @param {StoredQuilts} [params.stored] - Quilts an interrupted upload already stored (their files are skipped)
+ * @param {(progress: UploadProgress) => void} [params.on_progress] - Progress callback, events tagged with `quilt` and `quilts`
+ * @param {(stored: StoredQuilts) => void} [params.on_stored] - Called after each quilt is certified with every quilt stored so far
+ * @returns {Promise<{blobStoreResult: Object, storedQuiltBlobs: Array<{identifier: string, quiltPatchId: string}>, quilts: Array<{blob_id: string, blob_object_id: string, patches: number}>}>} First quilt's store result, patches of every quilt, and the stored quilts
+ */
+export async function store_quilts(
+  walrus_client,
+  {
+    files,
+    epochs,
+    signer,
+    deletable = true,
+    stored = { quilts: [], quilt_patches: [] },
+    on_progress = () => {},
+    on_stored = () => {},
+  },
+) {
+  const done = new Set(stored.quilt_patches.map(patch => patch.identifier))
+  const remaining = files.filter(file => !done.has(file.identifier))
+  const { committee } = await walrus_client.systemState()
+  const groups =
+    remaining.length > 0
+      ? partition_quilts(remaining, quilt_limits(committee.n_shards))
+      : []
+
+  /** @type {Promise<unknown>} */
+  let queue = Promise.resolve()
+  /** @type {<T>(execute: () => Promise<T>) => Promise<T>} */
+  const run_transaction = execute => {
+    const result = queue.then(execute)
+    queue = result.catch(() => {})
+    return result
+  }
+
+  let stored_so_far = stored
+  /** @type {Array<{blob_id: string, blob_object_id: string, patches: Array<{identifier: string, quiltPatchId: string}>}>} */
+  const results = []
+  /** @type {Error|null} */
+  let failure = null
+  let bytes_in_flight = 0
+  /** @type {Set<Promise<void>>} */
+  const running = new Set()
+
+  for (const [quilt, group] of groups.entries()) {
+    const bytes = group.reduce((sum, file) => sum + file.contents.length, 0)
+    // Wait for room, but always let one quilt run
+    const must_wait = () =>
+      !failure &&
+      running.size > 0 &&
+      bytes_in_flight + bytes > QUILT_UPLOAD_BYTES
+    while (must_wait()) {
+      await Promise.race(running)
+    }
+    if (failure) break
+
+    bytes_in_flight += bytes
+    const task = store_quilt(walrus_client, {
+      files: group,
+      epochs,
+      signer,
       deletable,
-      objectId: blob_object_ids[i],
+      run_transaction,
+      on_progress: event =>
+        on_progress({ ...event, quilt, quilts: groups.length }),
     })
+      .then(
+        ({ blobStoreResult, storedQuiltBlobs }) => {
+          const { blobObject } = blobStoreResult.newlyCreated
+          results[quilt] = {
+            blob_id: blobObject.blobId,
+            blob_object_id: blobObject.id,
+            patches: storedQuiltBlobs,
+          }
+          stored_so_far = {
+            quilts: [
+              ...stored_so_far.quilts,
+              {
+                blob_id: blobObject.blobId,
+                blob_object_id: blobObject.id,
+                patches: storedQuiltBlobs.length,
+              },
+            ],
+            quilt_patches: [
+              ...stored_so_far.quilt_patches,
+              ...storedQuiltBlobs,
+            ],
+          }
+          on_stored(stored_so_far)
+        },
+        error => {
+          failure ??= error
+        },
+      )
+      .finally(() => {
+        bytes_in_flight -= bytes
+        running.delete(task)
+      })
+    running.add(task)
+  }
+  await Promise.all(running)
+  if (failure) throw failure
 
-    confirmations_by_blob.push(confirmations.filter(c => c !== null))
+  const quilts = [
+    ...stored.quilts,
+    ...results.map(({ blob_id, blob_object_id, patches }) => ({
+      blob_id,
+      blob_object_id,
+      patches: patches.length,
+    })),
+  ]
+  return {
+    blobStoreResult: {
+      newlyCreated: {
+        blobObject: { id: quilts[0].blob_object_id, blobId: quilts[0].blob_id },
+      },
+    },
+    storedQuiltBlobs: [
+      ...stored.quilt_patches,
+      ...results.flatMap(result => result.patches),
+    ],
+    quilts,
   }
+}
 
-  return confirmations_by_blob
+/**
+ * List the quilts an upload stored
+ * `walrus store-quilt` stores one quilt, the SDK path may split a site
+ * across several
+ * @param {{blobStoreResult?: any, storedQuiltBlobs?: Array, quilts?: Array<{blob_id: string, blob_object_id: string, patches: number}>}} result - Upload result
+ * @returns {Array<{blob_id: string, blob_object_id: string, patches: number}>}
+ */
+export function get_stored_quilts(result) {
+  if (result.quilts) return result.quilts
+  const blob_store = result.blobStoreResult
+  const blob_object_id =
+    blob_store?.newlyCreated?.blobObject?.id ||
+    blob_store?.alreadyCertified?.object
+  if (!blob_object_id) {
+    throw new Error(
+      'Failed to extract blob object ID from Walrus upload result',
+    )
+  }
+  return [
+    {
+      blob_id:
+        blob_store?.newlyCreated?.blobObject?.blobId ||
+        blob_store?.alreadyCertified?.blobId,
+      blob_object_id,
+      patches: (result.storedQuiltBlobs || []).length,
+    },
+  ]
 }
 
 /**
- * Download blob from Walrus
+ * Find the Blob objects an address owns for a set of blob IDs
+ * A blob ID can have several objects (e.g. the same quilt stored twice)
  * @param {WalrusClient} walrus_client
- * @param {string} blob_id
- * @returns {Promise<Uint8Array>}
+ * @param {import('@mysten/sui/client').SuiClient} sui_client
+ * @param {string} owner - Owner address
+ * @param {string[]} blob_ids - Blob IDs to look for
+ * @returns {Promise<Map<string, string[]>>} Blob object IDs by blob ID (IDs without objects are left out)
  */
-export async function download_blob(walrus_client, blob_id) {
-  return walrus_client.readBlob({ blobId: blob_id })
+export async function find_owned_blobs(
+  walrus_client,
+  sui_client,
+  owner,
+  blob_ids,
+) {
+  const by_int = new Map(
+    blob_ids.map(blob_id => [blobIdToInt(blob_id).toString(), blob_id]),
+  )
+  const blob_type = await walrus_client.getBlobType()
+
+  /** @type {Map<string, string[]>} */
+  const found = new Map()
+  let cursor = null
+  do {
+    const page = await sui_client.getOwnedObjects({
+      owner,
+      filter: { StructType: blob_type },
+      options: { showContent: true },
+      cursor,
+    })
+    for (const { data } of page.data) {
+      const fields = /** @type {any} */ (data?.content)?.fields
+      const blob_id = fields && by_int.get(String(fields.blob_id))
+      if (!blob_id) continue
+      found.set(blob_id, [...(found.get(blob_id) ?? []), data.objectId])
+    }
+    cursor = page.hasNextPage ? page.nextCursor : null
+  } while (cursor)
+
+  return found
 }
@@ -2,12 +2,24 @@ import { describe, it, mock } from 'node:test'
 import assert from 'node:assert'
 import { EventEmitter } from 'node:events'
 
+import { fromBase64 } from '@mysten/sui/utils'
+
+import {
+  add_resources_transaction,
+  batch_quilt_patches,
+  find_site_composition,
+  create_site_with_resources_transaction,
+} from '../../src/commands/deploy/transaction.js'
+import { MAX_TX_BYTES, MAX_TX_COMMANDS } from '../../src/lib/batch.js'
+import { get_walrus_price_estimate } from '../../src/commands/deploy/estimate.js'
 import {
   get_sui_active_address,
-  get_walrus_price_estimate,
   get_wallet_balances,
   upload_to_walrus_with_progress,
+  upload_to_walrus_sdk,
+  describe_upload_progress,
 } from '../../src/commands/deploy.js'
+import { get_stored_quilts } from '../../src/lib/walrus.js'
 
 // === get_sui_active_address ===
 describe('get_sui_active_address', () => {
@@ -616,6 +628,176 @@ describe('upload_to_walrus_with_progress', () => {
   })
 })
 
+// === upload_to_walrus_sdk ===
+describe('upload_to_walrus_sdk', () => {
+  it('passes scanned files to the quilt store with identifiers', async () => {
+    const mock_store = mock.fn(async () => ({ storedQuiltBlobs: [] }))
+    const mock_scan = mock.fn(() => [])
+
+    await upload_to_walrus_sdk(
+      '/fake/dir',
+      4,
+      () => {},
+      { walrus_client: {}, signer: {} },
+      mock_scan,
+      mock_store,
+    )
+
+    const [, params] = mock_store.mock.calls[0].arguments
+    assert.strictEqual(params.epochs, 4)
+    assert.deepStrictEqual(params.files, [])
+  })
+
+  it('maps store events to percentages without going backwards', async () => {
+    const progress_calls = []
+    const mock_store = mock.fn(async (_client, { on_progress }) => {
+      on_progress({ stage: 'encode' })
+      on_progress({ stage: 'register' })
+      on_progress({
+        stage: 'store',
+        nodes_done: 1,
+        nodes_failed: 0,
+        nodes_total: 2,
+      })
+      on_progress({ stage: 'encode' })
+      on_progress({ stage: 'done' })
+      return {}
+    })
+
+    await upload_to_walrus_sdk(
+      '/fake/dir',
+      1,
+      (progress, message) => progress_calls.push({ progress, message }),
+      { walrus_client: {}, signer: {} },
+      () => [],
+      mock_store,
+    )
+
+    const progresses = progress_calls.map(c => c.progress)
+    assert.deepStrictEqual(progresses, [5, 15, 52, 100])
+    assert.match(progress_calls[2].message, /1\/2/)
+  })
+
+  it('averages progress across parallel quilts', async () => {
+    const progress_calls = []
+    const mock_store = mock.fn(async (_client, { on_progress }) => {
+      on_progress({ stage: 'encode', quilt: 0, quilts: 2 })
+      on_progress({ stage: 'encode', quilt: 1, quilts: 2 })
+      on_progress({ stage: 'done', quilt: 1, quilts: 2 })
+      on_progress({ stage: 'done', quilt: 0, quilts: 2 })
+      return {}
+    })
+
+    await upload_to_walrus_sdk(
+      '/fake/dir',
+      1,
+      (progress, message) => progress_calls.push({ progress, message }),
+      { walrus_client: {}, signer: {} },
+      () => [],
+      mock_store,
+    )
+
+    assert.deepStrictEqual(
+      progress_calls.map(c => c.progress),
+      [2, 5, 52, 100],
+    )
+    assert.match(progress_calls[2].message, /^Quilt 2\/2: Complete/)
+  })
+
+  it('wraps SDK errors', async () => {
+    const mock_store = mock.fn(async () => {
+      throw new Error('Too many storage node failures')
+    })
+
+    await assert.rejects(
+      upload_to_walrus_sdk(
+        '/fake/dir',
+        1,
+        () => {},
+        { walrus_client: {}, signer: {} },
+        () => [],
+        mock_store,
+      ),
+      /Walrus upload failed: Too many storage node failures/,
+    )
+  })
+
+  it('journals stored quilts and points at --resume when a later one fails', async () => {
+    const stored = { quilts: [{}], quilt_patches: [] }
+    const mock_store = mock.fn(async (_client, { on_stored }) => {
+      on_stored(stored)
+      throw new Error('insufficient WAL')
+    })
+    const journaled = []
+
+    await assert.rejects(
+      upload_to_walrus_sdk(
+        '/fake/dir',
+        1,
+        () => {},
+        {
+          walrus_client: {},
+          signer: {},
+          on_stored: progress => journaled.push(progress),
+        },
+        () => [],
+        mock_store,
+      ),
+      /1 quilt\(s\) already stored; --resume uploads only the rest/,
+    )
+    assert.deepStrictEqual(journaled, [stored])
+  })
+})
+
+describe('get_stored_quilts', () => {
+  it('reads the single quilt of a walrus store-quilt result', () => {
+    assert.deepStrictEqual(
+      get_stored_quilts({
+        blobStoreResult: {
+          alreadyCertified: { blobId: 'quilt-1', object: '0xblob' },
+        },
+        storedQuiltBlobs: [{}, {}],
+      }),
+      [{ blob_id: 'quilt-1', blob_object_id: '0xblob', patches: 2 }],
+    )
+  })
+
+  it('passes through the quilts of an SDK upload', () => {
+    const quilts = [
+      { blob_id: 'quilt-1', blob_object_id: '0x1', patches: 3 },
+      { blob_id: 'quilt-2', blob_object_id: '0x2', patches: 1 },
+    ]
+    assert.strictEqual(get_stored_quilts({ quilts }), quilts)
+  })
+
+  it('throws without a blob object', () => {
+    assert.throws(
+      () => get_stored_quilts({ blobStoreResult: {} }),
+      /Failed to extract blob object ID/,
+    )
+  })
+})
+
+describe('describe_upload_progress', () => {
+  it('reports failed nodes in store stage', () => {
+    const [progress, message] = describe_upload_progress({
+      stage: 'store',
+      nodes_done: 8,
+      nodes_failed: 2,
+      nodes_total: 10,
+    })
+    assert.strictEqual(progress, 85)
+    assert.match(message, /8\/10, 2 failed/)
+  })
+
+  it('reports certify before completion', () => {
+    assert.deepStrictEqual(describe_upload_progress({ stage: 'certify' }), [
+      90,
+      'Certifying...',
+    ])
+  })
+})
+
 // === Edge Cases ===
 describe('deploy edge cases', () => {
   it('handles empty directory gracefully', () => {
@@ -648,3 +830,301 @@ describe('deploy edge cases', () => {
     assert.ok(true) // Placeholder for integration test
   })
 })
+
+describe('add_resources_transaction', () => {
+  it('stores blob_hash as the raw 32-byte SHA-256 digest', () => {
+    const hash = 'ab'.repeat(32)
+    const tx = add_resources_transaction({
+      package_id: '0x1',
+      wallet: '0x' + '2'.repeat(64),
+      admin_cap_id: '0x' + '3'.repeat(64),
+      site_id: '0x' + '4'.repeat(64),
+      initial_shared_version: 1,
+      quilt_patches: [{ identifier: '/index.html', quiltPatchId: 'patch' }],
+      file_metadata: {
+        '/index.html': { hash, size: 1, content_type: 'text/html' },
+      },
+      network: 'testnet',
+    })
+
+    const pure_inputs = tx
+      .getData()
+      .inputs.filter(input => input.Pure)
+      .map(input => Array.from(fromBase64(input.Pure.bytes)))
+    // BCS vector<u8>: ULEB128 length prefix followed by the bytes
+    assert.ok(
+      pure_inputs.some(
+        bytes =>
+          bytes.length === 33 &&
+          bytes[0] === 32 &&
+          bytes.slice(1).every(b => b === 0xab),
+      ),
+    )
+  })
+})
+
+describe('batch_quilt_patches', () => {
+  /**
+   * Patches and metadata for count files with long paths
+   * @param {number} count - Number of files
+   */
+  const make_site = count => {
+    const quilt_patches = []
+    const file_metadata = {}
+    for (let i = 0; i < count; i++) {
+      const path = `/assets/${'nested/'.repeat(10)}chunk-${i}.js`
+      quilt_patches.push({ identifier: path, quiltPatchId: 'p'.repeat(47) })
+      file_metadata[path] = {
+        hash: 'ab'.repeat(32),
+        size: 1000,
+        content_type: 'text/javascript',
+      }
+    }
+    return { quilt_patches, file_metadata }
+  }
+
+  it('returns one batch for a small site', () => {
+    const { quilt_patches, file_metadata } = make_site(3)
+    assert.deepStrictEqual(batch_quilt_patches(quilt_patches, file_metadata), [
+      quilt_patches,
+    ])
+  })
+
+  it('splits large sites into transactions within protocol limits', () => {
+    const { quilt_patches, file_metadata } = make_site(3000)
+    const batches = batch_quilt_patches(quilt_patches, file_metadata)
+
+    assert.ok(batches.length > 1)
+    assert.deepStrictEqual(batches.flat(), quilt_patches)
+    for (const batch of batches) {
+      const data = add_resources_transaction({
+        package_id: '0x1',
+        wallet: '0x' + '2'.repeat(64),
+        admin_cap_id: '0x' + '3'.repeat(64),
+        site_id: '0x' + '4'.repeat(64),
+        initial_shared_version: 1,
+        quilt_patches: batch,
+        file_metadata,
+        network: 'testnet',
+      }).getData()
+      const pure_bytes = data.inputs
+        .filter(input => input.Pure)
+        .reduce((sum, input) => sum + fromBase64(input.Pure.bytes).length, 0)
+
+      assert.ok(data.commands.length <= MAX_TX_COMMANDS)
+      assert.ok(pure_bytes < MAX_TX_BYTES)
+    }
+  })
+
+  it('leaves room for site creation in the first batch', () => {
+    const { quilt_patches, file_metadata } = make_site(3000)
+    const [first] = batch_quilt_patches(quilt_patches, file_metadata)
+    const data = create_site_with_resources_transaction({
+      package_id: '0x1',
+      versui_object_id: '0x' + '5'.repeat(64),
+      wallet: '0x' + '2'.repeat(64),
+      site_name: 'docs',
+      quilt_patches: first,
+      file_metadata,
+      network: 'testnet',
+      composition: {
+        create_fn: 'new_site',
+        site_index: 0,
+        admin_cap_index: 1,
+        share_fn: 'share_site',
+      },
+    }).getData()
+
+    assert.ok(data.commands.length <= MAX_TX_COMMANDS)
+  })
+
+  it('drops patches without file metadata', () => {
+    const { quilt_patches, file_metadata } = make_site(2)
+    const orphan = { identifier: '/gone.js', quiltPatchId: 'p' }
+    assert.deepStrictEqual(
+      batch_quilt_patches([...quilt_patches, orphan], file_metadata),
+      [quilt_patches],
+    )
+  })
+})
+
+describe('find_site_composition', () => {
+  const struct = (module, name) => ({
+    Struct: { address: '0x1', module, name, typeArguments: [] },
+  })
+  const tx_context = { MutableReference: struct('tx_context', 'TxContext') }
+  const create_params = [
+    { Reference: struct('version', 'Version') },
+    { MutableReference: struct('versui', 'Versui') },
+    struct('string', 'String'),
+    struct('string', 'String'),
+  ]
+  const fn = (params, returns, visibility = 'Public') => ({
+    isEntry: false,
+    parameters: params,
+    return: returns,
+    typeParameters: [],
+    visibility,
+  })
+  /**
+   * Normalized site module with create_site, add_resource and extras
+   * @param {Object} [overrides] - Functions to add or replace
+   * @param {string[]} [cap_abilities] - SiteAdminCap abilities
+   */
+  const site_module = (overrides = {}, cap_abilities = ['Key', 'Store']) => ({
+    exposedFunctions: {
+      create_site: {
+        ...fn([...create_params, tx_context], [], 'Private'),
+        isEntry: true,
+      },
+      add_resource: fn([], []),
+      ...overrides,
+    },
+    structs: {
+      SiteAdminCap: {
+        abilities: { abilities: cap_abilities },
+        fields: [],
+        typeParameters: [],
+      },
+    },
+  })
+  const composable = {
+    new_site: fn(
+      [...create_params, tx_context],
+      [struct('site', 'SiteAdminCap'), struct('site', 'Site')],
+    ),
+    share_site: fn([struct('site', 'Site')], []),
+  }
+  const client = module => ({
+    getNormalizedMoveModule: mock.fn(async () => module),
+  })
+
+  it('finds the functions to create, fill and share a site in one transaction', async () => {
+    const composition = await find_site_composition(
+      client(site_module(composable)),
+      '0xpkg',
+    )
+    assert.deepStrictEqual(composition, {
+      create_fn: 'new_site',
+      site_index: 1,
+      admin_cap_index: 0,
+      share_fn: 'share_site',
+    })
+  })
+
+  it('falls back when create_site is the only way to create a site', async () => {
+    assert.strictEqual(
+      await find_site_composition(client(site_module()), '0xpkg'),
+      null,
+    )
+  })
+
+  it('ignores functions of the same shape under other names', async () => {
+    const module = site_module({
+      ...composable,
+      destroy_site: fn([struct('site', 'Site')], []),
+    })
+    const composition = await find_site_composition(client(module), '0xpkg')
+    assert.strictEqual(composition?.share_fn, 'share_site')
+
+    const { share_site, ...without_share } = composable
+    const decoy_only = site_module({
+      ...without_share,
+      destroy_site: share_site,
+    })
+    assert.strictEqual(
+      await find_site_composition(client(decoy_only), '0xpkg'),
+      null,
+    )
+  })
+
+  it('falls back when share_site has another signature', async () => {
+    const module = site_module({
+      ...composable,
+      share_site: fn([{ Reference: struct('site', 'Site') }], []),
+    })
+    assert.strictEqual(
+      await find_site_composition(client(module), '0xpkg'),
+      null,
+    )
+  })
+
+  it('falls back when add_resource is entry-only', async () => {
+    const module = site_module({
+      ...composable,
+      add_resource: { ...fn([], [], 'Private'), isEntry: true },
+    })
+    assert.strictEqual(
+      await find_site_composition(client(module), '0xpkg'),
+      null,
+    )
+  })
+
+  it('falls back when the AdminCap cannot be transferred', async () => {
+    const module = site_module(composable, ['Key'])
+    assert.strictEqual(
+      await find_site_composition(client(module), '0xpkg'),
+      null,
+    )
+  })
+
+  it('falls back when the module cannot be read', async () => {
+    const failing = {
+      getNormalizedMoveModule: mock.fn(async () => {
+        throw new Error('network down')
+      }),
+    }
+    assert.strictEqual(await find_site_composition(failing, '0xpkg'), null)
+  })
+})
+
+describe('create_site_with_resources_transaction', () => {
+  it('creates, fills and shares the site, then hands over the AdminCap', () => {
+    const wallet = '0x' + '2'.repeat(64)
+    const data = create_site_with_resources_transaction({
+      package_id: '0x1',
+      versui_object_id: '0x' + '5'.repeat(64),
+      wallet,
+      site_name: 'docs',
+      quilt_patches: [
+        { identifier: '/index.html', quiltPatchId: 'patch-1' },
+        { identifier: '/app.js', quiltPatchId: 'patch-2' },
+      ],
+      file_metadata: {
+        '/index.html': { hash: 'ab'.repeat(32), size: 1, content_type: 'a' },
+        '/app.js': { hash: 'cd'.repeat(32), size: 2, content_type: 'b' },
+      },
+      network: 'testnet',
+      composition: {
+        create_fn: 'new_site',
+        site_index: 0,
+        admin_cap_index: 1,
+        share_fn: 'share_site',
+      },
+    }).getData()
+
+    assert.deepStrictEqual(
+      data.commands.map(c => c.MoveCall?.function ?? c.$kind),
+      [
+        'new_site',
+        'add_resource',
+        'add_resource',
+        'share_site',
+        'TransferObjects',
+      ],
+    )
+    const [, admin_cap, site] = data.commands[1].MoveCall.arguments
+    assert.deepStrictEqual(admin_cap, {
+      $kind: 'NestedResult',
+      NestedResult: [0, 1],
+    })
+    assert.deepStrictEqual(site, {
+      $kind: 'NestedResult',
+      NestedResult: [0, 0],
+    })
+    assert.deepStrictEqual(data.commands[3].MoveCall.arguments, [site])
+    assert.deepStrictEqual(data.commands[4].TransferObjects.objects, [
+      admin_cap,
+    ])
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+
+import { build_site_diff } from '../../src/commands/diff.js'
+
+const RESOURCES = new Map([
+  [
+    '/index.html',
+    { blob_id: 'p1', hash: 'aa', size: 100, content_type: 'text/html' },
+  ],
+  [
+    '/data',
+    {
+      blob_id: 'p2',
+      hash: 'bb',
+      size: 400,
+      content_type: 'application/octet-stream',
+    },
+  ],
+  [
+    '/old.css',
+    { blob_id: 'p3', hash: 'cc', size: 50, content_type: 'text/css' },
+  ],
+])
+
+describe('diff command - build_site_diff', () => {
+  it('lists added, modified and removed files with sizes', () => {
+    const { entries, unchanged, upload_size, size_delta } = build_site_diff(
+      {
+        '/index.html': { hash: 'aa', size: 100, content_type: 'text/html' },
+        '/data': { hash: 'dd', size: 1000, content_type: 'application/json' },
+        '/new.js': { hash: 'ee', size: 300, content_type: 'text/javascript' },
+      },
+      RESOURCES,
+    )
+
+    assert.strictEqual(unchanged, 1)
+    assert.deepStrictEqual(entries, [
+      {
+        path: '/new.js',
+        change: 'added',
+        old_size: null,
+        new_size: 300,
+        old_content_type: null,
+        new_content_type: 'text/javascript',
+      },
+      {
+        path: '/data',
+        change: 'modified',
+        old_size: 400,
+        new_size: 1000,
+        old_content_type: 'application/octet-stream',
+        new_content_type: 'application/json',
+      },
+      {
+        path: '/old.css',
+        change: 'removed',
+        old_size: 50,
+        new_size: null,
+        old_content_type: 'text/css',
+        new_content_type: null,
+      },
+    ])
+    // Only added and modified files are uploaded
+    assert.strictEqual(upload_size, 1300)
+    assert.strictEqual(size_delta, 300 + 600 - 50)
+  })
+
+  it('reports nothing when the build matches the site', () => {
+    const { entries, upload_size, size_delta } = build_site_diff(
+      {
+        '/index.html': { hash: 'aa', size: 100, content_type: 'text/html' },
+        '/data': {
+          hash: 'bb',
+          size: 400,
+          content_type: 'application/octet-stream',
+        },
+        '/old.css': { hash: 'cc', size: 50, content_type: 'text/css' },
+      },
+      RESOURCES,
+    )
+    assert.deepStrictEqual(entries, [])
+    assert.strictEqual(upload_size, 0)
+    assert.strictEqual(size_delta, 0)
+  })
+
+  it('counts compressed variants without listing them', () => {
+    const { entries, unchanged, variant_changes, upload_size, size_delta } =
+      build_site_diff(
+        {
+          '/index.html': { hash: 'aa', size: 100, content_type: 'text/html' },
+          '/.versui/br/index.html': {
+            hash: 'dd',
+            size: 40,
+            content_type: 'text/html',
+          },
+          '/data': {
+            hash: 'bb',
+            size: 400,
+            content_type: 'application/octet-stream',
+          },
+          '/old.css': { hash: 'cc', size: 50, content_type: 'text/css' },
+        },
+        RESOURCES,
+      )
+    assert.deepStrictEqual(entries, [])
+    assert.strictEqual(unchanged, 3)
+    assert.strictEqual(variant_changes, 1)
+    // The variant is still uploaded and stored
+    assert.strictEqual(upload_size, 40)
+    assert.strictEqual(size_delta, 40)
+  })
+
+  it('ignores a content-type change on identical bytes, like update', () => {
+    const { entries, unchanged, upload_size } = build_site_diff(
+      {
+        '/index.html': { hash: 'aa', size: 100, content_type: 'text/html' },
+        '/data': { hash: 'bb', size: 400, content_type: 'application/json' },
+        '/old.css': { hash: 'cc', size: 50, content_type: 'text/css' },
+      },
+      RESOURCES,
+    )
+    assert.deepStrictEqual(entries, [])
+    assert.strictEqual(unchanged, 3)
+    assert.strictEqual(upload_size, 0)
+  })
+})
@@ -0,0 +1,99 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert'
+
+import { simulate_transaction } from '../../src/commands/deploy/plan.js'
+
+/**
+ * Fake transaction with a fixed number of commands
+ * @param {number} commands
+ * @param {() => Promise<Uint8Array>} [build]
+ */
+const make_tx = (commands, build = async () => new Uint8Array([1, 2])) =>
+  /** @type {any} */ ({
+    getData: () => ({ commands: Array.from({ length: commands }) }),
+    build: mock.fn(build),
+  })
+
+describe('deploy plan - simulate_transaction', () => {
+  it('reports gas and created objects from the dry run', async () => {
+    const sui_client = {
+      dryRunTransactionBlock: mock.fn(async () => ({
+        effects: {
+          status: { status: 'success' },
+          gasUsed: {
+            computationCost: '1000000',
+            storageCost: '3000000',
+            storageRebate: '500000',
+          },
+        },
+        objectChanges: [
+          { type: 'mutated', objectId: '0xgas', objectType: '0x2::coin::Coin' },
+          {
+            type: 'created',
+            objectId: '0xsite',
+            objectType: '0xp::site::Site',
+          },
+        ],
+      })),
+    }
+
+    const result = await simulate_transaction(
+      'create_site',
+      make_tx(1),
+      /** @type {any} */ (sui_client),
+    )
+
+    assert.deepStrictEqual(result, {
+      name: 'create_site',
+      calls: 1,
+      status: 'success',
+      error: null,
+      gas: 0.0035,
+      created: [{ object_id: '0xsite', type: '0xp::site::Site' }],
+    })
+    assert.deepStrictEqual(
+      sui_client.dryRunTransactionBlock.mock.calls[0].arguments[0],
+      { transactionBlock: new Uint8Array([1, 2]) },
+    )
+  })
+
+  it('reports aborts from the dry run', async () => {
+    const sui_client = {
+      dryRunTransactionBlock: async () => ({
+        effects: {
+          status: { status: 'failure', error: 'MoveAbort(site, 3)' },
+          gasUsed: {
+            computationCost: '1000',
+            storageCost: '0',
+            storageRebate: '0',
+          },
+        },
+      }),
+    }
+
+    const result = await simulate_transaction(
+      'update',
+      make_tx(3),
+      /** @type {any} */ (sui_client),
+    )
+
+    assert.strictEqual(result.status, 'failure')
+    assert.strictEqual(result.error, 'MoveAbort(site, 3)')
+    assert.strictEqual(result.calls, 3)
+  })
+
+  it('reports transactions that fail to build', async () => {
+    const result = await simulate_transaction(
+      'update',
+      make_tx(2, async () => {
+        throw new Error('Object 0xcap not found')
+      }),
+      /** @type {any} */ ({}),
+    )
+
+    assert.deepStrictEqual(
+      [result.status, result.error, result.gas],
+      ['failure', 'Object 0xcap not found', null],
+    )
+  })
+})
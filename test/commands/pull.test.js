@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { resolve } from 'node:path'
+
+import {
+  resolve_output_path,
+  fetch_verified_patch,
+} from '../../src/commands/pull.js'
+import { hash_content } from '../../src/lib/hash.js'
+
+const CONTENT = Buffer.from('<h1>hello</h1>')
+const RESOURCE = { blob_id: 'p-index', hash: hash_content(CONTENT) }
+const SOURCES = { aggregators: ['https://a', 'https://b'], timeouts: [50, 50] }
+
+describe('pull command - resolve_output_path', () => {
+  it('writes resources under the output directory', () => {
+    assert.strictEqual(
+      resolve_output_path('/out', '/assets/app.js'),
+      resolve('/out/assets/app.js'),
+    )
+  })
+
+  it('refuses paths that escape the output directory', () => {
+    for (const path of [
+      '/../etc/passwd',
+      '/assets/../../x',
+      '/%2e%2e/x',
+      '/C:/windows',
+      '/a\\..\\b',
+      '/',
+      '/dir/',
+    ]) {
+      assert.strictEqual(resolve_output_path('/out', path), null, path)
+    }
+  })
+})
+
+describe('pull command - fetch_verified_patch', () => {
+  it('falls through aggregators until one serves the right content', async () => {
+    const calls = []
+    const fetch_fn = async url => {
+      calls.push(url)
+      return url.startsWith('https://a')
+        ? new Response('tampered')
+        : new Response(CONTENT)
+    }
+    const { content, source } = await fetch_verified_patch(RESOURCE, {
+      ...SOURCES,
+      fetch_fn,
+    })
+    assert.ok(content.equals(CONTENT))
+    assert.strictEqual(source, 'https://b')
+    assert.deepStrictEqual(calls, [
+      'https://a/v1/blobs/by-quilt-patch-id/p-index',
+      'https://b/v1/blobs/by-quilt-patch-id/p-index',
+    ])
+  })
+
+  it('falls back to storage nodes', async () => {
+    const walrus_client = {
+      getFiles: async ({ ids }) => {
+        assert.deepStrictEqual(ids, ['p-index'])
+        return [{ bytes: async () => new Uint8Array(CONTENT) }]
+      },
+    }
+    const { source } = await fetch_verified_patch(RESOURCE, {
+      ...SOURCES,
+      walrus_client,
+      fetch_fn: async () => new Response('gone', { status: 404 }),
+    })
+    assert.strictEqual(source, 'walrus')
+  })
+
+  it('reports every failed source', async () => {
+    await assert.rejects(
+      fetch_verified_patch(RESOURCE, {
+        ...SOURCES,
+        fetch_fn: async url => {
+          if (url.startsWith('https://a')) throw new Error('offline')
+          return new Response('gone', { status: 404 })
+        },
+      }),
+      { message: 'https://a: offline; https://b: HTTP 404' },
+    )
+  })
+})
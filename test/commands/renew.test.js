@@ -3,8 +3,10 @@ import assert from 'node:assert'
 
 import {
   fetch_site_blob_objects,
+  select_expiring_blobs,
   extend_blob,
 } from '../../src/commands/renew.js'
+import { fetch_blob_end_epochs, resolve_site_id } from '../../src/lib/sui.js'
 
 describe('renew command - fetch_site_blob_objects', () => {
   it('should fetch blob object IDs from site', async () => {
@@ -53,6 +55,67 @@ describe('renew command - fetch_site_blob_objects', () => {
     assert.strictEqual(mock_client.multiGetObjects.mock.calls.length, 1)
   })
 
+  it('should find the blob objects of every quilt the site spans', async () => {
+    const { encode_quilt_patch_id } = await import('../../src/lib/walrus.js')
+    const quilt_a = 'M4hsZGQ1oCktdzegB6HnI6Mi28S2nqOPHxK-W7_4BUk'
+    const quilt_b = 'A'.repeat(43)
+    const resource = quilt_id => ({
+      data: {
+        content: {
+          fields: {
+            blob_id: encode_quilt_patch_id(quilt_id, {
+              startIndex: 1,
+              endIndex: 2,
+            }),
+          },
+        },
+      },
+    })
+    const mock_client = {
+      getObject: mock.fn(async () => ({
+        data: {
+          content: {
+            fields: { resources: { fields: { id: { id: 'table-123' } } } },
+          },
+        },
+      })),
+      getDynamicFields: mock.fn(async () => ({
+        data: [{ objectId: 'r1' }, { objectId: 'r2' }, { objectId: 'r3' }],
+        hasNextPage: false,
+        nextCursor: null,
+      })),
+      multiGetObjects: mock.fn(async () => [
+        resource(quilt_a),
+        resource(quilt_a),
+        resource(quilt_b),
+      ]),
+    }
+    const find_calls = []
+    const { blobIdToInt } = await import('@mysten/walrus')
+    mock_client.getOwnedObjects = mock.fn(async ({ owner }) => {
+      find_calls.push(owner)
+      return {
+        data: [quilt_a, quilt_b].map((blob_id, i) => ({
+          data: {
+            objectId: `blob-${i + 1}`,
+            content: { fields: { blob_id: blobIdToInt(blob_id).toString() } },
+          },
+        })),
+        hasNextPage: false,
+      }
+    })
+
+    const blob_ids = await fetch_site_blob_objects('site-123', mock_client, {
+      walrus_client: /** @type {any} */ ({
+        getBlobType: async () => '0xwal::blob::Blob',
+      }),
+      owner: '0xowner',
+    })
+
+    assert.deepStrictEqual(blob_ids, ['blob-1', 'blob-2'])
+    assert.deepStrictEqual(find_calls, ['0xowner'])
+  })
+
   it('should throw error if site not found', async () => {
     const mock_client = {
       getObject: mock.fn(async () => ({ data: null })),
@@ -367,87 +430,38 @@ describe('renew command - fetch_site_blob_objects', () => {
 })
 
 describe('renew command - extend_blob', () => {
-  it('should return success when command executes successfully', async () => {
-    const result = await extend_blob('0x123', 5)
-
-    // This test will actually call walrus CLI, so we just check the structure
-    assert.ok(typeof result.success === 'boolean')
-    if (!result.success) {
-      assert.ok(result.error)
-    }
-  })
-
-  it('should build correct walrus command with blob ID and epochs', async () => {
-    // This is an integration test - it will attempt to run walrus
-    const result = await extend_blob('0xabc456', 10)
-
-    assert.ok(typeof result.success === 'boolean')
-    if (!result.success) {
-      // Expected to fail if walrus is not installed or blob doesn't exist
-      assert.ok(result.error)
-      assert.ok(typeof result.error === 'string')
-    }
-  })
-
-  it('should handle non-existent blob gracefully', async () => {
-    const result = await extend_blob('0xinvalidblob', 1)
-
-    // Should return failure, not throw
-    assert.strictEqual(typeof result.success, 'boolean')
-    if (!result.success) {
-      assert.ok(result.error)
+  const signer = { toSuiAddress: () => '0xowner' }
+
+  it('should extend the blob in-process with the signer', async () => {
+    const calls = []
+    const walrus_client = {
+      executeExtendBlobTransaction: async options => {
+        calls.push(options)
+        return { digest: 'digest-1' }
+      },
     }
-  })
 
-  it('should handle various epoch values', async () => {
-    const test_cases = [
-      { blob_id: '0x1', epochs: 1 },
-      { blob_id: '0x2', epochs: 5 },
-      { blob_id: '0x3', epochs: 100 },
-    ]
+    const result = await extend_blob(walrus_client, signer, '0xabc456', 10)
 
-    for (const { blob_id, epochs } of test_cases) {
-      const result = await extend_blob(blob_id, epochs)
-      assert.ok(typeof result.success === 'boolean')
-    }
+    assert.deepStrictEqual(result, { success: true, digest: 'digest-1' })
+    assert.deepStrictEqual(calls, [
+      { blobObjectId: '0xabc456', epochs: 10, signer },
+    ])
   })
 
-  it('should return error object on failure', async () => {
-    const result = await extend_blob('invalid', 5)
-
-    if (!result.success) {
-      assert.ok(result.error)
-      assert.strictEqual(typeof result.error, 'string')
-      assert.ok(result.error.length > 0)
+  it('should return an error object instead of throwing', async () => {
+    const walrus_client = {
+      executeExtendBlobTransaction: async () => {
+        throw new Error('Insufficient WAL balance')
+      },
     }
-  })
-})
 
-describe('renew command - input validation', () => {
-  it('should validate blob object ID format', async () => {
-    const test_ids = ['0x123', '0xabcdef0123456789', 'invalid', '', '123456']
+    const result = await extend_blob(walrus_client, signer, '0x123', 5)
 
-    for (const blob_id of test_ids) {
-      const result = await extend_blob(blob_id, 5)
-      // Should not throw, should return result object
-      assert.ok(result)
-      assert.ok(typeof result.success === 'boolean')
-    }
-  })
-
-  it('should handle edge case epochs values', async () => {
-    const test_cases = [
-      { epochs: 1, should_work: true },
-      { epochs: 0, should_work: false }, // Walrus likely rejects 0
-      { epochs: -1, should_work: false },
-      { epochs: 1000, should_work: true },
-    ]
-
-    for (const { epochs } of test_cases) {
-      const result = await extend_blob('0xtest', epochs)
-      // Should handle gracefully
-      assert.ok(typeof result.success === 'boolean')
-    }
+    assert.deepStrictEqual(result, {
+      success: false,
+      error: 'Insufficient WAL balance',
+    })
   })
 })
 
@@ -660,3 +674,120 @@ describe('renew command - data extraction', () => {
     assert.deepStrictEqual(blob_ids, ['blob-1', 'blob-4'])
   })
 })
+
+describe('renew command - deduplication', () => {
+  it('should return each shared quilt blob object once', async () => {
+    const mock_client = {
+      getObject: mock.fn(async () => ({
+        data: {
+          content: {
+            fields: {
+              resources: { fields: { id: { id: 'table-123' } } },
+            },
+          },
+        },
+      })),
+      getDynamicFields: mock.fn(async () => ({
+        data: [{ objectId: 'r1' }, { objectId: 'r2' }, { objectId: 'r3' }],
+        hasNextPage: false,
+        nextCursor: null,
+      })),
+      multiGetObjects: mock.fn(async () => [
+        { data: { content: { fields: { blob_object_id: 'quilt-1' } } } },
+        { data: { content: { fields: { blob_object_id: 'quilt-1' } } } },
+        { data: { content: { fields: { blob_object_id: 'quilt-2' } } } },
+      ]),
+    }
+
+    const blob_ids = await fetch_site_blob_objects('site-123', mock_client)
+
+    assert.deepStrictEqual(blob_ids, ['quilt-1', 'quilt-2'])
+  })
+})
+
+describe('renew command - fetch_blob_end_epochs', () => {
+  it('should read storage end epoch of each blob', async () => {
+    const mock_client = {
+      multiGetObjects: mock.fn(async ({ ids }) =>
+        ids.map(id => ({
+          data: {
+            content: {
+              fields: {
+                storage: { fields: { end_epoch: id === 'b1' ? 10 : '25' } },
+              },
+            },
+          },
+        })),
+      ),
+    }
+
+    const end_epochs = await fetch_blob_end_epochs(['b1', 'b2'], mock_client)
+
+    assert.strictEqual(end_epochs.get('b1'), 10)
+    assert.strictEqual(end_epochs.get('b2'), 25)
+  })
+
+  it('should return null for missing blob objects', async () => {
+    const mock_client = {
+      multiGetObjects: mock.fn(async () => [{ data: null }]),
+    }
+
+    const end_epochs = await fetch_blob_end_epochs(['gone'], mock_client)
+
+    assert.strictEqual(end_epochs.get('gone'), null)
+  })
+
+  it('should batch requests in chunks of 50', async () => {
+    const mock_client = {
+      multiGetObjects: mock.fn(async ({ ids }) => ids.map(() => ({}))),
+    }
+    const ids = Array.from({ length: 120 }, (_, i) => `b${i}`)
+
+    const end_epochs = await fetch_blob_end_epochs(ids, mock_client)
+
+    assert.strictEqual(mock_client.multiGetObjects.mock.calls.length, 3)
+    assert.strictEqual(end_epochs.size, 120)
+  })
+})
+
+describe('renew command - select_expiring_blobs', () => {
+  it('should select blobs with fewer remaining epochs than threshold', () => {
+    const end_epochs = new Map([
+      ['soon', 102],
+      ['later', 150],
+      ['edge', 105],
+    ])
+
+    const { to_renew, skipped } = select_expiring_blobs(end_epochs, 100, 5)
+
+    assert.deepStrictEqual(to_renew, ['soon'])
+    assert.deepStrictEqual(skipped, ['later', 'edge'])
+  })
+
+  it('should always select blobs with unknown end epoch', () => {
+    const end_epochs = new Map([['unknown', null]])
+
+    const { to_renew } = select_expiring_blobs(end_epochs, 100, 1)
+
+    assert.deepStrictEqual(to_renew, ['unknown'])
+  })
+})
+
+describe('renew command - resolve_site_id', () => {
+  it('should return object IDs unchanged', async () => {
+    const site_id = '0x' + 'a'.repeat(64)
+    assert.strictEqual(
+      await resolve_site_id(site_id, '0x' + '1'.repeat(64), 'testnet'),
+      site_id,
+    )
+  })
+
+  it('should derive site ID from name and owner', async () => {
+    const owner = '0x' + '1'.repeat(64)
+    const a = await resolve_site_id('my-site', owner, 'testnet')
+    const b = await resolve_site_id('other-site', owner, 'testnet')
+
+    assert.match(a, /^0x[a-f0-9]{64}$/)
+    assert.notStrictEqual(a, b)
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { start_preview_server } from '../../src/commands/serve.js'
+import { hash_content } from '../../src/lib/hash.js'
+
+const INDEX = '<h1>preview</h1>'
+const APP = 'console.log("preview")'
+const DRAFT = 'removed after startup'
+
+describe('serve command - preview server', () => {
+  let project_dir
+  let server
+  let url
+
+  before(async () => {
+    project_dir = mkdtempSync(join(tmpdir(), 'versui-serve-'))
+    const dist = join(project_dir, 'dist')
+    mkdirSync(join(dist, 'assets'), { recursive: true })
+    writeFileSync(join(dist, 'index.html'), INDEX)
+    writeFileSync(join(dist, 'assets', 'app.js'), APP)
+    writeFileSync(join(dist, 'draft.txt'), DRAFT)
+    writeFileSync(
+      join(project_dir, '.versui'),
+      JSON.stringify({ name: 'preview-site', spa: true }),
+    )
+    ;({ server, url } = await start_preview_server(dist, { port: 0 }))
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    rmSync(project_dir, { recursive: true, force: true })
+  })
+
+  it('serves a SW that uses the local server as its only aggregator', async () => {
+    const response = await fetch(`${url}/sw.js`)
+    assert.strictEqual(response.status, 200)
+    const sw = await response.text()
+    assert.ok(sw.startsWith(`const A=${JSON.stringify([url])},R=`))
+    assert.ok(sw.includes(`"/assets/app.js":"${hash_content(APP)}"`))
+    assert.ok(sw.includes('F="/index.html"'))
+  })
+
+  it('serves the bootstrap page for every other path', async () => {
+    for (const path of ['/', '/index.html', '/deep/link']) {
+      const html = await (await fetch(url + path)).text()
+      assert.ok(html.includes('<title>preview-site</title>'), path)
+      assert.ok(html.includes("register('/sw.js')"), path)
+    }
+  })
+
+  it('serves local files by patch ID like an aggregator', async () => {
+    const response = await fetch(
+      `${url}/v1/blobs/by-quilt-patch-id/${hash_content(APP)}`,
+    )
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*')
+    assert.strictEqual(await response.text(), APP)
+
+    const missing = await fetch(`${url}/v1/blobs/by-quilt-patch-id/unknown`)
+    assert.strictEqual(missing.status, 404)
+  })
+
+  it('answers 404 for a file removed after startup and keeps serving', async () => {
+    rmSync(join(project_dir, 'dist', 'draft.txt'))
+    const response = await fetch(
+      `${url}/v1/blobs/by-quilt-patch-id/${hash_content(DRAFT)}`,
+    )
+    assert.strictEqual(response.status, 404)
+    assert.match(await response.text(), /Restart versui serve/)
+
+    const app = await fetch(
+      `${url}/v1/blobs/by-quilt-patch-id/${hash_content(APP)}`,
+    )
+    assert.strictEqual(await app.text(), APP)
+  })
+
+  it('answers range requests for streamed paths', async () => {
+    const patch_url = `${url}/v1/blobs/by-quilt-patch-id/${hash_content(INDEX)}`
+    const partial = await fetch(patch_url, { headers: { Range: 'bytes=1-3' } })
+    assert.strictEqual(partial.status, 206)
+    assert.strictEqual(
+      partial.headers.get('content-range'),
+      `bytes 1-3/${INDEX.length}`,
+    )
+    assert.strictEqual(await partial.text(), 'h1>')
+
+    const outside = await fetch(patch_url, {
+      headers: { Range: 'bytes=500-' },
+    })
+    assert.strictEqual(outside.status, 416)
+  })
+})
@@ -0,0 +1,229 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { toBase64 } from '@mysten/sui/utils'
+
+import {
+  decode_bytes,
+  assign_slivers_to_nodes,
+  build_quilt_patches,
+  read_blob_file,
+  apply_stage_result,
+} from '../../src/commands/submit.js'
+import { BLOB_FILE_VERSION } from '../../src/commands/prepare.js'
+
+const QUILT_ID = 'M4hsZGQ1oCktdzegB6HnI6Mi28S2nqOPHxK-W7_4BUk'
+
+describe('submit command - serialization helpers', () => {
+  it('decode_bytes restores Uint8Array markers recursively', () => {
+    const decoded = decode_bytes({
+      signature: { __uint8array__: [1, 2, 3] },
+      nested: [{ digest: { __uint8array__: [4] } }],
+      signers: [0, 2],
+    })
+
+    assert.ok(decoded.signature instanceof Uint8Array)
+    assert.deepStrictEqual(Array.from(decoded.signature), [1, 2, 3])
+    assert.ok(decoded.nested[0].digest instanceof Uint8Array)
+    assert.deepStrictEqual(decoded.signers, [0, 2])
+  })
+
+  it('assign_slivers_to_nodes groups sliver pairs by the current committee', () => {
+    const pair = (shard, pair_index) => ({
+      shardIndex: shard,
+      sliverPairIndex: pair_index,
+      primary: toBase64(new Uint8Array([shard])),
+      secondary: toBase64(new Uint8Array([100 + shard])),
+    })
+    const slivers = [pair(0, 2), pair(1, 0), pair(2, 1)]
+
+    // Shard 1 moved from the first node to the second since prepare
+    const nodes = assign_slivers_to_nodes(slivers, [[0], [2, 1]])
+
+    assert.strictEqual(nodes.length, 2)
+    assert.deepStrictEqual(
+      nodes[1].primary.map(s => s.sliverPairIndex),
+      [1, 0],
+    )
+    assert.deepStrictEqual(Array.from(nodes[1].primary[1].sliver), [1])
+    assert.deepStrictEqual(Array.from(nodes[1].secondary[1].sliver), [101])
+    assert.deepStrictEqual(
+      nodes[0].primary.map(s => s.sliverPairIndex),
+      [2],
+    )
+  })
+
+  it('build_quilt_patches derives patch IDs from the quilt index', () => {
+    const patches = build_quilt_patches(
+      {
+        patches: [
+          { identifier: '/index.html', startIndex: 3, endIndex: 17 },
+          { identifier: '/app.js', startIndex: 17, endIndex: 20 },
+        ],
+      },
+      QUILT_ID,
+    )
+
+    assert.deepStrictEqual(patches[0], {
+      identifier: '/index.html',
+      quiltPatchId: 'M4hsZGQ1oCktdzegB6HnI6Mi28S2nqOPHxK-W7_4BUkBAwARAA',
+    })
+    assert.strictEqual(patches[1].identifier, '/app.js')
+  })
+})
+
+describe('submit command - read_blob_file', () => {
+  let dir
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'versui-submit-'))
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const path = join(dir, name)
+    writeFileSync(path, JSON.stringify(content))
+    return path
+  }
+
+  it('rejects missing files', () => {
+    assert.throws(
+      () => read_blob_file(join(dir, 'missing.json')),
+      /Blob file not found/,
+    )
+  })
+
+  it('rejects older blob file versions', () => {
+    const path = write('old.json', { version: 8, network: 'testnet' })
+    assert.throws(() => read_blob_file(path), /Unsupported blob file version/)
+  })
+
+  it('rejects unknown networks', () => {
+    const path = write('net.json', {
+      version: BLOB_FILE_VERSION,
+      network: 'devnet',
+      sender: '0x1',
+      stage: 'register',
+    })
+    assert.throws(() => read_blob_file(path), /unknown network/)
+  })
+
+  it('accepts a prepared blob file', () => {
+    const path = write('ok.json', {
+      version: BLOB_FILE_VERSION,
+      network: 'testnet',
+      sender: '0x1',
+      stage: 'register',
+      tx: 'AAAA',
+    })
+    assert.strictEqual(read_blob_file(path).stage, 'register')
+  })
+})
+
+describe('submit command - apply_stage_result', () => {
+  const base = { stage: 'register', tx: 'AAAA', digests: {} }
+
+  it('moves register to upload with the Blob object ID', () => {
+    const next = apply_stage_result(base, {
+      digest: 'd1',
+      objectChanges: [
+        { type: 'created', objectType: '0xw::blob::Blob', objectId: '0xb' },
+      ],
+    })
+
+    assert.strictEqual(next.stage, 'upload')
+    assert.strictEqual(next.tx, null)
+    assert.strictEqual(next.blob_object_id, '0xb')
+    assert.deepStrictEqual(next.digests, { register: 'd1' })
+  })
+
+  it('fails when register created no Blob object', () => {
+    assert.throws(
+      () => apply_stage_result(base, { digest: 'd1', objectChanges: [] }),
+      /Blob object ID/,
+    )
+  })
+
+  it('moves create_site to add_resources with Site and AdminCap', () => {
+    const next = apply_stage_result(
+      { ...base, stage: 'create_site' },
+      {
+        digest: 'd2',
+        objectChanges: [
+          {
+            type: 'created',
+            objectType: '0xp::site::Site',
+            objectId: '0xsite',
+            owner: { Shared: { initial_shared_version: 7 } },
+          },
+          {
+            type: 'created',
+            objectType: '0xp::site::SiteAdminCap',
+            objectId: '0xcap',
+          },
+        ],
+      },
+    )
+
+    assert.strictEqual(next.stage, 'add_resources')
+    assert.strictEqual(next.site_id, '0xsite')
+    assert.strictEqual(next.admin_cap_id, '0xcap')
+    assert.strictEqual(next.initial_shared_version, 7)
+  })
+
+  /**
+   * add_resources blob file with one resource per quilt patch
+   * @param {number} count - Number of resources
+   */
+  const with_resources = count => {
+    const paths = Array.from({ length: count }, (_, i) => `/page-${i}.html`)
+    return {
+      ...base,
+      stage: 'add_resources',
+      blob_id: QUILT_ID,
+      quilt_index: {
+        patches: paths.map((identifier, i) => ({
+          identifier,
+          startIndex: i,
+          endIndex: i + 1,
+        })),
+      },
+      file_metadata: Object.fromEntries(
+        paths.map(path => [
+          path,
+          { hash: 'ab'.repeat(32), size: 1, content_type: 'text/html' },
+        ]),
+      ),
+    }
+  }
+
+  it('completes after add_resources', () => {
+    const next = apply_stage_result(with_resources(2), { digest: 'd3' })
+
+    assert.strictEqual(next.stage, 'complete')
+    assert.deepStrictEqual(next.digests, { add_resources: 'd3' })
+  })
+
+  it('stays in add_resources until every batch is executed', () => {
+    // 2000 resources exceed the 1024 Move calls allowed per transaction
+    let blob = with_resources(2000)
+    const digests = []
+    while (blob.stage === 'add_resources') {
+      digests.push(`d${digests.length}`)
+      blob = apply_stage_result(blob, { digest: digests.at(-1) })
+    }
+
+    assert.ok(digests.length > 1)
+    assert.strictEqual(blob.resource_batches_done, digests.length - 1)
+    assert.deepStrictEqual(Object.keys(blob.digests), [
+      'add_resources',
+      ...digests.slice(1).map((_, i) => `add_resources_${i + 2}`),
+    ])
+  })
+})
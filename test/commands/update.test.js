@@ -1,9 +1,19 @@
-import { describe, it, mock } from 'node:test'
+import { describe, it, mock, before, after } from 'node:test'
 import assert from 'node:assert'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
 
 import { fromBase64 } from '@mysten/sui/utils'
 
-import { compare_files } from '../../src/commands/update.js'
+import { batch_update_paths } from '../../src/commands/update.js'
+import { MAX_TX_COMMANDS } from '../../src/lib/batch.js'
+import { compare_files } from '../../src/lib/delta.js'
+import {
+  derive_site_address,
+  resolve_project_site_id,
+} from '../../src/lib/sui.js'
+import { get_versui_registry_id } from '../../src/lib/env.js'
 
 // Mock transaction builder helper
 const mock_transaction_builder = () => {
@@ -877,4 +887,129 @@ describe('update command', () => {
       assert.strictEqual(delete_calls.length, 1)
     })
   })
+
+  describe('resolve_project_site_id', () => {
+    const wallet = '0x' + 'ab'.repeat(32)
+    let project_dir
+    let dist_dir
+
+    before(() => {
+      project_dir = mkdtempSync(join(tmpdir(), 'versui-update-'))
+      dist_dir = join(project_dir, 'dist')
+      mkdirSync(dist_dir)
+      writeFileSync(
+        join(project_dir, 'package.json'),
+        JSON.stringify({ name: 'pkg-name' }),
+      )
+    })
+
+    after(() => {
+      rmSync(project_dir, { recursive: true, force: true })
+    })
+
+    it('uses --site as-is when given', () => {
+      const resolved = resolve_project_site_id(dist_dir, {
+        site: '0xsite',
+        wallet,
+        network: 'testnet',
+      })
+      assert.deepStrictEqual(resolved, { site_id: '0xsite', site_name: null })
+    })
+
+    it('derives the Site ID from the package.json name', () => {
+      const resolved = resolve_project_site_id(dist_dir, {
+        wallet,
+        network: 'testnet',
+      })
+      assert.strictEqual(resolved.site_name, 'pkg-name')
+      assert.strictEqual(
+        resolved.site_id,
+        derive_site_address(
+          get_versui_registry_id('testnet'),
+          wallet,
+          'pkg-name',
+          'testnet',
+        ),
+      )
+    })
+
+    it('prefers .versui name over package.json, and --name over both', () => {
+      writeFileSync(
+        join(project_dir, '.versui'),
+        JSON.stringify({ name: 'config-name' }),
+      )
+      assert.strictEqual(
+        resolve_project_site_id(dist_dir, { wallet, network: 'testnet' })
+          .site_name,
+        'config-name',
+      )
+      assert.strictEqual(
+        resolve_project_site_id(dist_dir, {
+          name: 'cli',
+          wallet,
+          network: 'testnet',
+        }).site_name,
+        'cli',
+      )
+    })
+  })
+})
+
+describe('update command - batch_update_paths', () => {
+  const info = { hash: 'ab'.repeat(32), size: 1, content_type: 'text/html' }
+
+  it('keeps a small update in one transaction', () => {
+    const batches = batch_update_paths({
+      added_paths: ['/new.html', '/no-patch.html'],
+      updated_paths: ['/index.html'],
+      deleted_paths: ['/old.html'],
+      patches: [
+        { identifier: '/new.html', quiltPatchId: 'p1' },
+        { identifier: 'index.html', quiltPatchId: 'p2' },
+      ],
+      file_metadata: {
+        '/new.html': info,
+        '/no-patch.html': info,
+        '/index.html': info,
+      },
+    })
+
+    assert.deepStrictEqual(batches, [
+      {
+        added_paths: ['/new.html'],
+        updated_paths: ['/index.html'],
+        deleted_paths: ['/old.html'],
+      },
+    ])
+  })
+
+  it('splits large updates, adds first and deletes last', () => {
+    const added_paths = Array.from({ length: 900 }, (_, i) => `/a${i}.html`)
+    const deleted_paths = Array.from({ length: 900 }, (_, i) => `/d${i}.html`)
+    const batches = batch_update_paths({
+      added_paths,
+      updated_paths: [],
+      deleted_paths,
+      patches: added_paths.map(path => ({
+        identifier: path,
+        quiltPatchId: 'p'.repeat(47),
+      })),
+      file_metadata: Object.fromEntries(added_paths.map(p => [p, info])),
+    })
+
+    assert.ok(batches.length > 1)
+    for (const batch of batches) {
+      const calls = batch.added_paths.length + batch.deleted_paths.length
+      assert.ok(calls <= MAX_TX_COMMANDS)
+    }
+    assert.deepStrictEqual(
+      batches.flatMap(b => b.added_paths),
+      added_paths,
+    )
+    assert.deepStrictEqual(
+      batches.flatMap(b => b.deleted_paths),
+      deleted_paths,
+    )
+    assert.deepStrictEqual(batches.at(-1).added_paths, [])
+  })
 })
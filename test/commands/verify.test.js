@@ -0,0 +1,232 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import {
+  check_patch,
+  check_resources,
+  summarize_checks,
+  compare_local_build,
+} from '../../src/commands/verify.js'
+import { hash_content } from '../../src/lib/hash.js'
+
+const INDEX = Buffer.from('<h1>hello</h1>')
+const APP = Buffer.from('console.log(1)')
+
+const RESOURCES = new Map([
+  [
+    '/index.html',
+    { blob_id: 'p-index', hash: hash_content(INDEX), blob_object_id: '0xa' },
+  ],
+  [
+    '/app.js',
+    { blob_id: 'p-app', hash: hash_content(APP), blob_object_id: '0xb' },
+  ],
+])
+
+const OPTIONS = { timeout: 1000, slow_threshold: 1000 }
+
+/**
+ * Fake aggregator serving patches by ID
+ * @param {Record<string, Buffer|number>} patches - Body, or HTTP status to fail with
+ * @returns {typeof fetch}
+ */
+const make_fetch = patches => async url => {
+  const id = url.split('/').pop()
+  const patch = patches[id] ?? 404
+  return typeof patch === 'number'
+    ? new Response('nope', { status: patch })
+    : new Response(patch)
+}
+
+describe('verify command - check_patch', () => {
+  it('accepts a patch matching the on-chain hash', async () => {
+    const fetch_fn = make_fetch({ 'p-index': INDEX })
+    const check = await check_patch(
+      'https://agg',
+      '/index.html',
+      RESOURCES.get('/index.html'),
+      { ...OPTIONS, fetch_fn },
+    )
+    assert.strictEqual(check.status, 'ok')
+    assert.strictEqual(check.aggregator, 'https://agg')
+    assert.strictEqual(typeof check.ms, 'number')
+  })
+
+  it('reports missing patches and HTTP errors', async () => {
+    const fetch_fn = make_fetch({ 'p-app': 503 })
+    const resource = RESOURCES.get('/index.html')
+    const missing = await check_patch('https://agg', '/index.html', resource, {
+      ...OPTIONS,
+      fetch_fn,
+    })
+    assert.strictEqual(missing.status, 'missing')
+
+    const failed = await check_patch(
+      'https://agg',
+      '/app.js',
+      RESOURCES.get('/app.js'),
+      { ...OPTIONS, fetch_fn },
+    )
+    assert.deepStrictEqual([failed.status, failed.error], ['error', 'HTTP 503'])
+  })
+
+  it('reports content that does not match the hash', async () => {
+    const fetch_fn = make_fetch({ 'p-app': Buffer.from('tampered') })
+    const check = await check_patch(
+      'https://agg',
+      '/app.js',
+      RESOURCES.get('/app.js'),
+      { ...OPTIONS, fetch_fn },
+    )
+    assert.strictEqual(check.status, 'mismatch')
+    assert.match(check.error, new RegExp(`expected ${hash_content(APP)}`))
+  })
+
+  it('reports slow responses and timeouts', async () => {
+    const delayed = async (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(new Response(APP)), 30)
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer)
+          reject(signal.reason)
+        })
+      })
+
+    const slow = await check_patch(
+      'https://agg',
+      '/app.js',
+      RESOURCES.get('/app.js'),
+      { timeout: 1000, slow_threshold: 5, fetch_fn: delayed },
+    )
+    assert.strictEqual(slow.status, 'slow')
+
+    const timed_out = await check_patch(
+      'https://agg',
+      '/app.js',
+      RESOURCES.get('/app.js'),
+      { timeout: 5, slow_threshold: 1000, fetch_fn: delayed },
+    )
+    assert.deepStrictEqual(
+      [timed_out.status, timed_out.error],
+      ['error', 'timed out after 5ms'],
+    )
+  })
+})
+
+describe('verify command - check_resources', () => {
+  it('checks every resource on every aggregator', async () => {
+    const urls = []
+    const fetch_fn = async (url, init) => {
+      urls.push(url)
+      return make_fetch({ 'p-index': INDEX, 'p-app': APP })(url, init)
+    }
+    const checks = await check_resources(RESOURCES, {
+      aggregators: ['https://a', 'https://b'],
+      timeouts: [1000, 1000],
+      slow_threshold: 1000,
+      fetch_fn,
+    })
+    assert.deepStrictEqual(
+      checks.map(c => [c.path, c.aggregator, c.status]),
+      [
+        ['/index.html', 'https://a', 'ok'],
+        ['/index.html', 'https://b', 'ok'],
+        ['/app.js', 'https://a', 'ok'],
+        ['/app.js', 'https://b', 'ok'],
+      ],
+    )
+    assert.ok(urls.includes('https://b/v1/blobs/by-quilt-patch-id/p-app'))
+  })
+
+  it('reports resources of expired blobs without downloading them', async () => {
+    let fetched = 0
+    const fetch_fn = async (url, init) => {
+      fetched++
+      return make_fetch({ 'p-index': INDEX })(url, init)
+    }
+    const checks = await check_resources(RESOURCES, {
+      aggregators: ['https://a'],
+      timeouts: [1000],
+      slow_threshold: 1000,
+      end_epochs: new Map([
+        ['0xa', 20],
+        ['0xb', 10],
+      ]),
+      current_epoch: 10,
+      fetch_fn,
+    })
+    assert.deepStrictEqual(
+      checks.map(c => c.status),
+      ['ok', 'expired'],
+    )
+    assert.strictEqual(fetched, 1)
+  })
+})
+
+describe('verify command - summarize_checks', () => {
+  it('counts statuses and averages timings per aggregator', () => {
+    const summary = summarize_checks(
+      [
+        { path: '/a', aggregator: 'https://a', status: 'ok', ms: 10 },
+        { path: '/b', aggregator: 'https://a', status: 'slow', ms: 30 },
+        { path: '/a', aggregator: 'https://b', status: 'expired', ms: null },
+      ],
+      ['https://a', 'https://b'],
+    )
+    assert.deepStrictEqual(summary[0], {
+      aggregator: 'https://a',
+      ok: 1,
+      slow: 1,
+      missing: 0,
+      mismatch: 0,
+      expired: 0,
+      error: 0,
+      avg_ms: 20,
+    })
+    assert.strictEqual(summary[1].expired, 1)
+    assert.strictEqual(summary[1].avg_ms, null)
+  })
+})
+
+describe('verify command - compare_local_build', () => {
+  let dir
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'versui-verify-'))
+    writeFileSync(join(dir, 'index.html'), INDEX)
+    writeFileSync(join(dir, 'app.js'), 'console.log(2)')
+    writeFileSync(join(dir, 'new.css'), 'body{}')
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('lists files not deployed, changed, or only on chain', () => {
+    const resources = new Map([
+      ...RESOURCES,
+      ['/old.html', { blob_id: 'p-old', hash: 'ff' }],
+    ])
+    assert.deepStrictEqual(compare_local_build(dir, resources), {
+      not_deployed: ['/new.css'],
+      changed: ['/app.js'],
+      not_local: ['/old.html'],
+    })
+  })
+
+  it('leaves compressed variants out', () => {
+    const resources = new Map([
+      ...RESOURCES,
+      ['/new.css', { blob_id: 'p-css', hash: hash_content('body{}') }],
+      ['/.versui/br/index.html', { blob_id: 'p-br', hash: 'ee' }],
+    ])
+    assert.deepStrictEqual(compare_local_build(dir, resources), {
+      not_deployed: [],
+      changed: ['/app.js'],
+      not_local: [],
+    })
+  })
+})
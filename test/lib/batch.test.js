@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+
+import {
+  MAX_TX_COMMANDS,
+  batch_calls,
+  estimate_call_size,
+} from '../../src/lib/batch.js'
+
+describe('batch - estimate_call_size', () => {
+  it('counts UTF-8 string bytes, u64s and byte vectors', () => {
+    const base = estimate_call_size([])
+    assert.strictEqual(estimate_call_size(['abc']) - base, 8 + 3)
+    assert.strictEqual(estimate_call_size(['é']) - base, 8 + 2)
+    assert.strictEqual(estimate_call_size([42]) - base, 8 + 8)
+    assert.strictEqual(estimate_call_size([new Uint8Array(32)]) - base, 8 + 32)
+  })
+})
+
+describe('batch - batch_calls', () => {
+  it('returns no batches for no calls', () => {
+    assert.deepStrictEqual(
+      batch_calls([], () => 1),
+      [],
+    )
+  })
+
+  it('keeps everything in one batch within the limits', () => {
+    const items = [1, 2, 3]
+    assert.deepStrictEqual(
+      batch_calls(items, () => 100),
+      [[1, 2, 3]],
+    )
+  })
+
+  it('splits at the command limit by default', () => {
+    const items = Array.from({ length: MAX_TX_COMMANDS * 2 + 1 }, (_, i) => i)
+    const batches = batch_calls(items, () => 1)
+
+    assert.deepStrictEqual(
+      batches.map(b => b.length),
+      [MAX_TX_COMMANDS, MAX_TX_COMMANDS, 1],
+    )
+    assert.deepStrictEqual(batches.flat(), items)
+  })
+
+  it('splits at the byte limit', () => {
+    const batches = batch_calls(['a', 'b', 'c', 'd', 'e'], () => 40, {
+      max_bytes: 100,
+    })
+    assert.deepStrictEqual(batches, [['a', 'b'], ['c', 'd'], ['e']])
+  })
+
+  it('rejects a call that cannot fit in any transaction', () => {
+    assert.throws(
+      () => batch_calls(['huge'], () => 500, { max_bytes: 100 }),
+      /500 bytes does not fit in one transaction/,
+    )
+  })
+})
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import {
+  mkdtempSync,
+  writeFileSync,
+  readFileSync,
+  existsSync,
+  rmSync,
+} from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import { gunzipSync, brotliDecompressSync } from 'node:zlib'
+
+import {
+  get_compress_encodings,
+  build_compressed_variants,
+  add_variant_metadata,
+  stage_variant_files,
+  get_variant_path,
+  is_variant_path,
+} from '../../src/lib/compress.js'
+import { hash_content } from '../../src/lib/hash.js'
+
+const SCRIPT = 'export const greet = name => "hello " + name\n'.repeat(100)
+
+describe('get_compress_encodings', () => {
+  it('is disabled by default', () => {
+    assert.deepStrictEqual(get_compress_encodings(null), [])
+    assert.deepStrictEqual(get_compress_encodings({ compress: false }), [])
+  })
+
+  it('produces every encoding for compress: true', () => {
+    assert.deepStrictEqual(get_compress_encodings({ compress: true }), [
+      'br',
+      'gzip',
+    ])
+  })
+
+  it('accepts a subset and rejects unknown encodings', () => {
+    assert.deepStrictEqual(get_compress_encodings({ compress: ['gzip'] }), [
+      'gzip',
+    ])
+    assert.throws(
+      () => get_compress_encodings({ compress: ['zstd'] }),
+      /Invalid .versui compress/,
+    )
+  })
+})
+
+describe('get_variant_path', () => {
+  it('keeps variants in the internal namespace', () => {
+    assert.strictEqual(get_variant_path('/app.js', 'br'), '/.versui/br/app.js')
+    assert.ok(is_variant_path('/.versui/gzip/assets/app.js'))
+    assert.ok(!is_variant_path('/app.js.br'))
+    assert.ok(!is_variant_path('/.versui/headers'))
+  })
+})
+
+describe('build_compressed_variants', () => {
+  let dir
+  let metadata
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'versui-compress-'))
+    writeFileSync(join(dir, 'app.js'), SCRIPT)
+    writeFileSync(join(dir, 'tiny.js'), 'x()')
+    writeFileSync(join(dir, 'logo.png'), SCRIPT)
+    writeFileSync(join(dir, 'style.css'), SCRIPT)
+    writeFileSync(join(dir, 'style.css.gz'), 'prebuilt')
+    metadata = {
+      '/app.js': { size: SCRIPT.length, content_type: 'text/javascript' },
+      '/tiny.js': { size: 3, content_type: 'text/javascript' },
+      '/logo.png': { size: SCRIPT.length, content_type: 'image/png' },
+      '/style.css': { size: SCRIPT.length, content_type: 'text/css' },
+      '/style.css.gz': { size: 8, content_type: 'application/gzip' },
+    }
+  })
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('compresses text files with each encoding', () => {
+    const variants = build_compressed_variants(dir, metadata, ['br', 'gzip'])
+    const app = variants.filter(v => v.source === '/app.js')
+    assert.deepStrictEqual(
+      app.map(v => v.path),
+      ['/.versui/br/app.js', '/.versui/gzip/app.js'],
+    )
+    assert.strictEqual(brotliDecompressSync(app[0].contents).toString(), SCRIPT)
+    assert.strictEqual(gunzipSync(app[1].contents).toString(), SCRIPT)
+  })
+
+  it('skips small and binary files', () => {
+    const sources = build_compressed_variants(dir, metadata, ['gzip']).map(
+      v => v.source,
+    )
+    assert.deepStrictEqual(sources, ['/app.js', '/style.css'])
+  })
+
+  it('is deterministic so updates only upload changed variants', () => {
+    const [first] = build_compressed_variants(dir, metadata, ['gzip'])
+    const [second] = build_compressed_variants(dir, metadata, ['gzip'])
+    assert.ok(first.contents.equals(second.contents))
+  })
+
+  it('returns nothing when compression is disabled', () => {
+    assert.deepStrictEqual(build_compressed_variants(dir, metadata, []), [])
+  })
+})
+
+describe('add_variant_metadata', () => {
+  it('adds variants as files with their own hash and size', () => {
+    const contents = Buffer.from('compressed')
+    const metadata = add_variant_metadata(
+      {
+        '/app.js': { hash: 'aa', size: 4000, content_type: 'text/javascript' },
+      },
+      [
+        {
+          path: '/.versui/gzip/app.js',
+          source: '/app.js',
+          encoding: 'gzip',
+          contents,
+        },
+      ],
+    )
+    assert.deepStrictEqual(metadata['/.versui/gzip/app.js'], {
+      hash: hash_content(contents),
+      size: contents.length,
+      content_type: 'text/javascript',
+    })
+    assert.strictEqual(metadata['/app.js'].hash, 'aa')
+  })
+})
+
+describe('stage_variant_files', () => {
+  it('writes variants for the walrus CLI and cleans them up', () => {
+    const { specs, cleanup } = stage_variant_files([
+      {
+        path: '/.versui/gzip/app.js',
+        source: '/app.js',
+        encoding: 'gzip',
+        contents: Buffer.from('gz'),
+      },
+    ])
+    assert.strictEqual(specs[0].identifier, '/.versui/gzip/app.js')
+    assert.strictEqual(readFileSync(specs[0].path, 'utf-8'), 'gz')
+    cleanup()
+    assert.ok(!existsSync(specs[0].path))
+  })
+})
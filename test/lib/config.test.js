@@ -0,0 +1,487 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+
+import {
+  get_header_rules,
+  resolve_headers,
+  match_path,
+  compile_route_source,
+  get_route_rules,
+  get_spa_options,
+  get_error_pages,
+  resolve_cache_options,
+  get_aggregators,
+  get_aggregator_options,
+  DEFAULT_AGGREGATOR_TIMEOUT,
+  get_live_options,
+  resolve_stream_paths,
+  build_headers_files,
+  HEADERS_RESOURCE_PATH,
+} from '../../src/lib/config.js'
+import { generate_bootstrap } from '../../src/lib/generate.js'
+import { generate_sw_snippet } from '../../src/lib/sw.js'
+
+describe('get_aggregator_options', () => {
+  const CUSTOM = 'https://agg.example.com'
+
+  it('puts custom aggregators before the defaults', () => {
+    const aggregators = get_aggregators({ aggregators: [CUSTOM] }, 'testnet')
+    assert.strictEqual(aggregators[0], CUSTOM)
+    assert.strictEqual(aggregators.length, 3)
+    assert.deepStrictEqual(
+      get_aggregators(null, 'testnet'),
+      aggregators.slice(1),
+    )
+  })
+
+  it('orders by weight and aligns weights and timeouts', () => {
+    const options = get_aggregator_options(
+      {
+        aggregators: [{ url: CUSTOM, weight: 0.5, timeout: 2000 }],
+        aggregatorTimeout: 5000,
+      },
+      'mainnet',
+    )
+    assert.strictEqual(options.aggregators.at(-1), CUSTOM)
+    assert.deepStrictEqual(options.weights, [1, 1, 0.5])
+    assert.deepStrictEqual(options.timeouts, [5000, 5000, 2000])
+    assert.strictEqual(options.race, false)
+  })
+
+  it('defaults to sequential with the default timeout', () => {
+    const options = get_aggregator_options({}, 'testnet')
+    assert.ok(options.timeouts.every(t => t === DEFAULT_AGGREGATOR_TIMEOUT))
+    assert.ok(
+      get_aggregator_options({ aggregatorMode: 'race' }, 'testnet').race,
+    )
+  })
+
+  it('rejects invalid aggregators and settings', () => {
+    assert.throws(
+      () => get_aggregator_options({ aggregators: ['ftp://x'] }, 'testnet'),
+      /expected an http\(s\) URL/,
+    )
+    assert.throws(
+      () =>
+        get_aggregator_options(
+          { aggregators: [{ url: CUSTOM, weight: 0 }] },
+          'testnet',
+        ),
+      /Invalid weight/,
+    )
+    assert.throws(
+      () => get_aggregator_options({ aggregatorTimeout: '5s' }, 'testnet'),
+      /aggregatorTimeout/,
+    )
+    assert.throws(
+      () => get_aggregator_options({ aggregatorMode: 'parallel' }, 'testnet'),
+      /Invalid .versui aggregatorMode/,
+    )
+  })
+})
+
+describe('get_live_options', () => {
+  it('is disabled unless .versui or --live enables it', () => {
+    assert.strictEqual(get_live_options(null, 'testnet'), null)
+    assert.deepStrictEqual(get_live_options(null, 'mainnet', true), {
+      rpc_urls: ['https://fullnode.mainnet.sui.io:443'],
+      revalidate: 300,
+    })
+  })
+
+  it('tries custom RPCs before the public fullnode', () => {
+    const options = get_live_options(
+      { live: { rpcs: ['https://rpc.example.com'], revalidate: 60 } },
+      'testnet',
+    )
+    assert.deepStrictEqual(options.rpc_urls, [
+      'https://rpc.example.com',
+      'https://fullnode.testnet.sui.io:443',
+    ])
+    assert.strictEqual(options.revalidate, 60)
+  })
+
+  it('rejects invalid settings', () => {
+    assert.throws(
+      () => get_live_options({ live: { revalidate: 0 } }, 'testnet'),
+      /live.revalidate/,
+    )
+    assert.throws(
+      () => get_live_options({ live: { rpcs: 'https://x' } }, 'testnet'),
+      /live.rpcs/,
+    )
+  })
+})
+
+describe('resolve_stream_paths', () => {
+  it('resolves stream globs to paths', () => {
+    assert.deepStrictEqual(
+      resolve_stream_paths(['/index.html', '/media/intro.mp4'], {
+        stream: ['**/*.mp4'],
+      }),
+      ['/media/intro.mp4'],
+    )
+    assert.deepStrictEqual(resolve_stream_paths(['/a.mp4'], null), [])
+  })
+
+  it('rejects a non-array stream setting', () => {
+    assert.throws(
+      () => resolve_stream_paths([], { stream: '**/*.mp4' }),
+      /Invalid .versui stream/,
+    )
+  })
+})
+
+describe('match_path', () => {
+  it('matches globs with or without a leading slash', () => {
+    assert.ok(match_path('/assets/app.js', '/assets/**'))
+    assert.ok(match_path('/assets/app.js', 'assets/**'))
+    assert.ok(match_path('/docs/a/index.html', '**/*.html'))
+    assert.ok(!match_path('/app.js', '/assets/**'))
+  })
+
+  it('matches dotfiles', () => {
+    assert.ok(match_path('/.well-known/security.txt', '/.well-known/*'))
+  })
+})
+
+describe('get_header_rules', () => {
+  it('returns no rules without a headers section', () => {
+    assert.deepStrictEqual(get_header_rules(null), [])
+    assert.deepStrictEqual(get_header_rules({ name: 'x' }), [])
+  })
+
+  it('keeps config order', () => {
+    const rules = get_header_rules({
+      headers: {
+        '/**': { 'X-Frame-Options': 'DENY' },
+        '/assets/**': { 'Cache-Control': 'max-age=31536000, immutable' },
+      },
+    })
+    assert.deepStrictEqual(
+      rules.map(r => r.pattern),
+      ['/**', '/assets/**'],
+    )
+  })
+
+  it('rejects a non-object headers section', () => {
+    assert.throws(
+      () => get_header_rules({ headers: ['Cache-Control'] }),
+      /Invalid .versui headers/,
+    )
+  })
+
+  it('rejects invalid header names', () => {
+    assert.throws(
+      () => get_header_rules({ headers: { '/**': { 'Bad Name': 'x' } } }),
+      /Invalid header name/,
+    )
+  })
+
+  it('rejects header values with line breaks (header injection)', () => {
+    assert.throws(
+      () =>
+        get_header_rules({
+          headers: { '/**': { 'X-Test': 'a\r\nSet-Cookie: x=1' } },
+        }),
+      /Invalid value for header/,
+    )
+  })
+})
+
+describe('resolve_headers', () => {
+  const rules = get_header_rules({
+    headers: {
+      '/**': { 'Cache-Control': 'no-cache', 'X-Frame-Options': 'DENY' },
+      '/assets/**': { 'Cache-Control': 'max-age=31536000, immutable' },
+    },
+  })
+
+  it('merges matching rules with later globs overriding earlier ones', () => {
+    const resolved = resolve_headers(['/index.html', '/assets/app.js'], rules)
+    assert.deepStrictEqual(resolved['/index.html'], {
+      'Cache-Control': 'no-cache',
+      'X-Frame-Options': 'DENY',
+    })
+    assert.deepStrictEqual(resolved['/assets/app.js'], {
+      'Cache-Control': 'max-age=31536000, immutable',
+      'X-Frame-Options': 'DENY',
+    })
+  })
+
+  it('omits paths without headers', () => {
+    const resolved = resolve_headers(
+      ['/index.html', '/app.js'],
+      get_header_rules({ headers: { '*.html': { 'X-A': '1' } } }),
+    )
+    assert.deepStrictEqual(Object.keys(resolved), ['/index.html'])
+  })
+})
+
+describe('build_headers_files', () => {
+  it('stores the header map as one internal resource', () => {
+    const files = build_headers_files({
+      '/index.html': { 'X-A': '1' },
+      '/app.js': { 'X-B': '2' },
+    })
+    assert.strictEqual(files.length, 1)
+    assert.strictEqual(files[0].path, HEADERS_RESOURCE_PATH)
+    assert.ok(HEADERS_RESOURCE_PATH.startsWith('/.versui/'))
+    assert.deepStrictEqual(JSON.parse(files[0].contents.toString()), {
+      '/app.js': { 'X-B': '2' },
+      '/index.html': { 'X-A': '1' },
+    })
+  })
+
+  it('produces the same bytes regardless of path order', () => {
+    const a = build_headers_files({
+      '/a': { 'X-A': '1' },
+      '/b': { 'X-B': '2' },
+    })
+    const b = build_headers_files({
+      '/b': { 'X-B': '2' },
+      '/a': { 'X-A': '1' },
+    })
+    assert.ok(a[0].contents.equals(b[0].contents))
+  })
+
+  it('stores nothing without headers', () => {
+    assert.deepStrictEqual(build_headers_files({}), [])
+  })
+})
+
+describe('compile_route_source', () => {
+  const matches = (source, path) =>
+    path.match(new RegExp(compile_route_source(source).pattern))?.groups ?? null
+
+  it('matches :placeholders against one segment', () => {
+    assert.deepStrictEqual(
+      { ...matches('/blog/:slug', '/blog/hello') },
+      { slug: 'hello' },
+    )
+    assert.strictEqual(matches('/blog/:slug', '/blog/a/b'), null)
+  })
+
+  it('matches a trailing * as :splat', () => {
+    assert.deepStrictEqual(
+      { ...matches('/docs/*', '/docs/a/b.html') },
+      { splat: 'a/b.html' },
+    )
+  })
+
+  it('escapes literal regex characters', () => {
+    assert.ok(
+      new RegExp(compile_route_source('/a.html').pattern).test('/a.html'),
+    )
+    assert.ok(
+      !new RegExp(compile_route_source('/a.html').pattern).test('/aXhtml'),
+    )
+  })
+
+  it('rejects sources without a leading slash', () => {
+    assert.throws(() => compile_route_source('blog/:slug'), /must start/)
+  })
+
+  it('rejects duplicate placeholders', () => {
+    assert.throws(() => compile_route_source('/:a/:a'), /duplicate :a/)
+  })
+})
+
+describe('get_route_rules', () => {
+  it('defaults redirects to 301 and rewrites to 200, redirects first', () => {
+    const rules = get_route_rules({
+      rewrites: [{ source: '/app/*', destination: '/app/index.html' }],
+      redirects: [{ source: '/old/:slug', destination: '/new/:slug' }],
+    })
+    assert.deepStrictEqual(
+      rules.map(r => [r.source, r.status]),
+      [
+        ['/old/:slug', 301],
+        ['/app/*', 200],
+      ],
+    )
+  })
+
+  it('allows external URLs for redirects only', () => {
+    assert.doesNotThrow(() =>
+      get_route_rules({
+        redirects: [
+          { source: '/gh', destination: 'https://github.com', status: 302 },
+        ],
+      }),
+    )
+    assert.throws(
+      () =>
+        get_route_rules({
+          rewrites: [{ source: '/gh', destination: 'https://github.com' }],
+        }),
+      /Invalid destination/,
+    )
+  })
+
+  it('rejects unknown destination placeholders', () => {
+    assert.throws(
+      () =>
+        get_route_rules({
+          redirects: [{ source: '/a/:id', destination: '/b/:slug' }],
+        }),
+      /:slug is not in the source/,
+    )
+  })
+
+  it('does not treat URL ports as placeholders', () => {
+    assert.doesNotThrow(() =>
+      get_route_rules({
+        redirects: [{ source: '/x', destination: 'https://example.com:8443/' }],
+      }),
+    )
+  })
+
+  it('rejects unsupported status codes', () => {
+    assert.throws(
+      () =>
+        get_route_rules({
+          redirects: [{ source: '/a', destination: '/b', status: 404 }],
+        }),
+      /Invalid status 404/,
+    )
+  })
+
+  it('rejects a non-array block', () => {
+    assert.throws(
+      () => get_route_rules({ redirects: { '/a': '/b' } }),
+      /expected an array/,
+    )
+  })
+})
+
+describe('get_spa_options', () => {
+  it('is disabled by default', () => {
+    assert.deepStrictEqual(get_spa_options(null), {
+      clean_urls: false,
+      fallback: null,
+    })
+  })
+
+  it('spa: true falls back to /index.html', () => {
+    assert.strictEqual(get_spa_options({ spa: true }).fallback, '/index.html')
+  })
+
+  it('fallback overrides the spa default', () => {
+    assert.strictEqual(
+      get_spa_options({ spa: true, fallback: '/app.html' }).fallback,
+      '/app.html',
+    )
+  })
+
+  it('rejects a relative fallback', () => {
+    assert.throws(
+      () => get_spa_options({ fallback: 'index.html' }),
+      /must be a path/,
+    )
+  })
+
+  it('reads cleanUrls', () => {
+    assert.strictEqual(get_spa_options({ cleanUrls: true }).clean_urls, true)
+  })
+})
+
+describe('get_error_pages', () => {
+  it('reads notFound and unavailable paths', () => {
+    assert.deepStrictEqual(
+      get_error_pages({ notFound: '/404.html', unavailable: '/down.html' }),
+      { not_found: '/404.html', unavailable: '/down.html' },
+    )
+    assert.deepStrictEqual(get_error_pages(null), {
+      not_found: null,
+      unavailable: null,
+    })
+  })
+
+  it('rejects relative paths', () => {
+    assert.throws(
+      () => get_error_pages({ notFound: '404.html' }),
+      /Invalid .versui notFound/,
+    )
+  })
+})
+
+describe('resolve_cache_options', () => {
+  const paths = ['/index.html', '/app.js', '/assets/logo.png']
+
+  it('defaults to cache-first with nothing precached', () => {
+    assert.deepStrictEqual(resolve_cache_options(paths, null), {
+      precache: [],
+      strategies: {},
+    })
+  })
+
+  it('resolves precache globs and strategy overrides to paths', () => {
+    const options = resolve_cache_options(paths, {
+      cache: {
+        precache: ['/index.html', '*.js'],
+        strategies: {
+          '/**': 'network-first',
+          '/assets/**': 'cache-first',
+        },
+      },
+    })
+    assert.deepStrictEqual(options.precache, ['/index.html', '/app.js'])
+    assert.deepStrictEqual(options.strategies, {
+      '/index.html': 'network-first',
+      '/app.js': 'network-first',
+    })
+  })
+
+  it('rejects unknown strategies', () => {
+    assert.throws(
+      () =>
+        resolve_cache_options(paths, {
+          cache: { strategies: { '/**': 'stale-while-revalidate' } },
+        }),
+      /Invalid cache strategy "stale-while-revalidate"/,
+    )
+  })
+
+  it('rejects a non-array precache list', () => {
+    assert.throws(
+      () =>
+        resolve_cache_options(paths, { cache: { precache: '/index.html' } }),
+      /cache.precache/,
+    )
+  })
+})
+
+describe('custom headers in generated service workers', () => {
+  const headers = { '/index.html': { 'X-Frame-Options': 'DENY' } }
+
+  it('bootstrap SW merges custom headers into responses', () => {
+    const { sw } = generate_bootstrap(
+      'site',
+      ['https://agg.example.com'],
+      { '/index.html': 'patch' },
+      { headers },
+    )
+    assert.ok(sw.includes(`H=${JSON.stringify(headers)}`))
+    assert.ok(sw.includes("{'Content-Type':type,...H[p]}"))
+  })
+
+  it('bootstrap SW defaults to no custom headers', () => {
+    const { sw } = generate_bootstrap('site', [], { '/index.html': 'patch' })
+    assert.ok(sw.includes('H={}'))
+  })
+
+  it('snippet warns that the SW plugin ignores headers', () => {
+    const snippet = generate_sw_snippet({ '/index.html': 'patch' }, null, {
+      headers,
+    })
+    assert.ok(snippet.includes('create_versui_handler()\n'))
+    assert.ok(snippet.includes('does not apply custom headers.'))
+    assert.ok(!snippet.includes('X-Frame-Options'))
+  })
+
+  it('snippet has no warning when the site uses no plugin-only features', () => {
+    const snippet = generate_sw_snippet({ '/index.html': 'patch' })
+    assert.ok(!snippet.includes('does not apply'))
+  })
+})
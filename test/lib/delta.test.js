@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import {
+  existsSync,
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  rmSync,
+} from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import {
+  MANIFEST_FILE,
+  compute_delta,
+  build_manifest,
+  read_manifest,
+  write_manifest,
+  is_manifest_current,
+  find_site_version,
+} from '../../src/lib/delta.js'
+import { read_versui_config } from '../../src/lib/config.js'
+
+const FILES = {
+  '/index.html': { hash: 'aa', size: 10, content_type: 'text/html' },
+  '/app.js': { hash: 'bb', size: 20, content_type: 'text/javascript' },
+}
+
+const make_manifest = () =>
+  build_manifest({
+    site_id: '0xsite',
+    network: 'testnet',
+    site_version: 42,
+    file_metadata: FILES,
+    patches: [
+      { identifier: '/index.html', quiltPatchId: 'p-index' },
+      { identifier: 'app.js', quiltPatchId: 'p-app' },
+    ],
+  })
+
+describe('build_manifest', () => {
+  it('maps uploaded patches to resources', () => {
+    const manifest = make_manifest()
+    assert.strictEqual(manifest.site_version, '42')
+    assert.deepStrictEqual(manifest.resources['/app.js'], {
+      path: '/app.js',
+      blob_id: 'p-app',
+      blob_hash: 'bb',
+      content_type: 'text/javascript',
+      size: 20,
+    })
+  })
+
+  it('keeps previous blob IDs for files not uploaded this run', () => {
+    const manifest = build_manifest({
+      site_id: '0xsite',
+      network: 'testnet',
+      site_version: null,
+      file_metadata: FILES,
+      patches: [{ identifier: '/app.js', quiltPatchId: 'p-app-2' }],
+      previous_resources: { '/index.html': { blob_id: 'p-index' } },
+    })
+    assert.strictEqual(manifest.resources['/index.html'].blob_id, 'p-index')
+    assert.strictEqual(manifest.resources['/app.js'].blob_id, 'p-app-2')
+    assert.strictEqual(manifest.site_version, null)
+  })
+})
+
+describe('compute_delta', () => {
+  it('treats every file as added without a manifest', () => {
+    const delta = compute_delta(FILES, null)
+    assert.deepStrictEqual(delta.added, ['/index.html', '/app.js'])
+  })
+
+  it('detects added, modified, removed and unchanged files', () => {
+    const delta = compute_delta(
+      {
+        '/index.html': FILES['/index.html'],
+        '/app.js': { ...FILES['/app.js'], hash: 'cc' },
+        '/new.css': { hash: 'dd', size: 1, content_type: 'text/css' },
+      },
+      make_manifest(),
+    )
+    assert.deepStrictEqual(delta, {
+      added: ['/new.css'],
+      modified: ['/app.js'],
+      removed: [],
+      unchanged: ['/index.html'],
+    })
+  })
+})
+
+describe('is_manifest_current', () => {
+  const site = { site_id: '0xsite', network: 'testnet', version: '42' }
+
+  it('matches the same site, network and version', () => {
+    assert.ok(is_manifest_current(make_manifest(), site))
+  })
+
+  it('rejects a stale version, other site or other network', () => {
+    const manifest = make_manifest()
+    assert.ok(!is_manifest_current(manifest, { ...site, version: '43' }))
+    assert.ok(!is_manifest_current(manifest, { ...site, site_id: '0xother' }))
+    assert.ok(!is_manifest_current(manifest, { ...site, network: 'mainnet' }))
+    assert.ok(!is_manifest_current(null, site))
+  })
+
+  it('rejects manifests without a known version', () => {
+    const manifest = { ...make_manifest(), site_version: null }
+    assert.ok(!is_manifest_current(manifest, site))
+  })
+})
+
+describe('find_site_version', () => {
+  it('returns the version of the mutated Site', () => {
+    const version = find_site_version(
+      [
+        { type: 'mutated', objectId: '0xgas', version: '9' },
+        { type: 'mutated', objectId: '0xsite', version: '43' },
+      ],
+      '0xsite',
+    )
+    assert.strictEqual(version, '43')
+  })
+
+  it('returns null when the Site is not in the changes', () => {
+    assert.strictEqual(find_site_version(undefined, '0xsite'), null)
+  })
+})
+
+describe('manifest persistence', () => {
+  let project_dir
+
+  before(() => {
+    project_dir = mkdtempSync(join(tmpdir(), 'versui-delta-'))
+  })
+
+  after(() => {
+    rmSync(project_dir, { recursive: true, force: true })
+  })
+
+  it('writes .versui-manifest.json and reads it back', () => {
+    assert.strictEqual(read_manifest(project_dir), null)
+    write_manifest(project_dir, make_manifest())
+    assert.ok(existsSync(join(project_dir, MANIFEST_FILE)))
+    assert.strictEqual(read_manifest(project_dir).site_id, '0xsite')
+  })
+
+  it('ignores a corrupt manifest', () => {
+    writeFileSync(join(project_dir, MANIFEST_FILE), '{oops')
+    assert.strictEqual(read_manifest(project_dir), null)
+  })
+
+  it('writes next to a .versui config file', () => {
+    const file_config_dir = join(project_dir, 'file-config')
+    mkdirSync(file_config_dir)
+    writeFileSync(
+      join(file_config_dir, '.versui'),
+      JSON.stringify({ name: 'x' }),
+    )
+    write_manifest(file_config_dir, make_manifest())
+    assert.strictEqual(read_manifest(file_config_dir).site_id, '0xsite')
+    assert.deepStrictEqual(read_versui_config(file_config_dir), { name: 'x' })
+  })
+})
@@ -0,0 +1,779 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { createHash } from 'node:crypto'
+import vm from 'node:vm'
+import { gzipSync } from 'node:zlib'
+
+import { generate_bootstrap } from '../../src/lib/generate.js'
+import {
+  get_route_rules,
+  get_spa_options,
+  get_error_pages,
+  resolve_cache_options,
+  get_aggregator_options,
+} from '../../src/lib/config.js'
+
+const ORIGIN = 'https://site.example'
+const AGGREGATOR = 'https://agg.example'
+
+/**
+ * In-memory Cache Storage for the SW sandbox
+ * @returns {Object} caches global with a `stores` map for assertions
+ */
+function make_caches() {
+  const stores = new Map()
+  const key = request => new URL(request.url ?? request, ORIGIN).href
+  const open_store = name => {
+    if (!stores.has(name)) stores.set(name, new Map())
+    const store = stores.get(name)
+    return {
+      match: async request => store.get(key(request))?.clone(),
+      put: async (request, response) => {
+        store.set(key(request), response)
+      },
+      keys: async () => [...store.keys()].map(url => ({ url })),
+      delete: async request => store.delete(key(request)),
+    }
+  }
+  return {
+    stores,
+    open: async name => open_store(name),
+    keys: async () => [...stores.keys()],
+    delete: async name => stores.delete(name),
+  }
+}
+
+/**
+ * Run a generated SW in a sandbox and return a request handler
+ * @param {string} sw - Service worker source
+ * @param {(url: string, init?: RequestInit) => Response|Promise<Response>} [respond] - Aggregator response per URL (throw = down)
+ * @param {ReturnType<typeof make_caches>} [caches] - Cache Storage shared across SW versions
+ * @param {Object} [globals] - Extra sandbox globals
+ * @returns {((path: string, mode?: string, headers?: Object<string, string>) => Promise<{response: Response, fetched: string[]}|null>) & {lifecycle: (type: string) => Promise<void>, fetched: string[]}}
+ */
+function load_sw(
+  sw,
+  respond = () => new Response('body'),
+  caches = make_caches(),
+  globals = {},
+) {
+  const listeners = {}
+  const fetched = []
+  const sandbox = {
+    self: {
+      addEventListener: (type, listener) => {
+        listeners[type] = listener
+      },
+      skipWaiting: () => {},
+    },
+    clients: { claim: async () => {} },
+    location: new URL(ORIGIN),
+    fetch: async (url, init) => {
+      fetched.push(String(url))
+      return respond(String(url), init)
+    },
+    URL,
+    Response,
+    RegExp,
+    crypto: globalThis.crypto,
+    caches,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    ...globals,
+  }
+  vm.runInNewContext(sw, sandbox)
+
+  const handle = async (path, mode = 'no-cors', headers = {}) => {
+    let responded = null
+    listeners.fetch({
+      request: { url: ORIGIN + path, mode, headers: new Headers(headers) },
+      respondWith: response => {
+        responded = response
+      },
+    })
+    if (!responded) return null
+    return { response: await responded, fetched }
+  }
+  handle.fetched = fetched
+  handle.lifecycle = async type => {
+    let pending = Promise.resolve()
+    listeners[type]({
+      waitUntil: promise => {
+        pending = promise
+      },
+    })
+    await pending
+  }
+  return handle
+}
+
+const aggregators_down = () => {
+  throw new Error('aggregator down')
+}
+
+const make_sw = (resource_map, config) =>
+  generate_bootstrap('site', [AGGREGATOR], resource_map, {
+    routes: get_route_rules(config),
+    ...get_spa_options(config),
+  }).sw
+
+describe('generated SW - redirects and rewrites', () => {
+  const handle = load_sw(
+    make_sw(
+      {
+        '/index.html': 'p-index',
+        '/blog/post.html': 'p-post',
+        '/new/hello.html': 'p-hello',
+      },
+      {
+        redirects: [
+          { source: '/old/:slug', destination: '/new/:slug.html' },
+          {
+            source: '/gh/*',
+            destination: 'https://github.com/:splat',
+            status: 302,
+          },
+        ],
+        rewrites: [{ source: '/blog/:slug', destination: '/blog/post.html' }],
+      },
+    ),
+  )
+
+  it('redirects with placeholders substituted', async () => {
+    const { response } = await handle('/old/hello')
+    assert.strictEqual(response.status, 301)
+    assert.strictEqual(
+      response.headers.get('location'),
+      `${ORIGIN}/new/hello.html`,
+    )
+  })
+
+  it('redirects to external URLs with the splat', async () => {
+    const { response } = await handle('/gh/versui/cli')
+    assert.strictEqual(response.status, 302)
+    assert.strictEqual(
+      response.headers.get('location'),
+      'https://github.com/versui/cli',
+    )
+  })
+
+  it('rewrites by serving the destination resource', async () => {
+    const { response, fetched } = await handle('/blog/my-post')
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('content-type'), 'text/html')
+    assert.strictEqual(
+      fetched.at(-1),
+      `${AGGREGATOR}/v1/blobs/by-quilt-patch-id/p-post`,
+    )
+  })
+
+  it('serves exact resources before evaluating rules', async () => {
+    const { fetched } = await handle('/blog/post.html')
+    assert.ok(fetched.at(-1).endsWith('/p-post'))
+  })
+
+  it('leaves unmatched paths to the network', async () => {
+    assert.strictEqual(await handle('/unknown'), null)
+  })
+})
+
+describe('generated SW - SPA fallback and clean URLs', () => {
+  const resources = {
+    '/index.html': 'p-index',
+    '/about.html': 'p-about',
+    '/docs/index.html': 'p-docs',
+    '/app.js': 'p-app',
+  }
+
+  it('resolves clean URLs to .html and /index.html', async () => {
+    const handle = load_sw(make_sw(resources, { cleanUrls: true }))
+    assert.ok((await handle('/about')).fetched.at(-1).endsWith('/p-about'))
+    assert.ok((await handle('/docs')).fetched.at(-1).endsWith('/p-docs'))
+    assert.ok((await handle('/docs/')).fetched.at(-1).endsWith('/p-docs'))
+    assert.ok((await handle('/')).fetched.at(-1).endsWith('/p-index'))
+  })
+
+  it('does not resolve clean URLs unless enabled', async () => {
+    const handle = load_sw(make_sw(resources, {}))
+    assert.strictEqual(await handle('/about'), null)
+  })
+
+  it('serves the fallback document for unknown navigations', async () => {
+    const handle = load_sw(make_sw(resources, { spa: true }))
+    const { response, fetched } = await handle(
+      '/dashboard/settings',
+      'navigate',
+    )
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('content-type'), 'text/html')
+    assert.ok(fetched.at(-1).endsWith('/p-index'))
+  })
+
+  it('returns 404 for unknown assets instead of HTML', async () => {
+    const handle = load_sw(make_sw(resources, { spa: true }))
+    const { response } = await handle('/missing.js')
+    assert.strictEqual(response.status, 404)
+  })
+
+  it('uses a custom fallback document', async () => {
+    const handle = load_sw(
+      make_sw(
+        { ...resources, '/app.html': 'p-shell' },
+        { fallback: '/app.html' },
+      ),
+    )
+    const { fetched } = await handle('/anything', 'navigate')
+    assert.ok(fetched.at(-1).endsWith('/p-shell'))
+  })
+})
+
+describe('generated SW - custom error pages', () => {
+  const resources = { '/index.html': 'p-index', '/404.html': 'p-404' }
+  const make_error_sw = (config, unavailable_html = null) =>
+    generate_bootstrap('site', [AGGREGATOR], resources, {
+      not_found: get_error_pages(config).not_found,
+      unavailable_html,
+    })
+
+  it('serves notFound with a 404 status for unknown navigations', async () => {
+    const handle = load_sw(make_error_sw({ notFound: '/404.html' }).sw)
+    const { response, fetched } = await handle('/nope', 'navigate')
+    assert.strictEqual(response.status, 404)
+    assert.strictEqual(response.headers.get('content-type'), 'text/html')
+    assert.ok(fetched.at(-1).endsWith('/p-404'))
+  })
+
+  it('returns a bare 404 for unknown assets', async () => {
+    const handle = load_sw(make_error_sw({ notFound: '/404.html' }).sw)
+    const { response, fetched } = await handle('/nope.js')
+    assert.strictEqual(response.status, 404)
+    assert.strictEqual(fetched.length, 0)
+  })
+
+  it('serves the inlined unavailable page with 503 when aggregators fail', async () => {
+    const page = '<h1>Back soon</h1>'
+    const handle = load_sw(make_error_sw({}, page).sw, aggregators_down)
+    const { response } = await handle('/index.html', 'navigate')
+    assert.strictEqual(response.status, 503)
+    assert.strictEqual(await response.text(), page)
+  })
+
+  it('keeps the plain expired response for non-navigation requests', async () => {
+    const handle = load_sw(make_error_sw({}, '<h1>x</h1>').sw, aggregators_down)
+    const { response } = await handle('/index.html')
+    assert.strictEqual(response.status, 404)
+  })
+
+  it('shows the unavailable page in the bootstrap retry loop', () => {
+    const { html } = make_error_sw({}, '<p class="x">Back "soon"</p>')
+    assert.ok(
+      html.includes(
+        'srcdoc="&lt;p class=&quot;x&quot;&gt;Back &quot;soon&quot;&lt;/p&gt;"',
+      ),
+    )
+    assert.ok(html.includes('id="err"'))
+    assert.ok(html.includes('setTimeout(check,d)'))
+    assert.ok(!html.includes('Site Storage Expired'))
+  })
+})
+
+describe('generated SW - integrity verification', () => {
+  const content = '<h1>real</h1>'
+  const sha256 = createHash('sha256').update(content).digest('hex')
+  const EVIL = 'https://evil.example'
+  const make_integrity_sw = () =>
+    generate_bootstrap(
+      'site',
+      [EVIL, AGGREGATOR],
+      { '/index.html': 'p' },
+      {
+        integrity: { '/index.html': sha256 },
+      },
+    ).sw
+
+  it('falls through to the next aggregator on a hash mismatch', async () => {
+    const handle = load_sw(make_integrity_sw(), url =>
+      url.startsWith(EVIL)
+        ? new Response('<h1>fake</h1>')
+        : new Response(content),
+    )
+    const { response, fetched } = await handle('/index.html')
+    assert.strictEqual(await response.text(), content)
+    assert.strictEqual(fetched.length, 2)
+  })
+
+  it('serves the first aggregator when the hash matches', async () => {
+    const handle = load_sw(make_integrity_sw(), () => new Response(content))
+    const { response, fetched } = await handle('/index.html')
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(fetched.length, 1)
+  })
+
+  it('never serves bytes that fail verification', async () => {
+    const handle = load_sw(make_integrity_sw(), () => new Response('tampered'))
+    const { response } = await handle('/index.html')
+    assert.strictEqual(response.status, 404)
+    assert.strictEqual(await response.text(), 'expired')
+  })
+})
+
+describe('generated SW - caching', () => {
+  const blob = patch => `${AGGREGATOR}/v1/blobs/by-quilt-patch-id/${patch}`
+  const make_cache_sw = (resource_map, cache) =>
+    generate_bootstrap('site', [AGGREGATOR], resource_map, {
+      ...resolve_cache_options(Object.keys(resource_map), { cache }),
+    }).sw
+
+  it('serves repeat requests from the cache (cache-first)', async () => {
+    const handle = load_sw(make_cache_sw({ '/app.js': 'p1' }))
+    await handle('/app.js')
+    const { response, fetched } = await handle('/app.js')
+    assert.strictEqual(await response.text(), 'body')
+    assert.deepStrictEqual(fetched, [blob('p1')])
+  })
+
+  it('bypasses the cache for network-only paths', async () => {
+    const handle = load_sw(
+      make_cache_sw(
+        { '/index.html': 'p1' },
+        { strategies: { '*.html': 'network-only' } },
+      ),
+    )
+    await handle('/index.html')
+    const { fetched } = await handle('/index.html')
+    assert.strictEqual(fetched.length, 2)
+  })
+
+  it('falls back to the cache when network-first fails', async () => {
+    let down = false
+    const handle = load_sw(
+      make_cache_sw(
+        { '/index.html': 'p1' },
+        { strategies: { '*.html': 'network-first' } },
+      ),
+      () => {
+        if (down) throw new Error('aggregator down')
+        return new Response('cached')
+      },
+    )
+    await handle('/index.html')
+    down = true
+    const { response } = await handle('/index.html')
+    assert.strictEqual(await response.text(), 'cached')
+  })
+
+  it('precaches critical paths on install', async () => {
+    const handle = load_sw(
+      make_cache_sw(
+        { '/index.html': 'p1', '/app.js': 'p2', '/big.mp4': 'p3' },
+        { precache: ['/index.html', '*.js'] },
+      ),
+    )
+    await handle.lifecycle('install')
+    assert.deepStrictEqual(handle.fetched, [blob('p1'), blob('p2')])
+  })
+
+  it('drops stale blobs and old caches on activate after an update', async () => {
+    const caches = make_caches()
+    const old_version = load_sw(
+      make_cache_sw({ '/index.html': 'old' }),
+      undefined,
+      caches,
+    )
+    await old_version('/index.html')
+    caches.stores.set('versui-legacy', new Map())
+
+    const new_version = load_sw(
+      make_cache_sw({ '/index.html': 'new' }),
+      undefined,
+      caches,
+    )
+    await new_version('/index.html')
+    await new_version.lifecycle('activate')
+
+    assert.deepStrictEqual([...caches.stores.keys()], ['versui-blobs'])
+    assert.deepStrictEqual(
+      [...caches.stores.get('versui-blobs').keys()],
+      [`${ORIGIN}/.versui/blobs/new`],
+    )
+  })
+})
+
+describe('generated SW - aggregator selection', () => {
+  const SLOW = 'https://slow.example'
+  const make_aggregator_sw = config => {
+    const { aggregators, ...options } = get_aggregator_options(
+      config,
+      'testnet',
+    )
+    return generate_bootstrap(
+      'site',
+      aggregators,
+      { '/app.js': 'p1' },
+      {
+        ...options,
+        strategies: { '/app.js': 'network-only' },
+      },
+    ).sw
+  }
+  const hang = (url, init) =>
+    new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')))
+    })
+
+  it('moves to the next aggregator when an attempt times out', async () => {
+    const handle = load_sw(
+      make_aggregator_sw({
+        aggregators: [{ url: SLOW, timeout: 20 }],
+      }),
+      (url, init) =>
+        url.startsWith(SLOW) ? hang(url, init) : new Response('ok'),
+    )
+    const { response, fetched } = await handle('/app.js')
+    assert.strictEqual(await response.text(), 'ok')
+    assert.strictEqual(fetched.length, 2)
+  })
+
+  it('race mode serves the first valid response', async () => {
+    let aborted = false
+    const handle = load_sw(
+      make_aggregator_sw({ aggregators: [SLOW], aggregatorMode: 'race' }),
+      (url, init) => {
+        if (!url.startsWith(SLOW)) return new Response('fast')
+        init.signal.addEventListener('abort', () => {
+          aborted = true
+        })
+        return hang(url, init)
+      },
+    )
+    const { response, fetched } = await handle('/app.js')
+    assert.strictEqual(await response.text(), 'fast')
+    assert.strictEqual(fetched.length, 3)
+    assert.ok(aborted, 'losing requests are cancelled')
+  })
+
+  it('tries aggregators that failed last', async () => {
+    const DOWN = 'https://down.example'
+    const handle = load_sw(make_aggregator_sw({ aggregators: [DOWN] }), url => {
+      if (url.startsWith(DOWN)) throw new Error('aggregator down')
+      return new Response('ok')
+    })
+    await handle('/app.js')
+    const { fetched } = await handle('/app.js')
+    assert.ok(fetched[0].startsWith(DOWN))
+    assert.ok(!fetched[2].startsWith(DOWN))
+  })
+
+  it('orders aggregators by weight', () => {
+    const sw = make_aggregator_sw({
+      aggregators: [{ url: SLOW, weight: 0.5 }],
+    })
+    assert.ok(sw.includes('Y=[1,1,0.5]'))
+  })
+})
+
+describe('generated SW - live mode', () => {
+  const RPC = 'https://rpc.example'
+  const make_live_sw = () =>
+    generate_bootstrap(
+      'site',
+      [AGGREGATOR],
+      { '/index.html': 'baked' },
+      {
+        live: { site_id: '0xsite', rpc_urls: [RPC], revalidate: 60 },
+      },
+    ).sw
+
+  /**
+   * Fake Sui fullnode serving a Site whose resources can change
+   * @param {{version: string, blobs: Object<string, string>}} site - Current Site state
+   * @returns {(method: string, params: any[]) => any} JSON-RPC result per call
+   */
+  const make_chain = site => (method, params) => {
+    if (method === 'sui_getObject') {
+      return {
+        data: {
+          version: site.version,
+          content: { fields: { resources: { fields: { id: { id: '0xt' } } } } },
+        },
+      }
+    }
+    if (method === 'suix_getDynamicFields') {
+      return {
+        data: Object.keys(site.blobs).map(path => ({ objectId: path })),
+        hasNextPage: false,
+        nextCursor: null,
+      }
+    }
+    return params[0].map(path => ({
+      data: { content: { fields: { path, blob_id: site.blobs[path] } } },
+    }))
+  }
+
+  const make_respond = (chain, calls) => (url, init) => {
+    if (url !== RPC) return new Response(url.split('/').pop())
+    const { method, params } = JSON.parse(init.body)
+    calls.push(method)
+    return Response.json({ result: chain(method, params) })
+  }
+
+  it('embeds the site ID instead of the resource map', () => {
+    const sw = make_live_sw()
+    assert.ok(sw.includes('R={}'))
+    assert.ok(!sw.includes('baked'))
+    assert.ok(sw.includes('"0xsite"'))
+  })
+
+  it('serves the resources currently on chain', async () => {
+    const site = { version: '1', blobs: { '/index.html': 'blob1' } }
+    const handle = load_sw(make_live_sw(), make_respond(make_chain(site), []))
+    const { response } = await handle('/index.html')
+    assert.strictEqual(await response.text(), 'blob1')
+  })
+
+  it('picks up a new resource map after revalidation', async () => {
+    let now = 0
+    const site = { version: '1', blobs: { '/index.html': 'blob1' } }
+    const calls = []
+    const handle = load_sw(
+      make_live_sw(),
+      make_respond(make_chain(site), calls),
+      make_caches(),
+      { Date: { now: () => now } },
+    )
+    await handle('/index.html')
+
+    site.version = '2'
+    site.blobs = { '/index.html': 'blob2' }
+    now = 61_000
+    // Revalidation runs in the background; this request still gets blob1
+    await handle('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    const { response } = await handle('/index.html')
+    assert.strictEqual(await response.text(), 'blob2')
+    assert.strictEqual(calls.filter(m => m === 'sui_getObject').length, 2)
+  })
+
+  it('skips the resources table when the Site version is unchanged', async () => {
+    let now = 0
+    const site = { version: '1', blobs: { '/index.html': 'blob1' } }
+    const calls = []
+    const handle = load_sw(
+      make_live_sw(),
+      make_respond(make_chain(site), calls),
+      make_caches(),
+      { Date: { now: () => now } },
+    )
+    await handle('/index.html')
+    now = 61_000
+    await handle('/index.html')
+    await handle('/index.html')
+    assert.deepStrictEqual(calls, [
+      'sui_getObject',
+      'suix_getDynamicFields',
+      'sui_multiGetObjects',
+      'sui_getObject',
+    ])
+  })
+
+  it('applies the header map stored with the site', async () => {
+    let now = 0
+    const site = {
+      version: '1',
+      blobs: { '/index.html': 'blob1', '/.versui/headers': 'headers1' },
+    }
+    const header_maps = {
+      headers1: { '/index.html': { 'X-Frame-Options': 'DENY' } },
+      headers2: { '/index.html': { 'X-Frame-Options': 'SAMEORIGIN' } },
+    }
+    const chain = make_chain(site)
+    const handle = load_sw(
+      make_live_sw(),
+      (url, init) => {
+        const blob = url.split('/').pop()
+        if (header_maps[blob]) return Response.json(header_maps[blob])
+        return make_respond(chain, [])(url, init)
+      },
+      make_caches(),
+      { Date: { now: () => now } },
+    )
+    let { response } = await handle('/index.html')
+    assert.strictEqual(response.headers.get('X-Frame-Options'), 'DENY')
+
+    site.version = '2'
+    site.blobs = { '/index.html': 'blob1', '/.versui/headers': 'headers2' }
+    now = 61_000
+    await handle('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    ;({ response } = await handle('/index.html'))
+    assert.strictEqual(response.headers.get('X-Frame-Options'), 'SAMEORIGIN')
+
+    site.version = '3'
+    site.blobs = { '/index.html': 'blob1' }
+    now = 122_000
+    await handle('/index.html')
+    await new Promise(resolve => setTimeout(resolve, 20))
+    ;({ response } = await handle('/index.html'))
+    assert.strictEqual(response.headers.get('X-Frame-Options'), null)
+  })
+
+  it('does not serve internal resources', async () => {
+    const site = {
+      version: '1',
+      blobs: { '/index.html': 'blob1', '/.versui/headers': 'headers1' },
+    }
+    const handle = load_sw(make_live_sw(), make_respond(make_chain(site), []))
+    await handle('/index.html')
+    assert.strictEqual(await handle('/.versui/headers'), null)
+  })
+
+  it('serves the cached map after a restart when Sui is unreachable', async () => {
+    const caches = make_caches()
+    const site = { version: '1', blobs: { '/index.html': 'blob1' } }
+    const first = load_sw(
+      make_live_sw(),
+      make_respond(make_chain(site), []),
+      caches,
+    )
+    await first('/index.html')
+
+    const restarted = load_sw(
+      make_live_sw(),
+      url => {
+        if (url === RPC) throw new Error('rpc down')
+        return new Response(url.split('/').pop())
+      },
+      caches,
+    )
+    const { response } = await restarted('/index.html')
+    assert.strictEqual(await response.text(), 'blob1')
+  })
+})
+
+describe('generated SW - range requests', () => {
+  const video = '0123456789'
+  const sha256 = createHash('sha256').update(video).digest('hex')
+  const make_range_sw = (stream = []) =>
+    generate_bootstrap(
+      'site',
+      [AGGREGATOR],
+      { '/intro.mp4': 'p1' },
+      {
+        integrity: { '/intro.mp4': sha256 },
+        stream,
+      },
+    ).sw
+  const range = (handle, value) =>
+    handle('/intro.mp4', 'no-cors', { Range: value })
+
+  it('slices verified blobs into 206 responses', async () => {
+    const handle = load_sw(make_range_sw(), () => new Response(video))
+    const { response } = await range(handle, 'bytes=2-5')
+    assert.strictEqual(response.status, 206)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes 2-5/10')
+    assert.strictEqual(response.headers.get('Content-Type'), 'video/mp4')
+    assert.strictEqual(await response.text(), '2345')
+  })
+
+  it('supports open-ended and suffix ranges', async () => {
+    const handle = load_sw(make_range_sw(), () => new Response(video))
+    assert.strictEqual(
+      await (await range(handle, 'bytes=7-')).response.text(),
+      '789',
+    )
+    assert.strictEqual(
+      await (await range(handle, 'bytes=-2')).response.text(),
+      '89',
+    )
+  })
+
+  it('returns 416 for unsatisfiable ranges', async () => {
+    const handle = load_sw(make_range_sw(), () => new Response(video))
+    const { response } = await range(handle, 'bytes=20-30')
+    assert.strictEqual(response.status, 416)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes */10')
+  })
+
+  it('advertises range support on full responses', async () => {
+    const handle = load_sw(make_range_sw(), () => new Response(video))
+    const { response } = await handle('/intro.mp4')
+    assert.strictEqual(response.status, 200)
+    assert.strictEqual(response.headers.get('Accept-Ranges'), 'bytes')
+  })
+
+  it('forwards ranges to aggregators for streamed paths', async () => {
+    const requested = []
+    const handle = load_sw(make_range_sw(['/intro.mp4']), (url, init) => {
+      requested.push(new Headers(init?.headers).get('range'))
+      return new Response('45', {
+        status: 206,
+        headers: { 'Content-Range': 'bytes 4-5/10' },
+      })
+    })
+    const { response, fetched } = await range(handle, 'bytes=4-5')
+    assert.strictEqual(response.status, 206)
+    assert.strictEqual(response.headers.get('Content-Range'), 'bytes 4-5/10')
+    assert.strictEqual(await response.text(), '45')
+    assert.deepStrictEqual(requested, ['bytes=4-5'])
+    assert.strictEqual(fetched.length, 1)
+  })
+
+  it('falls back to slicing when aggregators ignore the range', async () => {
+    const handle = load_sw(make_range_sw(['/intro.mp4']), () => {
+      return new Response(video)
+    })
+    const { response, fetched } = await range(handle, 'bytes=0-1')
+    assert.strictEqual(await response.text(), '01')
+    assert.strictEqual(fetched.length, 2)
+  })
+})
+
+describe('generated SW - compressed variants', () => {
+  const script = 'console.log("hello");\n'.repeat(100)
+  const sha256 = createHash('sha256').update(script).digest('hex')
+  const gzipped = gzipSync(script)
+  const make_variant_sw = () =>
+    generate_bootstrap(
+      'site',
+      [AGGREGATOR],
+      { '/app.js': 'raw', '/.versui/gzip/app.js': 'gz', '/app.js.gz': 'own' },
+      { integrity: { '/app.js': sha256 } },
+    ).sw
+  const respond = variant => url =>
+    new Response(url.endsWith('/gz') ? variant : script)
+  const load = (variant = gzipped) =>
+    load_sw(make_variant_sw(), respond(variant), make_caches(), {
+      DecompressionStream,
+    })
+
+  it('serves the decompressed gzip variant', async () => {
+    const handle = load()
+    const { response, fetched } = await handle('/app.js')
+    assert.strictEqual(await response.text(), script)
+    assert.strictEqual(response.headers.get('Content-Type'), 'text/javascript')
+    assert.deepStrictEqual(fetched, [
+      `${AGGREGATOR}/v1/blobs/by-quilt-patch-id/gz`,
+    ])
+  })
+
+  it('falls back to the original when the variant fails verification', async () => {
+    const handle = load(gzipSync('tampered'))
+    const { response, fetched } = await handle('/app.js')
+    assert.strictEqual(await response.text(), script)
+    assert.strictEqual(fetched.length, 2)
+  })
+
+  it('serves a real .gz file as-is', async () => {
+    const handle = load()
+    const { fetched } = await handle('/app.js.gz')
+    assert.deepStrictEqual(fetched, [
+      `${AGGREGATOR}/v1/blobs/by-quilt-patch-id/own`,
+    ])
+  })
+
+  it('does not serve variants directly', async () => {
+    const handle = load()
+    assert.strictEqual(await handle('/.versui/gzip/app.js'), null)
+  })
+})
@@ -0,0 +1,193 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import {
+  JOURNAL_FILE,
+  UPDATE_JOURNAL_FILE,
+  create_journal,
+  read_journal,
+  record_step,
+  clear_journal,
+  assert_resumable,
+} from '../../src/lib/journal.js'
+
+const FILES = {
+  '/index.html': { hash: 'aa', size: 10, content_type: 'text/html' },
+  '/app.js': { hash: 'bb', size: 20, content_type: 'text/javascript' },
+}
+
+const make_journal = () =>
+  create_journal({
+    network: 'testnet',
+    epochs: 5,
+    site_name: 'blog',
+    wallet: '0xowner',
+    file_metadata: FILES,
+  })
+
+describe('deploy journal - persistence', () => {
+  let project_dir
+
+  before(() => {
+    project_dir = mkdtempSync(join(tmpdir(), 'versui-journal-'))
+  })
+
+  after(() => {
+    rmSync(project_dir, { recursive: true, force: true })
+  })
+
+  it('returns null when no journal exists', () => {
+    assert.strictEqual(read_journal(project_dir), null)
+  })
+
+  it('records steps and reads them back', () => {
+    let journal = make_journal()
+    journal = record_step(project_dir, journal, 'upload', {
+      blob_id: 'blob',
+      blob_object_id: '0xblob',
+      quilt_patches: [{ identifier: '/index.html', quiltPatchId: 'p1' }],
+    })
+    record_step(project_dir, journal, 'create_site', {
+      site_id: '0xsite',
+      admin_cap_id: '0xcap',
+      initial_shared_version: 7,
+      digest: 'd1',
+    })
+
+    const read = read_journal(project_dir)
+    assert.strictEqual(read.site_name, 'blog')
+    assert.strictEqual(read.steps.upload.blob_object_id, '0xblob')
+    assert.strictEqual(read.steps.create_site.initial_shared_version, 7)
+  })
+
+  it('does not mutate the journal passed in', () => {
+    const journal = make_journal()
+    record_step(project_dir, journal, 'upload', { blob_id: 'x' })
+    assert.deepStrictEqual(journal.steps, {})
+  })
+
+  it('clear_journal removes the file', () => {
+    clear_journal(project_dir)
+    assert.ok(!existsSync(join(project_dir, JOURNAL_FILE)))
+    assert.doesNotThrow(() => clear_journal(project_dir))
+  })
+
+  it('rejects a corrupt journal', () => {
+    writeFileSync(join(project_dir, JOURNAL_FILE), '{oops')
+    assert.throws(() => read_journal(project_dir), /Invalid deploy journal/)
+  })
+})
+
+describe('update journal', () => {
+  let project_dir
+
+  before(() => {
+    project_dir = mkdtempSync(join(tmpdir(), 'versui-journal-'))
+  })
+
+  after(() => {
+    rmSync(project_dir, { recursive: true, force: true })
+  })
+
+  const make_update_journal = () =>
+    create_journal({
+      command: 'update',
+      network: 'testnet',
+      epochs: 5,
+      site_name: 'blog',
+      wallet: '0xowner',
+      file_metadata: FILES,
+      site_id: '0xsite',
+      changes: {
+        added_paths: ['/app.js'],
+        updated_paths: ['/index.html'],
+        deleted_paths: ['/old.css'],
+      },
+    })
+
+  it('is kept apart from an interrupted deploy', () => {
+    const deploy = record_step(project_dir, make_journal(), 'upload', {
+      quilt_patches: [],
+    })
+    record_step(project_dir, make_update_journal(), 'update_resources', {
+      batches_done: 1,
+      digests: ['d1'],
+    })
+
+    assert.ok(existsSync(join(project_dir, UPDATE_JOURNAL_FILE)))
+    assert.deepStrictEqual(read_journal(project_dir), deploy)
+
+    const read = read_journal(project_dir, 'update')
+    assert.strictEqual(read.site_id, '0xsite')
+    assert.deepStrictEqual(read.changes.deleted_paths, ['/old.css'])
+    assert.strictEqual(read.steps.update_resources.batches_done, 1)
+
+    clear_journal(project_dir, 'update')
+    assert.strictEqual(read_journal(project_dir, 'update'), null)
+    assert.ok(read_journal(project_dir))
+  })
+
+  it('names the update in resume errors', () => {
+    assert.throws(
+      () =>
+        assert_resumable(make_update_journal(), {
+          wallet: '0xowner',
+          file_metadata: {},
+        }),
+      /interrupted update\. Run versui update again without --resume/,
+    )
+  })
+})
+
+describe('deploy journal - assert_resumable', () => {
+  it('accepts the same wallet and files', () => {
+    assert.doesNotThrow(() =>
+      assert_resumable(make_journal(), {
+        wallet: '0xowner',
+        file_metadata: FILES,
+      }),
+    )
+  })
+
+  it('rejects a different wallet', () => {
+    assert.throws(
+      () =>
+        assert_resumable(make_journal(), {
+          wallet: '0xother',
+          file_metadata: FILES,
+        }),
+      /active wallet is 0xother/,
+    )
+  })
+
+  it('rejects changed file contents', () => {
+    assert.throws(
+      () =>
+        assert_resumable(make_journal(), {
+          wallet: '0xowner',
+          file_metadata: {
+            ...FILES,
+            '/app.js': { ...FILES['/app.js'], hash: 'cc' },
+          },
+        }),
+      /Files changed/,
+    )
+  })
+
+  it('rejects added files', () => {
+    assert.throws(
+      () =>
+        assert_resumable(make_journal(), {
+          wallet: '0xowner',
+          file_metadata: {
+            ...FILES,
+            '/new.css': { hash: 'dd', size: 1, content_type: 'text/css' },
+          },
+        }),
+      /Files changed/,
+    )
+  })
+})
@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+
+import { Ed25519Keypair } from '@mysten/sui/keypairs/ed25519'
+import { Secp256k1Keypair } from '@mysten/sui/keypairs/secp256k1'
+import { decodeSuiPrivateKey } from '@mysten/sui/cryptography'
+import { toBase64 } from '@mysten/sui/utils'
+
+import {
+  keypair_from_secret,
+  read_keystore,
+  read_client_config,
+  load_signer,
+  get_active_network,
+} from '../../src/lib/signer.js'
+
+/**
+ * Encode a keypair the way sui.keystore stores it (base64 of flag || key)
+ * @param {import('@mysten/sui/cryptography').Keypair} keypair
+ * @param {number} flag
+ */
+function to_keystore_entry(keypair, flag) {
+  const { secretKey } = decodeSuiPrivateKey(keypair.getSecretKey())
+  return toBase64(new Uint8Array([flag, ...secretKey]))
+}
+
+describe('keypair_from_secret', () => {
+  it('loads a bech32 suiprivkey string', () => {
+    const keypair = new Ed25519Keypair()
+    const loaded = keypair_from_secret(keypair.getSecretKey())
+    assert.strictEqual(loaded.toSuiAddress(), keypair.toSuiAddress())
+  })
+
+  it('loads a base64 ed25519 keystore entry', () => {
+    const keypair = new Ed25519Keypair()
+    const loaded = keypair_from_secret(to_keystore_entry(keypair, 0x00))
+    assert.strictEqual(loaded.toSuiAddress(), keypair.toSuiAddress())
+  })
+
+  it('loads a base64 secp256k1 keystore entry', () => {
+    const keypair = new Secp256k1Keypair()
+    const loaded = keypair_from_secret(to_keystore_entry(keypair, 0x01))
+    assert.strictEqual(loaded.toSuiAddress(), keypair.toSuiAddress())
+  })
+
+  it('trims surrounding whitespace', () => {
+    const keypair = new Ed25519Keypair()
+    const loaded = keypair_from_secret(`  ${keypair.getSecretKey()}\n`)
+    assert.strictEqual(loaded.toSuiAddress(), keypair.toSuiAddress())
+  })
+
+  it('rejects empty input', () => {
+    assert.throws(() => keypair_from_secret(''), /cannot be empty/)
+  })
+
+  it('rejects wrong key length', () => {
+    assert.throws(
+      () => keypair_from_secret(toBase64(new Uint8Array(32))),
+      /expected 33 bytes/,
+    )
+  })
+
+  it('rejects unknown scheme flag', () => {
+    assert.throws(
+      () => keypair_from_secret(toBase64(new Uint8Array(33).fill(9))),
+      /Unsupported key scheme flag/,
+    )
+  })
+})
+
+describe('keystore and client config', () => {
+  let config_dir
+  const first = new Ed25519Keypair()
+  const second = new Ed25519Keypair()
+
+  before(() => {
+    config_dir = mkdtempSync(join(tmpdir(), 'versui-signer-'))
+    writeFileSync(
+      join(config_dir, 'sui.keystore'),
+      JSON.stringify([
+        to_keystore_entry(first, 0x00),
+        'not-a-key',
+        to_keystore_entry(second, 0x00),
+      ]),
+    )
+    writeFileSync(
+      join(config_dir, 'client.yaml'),
+      [
+        '---',
+        'keystore:',
+        `  File: ${join(config_dir, 'sui.keystore')}`,
+        'envs:',
+        '  - alias: testnet',
+        '    rpc: "https://fullnode.testnet.sui.io:443"',
+        'active_env: mainnet',
+        `active_address: "${second.toSuiAddress()}"`,
+        '',
+      ].join('\n'),
+    )
+  })
+
+  after(() => {
+    rmSync(config_dir, { recursive: true, force: true })
+  })
+
+  it('reads keystore entries and skips invalid ones', () => {
+    const keypairs = read_keystore(join(config_dir, 'sui.keystore'))
+    assert.strictEqual(keypairs.length, 2)
+    assert.strictEqual(keypairs[0].toSuiAddress(), first.toSuiAddress())
+  })
+
+  it('throws when keystore is missing', () => {
+    assert.throws(
+      () => read_keystore(join(config_dir, 'missing.keystore')),
+      /keystore not found/,
+    )
+  })
+
+  it('reads active address and env from client.yaml', () => {
+    const config = read_client_config(config_dir)
+    assert.strictEqual(config.active_address, second.toSuiAddress())
+    assert.strictEqual(config.active_env, 'mainnet')
+  })
+
+  it('returns nulls when client.yaml is missing', () => {
+    const config = read_client_config(join(config_dir, 'nope'))
+    assert.deepStrictEqual(config, { active_address: null, active_env: null })
+  })
+
+  it('load_signer picks the active address from the keystore', () => {
+    const signer = load_signer({ env: { SUI_CONFIG_DIR: config_dir } })
+    assert.strictEqual(signer.toSuiAddress(), second.toSuiAddress())
+  })
+
+  it('load_signer prefers VERSUI_PRIVATE_KEY', () => {
+    const env_key = new Ed25519Keypair()
+    const signer = load_signer({
+      env: {
+        SUI_CONFIG_DIR: config_dir,
+        VERSUI_PRIVATE_KEY: env_key.getSecretKey(),
+      },
+    })
+    assert.strictEqual(signer.toSuiAddress(), env_key.toSuiAddress())
+  })
+
+  it('get_active_network reads active_env', () => {
+    assert.strictEqual(
+      get_active_network({ env: { SUI_CONFIG_DIR: config_dir } }),
+      'mainnet',
+    )
+  })
+
+  it('get_active_network throws without a known env', () => {
+    assert.throws(
+      () => get_active_network({ env: { SUI_CONFIG_DIR: tmpdir() } }),
+      /Use --network/,
+    )
+  })
+})
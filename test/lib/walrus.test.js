@@ -0,0 +1,497 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert'
+
+import {
+  encode_quilt_patch_id,
+  write_slivers_to_nodes,
+  store_quilt,
+  store_quilts,
+  plan_quilt,
+  get_quilt_id,
+  quilt_limits,
+  partition_quilts,
+  find_owned_blobs,
+} from '../../src/lib/walrus.js'
+
+const QUILT_ID = 'M4hsZGQ1oCktdzegB6HnI6Mi28S2nqOPHxK-W7_4BUk'
+
+/**
+ * Build fake per-node slivers (one primary sliver per shard)
+ * @param {number[]} shards_per_node
+ */
+const make_slivers = shards_per_node =>
+  shards_per_node.map(count => ({
+    primary: Array.from({ length: count }, () => ({})),
+    secondary: [],
+  }))
+
+describe('encode_quilt_patch_id', () => {
+  it('matches the patch id format used by walrus store-quilt', () => {
+    const id = encode_quilt_patch_id(QUILT_ID, { startIndex: 3, endIndex: 17 })
+    assert.strictEqual(id, 'M4hsZGQ1oCktdzegB6HnI6Mi28S2nqOPHxK-W7_4BUkBAwARAA')
+  })
+
+  it('produces distinct ids for distinct ranges', () => {
+    const a = encode_quilt_patch_id(QUILT_ID, { startIndex: 1, endIndex: 2 })
+    const b = encode_quilt_patch_id(QUILT_ID, { startIndex: 2, endIndex: 3 })
+    assert.notStrictEqual(a, b)
+    assert.ok(!/[+/=]/.test(a))
+  })
+})
+
+describe('write_slivers_to_nodes', () => {
+  it('reports progress for every node', async () => {
+    const walrus_client = {
+      writeEncodedBlobToNode: mock.fn(async ({ nodeIndex }) => ({
+        node: nodeIndex,
+      })),
+    }
+    const events = []
+
+    const confirmations = await write_slivers_to_nodes(walrus_client, {
+      blob_id: 'blob',
+      metadata: {},
+      slivers_by_node: make_slivers([1, 1, 1, 1]),
+      deletable: true,
+      object_id: '0x1',
+      n_shards: 4,
+      on_node: (done, failed, total) => events.push({ done, failed, total }),
+    })
+
+    assert.strictEqual(confirmations.length, 4)
+    assert.strictEqual(events.length, 4)
+    assert.deepStrictEqual(events.at(-1), { done: 4, failed: 0, total: 4 })
+  })
+
+  it('tolerates failures within the fault threshold', async () => {
+    const walrus_client = {
+      writeEncodedBlobToNode: mock.fn(async ({ nodeIndex }) => {
+        if (nodeIndex === 0) throw new Error('node down')
+        return { node: nodeIndex }
+      }),
+    }
+
+    const confirmations = await write_slivers_to_nodes(walrus_client, {
+      blob_id: 'blob',
+      metadata: {},
+      slivers_by_node: make_slivers([1, 1, 1, 1]),
+      deletable: true,
+      object_id: '0x1',
+      n_shards: 4,
+    })
+
+    assert.strictEqual(confirmations[0], null)
+    assert.strictEqual(confirmations.filter(Boolean).length, 3)
+  })
+
+  it('rejects when failed shards exceed the fault threshold', async () => {
+    const walrus_client = {
+      writeEncodedBlobToNode: mock.fn(async ({ nodeIndex }) => {
+        if (nodeIndex < 2) throw new Error('node down')
+        return { node: nodeIndex }
+      }),
+    }
+
+    await assert.rejects(
+      write_slivers_to_nodes(walrus_client, {
+        blob_id: 'blob',
+        metadata: {},
+        slivers_by_node: make_slivers([1, 1, 1, 1]),
+        deletable: true,
+        object_id: '0x1',
+        n_shards: 4,
+      }),
+      /Too many storage node failures/,
+    )
+  })
+})
+
+describe('store_quilt', () => {
+  const make_client = () => ({
+    encodeQuilt: mock.fn(async () => ({
+      quilt: new Uint8Array(64),
+      index: {
+        patches: [
+          { identifier: '/index.html', startIndex: 1, endIndex: 2 },
+          { identifier: '/app.js', startIndex: 2, endIndex: 4 },
+        ],
+      },
+    })),
+    encodeBlob: mock.fn(async () => ({
+      blobId: QUILT_ID,
+      metadata: {},
+      rootHash: new Uint8Array(32),
+      sliversByNode: make_slivers([2, 2]),
+    })),
+    executeRegisterBlobTransaction: mock.fn(async () => ({
+      blob: { id: { id: '0xblob' } },
+      digest: 'register',
+    })),
+    systemState: mock.fn(async () => ({ committee: { n_shards: 4 } })),
+    writeEncodedBlobToNode: mock.fn(async () => ({ signature: 'sig' })),
+    executeCertifyBlobTransaction: mock.fn(async () => ({
+      digest: 'certify',
+    })),
+  })
+  const signer = { toSuiAddress: () => '0xowner' }
+
+  it('returns a walrus store-quilt shaped result', async () => {
+    const walrus_client = make_client()
+
+    const result = await store_quilt(walrus_client, {
+      files: [
+        { identifier: '/index.html', contents: new Uint8Array([1]) },
+        { identifier: '/app.js', contents: new Uint8Array([2]) },
+      ],
+      epochs: 3,
+      signer,
+    })
+
+    assert.deepStrictEqual(result.blobStoreResult.newlyCreated.blobObject, {
+      id: '0xblob',
+      blobId: QUILT_ID,
+    })
+    assert.deepStrictEqual(
+      result.storedQuiltBlobs.map(p => p.identifier),
+      ['/index.html', '/app.js'],
+    )
+    assert.ok(result.storedQuiltBlobs[0].quiltPatchId.startsWith(QUILT_ID))
+  })
+
+  it('registers as a quilt owned by the signer and certifies it', async () => {
+    const walrus_client = make_client()
+
+    await store_quilt(walrus_client, {
+      files: [{ identifier: '/index.html', contents: new Uint8Array([1]) }],
+      epochs: 3,
+      signer,
+    })
+
+    const [register] =
+      walrus_client.executeRegisterBlobTransaction.mock.calls[0].arguments
+    assert.strictEqual(register.epochs, 3)
+    assert.strictEqual(register.owner, '0xowner')
+    assert.strictEqual(register.attributes._walrusBlobType, 'quilt')
+
+    const [certify] =
+      walrus_client.executeCertifyBlobTransaction.mock.calls[0].arguments
+    assert.strictEqual(certify.blobObjectId, '0xblob')
+    assert.strictEqual(certify.confirmations.length, 2)
+  })
+
+  it('emits stages in order with per-node store events', async () => {
+    const stages = []
+
+    await store_quilt(make_client(), {
+      files: [{ identifier: '/index.html', contents: new Uint8Array([1]) }],
+      epochs: 1,
+      signer,
+      on_progress: event => stages.push(event),
+    })
+
+    assert.deepStrictEqual(
+      stages.map(e => e.stage),
+      ['encode', 'register', 'store', 'store', 'store', 'certify', 'done'],
+    )
+    assert.deepStrictEqual(stages[4], {
+      stage: 'store',
+      nodes_done: 2,
+      nodes_failed: 0,
+      nodes_total: 2,
+    })
+  })
+})
+
+describe('plan_quilt', () => {
+  it('encodes locally and returns the patch IDs an upload would produce', async () => {
+    const walrus_client = {
+      encodeQuilt: mock.fn(async () => ({
+        quilt: new Uint8Array(64),
+        index: {
+          patches: [{ identifier: '/index.html', startIndex: 1, endIndex: 2 }],
+        },
+      })),
+      encodeBlob: mock.fn(async () => ({ blobId: QUILT_ID })),
+      executeRegisterBlobTransaction: mock.fn(),
+    }
+
+    const plan = await plan_quilt(walrus_client, [
+      { identifier: '/index.html', contents: new Uint8Array([1]) },
+    ])
+
+    assert.deepStrictEqual(plan, {
+      blob_id: QUILT_ID,
+      size: 64,
+      patches: [
+        {
+          identifier: '/index.html',
+          quiltPatchId: encode_quilt_patch_id(QUILT_ID, {
+            startIndex: 1,
+            endIndex: 2,
+          }),
+        },
+      ],
+    })
+    assert.strictEqual(
+      walrus_client.executeRegisterBlobTransaction.mock.calls.length,
+      0,
+    )
+  })
+})
+
+describe('get_quilt_id', () => {
+  it('reads the quilt blob ID out of a patch ID', () => {
+    const patch_id = encode_quilt_patch_id(QUILT_ID, {
+      startIndex: 3,
+      endIndex: 17,
+    })
+    assert.strictEqual(get_quilt_id(patch_id), QUILT_ID)
+  })
+
+  it('returns plain blob IDs unchanged', () => {
+    assert.strictEqual(get_quilt_id(QUILT_ID), QUILT_ID)
+  })
+})
+
+describe('quilt_limits', () => {
+  it('derives columns and rows from the committee size', () => {
+    const limits = quilt_limits(1000)
+    assert.strictEqual(limits.rows, 334)
+    assert.strictEqual(limits.columns, 657)
+  })
+})
+
+describe('partition_quilts', () => {
+  const file = (identifier, size) => ({
+    identifier,
+    contents: new Uint8Array(size),
+  })
+  const limits = { columns: 4, rows: 10, max_bytes: 64 * 1024 * 1024 }
+
+  it('keeps a site that fits in one quilt', () => {
+    const files = [file('/b.js', 10), file('/a.html', 10)]
+    assert.deepStrictEqual(partition_quilts(files, limits), [files])
+  })
+
+  it('splits when there are more files than columns', () => {
+    const files = Array.from({ length: 10 }, (_, i) =>
+      file(`/page-${i}.html`, 100),
+    )
+    const groups = partition_quilts(files, limits)
+    assert.deepStrictEqual(
+      groups.map(g => g.length),
+      [4, 4, 2],
+    )
+    assert.deepStrictEqual(
+      groups.flat().map(f => f.identifier),
+      files.map(f => f.identifier),
+    )
+  })
+
+  it('groups by size class, then path', () => {
+    const files = [
+      file('/media/b.mp4', 2 * 1024 * 1024),
+      file('/docs/b.html', 100),
+      file('/media/a.mp4', 2 * 1024 * 1024),
+      file('/docs/a.html', 100),
+      file('/assets/app.js', 100),
+    ]
+    const groups = partition_quilts(files, {
+      ...limits,
+      columns: 3,
+      rows: 100,
+    })
+    assert.deepStrictEqual(
+      groups.map(g => g.map(f => f.identifier)),
+      [
+        ['/assets/app.js', '/docs/a.html', '/docs/b.html'],
+        ['/media/a.mp4', '/media/b.mp4'],
+      ],
+    )
+  })
+
+  it('caps the quilt size and isolates files larger than the cap', () => {
+    const files = [file('/a.bin', 900), file('/b.bin', 900), file('/c', 9000)]
+    const groups = partition_quilts(files, {
+      columns: 4,
+      rows: 10,
+      max_bytes: 30000,
+    })
+    assert.deepStrictEqual(
+      groups.map(g => g.map(f => f.identifier)),
+      [['/a.bin', '/b.bin'], ['/c']],
+    )
+  })
+})
+
+describe('store_quilts', () => {
+  /**
+   * Walrus client whose signed transactions record how many run at once
+   * Tiny committee: 1 column per quilt, so every file gets its own quilt
+   * @param {Object} [options]
+   * @param {number} [options.fail_register] - Register call (0-based) that fails
+   */
+  const make_store_client = ({ fail_register = -1 } = {}) => {
+    const stats = { in_flight: 0, max_in_flight: 0 }
+    const transaction = async result => {
+      stats.in_flight++
+      stats.max_in_flight = Math.max(stats.max_in_flight, stats.in_flight)
+      await new Promise(resolve => setImmediate(resolve))
+      stats.in_flight--
+      return result
+    }
+    let registered = 0
+    const walrus_client = {
+      systemState: mock.fn(async () => ({ committee: { n_shards: 16 } })),
+      encodeQuilt: mock.fn(async ({ blobs }) => ({
+        quilt: new Uint8Array(64),
+        index: {
+          patches: blobs.map(b => ({
+            identifier: b.identifier,
+            startIndex: 1,
+            endIndex: 2,
+          })),
+        },
+      })),
+      encodeBlob: mock.fn(async () => ({
+        blobId: QUILT_ID,
+        metadata: {},
+        rootHash: new Uint8Array(32),
+        sliversByNode: make_slivers([1]),
+      })),
+      executeRegisterBlobTransaction: mock.fn(async () => {
+        const call = registered++
+        if (call === fail_register) throw new Error('insufficient WAL')
+        return transaction({ blob: { id: { id: `0xblob${call}` } } })
+      }),
+      writeEncodedBlobToNode: mock.fn(async () => ({ signature: 'sig' })),
+      executeCertifyBlobTransaction: mock.fn(() => transaction({})),
+    }
+    return { walrus_client, stats }
+  }
+  const signer = { toSuiAddress: () => '0xowner' }
+
+  it('stores each group and serializes signed transactions', async () => {
+    const { walrus_client, stats } = make_store_client()
+    const events = []
+
+    const result = await store_quilts(walrus_client, {
+      files: [
+        { identifier: '/a.html', contents: new Uint8Array([1]) },
+        { identifier: '/b.html', contents: new Uint8Array([2]) },
+      ],
+      epochs: 1,
+      signer,
+      on_progress: event => events.push(event),
+    })
+
+    assert.strictEqual(stats.max_in_flight, 1)
+    assert.strictEqual(result.quilts.length, 2)
+    assert.deepStrictEqual(
+      result.storedQuiltBlobs.map(p => p.identifier),
+      ['/a.html', '/b.html'],
+    )
+    assert.ok(events.every(e => e.quilts === 2))
+    assert.deepStrictEqual(
+      [...new Set(events.map(e => e.quilt))].sort(),
+      [0, 1],
+    )
+  })
+
+  it('starts no quilt after a failure and reports the stored ones', async () => {
+    const { walrus_client } = make_store_client({ fail_register: 1 })
+    // Large enough that only one quilt uploads at a time
+    const big = () => new Uint8Array(33 * 1024 * 1024)
+    const stored = []
+
+    await assert.rejects(
+      store_quilts(walrus_client, {
+        files: [
+          { identifier: '/a.mp4', contents: big() },
+          { identifier: '/b.mp4', contents: big() },
+          { identifier: '/c.mp4', contents: big() },
+        ],
+        epochs: 1,
+        signer,
+        on_stored: quilts => stored.push(quilts),
+      }),
+      /insufficient WAL/,
+    )
+
+    assert.strictEqual(walrus_client.encodeQuilt.mock.callCount(), 2)
+    assert.strictEqual(stored.length, 1)
+    assert.deepStrictEqual(stored[0].quilts, [
+      { blob_id: QUILT_ID, blob_object_id: '0xblob0', patches: 1 },
+    ])
+    assert.deepStrictEqual(
+      stored[0].quilt_patches.map(p => p.identifier),
+      ['/a.mp4'],
+    )
+  })
+
+  it('only uploads files an interrupted upload did not store', async () => {
+    const { walrus_client } = make_store_client()
+    const previous = { blob_id: 'prev', blob_object_id: '0xprev', patches: 1 }
+
+    const result = await store_quilts(walrus_client, {
+      files: [
+        { identifier: '/a.html', contents: new Uint8Array([1]) },
+        { identifier: '/b.html', contents: new Uint8Array([2]) },
+      ],
+      epochs: 1,
+      signer,
+      stored: {
+        quilts: [previous],
+        quilt_patches: [{ identifier: '/a.html', quiltPatchId: 'pa' }],
+      },
+    })
+
+    const [{ blobs }] = walrus_client.encodeQuilt.mock.calls[0].arguments
+    assert.deepStrictEqual(
+      blobs.map(b => b.identifier),
+      ['/b.html'],
+    )
+    assert.strictEqual(result.quilts[0], previous)
+    assert.strictEqual(
+      result.blobStoreResult.newlyCreated.blobObject.id,
+      '0xprev',
+    )
+    assert.deepStrictEqual(
+      result.storedQuiltBlobs.map(p => p.identifier),
+      ['/a.html', '/b.html'],
+    )
+  })
+})
+
+describe('find_owned_blobs', () => {
+  it('matches owned Blob objects by blob ID across pages', async () => {
+    const { blobIdToInt } = await import('@mysten/walrus')
+    const blob = (object_id, blob_id) => ({
+      data: {
+        objectId: object_id,
+        content: { fields: { blob_id: blobIdToInt(blob_id).toString() } },
+      },
+    })
+    const other_id = 'A'.repeat(43)
+    const sui_client = {
+      getOwnedObjects: mock.fn(async ({ cursor }) =>
+        cursor
+          ? { data: [blob('0x2', QUILT_ID)], hasNextPage: false }
+          : {
+              data: [blob('0x1', QUILT_ID), blob('0x3', other_id)],
+              hasNextPage: true,
+              nextCursor: 'next',
+            },
+      ),
+    }
+    const walrus_client = { getBlobType: async () => '0xwal::blob::Blob' }
+
+    const found = await find_owned_blobs(walrus_client, sui_client, '0xme', [
+      QUILT_ID,
+    ])
+
+    assert.deepStrictEqual([...found], [[QUILT_ID, ['0x1', '0x2']]])
+    const [params] = sui_client.getOwnedObjects.mock.calls[0].arguments
+    assert.deepStrictEqual(params.filter, { StructType: '0xwal::blob::Blob' })
+  })
+})